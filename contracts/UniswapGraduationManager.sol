@@ -2,7 +2,7 @@
 pragma solidity ^0.8.20;
 
 import "@openzeppelin/contracts/access/Ownable.sol";
-import "@openzeppelin/contracts/security/ReentrancyGuard.sol";
+import "@openzeppelin/contracts/utils/ReentrancyGuard.sol";
 import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
 import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
 
@@ -107,9 +107,11 @@ contract UniswapGraduationManager is Ownable, ReentrancyGuard {
     //////////////////////////////////////////////////////////////*/
 
     event TokenRegistered(address indexed token, uint256 initialReserve);
+    event BondingCurveUpdated(address indexed token, uint256 tokenReserve, uint256 ethReserve, uint256 marketCap);
     event GraduationTriggered(address indexed token, uint256 marketCap, uint256 liquidity);
     event LiquidityMigrated(address indexed token, address indexed pair, uint256 liquidity);
     event LPTokensLocked(address indexed token, uint256 amount, uint256 unlockTime);
+    event LPTokensUnlocked(address indexed token, address indexed recipient, uint256 amount);
     event ConfigUpdated(uint256 marketCapThreshold, uint256 liquidityThreshold);
     event EmergencyWithdraw(address indexed token, uint256 amount);
 
@@ -205,6 +207,8 @@ contract UniswapGraduationManager is Ownable, ReentrancyGuard {
         curve.currentMarketCap = marketCap;
         curve.virtualLiquidity = ethReserve;
 
+        emit BondingCurveUpdated(token, tokenReserve, ethReserve, marketCap);
+
         // Auto-graduate if conditions are met
         if (config.autoGraduateEnabled && !graduations[token].graduated) {
             if (checkGraduationEligibility(token)) {
@@ -298,7 +302,7 @@ contract UniswapGraduationManager is Ownable, ReentrancyGuard {
         uint256 minEthAmount = (ethAmount * (10000 - config.slippageTolerance)) / 10000;
 
         // Approve router to spend tokens
-        IERC20(token).safeApprove(address(uniswapRouter), tokenAmount);
+        IERC20(token).forceApprove(address(uniswapRouter), tokenAmount);
 
         // Add liquidity to Uniswap V2
         uint256 amountToken;
@@ -352,6 +356,8 @@ contract UniswapGraduationManager is Ownable, ReentrancyGuard {
         grad.lpTokensLocked = 0;
 
         IERC20(grad.pair).safeTransfer(lpLockRecipient, amount);
+
+        emit LPTokensUnlocked(token, lpLockRecipient, amount);
     }
 
     /**
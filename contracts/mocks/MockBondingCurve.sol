@@ -0,0 +1,145 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
+
+interface IGraduationManager {
+    function config() external view returns (
+        uint256 marketCapThreshold,
+        uint256 liquidityThreshold,
+        uint256 minLockDuration,
+        uint256 slippageTolerance,
+        bool autoGraduateEnabled
+    );
+    function updateBondingCurve(address token, uint256 tokenReserve, uint256 ethReserve, uint256 marketCap) external;
+}
+
+/**
+ * @title MockBondingCurve
+ * @notice Bonding curve for local networks: sells one token against ETH on a virtual constant-product curve
+ *         and reports every trade to the UniswapGraduationManager
+ * @dev The curve holds the sale supply plus `liquidityTokens` reserved for the Uniswap pair. Once a trade
+ *      meets the manager's thresholds, the reserved tokens and the raised ETH move to the manager, which
+ *      migrates them to Uniswap V2 (right away with auto-graduation, otherwise on graduateToken)
+ */
+contract MockBondingCurve {
+    using SafeERC20 for IERC20;
+
+    IGraduationManager public immutable manager;
+    IERC20 public immutable token;
+
+    uint256 public immutable virtualEthReserve;   // ETH added to the real reserve for pricing
+    uint256 public immutable liquidityTokens;     // Tokens migrated to the Uniswap pair
+
+    uint256 public ethReserve;                    // ETH raised
+    bool public migrated;
+
+    event Trade(address indexed trader, bool isBuy, uint256 ethAmount, uint256 tokenAmount, uint256 marketCap);
+    event Migrated(uint256 tokenAmount, uint256 ethAmount, uint256 marketCap);
+
+    error AlreadyMigrated();
+    error SlippageExceeded();
+
+    constructor(address _manager, address _token, uint256 _virtualEthReserve, uint256 _liquidityTokens) {
+        require(_virtualEthReserve > 0, "Invalid virtual reserve");
+
+        manager = IGraduationManager(_manager);
+        token = IERC20(_token);
+        virtualEthReserve = _virtualEthReserve;
+        liquidityTokens = _liquidityTokens;
+    }
+
+    /*//////////////////////////////////////////////////////////////
+                                TRADING
+    //////////////////////////////////////////////////////////////*/
+
+    /**
+     * @notice Buy tokens with the ETH sent
+     * @param minTokensOut Minimum tokens to receive
+     */
+    function buy(uint256 minTokensOut) external payable returns (uint256 tokensOut) {
+        if (migrated) revert AlreadyMigrated();
+
+        tokensOut = getTokensOut(msg.value);
+        if (tokensOut == 0 || tokensOut < minTokensOut) revert SlippageExceeded();
+
+        ethReserve += msg.value;
+        token.safeTransfer(msg.sender, tokensOut);
+
+        emit Trade(msg.sender, true, msg.value, tokensOut, marketCap());
+        _report();
+    }
+
+    /**
+     * @notice Sell tokens back to the curve
+     * @param tokenAmount Tokens to sell
+     * @param minEthOut Minimum ETH to receive
+     */
+    function sell(uint256 tokenAmount, uint256 minEthOut) external returns (uint256 ethOut) {
+        if (migrated) revert AlreadyMigrated();
+
+        ethOut = getEthOut(tokenAmount);
+        if (ethOut == 0 || ethOut < minEthOut) revert SlippageExceeded();
+
+        token.safeTransferFrom(msg.sender, address(this), tokenAmount);
+        ethReserve -= ethOut;
+        payable(msg.sender).transfer(ethOut);
+
+        emit Trade(msg.sender, false, ethOut, tokenAmount, marketCap());
+        _report();
+    }
+
+    /*//////////////////////////////////////////////////////////////
+                            VIEW FUNCTIONS
+    //////////////////////////////////////////////////////////////*/
+
+    /**
+     * @notice Tokens left for sale
+     */
+    function saleReserve() public view returns (uint256) {
+        return migrated ? 0 : token.balanceOf(address(this)) - liquidityTokens;
+    }
+
+    function getTokensOut(uint256 ethIn) public view returns (uint256) {
+        uint256 virtualEth = virtualEthReserve + ethReserve;
+        return (ethIn * saleReserve()) / (virtualEth + ethIn);
+    }
+
+    function getEthOut(uint256 tokensIn) public view returns (uint256) {
+        uint256 virtualEth = virtualEthReserve + ethReserve;
+        uint256 ethOut = (tokensIn * virtualEth) / (saleReserve() + tokensIn);
+        return ethOut > ethReserve ? ethReserve : ethOut;
+    }
+
+    /**
+     * @notice Spot price (wei per whole token) times the total supply
+     */
+    function marketCap() public view returns (uint256) {
+        uint256 reserve = saleReserve();
+        if (reserve == 0) return 0;
+        uint256 price = ((virtualEthReserve + ethReserve) * 1e18) / reserve;
+        return (price * token.totalSupply()) / 1e18;
+    }
+
+    /*//////////////////////////////////////////////////////////////
+                            INTERNAL
+    //////////////////////////////////////////////////////////////*/
+
+    /**
+     * @notice Report the curve to the manager, handing over the liquidity first once it can graduate
+     */
+    function _report() internal {
+        uint256 cap = marketCap();
+        (uint256 marketCapThreshold, uint256 liquidityThreshold,,,) = manager.config();
+
+        if (cap >= marketCapThreshold && ethReserve >= liquidityThreshold) {
+            migrated = true;
+            token.safeTransfer(address(manager), liquidityTokens);
+            payable(address(manager)).transfer(ethReserve);
+            emit Migrated(liquidityTokens, ethReserve, cap);
+        }
+
+        manager.updateBondingCurve(address(token), liquidityTokens, ethReserve, cap);
+    }
+}
@@ -0,0 +1,19 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "../SecurityEnhancements.sol";
+
+/**
+ * @title MockSecurityEnhancements
+ * @notice Standalone SecurityEnhancements for local networks: circuit breaker, emergency mode and
+ *         rate-limit state for keepers and monitors to read, with graduations recorded by hand
+ */
+contract MockSecurityEnhancements is SecurityEnhancements {
+    /**
+     * @notice Count a graduation of `liquidityAmount` against the current rate-limit window
+     */
+    function recordGraduation(uint256 liquidityAmount) external onlyOperatorOrAdmin {
+        _checkRateLimit(liquidityAmount);
+        _updateRateLimit(liquidityAmount);
+    }
+}
@@ -1,146 +1,222 @@
-const { ethers } = require("hardhat");
-const fs = require("fs");
+const { execFileSync } = require("child_process");
 const path = require("path");
+const { loadDeployConfig, parseDeployArgs } = require("./lib/deploy-config");
+const { DeploymentJournal, DeploymentPipeline } = require("./lib/deploy-pipeline");
+const { DeploymentRegistry } = require("./lib/deployment-registry");
+
+// `node scripts/deploy.js --network <name> [--config <file>] [--set <setting>=<value> ...] [--fresh]`;
+// with `hardhat run` only the environment overrides apply
+const cli = require.main === module ? parseDeployArgs(process.argv.slice(2)) : {};
+if (cli.network) {
+    process.env.HARDHAT_NETWORK = cli.network;
+}
+
+const hre = require("hardhat");
+const { ethers } = hre;
 
 /**
  * Deployment script for UniswapGraduationManager
  * 
  * This script handles:
- * - Contract deployment with configurable parameters
+ * - Contract deployment with per-network parameters from config/deploy
+ *   (see scripts/lib/deploy-config.js), validated before anything is sent
  * - Verification on block explorers
  * - Configuration management
- * - Post-deployment setup
+ * - Post-deployment setup: SecurityEnhancements roles and limits (on the
+ *   `security` contract, a MockSecurityEnhancements on local networks), ownership
+ * - Resumable runs: each completed step is journaled to
+ *   deployments/<network>/journal.json and skipped on rerun (--fresh or
+ *   DEPLOY_FRESH=true starts over)
+ * - Deployment history: every deployment is appended to
+ *   deployments/<network>/history.jsonl and made active (see
+ *   scripts/deployments.js to list, diff, promote or roll back)
  */
 
-// Deployment configuration
-const DEPLOYMENT_CONFIG = {
-    // Network-specific Uniswap V2 Router addresses
-    routers: {
-        mainnet: "0x7a250d5630B4cF539739dF2C5dAcb4c659F2488D",
-        goerli: "0x7a250d5630B4cF539739dF2C5dAcb4c659F2488D",
-        sepolia: "0xC532a74256D3Db42D0Bf7a0400fEFDbad7694008",
-        polygon: "0xa5E0829CaCEd8fFDD4De3c43696c57F7D7A678ff", // QuickSwap
-        bsc: "0x10ED43C718714eb63d5aA57B78B54704E256024E", // PancakeSwap
-        arbitrum: "0x1b02dA8Cb0d097eB8D57A175b88c7D8b47997506", // SushiSwap
-        optimism: "0x4A7b5Da61326A6379179b40d00F57E5bbDC962c2",
-        base: "0x4752ba5dbc23f44d87826276bf6fd6b1c372ad24",
-        // Local/hardhat - will be deployed
-        hardhat: null,
-        localhost: null,
-    },
-
-    // Default graduation thresholds
-    thresholds: {
-        marketCap: ethers.parseEther("100"), // 100 ETH market cap
-        liquidity: ethers.parseEther("50"),  // 50 ETH liquidity
-    },
-
-    // LP lock duration (7 days in seconds)
-    lockDuration: 7 * 24 * 60 * 60,
-
-    // Initial configuration
-    initialConfig: {
-        autoGraduationEnabled: true,
-        slippageTolerance: 100, // 1%
-    }
+// AccessControl roles assignable from the `roles` settings
+const ROLE_NAMES = {
+    admin: "DEFAULT_ADMIN_ROLE",
+    operator: "OPERATOR_ROLE",
+    guardian: "GUARDIAN_ROLE",
+    emergency: "EMERGENCY_ROLE"
 };
 
 /**
- * Get network-specific router address
+ * bytes32 id of a role; DEFAULT_ADMIN_ROLE is zero rather than a hash of its name
  */
-function getRouterAddress(network) {
-    const router = DEPLOYMENT_CONFIG.routers[network];
-    if (!router && network !== "hardhat" && network !== "localhost") {
-        throw new Error(`No router configured for network: ${network}`);
-    }
-    return router;
+function roleId(role) {
+    return role === "admin" ? ethers.ZeroHash : ethers.id(ROLE_NAMES[role]);
 }
 
 /**
- * Deploy mock Uniswap V2 contracts for testing networks
+ * Constructor arguments of UniswapGraduationManager
  */
-async function deployMockUniswap() {
-    console.log("Deploying mock Uniswap V2 contracts...");
+function getConstructorArgs(routerAddress, config) {
+    return [
+        routerAddress,
+        config.thresholds.marketCap,
+        config.thresholds.liquidity,
+        config.lockDuration,
+        config.lpLockRecipient
+    ];
+}
 
-    const MockUniswapV2Factory = await ethers.getContractFactory("MockUniswapV2Factory");
-    const factory = await MockUniswapV2Factory.deploy();
-    await factory.waitForDeployment();
-    console.log(`Mock Factory deployed to: ${factory.target}`);
+/**
+ * Step deploying a contract; its result is the contract address
+ */
+function deployStep(id, contractName, args) {
+    return {
+        id,
+        inputs: pipeline => ({ contractName, args: typeof args === "function" ? args(pipeline) : args }),
+        send: async (pipeline) => {
+            const factory = await ethers.getContractFactory(contractName);
+            const contract = await factory.deploy(...(typeof args === "function" ? args(pipeline) : args));
+            return contract.deploymentTransaction();
+        },
+        result: receipt => ({ address: receipt.contractAddress }),
+        check: async result => (await ethers.provider.getCode(result.address)) !== "0x"
+    };
+}
 
-    const MockUniswapV2Router = await ethers.getContractFactory("MockUniswapV2Router");
-    const router = await MockUniswapV2Router.deploy(factory.target);
-    await router.waitForDeployment();
-    console.log(`Mock Router deployed to: ${router.target}`);
+/**
+ * Step calling the deployed manager
+ */
+function managerStep(id, method, args) {
+    return {
+        id,
+        inputs: pipeline => ({ manager: pipeline.results["deploy-manager"].address, method, args }),
+        send: async (pipeline) => {
+            const manager = await ethers.getContractAt("UniswapGraduationManager", pipeline.results["deploy-manager"].address);
+            return manager[method](...args);
+        }
+    };
+}
 
-    return { factory: factory.target, router: router.target };
+/**
+ * Step calling the SecurityEnhancements contract at `security(pipeline)`
+ */
+function securityStep(id, security, method, args) {
+    return {
+        id,
+        inputs: pipeline => ({ security: security(pipeline), method, args }),
+        send: async (pipeline) => {
+            const contract = await ethers.getContractAt("SecurityEnhancements", security(pipeline));
+            return contract[method](...args);
+        }
+    };
 }
 
 /**
- * Deploy UniswapGraduationManager contract
+ * Role holders to grant on the SecurityEnhancements contract, as [role, holders]
  */
-async function deployGraduationManager(routerAddress, config) {
-    console.log("\n=== Deploying UniswapGraduationManager ===");
-    console.log(`Router Address: ${routerAddress}`);
-    console.log(`Market Cap Threshold: ${ethers.formatEther(config.thresholds.marketCap)} ETH`);
-    console.log(`Liquidity Threshold: ${ethers.formatEther(config.thresholds.liquidity)} ETH`);
-    console.log(`Lock Duration: ${config.lockDuration / 86400} days`);
+function roleGrants(config) {
+    return Object.entries(config.roles || {}).filter(([role, holders]) => role !== "owner" && holders.length > 0);
+}
 
-    const UniswapGraduationManager = await ethers.getContractFactory("UniswapGraduationManager");
-    const manager = await UniswapGraduationManager.deploy(
-        routerAddress,
+/**
+ * The deployment as pipeline steps (see scripts/lib/deploy-pipeline.js):
+ * WETH9 and mock Uniswap V2 contracts on local networks, the manager, its
+ * configuration, SecurityEnhancements limits and role grants and finally
+ * the ownership transfer
+ */
+function buildDeploymentSteps(config) {
+    const steps = [];
+    let router = () => config.router;
+
+    // Local Uniswap V2 sandbox (contracts/mocks) for local networks
+    if (!config.router) {
+        steps.push(deployStep("deploy-mock-weth", "WETH9", []));
+        steps.push(deployStep("deploy-mock-factory", "MockUniswapV2Factory", []));
+        steps.push(deployStep("deploy-mock-router", "MockUniswapV2Router", p => [
+            p.results["deploy-mock-factory"].address,
+            p.results["deploy-mock-weth"].address
+        ]));
+        router = p => p.results["deploy-mock-router"].address;
+    }
+
+    steps.push(deployStep("deploy-manager", "UniswapGraduationManager", p => getConstructorArgs(router(p), config)));
+
+    steps.push(managerStep("configure", "updateConfig", [
         config.thresholds.marketCap,
         config.thresholds.liquidity,
-        config.lockDuration
-    );
+        config.lockDuration,
+        config.slippageBps,
+        config.autoGraduation
+    ]));
+
+    const limits = config.limits || {};
+    const grants = roleGrants(config);
+    if (grants.length > 0 || Object.keys(limits).length > 0) {
+        // deploy-config only leaves `security` unset on local networks
+        let security = () => config.security;
+        if (!config.security) {
+            steps.push(deployStep("deploy-mock-security", "MockSecurityEnhancements", []));
+            security = p => p.results["deploy-mock-security"].address;
+        }
 
-    await manager.waitForDeployment();
-    const managerAddress = manager.target;
+        if (limits.maxGraduationsPerHour !== undefined) {
+            steps.push(securityStep("update-rate-limit", security, "updateRateLimit", [limits.maxGraduationsPerHour, limits.maxLiquidityPerHour]));
+        }
+        if (limits.maxSingleGraduationLiquidity !== undefined) {
+            steps.push(securityStep("update-transaction-limits", security, "updateTransactionLimits", [
+                limits.maxSingleGraduationLiquidity,
+                limits.minGraduationDelay,
+                limits.maxSlippageBps
+            ]));
+        }
+        for (const [role, holders] of grants) {
+            for (const holder of holders) {
+                steps.push(securityStep(`grant-role:${role}:${holder}`, security, "grantRole", [roleId(role), holder]));
+            }
+        }
+    }
 
-    console.log(`\n✅ UniswapGraduationManager deployed to: ${managerAddress}`);
+    // Last, since the deployer loses the right to configure anything
+    if (config.roles?.owner) {
+        steps.push(managerStep("transfer-ownership", "transferOwnership", [config.roles.owner]));
+    }
 
-    return { manager, address: managerAddress };
+    return steps;
 }
 
 /**
- * Configure contract after deployment
+ * Git commit, compiler settings and runtime bytecode hash the deployment was built from
  */
-async function configureContract(manager, config) {
-    console.log("\n=== Configuring Contract ===");
-
-    const tx1 = await manager.setAutoGraduation(config.initialConfig.autoGraduationEnabled);
-    await tx1.wait();
-    console.log(`Auto-graduation enabled: ${config.initialConfig.autoGraduationEnabled}`);
-
-    const tx2 = await manager.setSlippageTolerance(config.initialConfig.slippageTolerance);
-    await tx2.wait();
-    console.log(`Slippage tolerance set to: ${config.initialConfig.slippageTolerance / 100}%`);
+async function getBuildInfo(managerAddress) {
+    const git = args => execFileSync("git", args, { cwd: path.join(__dirname, ".."), encoding: "utf8", stdio: ["ignore", "pipe", "ignore"] }).trim();
+    let gitCommit = null;
+    let gitDirty = null;
+    try {
+        gitCommit = git(["rev-parse", "HEAD"]);
+        gitDirty = git(["status", "--porcelain"]) !== "";
+    } catch (error) {
+        // Not a git checkout
+    }
 
-    console.log("✅ Configuration complete");
+    return {
+        gitCommit,
+        gitDirty,
+        compilers: hre.config.solidity.compilers.map(({ version, settings }) => ({
+            version,
+            optimizer: settings.optimizer,
+            evmVersion: settings.evmVersion || null,
+            viaIR: Boolean(settings.viaIR)
+        })),
+        bytecodeHash: ethers.keccak256(await ethers.provider.getCode(managerAddress))
+    };
 }
 
 /**
- * Save deployment information
+ * Save deployment information: appended to the network's deployment
+ * history and made the active deployment
  */
 function saveDeploymentInfo(network, deploymentData) {
-    const deploymentsDir = path.join(__dirname, "..", "deployments");
-    if (!fs.existsSync(deploymentsDir)) {
-        fs.mkdirSync(deploymentsDir, { recursive: true });
-    }
+    const registry = new DeploymentRegistry({ network });
+    const record = registry.add({ ...deploymentData, network });
+    registry.promote(record.version, "deployed");
 
-    const networkDir = path.join(deploymentsDir, network);
-    if (!fs.existsSync(networkDir)) {
-        fs.mkdirSync(networkDir, { recursive: true });
-    }
-
-    const deploymentFile = path.join(networkDir, "UniswapGraduationManager.json");
-    const data = {
-        ...deploymentData,
-        timestamp: new Date().toISOString(),
-        network: network,
-    };
-
-    fs.writeFileSync(deploymentFile, JSON.stringify(data, null, 2));
-    console.log(`\n📁 Deployment info saved to: ${deploymentFile}`);
+    console.log(`\n📁 Deployment v${record.version} saved to: ${registry.historyFile}`);
+    console.log(`   Active deployment: ${registry.recordFile}`);
+    return record;
 }
 
 /**
@@ -172,12 +248,17 @@ function displaySummary(deploymentData) {
     console.log("DEPLOYMENT SUMMARY");
     console.log("=".repeat(60));
     console.log(`Network: ${deploymentData.network}`);
+    console.log(`Version: ${deploymentData.version}`);
     console.log(`Deployer: ${deploymentData.deployer}`);
     console.log(`Manager Address: ${deploymentData.managerAddress}`);
     console.log(`Router Address: ${deploymentData.routerAddress}`);
+    if (deploymentData.securityAddress) {
+        console.log(`Security Address: ${deploymentData.securityAddress}`);
+    }
     console.log(`Market Cap Threshold: ${ethers.formatEther(deploymentData.config.thresholds.marketCap)} ETH`);
     console.log(`Liquidity Threshold: ${ethers.formatEther(deploymentData.config.thresholds.liquidity)} ETH`);
     console.log(`Lock Duration: ${deploymentData.config.lockDuration / 86400} days`);
+    console.log(`LP Lock Recipient: ${deploymentData.config.lpLockRecipient}`);
     console.log(`Timestamp: ${deploymentData.timestamp}`);
     console.log("=".repeat(60) + "\n");
 }
@@ -189,32 +270,41 @@ async function main() {
     const [deployer] = await ethers.getSigners();
     const network = hre.network.name;
 
+    // Fails on an invalid config before any transaction is sent
+    const { config, files } = loadDeployConfig(network, { file: cli.config, overrides: cli.overrides });
+
     console.log("\n" + "=".repeat(60));
     console.log("UNISWAP GRADUATION MANAGER DEPLOYMENT");
     console.log("=".repeat(60));
     console.log(`Network: ${network}`);
+    console.log(`Config: ${files.map(file => path.relative(process.cwd(), file)).join(", ") || "(environment only)"}`);
     console.log(`Deployer: ${deployer.address}`);
     console.log(`Balance: ${ethers.formatEther(await ethers.provider.getBalance(deployer.address))} ETH`);
     console.log("=".repeat(60));
 
-    let routerAddress = getRouterAddress(network);
-    let factoryAddress = null;
-
-    // Deploy mock contracts for local networks
-    if (!routerAddress) {
-        const mocks = await deployMockUniswap();
-        routerAddress = mocks.router;
-        factoryAddress = mocks.factory;
+    // Completed steps are skipped on rerun; the hardhat network starts empty every run
+    const journal = new DeploymentJournal({
+        file: network === "hardhat" ? null : path.join(__dirname, "..", "deployments", network, "journal.json"),
+        network,
+        fresh: cli.fresh || process.env.DEPLOY_FRESH === "true"
+    });
+    if (journal.archived) {
+        console.log(`🗄️  Previous journal archived to: ${journal.archived}`);
     }
 
-    // Deploy graduation manager
-    const { manager, address: managerAddress } = await deployGraduationManager(
-        routerAddress,
-        DEPLOYMENT_CONFIG
-    );
+    console.log("\n=== Deploying UniswapGraduationManager ===");
+    console.log(`Market Cap Threshold: ${ethers.formatEther(config.thresholds.marketCap)} ETH`);
+    console.log(`Liquidity Threshold: ${ethers.formatEther(config.thresholds.liquidity)} ETH`);
+    console.log(`Lock Duration: ${config.lockDuration / 86400} days`);
+    console.log(`LP Lock Recipient: ${config.lpLockRecipient}`);
+
+    const pipeline = new DeploymentPipeline({ journal, provider: ethers.provider });
+    const results = await pipeline.run(buildDeploymentSteps(config));
 
-    // Configure contract
-    await configureContract(manager, DEPLOYMENT_CONFIG);
+    const managerAddress = results["deploy-manager"].address;
+    const routerAddress = config.router || results["deploy-mock-router"].address;
+    const factoryAddress = config.router ? null : results["deploy-mock-factory"].address;
+    const securityAddress = config.security || results["deploy-mock-security"]?.address || null;
 
     // Prepare deployment data
     const deploymentData = {
@@ -223,29 +313,31 @@ async function main() {
         managerAddress: managerAddress,
         routerAddress: routerAddress,
         factoryAddress: factoryAddress,
+        securityAddress: securityAddress,
+        configFiles: files.map(file => path.relative(path.join(__dirname, ".."), file)),
         config: {
             thresholds: {
-                marketCap: DEPLOYMENT_CONFIG.thresholds.marketCap.toString(),
-                liquidity: DEPLOYMENT_CONFIG.thresholds.liquidity.toString(),
+                marketCap: config.thresholds.marketCap.toString(),
+                liquidity: config.thresholds.liquidity.toString(),
             },
-            lockDuration: DEPLOYMENT_CONFIG.lockDuration,
-            autoGraduationEnabled: DEPLOYMENT_CONFIG.initialConfig.autoGraduationEnabled,
-            slippageTolerance: DEPLOYMENT_CONFIG.initialConfig.slippageTolerance,
+            lockDuration: config.lockDuration,
+            autoGraduationEnabled: config.autoGraduation,
+            slippageTolerance: config.slippageBps,
+            lpLockRecipient: config.lpLockRecipient,
+            roles: config.roles || {},
+            limits: config.limits || {},
         },
-        constructorArgs: [
-            routerAddress,
-            DEPLOYMENT_CONFIG.thresholds.marketCap,
-            DEPLOYMENT_CONFIG.thresholds.liquidity,
-            DEPLOYMENT_CONFIG.lockDuration,
-        ],
+        constructorArgs: getConstructorArgs(routerAddress, config).map(arg => arg.toString()),
+        transactions: Object.fromEntries(Object.entries(journal.state.steps).map(([id, step]) => [id, step.txHash])),
+        build: await getBuildInfo(managerAddress),
         timestamp: new Date().toISOString(),
     };
 
     // Save deployment info
-    saveDeploymentInfo(network, deploymentData);
+    const record = saveDeploymentInfo(network, deploymentData);
 
     // Display summary
-    displaySummary(deploymentData);
+    displaySummary(record);
 
     // Verify on block explorer (skip for local networks)
     if (network !== "hardhat" && network !== "localhost" && process.env.ETHERSCAN_API_KEY) {
@@ -258,10 +350,10 @@ async function main() {
     console.log("\nNext steps:");
     console.log("1. Register your bonding curve contract");
     console.log("2. Set up monitoring for graduation events");
-    console.log("3. Configure LP recipient addresses");
+    console.log(`3. Check the on-chain state: npx hardhat run scripts/verify-deployment.js --network ${network}`);
     console.log("4. Test with a small token deployment\n");
 
-    return deploymentData;
+    return record;
 }
 
 // Execute deployment
@@ -274,4 +366,4 @@ if (require.main === module) {
         });
 }
 
-module.exports = { main, deployGraduationManager, DEPLOYMENT_CONFIG };
+module.exports = { main, buildDeploymentSteps, getConstructorArgs };
@@ -0,0 +1,131 @@
+const { parseArgs } = require("util");
+const { DeploymentRegistry, RECORD_METADATA, diffDeployments } = require("./lib/deployment-registry");
+const { toJSON } = require("./monitoring/json");
+
+/**
+ * Deployment History
+ *
+ * Lists the deployments recorded by scripts/deploy.js for a network and
+ * chooses which one is active, i.e. the manager that verify-deployment and
+ * the monitor, keeper and unlocker (with DEPLOYMENT_NETWORK set) use:
+ *   node scripts/deployments.js list --network base
+ *   node scripts/deployments.js show <version> --network base
+ *   node scripts/deployments.js diff <version> [<version>] --network base
+ *   node scripts/deployments.js promote <version> --network base
+ *   node scripts/deployments.js rollback [<version>] --network base
+ */
+
+const short = value => (value ? String(value).slice(0, 10) : "-");
+
+/**
+ * One line per deployment, newest first, the active one marked with `*`
+ */
+function renderDeploymentList(records, pointer) {
+    if (records.length === 0) {
+        return "No deployments recorded";
+    }
+    const lines = ["  version  deployed at               manager                                     commit      bytecode"];
+    for (const record of [...records].reverse()) {
+        const marker = pointer && pointer.version === record.version ? "*" : " ";
+        const commit = short(record.build?.gitCommit) + (record.build?.gitDirty ? "+" : "");
+        lines.push(`${marker} v${String(record.version).padEnd(7)} ${String(record.deployedAt).padEnd(25)} ${record.managerAddress}  ${commit.padEnd(11)} ${short(record.build?.bytecodeHash)}`);
+    }
+    if (pointer) {
+        lines.push("", `* active since ${pointer.promotedAt} (${pointer.reason})`);
+    }
+    return lines.join("\n");
+}
+
+/**
+ * Changed fields between two deployments
+ */
+function renderDeploymentDiff(a, b) {
+    const changes = diffDeployments(a, b).filter(change => !RECORD_METADATA.includes(change.path));
+    const format = value => (value === undefined ? "(unset)" : toJSON(value));
+    const lines = [`v${a.version} → v${b.version}`, ""];
+    if (changes.length === 0) {
+        lines.push("No differences");
+    }
+    for (const change of changes) {
+        lines.push(`${change.path}: ${format(change.from)} → ${format(change.to)}`);
+    }
+    return lines.join("\n");
+}
+
+/**
+ * Records compared by `diff`: two versions, or one version and the active
+ * deployment
+ */
+function selectDiffPair(registry, versions) {
+    if (versions.length === 0) {
+        throw new Error("Usage: diff <version> [<version>]");
+    }
+    const from = registry.get(versions[0]);
+    if (versions[1] !== undefined) {
+        return [from, registry.get(versions[1])];
+    }
+    const active = registry.active();
+    if (!active) {
+        throw new Error(`No active deployment on ${registry.network}; pass two versions to diff`);
+    }
+    return [from, active];
+}
+
+async function main() {
+    const { values, positionals } = parseArgs({
+        allowPositionals: true,
+        options: {
+            network: { type: "string", default: process.env.DEPLOYMENT_NETWORK },
+            dir: { type: "string" },
+            reason: { type: "string" }
+        }
+    });
+    const [command, ...versions] = positionals;
+    if (!values.network) {
+        throw new Error("No network: pass --network or set DEPLOYMENT_NETWORK");
+    }
+    const registry = new DeploymentRegistry({ network: values.network, dir: values.dir });
+
+    switch (command) {
+        case "list":
+        case undefined:
+            console.log(renderDeploymentList(registry.list(), registry.activePointer()));
+            break;
+        case "show":
+            console.log(toJSON(versions.length ? registry.get(versions[0]) : registry.active(), 2));
+            break;
+        case "diff": {
+            const [from, to] = selectDiffPair(registry, versions);
+            console.log(renderDeploymentDiff(from, to));
+            break;
+        }
+        case "promote": {
+            if (versions.length === 0) {
+                throw new Error("Usage: promote <version>");
+            }
+            const record = registry.promote(versions[0], values.reason);
+            console.log(`✅ v${record.version} (${record.managerAddress}) is now active on ${values.network}`);
+            break;
+        }
+        case "rollback": {
+            const record = registry.rollback(versions[0]);
+            console.log(`⏪ Rolled back to v${record.version} (${record.managerAddress}) on ${values.network}`);
+            break;
+        }
+        default:
+            throw new Error(`Unknown command: ${command} (list, show, diff, promote, rollback)`);
+    }
+}
+
+module.exports = {
+    renderDeploymentList,
+    renderDeploymentDiff,
+    selectDiffPair
+};
+
+if (require.main === module) {
+    main().catch((error) => {
+        console.error(`❌ ${error.message}`);
+        process.exit(1);
+    });
+}
@@ -0,0 +1,184 @@
+const { ethers } = require("ethers");
+const path = require("path");
+const { parseDuration } = require("./lib/durations");
+const { TransactionAutomation, automationFromEnv, stopOnInterrupt } = require("./lib/automation");
+
+const SECURITY_FUNCTIONS = ["getCircuitBreakerStatus", "getRateLimitStatus"];
+
+/**
+ * Graduation Keeper
+ *
+ * Graduates tokens when `autoGraduateEnabled` is off (or a bonding curve
+ * update did not trigger it): tracks registered tokens from TokenRegistered
+ * and LiquidityMigrated events, polls checkGraduationEligibility and submits
+ * graduateToken from the keeper signer, which must own the manager.
+ *
+ * Nothing is submitted while the circuit breaker is tripped, and a
+ * graduation is deferred when the rate-limit window has no graduations or
+ * not enough liquidity left for the token's ETH reserve. Both are read from
+ * the SecurityEnhancements contract; the keeper refuses to start without one.
+ *
+ * Transactions go through TransactionSender (gas cap, local nonces,
+ * replacement of stuck transactions, dry run); every attempt is logged to
+ * the console and, with `logFile`, appended as JSONL (see
+ * lib/automation.js).
+ */
+
+class GraduationKeeper extends TransactionAutomation {
+    /**
+     * @param {object} options
+     * @param {ethers.Contract} options.contract Manager connected to the keeper signer
+     * @param {ethers.Contract} [options.security] SecurityEnhancements contract reporting the circuit breaker and
+     *   rate limit; only optional for a manager that implements them itself
+     * @param {ethers.Signer} options.signer
+     * @param {object} [options.transactions] TransactionSender options (maxFeePerGas, replaceAfterMs, ...)
+     * @param {boolean} [options.dryRun] Simulate graduations without sending them
+     * @param {number} [options.fromBlock] First block scanned for registrations
+     * @param {number} [options.batchSize] Blocks per log query
+     * @param {number} [options.pollIntervalMs]
+     * @param {string} [options.logFile] JSONL file every attempt is appended to
+     */
+    constructor(options) {
+        // Registered tokens are tracked until they graduate
+        super(options, {
+            name: "Keeper",
+            title: "🤖 Keeper",
+            events: ["TokenRegistered", "LiquidityMigrated"],
+            intervalMs: options.pollIntervalMs || 60 * 1000,
+            blockBatchSize: options.batchSize || 2000
+        });
+        this.security = options.security || options.contract;
+        // ethers contracts have no method for functions missing from their ABI
+        const missing = SECURITY_FUNCTIONS.filter(name => typeof this.security[name] !== "function");
+        if (missing.length > 0) {
+            throw new Error(`Keeper security contract has no ${missing.join(", ")}; configure the SecurityEnhancements contract (SECURITY_ADDRESS)`);
+        }
+        this.polling = false;
+    }
+
+    /**
+     * One keeper round: sync tokens, check the security state, graduate
+     * what is eligible within the rate limit
+     */
+    async round() {
+        if (this.polling) {
+            return;
+        }
+        this.polling = true;
+
+        try {
+            await this.syncTokens();
+
+            const breaker = await this.security.getCircuitBreakerStatus();
+            if (breaker.isTripped) {
+                this.record({
+                    stage: "skipped",
+                    reason: `circuit breaker tripped (${breaker.reason}), resets in ${breaker.secondsUntilReset}s`
+                });
+                return;
+            }
+
+            let { graduationsRemaining, liquidityRemaining, windowEndsIn } = await this.security.getRateLimitStatus();
+
+            for (const token of [...this.tokens]) {
+                if (!(await this.contract.checkGraduationEligibility(token))) {
+                    continue;
+                }
+
+                if (graduationsRemaining === 0n) {
+                    this.record({ stage: "skipped", token, reason: `graduation rate limit reached, window ends in ${windowEndsIn}s` });
+                    break;
+                }
+                const { ethReserve } = await this.contract.bondingCurves(token);
+                if (ethReserve > liquidityRemaining) {
+                    this.record({
+                        stage: "skipped",
+                        token,
+                        reason: `liquidity rate limit: needs ${ethers.formatEther(ethReserve)} ETH, ${ethers.formatEther(liquidityRemaining)} ETH left`
+                    });
+                    continue;
+                }
+
+                if (await this.graduate(token)) {
+                    graduationsRemaining--;
+                    liquidityRemaining -= ethReserve;
+                }
+            }
+        } finally {
+            this.polling = false;
+        }
+    }
+
+    /**
+     * Submit graduateToken; returns whether the token was graduated (or
+     * would have been, in dry-run mode)
+     */
+    async graduate(token) {
+        try {
+            const tx = await this.contract.graduateToken.populateTransaction(token);
+            const result = await this.sender.send(tx, { action: "graduateToken", token });
+            if (result.dryRun) {
+                return true;
+            }
+            if (result.receipt.status === 1) {
+                this.tokens.delete(token);
+                return true;
+            }
+        } catch (error) {
+            this.record({
+                stage: error.code === "GAS_PRICE_TOO_HIGH" ? "skipped" : "failed",
+                action: "graduateToken",
+                token,
+                reason: error.shortMessage || error.message
+            });
+        }
+        return false;
+    }
+}
+
+/**
+ * Run the keeper:
+ *   CONTRACT_ADDRESS=0x... RPC_URL=https://... KEEPER_PRIVATE_KEY=0x... node scripts/keeper.js
+ *
+ * DEPLOYMENT_NETWORK=<network> instead of CONTRACT_ADDRESS uses the network's
+ * active deployment (see scripts/deployments.js).
+ *
+ * KEEPER_DRY_RUN=true simulates only; MAX_FEE_GWEI / MAX_PRIORITY_FEE_GWEI cap
+ * fees; KEEPER_INTERVAL (default 1m), KEEPER_FROM_BLOCK, KEEPER_REPLACE_AFTER
+ * (default 3m) tune the rest. SECURITY_ADDRESS (the SecurityEnhancements
+ * contract reporting the circuit breaker and rate limit) is required.
+ */
+async function main() {
+    const { signer, contractAddress, ...options } = automationFromEnv("KEEPER");
+    const security = process.env.SECURITY_ADDRESS
+        ? new ethers.Contract(
+            process.env.SECURITY_ADDRESS,
+            require("../artifacts/contracts/SecurityEnhancements.sol/SecurityEnhancements.json").abi,
+            signer.provider
+        )
+        : null;
+
+    const keeper = new GraduationKeeper({
+        ...options,
+        security,
+        signer,
+        pollIntervalMs: parseDuration(process.env.KEEPER_INTERVAL || "1m"),
+        logFile: process.env.KEEPER_LOG || path.join(__dirname, "..", "monitoring", "keeper-attempts.jsonl")
+    });
+
+    console.log(`🤖 Keeper ${await signer.getAddress()} for manager ${contractAddress}`);
+    keeper.start();
+    stopOnInterrupt(keeper, "Stopping keeper...");
+}
+
+module.exports = {
+    GraduationKeeper,
+    main
+};
+
+if (require.main === module) {
+    main().catch((error) => {
+        console.error(error);
+        process.exit(1);
+    });
+}
@@ -0,0 +1,61 @@
+const fs = require("fs");
+const path = require("path");
+const { toJSON } = require("../monitoring/json");
+
+/**
+ * Attempt Log
+ *
+ * History of the transactions an automation script tried to send: each
+ * attempt is printed, kept in memory (the last `maxEntries`) and, with
+ * `logFile`, appended as one JSON line.
+ */
+
+const ATTEMPT_ICONS = {
+    "dry-run": "🧪",
+    submitted: "📤",
+    replaced: "🔁",
+    confirmed: "✅",
+    reverted: "❌",
+    failed: "❌",
+    stuck: "⏳",
+    "replace-failed": "⚠️",
+    skipped: "⏸️",
+    unlocked: "🔓"
+};
+
+class AttemptLog {
+    /**
+     * @param {object} options
+     * @param {string} options.name Prefix of console lines, e.g. "Keeper"
+     * @param {string} [options.logFile] JSONL file attempts are appended to
+     * @param {number} [options.maxEntries] Attempts kept in memory
+     */
+    constructor(options) {
+        this.name = options.name;
+        this.logFile = options.logFile || null;
+        this.maxEntries = options.maxEntries || 1000;
+        this.entries = [];
+    }
+
+    record(attempt) {
+        const entry = { at: new Date().toISOString(), ...attempt };
+        this.entries.push(entry);
+        if (this.entries.length > this.maxEntries) {
+            this.entries.shift();
+        }
+
+        const icon = ATTEMPT_ICONS[entry.stage] || "🤖";
+        const detail = entry.hash ? ` ${entry.hash}` : entry.reason ? ` - ${entry.reason}` : "";
+        console.log(`${icon} ${this.name} ${entry.stage}${entry.token ? ` ${entry.token}` : ""}${detail}`);
+
+        if (this.logFile) {
+            fs.mkdirSync(path.dirname(this.logFile), { recursive: true });
+            fs.appendFileSync(this.logFile, toJSON(entry) + "\n");
+        }
+        return entry;
+    }
+}
+
+module.exports = {
+    AttemptLog
+};
@@ -0,0 +1,136 @@
+const { ethers } = require("ethers");
+const { createProvider } = require("../monitoring/providers");
+const { parseDuration } = require("./durations");
+const { TransactionSender } = require("./transactions");
+const { AttemptLog } = require("./attempts");
+const { resolveContractAddress } = require("./deployment-registry");
+
+/**
+ * Transaction Automation
+ *
+ * Shared plumbing of the scripts that send manager transactions on a
+ * schedule (keeper.js, unlocker.js): a TransactionSender whose attempts go
+ * to an AttemptLog, the tokens tracked from a pair of manager events, and a
+ * timer running the subclass's `round()`.
+ */
+
+class TransactionAutomation {
+    /**
+     * @param {object} options
+     * @param {ethers.Contract} options.contract Manager connected to the signer
+     * @param {ethers.Signer} options.signer
+     * @param {object} [options.transactions] TransactionSender options (maxFeePerGas, replaceAfterMs, ...)
+     * @param {boolean} [options.dryRun] Simulate transactions without sending them
+     * @param {number} [options.fromBlock] First block scanned for tracked tokens
+     * @param {string} [options.logFile] JSONL file attempts are appended to
+     * @param {object} settings
+     * @param {string} settings.name Prefix of attempt log lines, e.g. "Keeper"
+     * @param {string} settings.title Name in start messages, e.g. "🤖 Keeper"
+     * @param {string[]} settings.events [event adding a token, event removing it]; the token is args[0]
+     * @param {number} settings.intervalMs Time between rounds
+     * @param {number} settings.blockBatchSize Blocks per log query
+     */
+    constructor(options, settings) {
+        this.contract = options.contract;
+        this.signer = options.signer;
+        this.sender = new TransactionSender({
+            signer: options.signer,
+            dryRun: options.dryRun,
+            ...options.transactions,
+            onAttempt: attempt => this.record(attempt)
+        });
+        this.title = settings.title;
+        this.events = settings.events;
+        this.intervalMs = settings.intervalMs;
+        this.blockBatchSize = settings.blockBatchSize;
+        this.scannedBlock = (options.fromBlock ?? 0) - 1;
+        this.log = new AttemptLog({ name: settings.name, logFile: options.logFile });
+        this.attempts = this.log.entries;
+        this.tokens = new Set();
+        this.timer = null;
+    }
+
+    start() {
+        const run = () => this.round().catch(error => console.error(`Error running ${this.log.name.toLowerCase()}:`, error));
+        this.timer = setInterval(run, this.intervalMs);
+        run();
+        console.log(`${this.title} started${this.sender.dryRun ? " (dry run)" : ""}`);
+    }
+
+    stop() {
+        clearInterval(this.timer);
+        this.timer = null;
+    }
+
+    /**
+     * Log one attempt (console, history and the JSONL log)
+     */
+    record(attempt) {
+        return this.log.record(attempt);
+    }
+
+    /**
+     * Add tokens from the first tracked event and drop those of the second,
+     * scanning the blocks since the last sync
+     */
+    async syncTokens() {
+        const head = await this.signer.provider.getBlockNumber();
+        const [added, removed] = this.events;
+
+        for (let start = this.scannedBlock + 1; start <= head; start += this.blockBatchSize) {
+            const end = Math.min(start + this.blockBatchSize - 1, head);
+            const [addedLogs, removedLogs] = await Promise.all([
+                this.contract.queryFilter(added, start, end),
+                this.contract.queryFilter(removed, start, end)
+            ]);
+            addedLogs.forEach(log => this.tokens.add(log.args[0]));
+            removedLogs.forEach(log => this.tokens.delete(log.args[0]));
+            this.scannedBlock = end;
+        }
+    }
+}
+
+/**
+ * Signer, manager and common options of an automation script, from:
+ * RPC_URL, CHAIN_ID, <PREFIX>_PRIVATE_KEY (or PRIVATE_KEY), CONTRACT_ADDRESS
+ * or DEPLOYMENT_NETWORK, <PREFIX>_DRY_RUN, <PREFIX>_FROM_BLOCK, MAX_FEE_GWEI,
+ * MAX_PRIORITY_FEE_GWEI and <PREFIX>_REPLACE_AFTER (default 3m)
+ */
+function automationFromEnv(prefix, env = process.env) {
+    const provider = createProvider(env.RPC_URL, {
+        chainId: env.CHAIN_ID ? Number(env.CHAIN_ID) : undefined
+    });
+    const signer = new ethers.Wallet(env[`${prefix}_PRIVATE_KEY`] || env.PRIVATE_KEY, provider);
+    const abi = require("../../artifacts/contracts/UniswapGraduationManager.sol/UniswapGraduationManager.json").abi;
+    const contractAddress = resolveContractAddress(env);
+
+    return {
+        signer,
+        contractAddress,
+        contract: new ethers.Contract(contractAddress, abi, signer),
+        dryRun: env[`${prefix}_DRY_RUN`] === "true",
+        fromBlock: Number(env[`${prefix}_FROM_BLOCK`] || 0),
+        transactions: {
+            maxFeePerGas: env.MAX_FEE_GWEI ? ethers.parseUnits(env.MAX_FEE_GWEI, "gwei") : null,
+            maxPriorityFeePerGas: env.MAX_PRIORITY_FEE_GWEI ? ethers.parseUnits(env.MAX_PRIORITY_FEE_GWEI, "gwei") : null,
+            replaceAfterMs: parseDuration(env[`${prefix}_REPLACE_AFTER`] || "3m")
+        }
+    };
+}
+
+/**
+ * Stop `automation` and exit on Ctrl-C
+ */
+function stopOnInterrupt(automation, message) {
+    process.on("SIGINT", () => {
+        console.log(`\n🛑 ${message}`);
+        automation.stop();
+        process.exit(0);
+    });
+}
+
+module.exports = {
+    TransactionAutomation,
+    automationFromEnv,
+    stopOnInterrupt
+};
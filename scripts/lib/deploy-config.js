@@ -0,0 +1,338 @@
+const { ethers } = require("ethers");
+const fs = require("fs");
+const path = require("path");
+const { parseArgs } = require("util");
+const yaml = require("js-yaml");
+const { parseDuration } = require("./durations");
+
+/**
+ * Deployment Config
+ *
+ * Settings for scripts/deploy.js, resolved per network from (lowest to
+ * highest precedence):
+ * 1. config/deploy/defaults.{yaml,yml,json}
+ * 2. config/deploy/<network>.{yaml,yml,json} (or the file given by
+ *    DEPLOY_CONFIG / --config)
+ * 3. environment variables, DEPLOY_ plus the setting in upper snake case
+ *    (DEPLOY_THRESHOLDS_MARKET_CAP, DEPLOY_LP_LOCK_RECIPIENT, ...)
+ * 4. command-line `--set <setting>=<value>`
+ *
+ * The merged result is checked against DEPLOY_CONFIG_SCHEMA and every
+ * problem is reported at once, before deploy.js sends anything.
+ */
+
+const DEPLOY_CONFIG_DIR = path.join(__dirname, "..", "..", "config", "deploy");
+const CONFIG_EXTENSIONS = [".yaml", ".yml", ".json"];
+
+// Networks where a missing router means "deploy the mock Uniswap contracts"
+const LOCAL_NETWORKS = ["hardhat", "localhost"];
+
+/**
+ * Settings by dotted path. Types:
+ * - address: checksummed, never the zero address
+ * - addresses: list (or comma-separated string) of addresses
+ * - ether: ETH amount as a decimal string or number, resolved to wei
+ * - duration: seconds, or a duration such as "7d"
+ * - integer / boolean
+ *
+ * Settings marked `contract: "security"` are applied to the SecurityEnhancements
+ * contract at `security`; local networks deploy MockSecurityEnhancements
+ * when it is not set.
+ */
+const DEPLOY_CONFIG_SCHEMA = {
+    router: { type: "address", required: true, localDefault: null, description: "Uniswap V2 router" },
+    "thresholds.marketCap": { type: "ether", required: true, description: "Market cap that triggers graduation (ETH)" },
+    "thresholds.liquidity": { type: "ether", required: true, description: "ETH reserve that triggers graduation (ETH)" },
+    lockDuration: { type: "duration", required: true, min: 1, description: "Minimum LP lock duration" },
+    slippageBps: { type: "integer", required: true, min: 0, max: 1000, description: "Slippage tolerance in basis points" },
+    autoGraduation: { type: "boolean", required: true, description: "Graduate from updateBondingCurve" },
+    lpLockRecipient: { type: "address", required: true, description: "Receiver of unlocked LP tokens" },
+    security: { type: "address", localDefault: null, description: "SecurityEnhancements contract; the deployer must hold its admin role" },
+    "roles.owner": { type: "address", description: "Ownership is transferred here after configuration" },
+    "roles.admin": { type: "addresses", contract: "security", description: "DEFAULT_ADMIN_ROLE holders" },
+    "roles.operator": { type: "addresses", contract: "security", description: "OPERATOR_ROLE holders" },
+    "roles.guardian": { type: "addresses", contract: "security", description: "GUARDIAN_ROLE holders" },
+    "roles.emergency": { type: "addresses", contract: "security", description: "EMERGENCY_ROLE holders" },
+    // SecurityEnhancements limits; each group is set with one call, so all of it or none
+    "limits.maxGraduationsPerHour": { type: "integer", min: 1, group: "rateLimit", contract: "security", description: "Graduations per rate-limit window" },
+    "limits.maxLiquidityPerHour": { type: "ether", group: "rateLimit", contract: "security", description: "Liquidity migrated per rate-limit window (ETH)" },
+    "limits.maxSingleGraduationLiquidity": { type: "ether", group: "txLimits", contract: "security", description: "Liquidity of one graduation (ETH)" },
+    "limits.minGraduationDelay": { type: "duration", group: "txLimits", contract: "security", description: "Delay between graduations" },
+    "limits.maxSlippageBps": { type: "integer", min: 0, max: 1000, group: "txLimits", contract: "security", description: "Slippage allowed in basis points" }
+};
+
+class DeployConfigError extends Error {
+    constructor(source, errors) {
+        super(`Invalid deployment config (${source}):\n${errors.map(e => `  - ${e}`).join("\n")}`);
+        this.code = "INVALID_DEPLOY_CONFIG";
+        this.errors = errors;
+    }
+}
+
+/**
+ * DEPLOY_ environment variable of a setting, e.g.
+ * thresholds.marketCap -> DEPLOY_THRESHOLDS_MARKET_CAP
+ */
+function envName(key) {
+    return "DEPLOY_" + key.replace(/\./g, "_").replace(/([a-z0-9])([A-Z])/g, "$1_$2").toUpperCase();
+}
+
+/**
+ * Nested object -> { "a.b": value }; arrays are values
+ */
+function flatten(object, prefix = "", out = {}) {
+    for (const [key, value] of Object.entries(object || {})) {
+        const dotted = prefix ? `${prefix}.${key}` : key;
+        if (value !== null && typeof value === "object" && !Array.isArray(value)) {
+            flatten(value, dotted, out);
+        } else {
+            out[dotted] = value;
+        }
+    }
+    return out;
+}
+
+function unflatten(flat) {
+    const out = {};
+    for (const [dotted, value] of Object.entries(flat)) {
+        const keys = dotted.split(".");
+        let node = out;
+        keys.slice(0, -1).forEach(key => {
+            node = node[key] = node[key] || {};
+        });
+        node[keys[keys.length - 1]] = value;
+    }
+    return out;
+}
+
+/**
+ * Read a YAML or JSON config file
+ */
+function readConfigFile(file) {
+    const text = fs.readFileSync(file, "utf8");
+    const parsed = file.endsWith(".json") ? JSON.parse(text) : yaml.load(text);
+    if (parsed !== undefined && parsed !== null && (typeof parsed !== "object" || Array.isArray(parsed))) {
+        throw new DeployConfigError(file, ["expected a mapping of settings"]);
+    }
+    return parsed || {};
+}
+
+/**
+ * First of <dir>/<name>.yaml, .yml or .json that exists, or null
+ */
+function findConfigFile(dir, name) {
+    for (const extension of CONFIG_EXTENSIONS) {
+        const file = path.join(dir, name + extension);
+        if (fs.existsSync(file)) {
+            return file;
+        }
+    }
+    return null;
+}
+
+/**
+ * Check and normalize one value; returns `{ value }` or `{ error }`
+ */
+function coerce(spec, raw) {
+    switch (spec.type) {
+        case "address": {
+            if (typeof raw !== "string" || !ethers.isAddress(raw)) {
+                return { error: `must be an address, got ${JSON.stringify(raw)}` };
+            }
+            if (BigInt(raw) === 0n) {
+                return { error: "must not be the zero address" };
+            }
+            return { value: ethers.getAddress(raw) };
+        }
+        case "addresses": {
+            const list = Array.isArray(raw) ? raw : String(raw).split(",").map(s => s.trim()).filter(Boolean);
+            const values = [];
+            for (const item of list) {
+                const result = coerce({ type: "address" }, item);
+                if (result.error) {
+                    return result;
+                }
+                values.push(result.value);
+            }
+            return { value: values };
+        }
+        case "ether": {
+            try {
+                const value = ethers.parseEther(String(raw));
+                return value > 0n ? { value } : { error: "must be greater than 0" };
+            } catch {
+                return { error: `must be an ETH amount, got ${JSON.stringify(raw)}` };
+            }
+        }
+        case "duration": {
+            let value;
+            if (typeof raw === "number" || /^\d+$/.test(String(raw))) {
+                value = Number(raw);
+            } else {
+                try {
+                    value = parseDuration(raw) / 1000;
+                } catch {
+                    return { error: `must be seconds or a duration such as 7d, got ${JSON.stringify(raw)}` };
+                }
+            }
+            return value >= (spec.min ?? 0) ? { value } : { error: `must be at least ${spec.min} second(s)` };
+        }
+        case "integer": {
+            const value = typeof raw === "number" ? raw : /^-?\d+$/.test(String(raw)) ? Number(raw) : NaN;
+            if (!Number.isInteger(value)) {
+                return { error: `must be an integer, got ${JSON.stringify(raw)}` };
+            }
+            if ((spec.min !== undefined && value < spec.min) || (spec.max !== undefined && value > spec.max)) {
+                return { error: `must be between ${spec.min} and ${spec.max}, got ${value}` };
+            }
+            return { value };
+        }
+        case "boolean": {
+            if (raw === true || raw === "true") {
+                return { value: true };
+            }
+            if (raw === false || raw === "false") {
+                return { value: false };
+            }
+            return { error: `must be true or false, got ${JSON.stringify(raw)}` };
+        }
+        default:
+            throw new Error(`Unknown setting type: ${spec.type}`);
+    }
+}
+
+/**
+ * Validate flat settings against the schema; returns the normalized,
+ * nested config or throws DeployConfigError with every problem found
+ */
+function validateDeployConfig(flat, { network, source = network } = {}) {
+    const errors = [];
+    const values = {};
+    const local = LOCAL_NETWORKS.includes(network);
+
+    for (const key of Object.keys(flat)) {
+        if (!DEPLOY_CONFIG_SCHEMA[key]) {
+            errors.push(`${key}: unknown setting`);
+        }
+    }
+
+    for (const [key, spec] of Object.entries(DEPLOY_CONFIG_SCHEMA)) {
+        const raw = flat[key];
+        if (raw === undefined || raw === null || raw === "") {
+            if (local && "localDefault" in spec) {
+                values[key] = spec.localDefault;
+            } else if (spec.required) {
+                errors.push(`${key}: required (${spec.description}), set it in the config file, ${envName(key)} or --set ${key}=...`);
+            }
+            continue;
+        }
+        const result = coerce(spec, raw);
+        if (result.error) {
+            errors.push(`${key}: ${result.error}`);
+        } else {
+            values[key] = result.value;
+        }
+    }
+
+    const groups = new Set(Object.values(DEPLOY_CONFIG_SCHEMA).map(spec => spec.group).filter(Boolean));
+    for (const group of groups) {
+        const keys = Object.keys(DEPLOY_CONFIG_SCHEMA).filter(key => DEPLOY_CONFIG_SCHEMA[key].group === group);
+        const given = keys.filter(key => flat[key] !== undefined && flat[key] !== null && flat[key] !== "");
+        if (given.length > 0) {
+            keys.filter(key => !given.includes(key)).forEach(key => errors.push(`${key}: required together with ${given.join(", ")}`));
+        }
+    }
+
+    const onSecurity = Object.keys(values).filter(key => DEPLOY_CONFIG_SCHEMA[key].contract === "security" &&
+        !(Array.isArray(values[key]) && values[key].length === 0));
+    if (onSecurity.length > 0 && !values.security && !local) {
+        onSecurity.forEach(key => errors.push(`${key}: requires security (${DEPLOY_CONFIG_SCHEMA.security.description})`));
+    }
+
+    if (errors.length > 0) {
+        throw new DeployConfigError(source, errors);
+    }
+    return unflatten(values);
+}
+
+/**
+ * `--set a.b=value` pairs -> { "a.b": "value" }
+ */
+function parseOverrides(pairs = []) {
+    const overrides = {};
+    for (const pair of pairs) {
+        const separator = pair.indexOf("=");
+        if (separator <= 0) {
+            throw new Error(`Invalid override (expected <setting>=<value>): ${pair}`);
+        }
+        overrides[pair.slice(0, separator).trim()] = pair.slice(separator + 1).trim();
+    }
+    return overrides;
+}
+
+/**
+ * Options of `node scripts/deploy.js`: --network, --config, repeated --set and --fresh
+ */
+function parseDeployArgs(argv) {
+    const { values } = parseArgs({
+        args: argv,
+        options: {
+            network: { type: "string" },
+            config: { type: "string" },
+            set: { type: "string", multiple: true },
+            fresh: { type: "boolean" }
+        }
+    });
+    return {
+        network: values.network,
+        config: values.config,
+        overrides: parseOverrides(values.set),
+        fresh: Boolean(values.fresh)
+    };
+}
+
+/**
+ * Resolve the deployment config of a network
+ *
+ * @param {string} network Hardhat network name
+ * @param {object} [options]
+ * @param {string} [options.dir] Directory of the config files
+ * @param {string} [options.file] Network config file, instead of <dir>/<network>.*
+ * @param {object} [options.env] Environment (process.env by default)
+ * @param {object} [options.overrides] Flat `{ setting: value }` from the command line
+ * @returns {{ config: object, files: string[] }}
+ */
+function loadDeployConfig(network, options = {}) {
+    const dir = options.dir || DEPLOY_CONFIG_DIR;
+    const env = options.env || process.env;
+    const networkFile = options.file || env.DEPLOY_CONFIG || findConfigFile(dir, network);
+    const files = [findConfigFile(dir, "defaults"), networkFile].filter(Boolean);
+
+    const flat = {};
+    for (const file of files) {
+        if (!fs.existsSync(file)) {
+            throw new Error(`Deployment config not found: ${file}`);
+        }
+        Object.assign(flat, flatten(readConfigFile(file)));
+    }
+    for (const key of Object.keys(DEPLOY_CONFIG_SCHEMA)) {
+        if (env[envName(key)] !== undefined) {
+            flat[key] = env[envName(key)];
+        }
+    }
+    Object.assign(flat, options.overrides);
+
+    const source = files.length > 0 ? files.map(file => path.relative(process.cwd(), file)).join(" + ") : network;
+    return { config: validateDeployConfig(flat, { network, source }), files };
+}
+
+module.exports = {
+    DEPLOY_CONFIG_DIR,
+    DEPLOY_CONFIG_SCHEMA,
+    DeployConfigError,
+    envName,
+    loadDeployConfig,
+    validateDeployConfig,
+    parseDeployArgs,
+    parseOverrides
+};
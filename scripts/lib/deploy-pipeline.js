@@ -0,0 +1,192 @@
+const { ethers } = require("ethers");
+const fs = require("fs");
+const path = require("path");
+const { toJSON } = require("../monitoring/json");
+
+/**
+ * Deployment Pipeline
+ *
+ * Runs a deployment as named steps and journals each one to
+ * deployments/<network>/journal.json:
+ * - before waiting for a step's transaction, its hash is journaled as
+ *   "pending", so a crash after broadcasting does not send it twice: the
+ *   rerun picks up the receipt instead
+ * - a "completed" step records its tx hash and result and is skipped on
+ *   rerun, as long as its inputs are unchanged
+ * - a failed step is journaled with its error and retried on rerun
+ *
+ * `fresh` archives the journal (journal.<timestamp>.json) and starts over.
+ */
+
+const JOURNAL_VERSION = 1;
+
+class DeploymentJournal {
+    /**
+     * @param {object} options
+     * @param {string} [options.file] Journal file; without one the journal is kept in memory
+     * @param {string} options.network
+     * @param {boolean} [options.fresh] Archive an existing journal and start over
+     */
+    constructor(options) {
+        this.file = options.file || null;
+        this.archived = null;
+
+        if (this.file && fs.existsSync(this.file) && options.fresh) {
+            this.archived = this.file.replace(/\.json$/, `.${new Date().toISOString().replace(/[:.]/g, "-")}.json`);
+            fs.renameSync(this.file, this.archived);
+        }
+
+        if (this.file && fs.existsSync(this.file)) {
+            this.state = JSON.parse(fs.readFileSync(this.file, "utf8"));
+            if (this.state.network !== options.network) {
+                throw new Error(`Journal ${this.file} belongs to network ${this.state.network}, not ${options.network}`);
+            }
+        } else {
+            this.state = {
+                version: JOURNAL_VERSION,
+                network: options.network,
+                createdAt: new Date().toISOString(),
+                steps: {}
+            };
+        }
+    }
+
+    get(id) {
+        return this.state.steps[id] || null;
+    }
+
+    update(id, fields) {
+        this.state.steps[id] = { ...this.get(id), ...fields, updatedAt: new Date().toISOString() };
+        this.state.updatedAt = this.state.steps[id].updatedAt;
+        this.save();
+        return this.state.steps[id];
+    }
+
+    /**
+     * Write through a temporary file, so an interrupted write never leaves
+     * a truncated journal
+     */
+    save() {
+        if (!this.file) {
+            return;
+        }
+        fs.mkdirSync(path.dirname(this.file), { recursive: true });
+        fs.writeFileSync(this.file + ".tmp", toJSON(this.state, 2));
+        fs.renameSync(this.file + ".tmp", this.file);
+    }
+}
+
+/**
+ * Stable hash of a step's inputs
+ */
+function hashInputs(inputs) {
+    return ethers.id(toJSON(inputs ?? null));
+}
+
+class DeploymentPipeline {
+    /**
+     * @param {object} options
+     * @param {DeploymentJournal} options.journal
+     * @param {ethers.Provider} options.provider Used to look up pending transactions
+     * @param {function} [options.log]
+     */
+    constructor(options) {
+        this.journal = options.journal;
+        this.provider = options.provider;
+        this.log = options.log || console.log;
+        this.results = {};
+    }
+
+    /**
+     * Run the steps in order. A step is
+     * `{ id, inputs, send(pipeline), result(receipt, pipeline), check?(result, pipeline) }`:
+     * - `inputs` (a value, or a function of the pipeline) identify what the step does
+     * - `send` returns the step's transaction response, or null for steps
+     *   without a transaction
+     * - `result` turns the receipt into what is journaled (e.g. an address)
+     * - `check` confirms that a completed step's result still holds on chain
+     *
+     * Resolves with the results by step id.
+     */
+    async run(steps) {
+        for (const step of steps) {
+            this.results[step.id] = await this.runStep(step);
+        }
+        return this.results;
+    }
+
+    async runStep(step) {
+        const inputs = typeof step.inputs === "function" ? step.inputs(this) : step.inputs;
+        const inputsHash = hashInputs(inputs);
+        const entry = this.journal.get(step.id);
+
+        if (entry && entry.status !== "failed" && entry.inputsHash !== inputsHash) {
+            throw new Error(`Step ${step.id} was ${entry.status} with different inputs; rerun with --fresh to redeploy`);
+        }
+
+        if (entry && entry.status === "completed") {
+            if (step.check && !(await step.check(entry.result, this))) {
+                throw new Error(`Step ${step.id} is journaled as completed but its result no longer holds on chain; rerun with --fresh`);
+            }
+            this.log(`⏭️  ${step.id}: already completed${entry.txHash ? ` (${entry.txHash})` : ""}`);
+            return entry.result;
+        }
+
+        if (entry && entry.status === "pending" && entry.txHash) {
+            const receipt = await this.findReceipt(entry.txHash);
+            if (receipt && receipt.status === 1) {
+                this.log(`🔁 ${step.id}: recovered ${entry.txHash}`);
+                return this.complete(step, inputsHash, receipt);
+            }
+        }
+
+        this.log(`▶️  ${step.id}`);
+        try {
+            const tx = await step.send(this);
+            if (!tx) {
+                return this.complete(step, inputsHash, null);
+            }
+
+            this.journal.update(step.id, { status: "pending", inputsHash, txHash: tx.hash, error: undefined });
+            const receipt = await tx.wait();
+            return this.complete(step, inputsHash, receipt);
+        } catch (error) {
+            this.journal.update(step.id, { status: "failed", inputsHash, error: error.shortMessage || error.message });
+            this.log(`❌ ${step.id}: ${error.shortMessage || error.message}`);
+            throw error;
+        }
+    }
+
+    async complete(step, inputsHash, receipt) {
+        const result = step.result ? await step.result(receipt, this) : null;
+        this.journal.update(step.id, {
+            status: "completed",
+            inputsHash,
+            txHash: receipt ? receipt.hash : null,
+            blockNumber: receipt ? receipt.blockNumber : null,
+            result,
+            error: undefined
+        });
+        this.log(`✅ ${step.id}${receipt ? ` (${receipt.hash})` : ""}`);
+        return result;
+    }
+
+    /**
+     * Receipt of a journaled transaction, waiting for it when it is still
+     * in the mempool; null when it is unknown (dropped)
+     */
+    async findReceipt(hash) {
+        const receipt = await this.provider.getTransactionReceipt(hash);
+        if (receipt) {
+            return receipt;
+        }
+        const tx = await this.provider.getTransaction(hash);
+        return tx ? tx.wait().catch(() => null) : null;
+    }
+}
+
+module.exports = {
+    DeploymentJournal,
+    DeploymentPipeline,
+    hashInputs
+};
@@ -0,0 +1,201 @@
+const fs = require("fs");
+const path = require("path");
+const { toJSON } = require("../monitoring/json");
+
+/**
+ * Deployment Registry
+ *
+ * Versioned history of the manager deployments on one network, kept in
+ * deployments/<network>/:
+ * - history.jsonl: append-only, one record per deployment (version,
+ *   addresses, config, constructor args, git commit, compiler settings,
+ *   bytecode hash)
+ * - active.json: which version is current, and the versions active before
+ *   it (for rollback)
+ * - UniswapGraduationManager.json: copy of the active record, read by
+ *   verify-deployment and by scripts resolving the manager address
+ *
+ * A record file from before the registry existed is imported as version 1.
+ */
+
+const DEPLOYMENTS_DIR = path.join(__dirname, "..", "..", "deployments");
+const ACTIVE_RECORD = "UniswapGraduationManager.json";
+// Fields set when a record is written, ignored when comparing deployments
+const RECORD_METADATA = ["version", "deployedAt", "timestamp"];
+
+class DeploymentRegistry {
+    /**
+     * @param {object} options
+     * @param {string} options.network
+     * @param {string} [options.dir] Deployments directory (deployments/ by default)
+     */
+    constructor(options) {
+        this.network = options.network;
+        this.dir = path.join(options.dir || DEPLOYMENTS_DIR, options.network);
+        this.historyFile = path.join(this.dir, "history.jsonl");
+        this.activeFile = path.join(this.dir, "active.json");
+        this.recordFile = path.join(this.dir, ACTIVE_RECORD);
+    }
+
+    /**
+     * Import a record written before the registry existed
+     */
+    importLegacy() {
+        if (fs.existsSync(this.historyFile) || !fs.existsSync(this.recordFile)) {
+            return;
+        }
+        const legacy = JSON.parse(fs.readFileSync(this.recordFile, "utf8"));
+        this.append({ version: 1, deployedAt: legacy.timestamp || null, ...legacy });
+        this.writeActive({ version: 1, promotedAt: new Date().toISOString(), reason: "imported", previous: [] });
+    }
+
+    list() {
+        this.importLegacy();
+        if (!fs.existsSync(this.historyFile)) {
+            return [];
+        }
+        return fs.readFileSync(this.historyFile, "utf8")
+            .split("\n")
+            .filter(line => line.trim())
+            .map(line => JSON.parse(line));
+    }
+
+    get(version) {
+        const record = this.list().find(r => r.version === Number(version));
+        if (!record) {
+            throw new Error(`No deployment version ${version} on ${this.network}`);
+        }
+        return record;
+    }
+
+    /**
+     * Active pointer: `{ version, promotedAt, reason, previous }`, or null
+     */
+    activePointer() {
+        this.importLegacy();
+        return fs.existsSync(this.activeFile) ? JSON.parse(fs.readFileSync(this.activeFile, "utf8")) : null;
+    }
+
+    active() {
+        const pointer = this.activePointer();
+        return pointer ? this.get(pointer.version) : null;
+    }
+
+    /**
+     * Append a deployment as the next version; a record identical to one
+     * already in the history (e.g. a resumed deployment) returns the existing
+     * record. A restarted local node reuses manager addresses, so the address
+     * alone does not identify a deployment: the deploy transactions, config
+     * and build are compared too
+     */
+    add(deployment) {
+        const history = this.list();
+        const existing = history.find(r => diffDeployments(r, deployment)
+            .every(change => RECORD_METADATA.includes(change.path)));
+        if (existing) {
+            return existing;
+        }
+
+        const record = {
+            version: history.reduce((max, r) => Math.max(max, r.version), 0) + 1,
+            deployedAt: deployment.timestamp || new Date().toISOString(),
+            ...deployment
+        };
+        this.append(record);
+        return record;
+    }
+
+    /**
+     * Make a version the current deployment
+     */
+    promote(version, reason = "promoted") {
+        const record = this.get(version);
+        const pointer = this.activePointer();
+        if (pointer && pointer.version === record.version) {
+            return record;
+        }
+
+        const previous = pointer ? [...pointer.previous, pointer.version] : [];
+        this.writeActive({ version: record.version, promotedAt: new Date().toISOString(), reason, previous });
+        return record;
+    }
+
+    /**
+     * Go back to the version active before the current one (or to `version`)
+     */
+    rollback(version) {
+        const pointer = this.activePointer();
+        if (!pointer) {
+            throw new Error(`No active deployment on ${this.network}`);
+        }
+        const target = version !== undefined ? Number(version) : pointer.previous[pointer.previous.length - 1];
+        if (target === undefined) {
+            throw new Error(`No earlier deployment to roll back to on ${this.network}`);
+        }
+
+        const record = this.get(target);
+        const index = pointer.previous.lastIndexOf(record.version);
+        // Rolling back drops the versions after the target from the trail
+        const previous = index === -1 ? [...pointer.previous, pointer.version] : pointer.previous.slice(0, index);
+        this.writeActive({ version: record.version, promotedAt: new Date().toISOString(), reason: `rollback from ${pointer.version}`, previous });
+        return record;
+    }
+
+    append(record) {
+        fs.mkdirSync(this.dir, { recursive: true });
+        fs.appendFileSync(this.historyFile, toJSON(record) + "\n");
+    }
+
+    writeActive(pointer) {
+        fs.mkdirSync(this.dir, { recursive: true });
+        fs.writeFileSync(this.activeFile, toJSON(pointer, 2));
+        fs.writeFileSync(this.recordFile, toJSON(this.get(pointer.version), 2));
+    }
+}
+
+/**
+ * Fields that differ between two records, as `{ path, from, to }`
+ */
+function diffDeployments(a, b, prefix = "") {
+    const changes = [];
+    const keys = [...new Set([...Object.keys(a || {}), ...Object.keys(b || {})])];
+
+    for (const key of keys) {
+        const dotted = prefix ? `${prefix}.${key}` : key;
+        const from = a?.[key];
+        const to = b?.[key];
+        const nested = value => value !== null && typeof value === "object";
+        if (nested(from) && nested(to)) {
+            changes.push(...diffDeployments(from, to, dotted));
+        } else if (toJSON(from) !== toJSON(to)) {
+            changes.push({ path: dotted, from, to });
+        }
+    }
+    return changes;
+}
+
+/**
+ * Manager address scripts should use: CONTRACT_ADDRESS, or the active
+ * deployment of DEPLOYMENT_NETWORK
+ */
+function resolveContractAddress(env = process.env, options = {}) {
+    if (env.CONTRACT_ADDRESS) {
+        return env.CONTRACT_ADDRESS;
+    }
+    if (env.DEPLOYMENT_NETWORK) {
+        const active = new DeploymentRegistry({ ...options, network: env.DEPLOYMENT_NETWORK }).active();
+        if (!active) {
+            throw new Error(`No active deployment on ${env.DEPLOYMENT_NETWORK}`);
+        }
+        return active.managerAddress;
+    }
+    throw new Error("Set CONTRACT_ADDRESS, or DEPLOYMENT_NETWORK to use the active deployment");
+}
+
+module.exports = {
+    DEPLOYMENTS_DIR,
+    RECORD_METADATA,
+    DeploymentRegistry,
+    diffDeployments,
+    resolveContractAddress
+};
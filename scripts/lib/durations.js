@@ -0,0 +1,40 @@
+/**
+ * Durations
+ *
+ * Shorthand durations ("7d", "24h", "30m", "45s") as used in environment
+ * variables, query parameters and deploy configs.
+ */
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+const DAY = 24 * HOUR;
+
+/**
+ * Parse "7d", "24h", "30m" or "45s" into milliseconds
+ */
+function parseDuration(text) {
+    const match = /^(\d+)\s*([dhms])$/.exec(String(text).trim());
+    if (!match) {
+        throw new Error(`Invalid duration: ${text}`);
+    }
+    const unit = { d: DAY, h: HOUR, m: MINUTE, s: 1000 }[match[2]];
+    return Number(match[1]) * unit;
+}
+
+/**
+ * Milliseconds as a short human-readable duration
+ */
+function formatDuration(ms) {
+    if (ms >= DAY) {
+        return `${Math.round(ms / DAY)}d`;
+    }
+    if (ms >= HOUR) {
+        return `${Math.round(ms / HOUR)}h`;
+    }
+    return `${Math.max(Math.round(ms / MINUTE), 0)}m`;
+}
+
+module.exports = {
+    parseDuration,
+    formatDuration
+};
@@ -0,0 +1,254 @@
+const { ethers } = require("ethers");
+
+/**
+ * Transaction Sender
+ *
+ * Submits transactions from one signer on behalf of the automation scripts:
+ * - every transaction is simulated (estimateGas) first; in dry-run mode
+ *   nothing is sent after that
+ * - nothing is sent while the network fee is above the configured cap
+ * - nonces are assigned locally, so back-to-back sends do not collide;
+ *   simulation and first broadcasts run one at a time in send() order, so a
+ *   failed broadcast hands its nonce back (re-read from the chain) before
+ *   any later nonce is assigned, and confirmations are awaited concurrently
+ * - a transaction not mined within `replaceAfterMs` is replaced (same
+ *   nonce, fees bumped by `bumpPct`, never above the cap) up to
+ *   `maxReplacements` times
+ *
+ * Every stage (dry-run, submitted, replaced, confirmed, reverted, stuck) is
+ * reported to `onAttempt`.
+ */
+
+const SECOND = 1000;
+const MINUTE = 60 * SECOND;
+
+// Nodes reject replacements that raise fees by less than 10%
+const MIN_BUMP_PCT = 10;
+
+class GasPriceTooHighError extends Error {
+    constructor(fee, cap) {
+        super(`Network fee ${ethers.formatUnits(fee, "gwei")} gwei is above the cap of ${ethers.formatUnits(cap, "gwei")} gwei`);
+        this.code = "GAS_PRICE_TOO_HIGH";
+        this.fee = fee;
+        this.cap = cap;
+    }
+}
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+const minBigInt = (a, b) => (a < b ? a : b);
+
+/**
+ * Raise a fee by `pct` percent, rounding up
+ */
+const bump = (fee, pct) => (fee * BigInt(100 + pct) + 99n) / 100n;
+
+class TransactionSender {
+    /**
+     * @param {object} options
+     * @param {ethers.Signer} options.signer Connected signer transactions are sent from
+     * @param {bigint} [options.maxFeePerGas] Fee cap (wei); also caps `gasPrice` on legacy networks
+     * @param {bigint} [options.maxPriorityFeePerGas] Priority fee cap (wei)
+     * @param {number} [options.replaceAfterMs] How long a transaction may stay unmined before it is replaced
+     * @param {number} [options.maxReplacements]
+     * @param {number} [options.bumpPct] Fee increase per replacement, at least 10
+     * @param {number} [options.gasLimitPct] Gas limit as a percentage of the estimate
+     * @param {number} [options.confirmations]
+     * @param {number} [options.pollIntervalMs] How often receipts are checked
+     * @param {boolean} [options.dryRun] Simulate only
+     * @param {function} [options.onAttempt] Called with `{ stage, label, ... }` for every stage
+     */
+    constructor(options) {
+        this.signer = options.signer;
+        this.provider = options.signer.provider;
+        this.maxFeePerGas = options.maxFeePerGas ?? null;
+        this.maxPriorityFeePerGas = options.maxPriorityFeePerGas ?? null;
+        this.replaceAfterMs = options.replaceAfterMs || 3 * MINUTE;
+        this.maxReplacements = options.maxReplacements ?? 3;
+        this.bumpPct = Math.max(options.bumpPct || 15, MIN_BUMP_PCT);
+        this.gasLimitPct = options.gasLimitPct || 120;
+        this.confirmations = options.confirmations || 1;
+        this.pollIntervalMs = options.pollIntervalMs || 2 * SECOND;
+        this.dryRun = Boolean(options.dryRun);
+        this.onAttempt = options.onAttempt || (() => {});
+        this.nonce = null;
+        this.queue = Promise.resolve();
+    }
+
+    /**
+     * Run `fn` once every earlier queued call has settled
+     */
+    serialize(fn) {
+        const result = this.queue.then(fn);
+        this.queue = result.catch(() => {});
+        return result;
+    }
+
+    /**
+     * Simulate and, unless in dry-run mode, broadcast with the next local
+     * nonce (read from the chain the first time and after a failed
+     * broadcast). Runs serialized, see send().
+     */
+    async submit(tx, report) {
+        const estimate = await this.signer.estimateGas(tx);
+        const gasLimit = (estimate * BigInt(this.gasLimitPct)) / 100n;
+        const fees = await this.currentFees();
+
+        if (this.dryRun) {
+            report("dry-run", { gasLimit, ...fees });
+            return { dryRun: true, gasLimit };
+        }
+
+        if (this.nonce === null) {
+            this.nonce = await this.signer.getNonce("pending");
+        }
+        const nonce = this.nonce;
+        let response;
+        try {
+            response = await this.signer.sendTransaction({ ...tx, nonce, gasLimit, ...fees });
+        } catch (error) {
+            // The nonce was not used and no later one was handed out
+            this.nonce = null;
+            throw error;
+        }
+        this.nonce = nonce + 1;
+
+        report("submitted", { hash: response.hash, nonce, ...fees });
+        return { hash: response.hash, nonce, gasLimit, fees };
+    }
+
+    /**
+     * Fees for a new transaction; throws GasPriceTooHighError above the cap
+     */
+    async currentFees() {
+        const feeData = await this.provider.getFeeData();
+
+        if (feeData.maxFeePerGas === null) {
+            if (this.maxFeePerGas !== null && feeData.gasPrice > this.maxFeePerGas) {
+                throw new GasPriceTooHighError(feeData.gasPrice, this.maxFeePerGas);
+            }
+            return { gasPrice: feeData.gasPrice };
+        }
+
+        const block = await this.provider.getBlock("latest");
+        let maxPriorityFeePerGas = feeData.maxPriorityFeePerGas;
+        if (this.maxPriorityFeePerGas !== null) {
+            maxPriorityFeePerGas = minBigInt(maxPriorityFeePerGas, this.maxPriorityFeePerGas);
+        }
+
+        // What the transaction has to pay in the next block
+        const required = block.baseFeePerGas + maxPriorityFeePerGas;
+        if (this.maxFeePerGas === null) {
+            return { maxFeePerGas: feeData.maxFeePerGas, maxPriorityFeePerGas };
+        }
+        if (required > this.maxFeePerGas) {
+            throw new GasPriceTooHighError(required, this.maxFeePerGas);
+        }
+        return { maxFeePerGas: minBigInt(feeData.maxFeePerGas, this.maxFeePerGas), maxPriorityFeePerGas };
+    }
+
+    /**
+     * Fees for a replacement, or null when the cap leaves no room for one
+     */
+    bumpFees(fees) {
+        const raise = (fee) => {
+            const next = bump(fee, this.bumpPct);
+            const capped = this.maxFeePerGas === null ? next : minBigInt(next, this.maxFeePerGas);
+            return capped >= bump(fee, MIN_BUMP_PCT) ? capped : null;
+        };
+
+        if (fees.gasPrice !== undefined) {
+            const gasPrice = raise(fees.gasPrice);
+            return gasPrice === null ? null : { gasPrice };
+        }
+
+        const maxFeePerGas = raise(fees.maxFeePerGas);
+        if (maxFeePerGas === null) {
+            return null;
+        }
+        return { maxFeePerGas, maxPriorityFeePerGas: minBigInt(bump(fees.maxPriorityFeePerGas, this.bumpPct), maxFeePerGas) };
+    }
+
+    /**
+     * First receipt among the hashes (all share one nonce) with enough
+     * confirmations, or null after `timeoutMs`
+     */
+    async waitForAny(hashes, timeoutMs) {
+        const deadline = Date.now() + timeoutMs;
+        for (;;) {
+            for (const hash of hashes) {
+                const receipt = await this.provider.getTransactionReceipt(hash);
+                if (receipt && (await receipt.confirmations()) >= this.confirmations) {
+                    return receipt;
+                }
+            }
+            if (Date.now() >= deadline) {
+                return null;
+            }
+            await sleep(Math.min(this.pollIntervalMs, Math.max(deadline - Date.now(), 0)));
+        }
+    }
+
+    /**
+     * Simulate, then send and see a transaction through to a receipt
+     *
+     * Resolves with `{ dryRun, gasLimit }` in dry-run mode, otherwise with
+     * `{ hash, receipt, replacements }`; a reverted transaction resolves
+     * with its receipt (status 0).
+     *
+     * @param {object} tx Transaction request (`to`, `data`, `value`)
+     * @param {object} [context] Fields added to every reported attempt, e.g. `{ label, token }`
+     */
+    async send(tx, context = {}) {
+        const report = (stage, fields = {}) => this.onAttempt({ stage, ...context, ...fields });
+
+        const submitted = await this.serialize(() => this.submit(tx, report));
+        if (submitted.dryRun) {
+            return submitted;
+        }
+
+        const { nonce, gasLimit } = submitted;
+        const hashes = [submitted.hash];
+        let sent = submitted.fees;
+
+        for (let replacements = 0; ; replacements++) {
+            const receipt = await this.waitForAny(hashes, this.replaceAfterMs);
+            if (receipt) {
+                report(receipt.status === 1 ? "confirmed" : "reverted", {
+                    hash: receipt.hash,
+                    nonce,
+                    blockNumber: receipt.blockNumber,
+                    gasUsed: receipt.gasUsed
+                });
+                return { hash: receipt.hash, receipt, replacements: hashes.indexOf(receipt.hash) };
+            }
+
+            if (replacements >= this.maxReplacements) {
+                report("stuck", { nonce, hashes });
+                throw new Error(`Transaction with nonce ${nonce} not mined after ${replacements} replacement(s)`);
+            }
+
+            // Without room under the cap, keep waiting on what was sent
+            const fees = this.bumpFees(sent);
+            if (!fees) {
+                continue;
+            }
+            try {
+                const response = await this.signer.sendTransaction({ ...tx, nonce, gasLimit, ...fees });
+                hashes.push(response.hash);
+                sent = fees;
+                report("replaced", { hash: response.hash, nonce, ...fees });
+            } catch (error) {
+                // An earlier transaction was mined meanwhile; anything else is reported and waited out
+                if (!ethers.isError(error, "NONCE_EXPIRED")) {
+                    report("replace-failed", { nonce, error: error.shortMessage || error.message });
+                }
+            }
+        }
+    }
+}
+
+module.exports = {
+    TransactionSender,
+    GasPriceTooHighError
+};
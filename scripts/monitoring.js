@@ -1,6 +1,22 @@
 const { ethers } = require("ethers");
+const { EventEmitter } = require("events");
 const fs = require("fs");
 const path = require("path");
+const { toJSON } = require("./monitoring/json");
+const { MemoryStore, createStore } = require("./monitoring/stores");
+const { createDispatcherFromEnv } = require("./monitoring/alerts");
+const { AlertPolicy } = require("./monitoring/policy");
+const { MetricsServer } = require("./monitoring/metrics");
+const { ApiServer } = require("./monitoring/api");
+const { UnlockScheduler } = require("./monitoring/unlocks");
+const { PairWatcher } = require("./monitoring/pairs");
+const { createProvider, ConnectionWatchdog } = require("./monitoring/providers");
+const { buildRules, evaluateRules, HealthHistory } = require("./monitoring/health");
+const { buildReport, writeReport } = require("./monitoring/reports");
+const { analyze } = require("./monitoring/analytics");
+const { BlockTimestampCache } = require("./monitoring/blocks");
+const { resolveContractAddress } = require("./lib/deployment-registry");
+const { parseDuration } = require("./lib/durations");
 
 /**
  * Event Monitoring and Analytics System
@@ -9,13 +25,398 @@ const path = require("path");
  * Provides real-time alerts and historical analytics
  */
 
-class GraduationMonitor {
-    constructor(contractAddress, providerUrl, contractABI) {
+/**
+ * Event Registry
+ *
+ * Declarative map from event name to how the monitor handles it, grouped by
+ * the contract that emits it:
+ *   manager  - UniswapGraduationManager
+ *   security - SecurityEnhancements, subscribed when a security contract is configured
+ *
+ * Each entry may define:
+ *   label   - console heading when the event is logged (omit to stay quiet)
+ *   metrics - metric updates: a number increments the metric, a field name
+ *             adds that event field (BigInt) to it, `-field` subtracts it
+ *   alert   - alert rule raised for every occurrence
+ *   handler - monitor method called with (eventData, log) for custom logic
+ *   resolves - alert title whose open condition this event closes (stops escalation)
+ *
+ * Subscriptions are built from the entries present in each contract's ABI.
+ */
+const EVENT_REGISTRY = {
+    manager: {
+        TokenRegistered: {
+            label: "📝 Token Registered"
+        },
+        BondingCurveUpdated: {
+            handler: "checkGraduationProximity"
+        },
+        GraduationTriggered: {
+            label: "🎯 Graduation Triggered"
+        },
+        LiquidityMigrated: {
+            label: "🎓 Token Graduated!",
+            metrics: { totalGraduations: 1, totalLiquidityAdded: "liquidity" },
+            alert: {
+                level: "info",
+                title: "Token Graduated",
+                message: e => `Token ${e.token} graduated with ${ethers.formatEther(e.liquidity)} LP tokens`
+            }
+        },
+        LPTokensLocked: {
+            label: "🔒 LP Tokens Locked",
+            metrics: { totalLPLocked: "amount" }
+        },
+        LPTokensUnlocked: {
+            label: "🔓 LP Tokens Unlocked",
+            metrics: { totalLPLocked: "-amount" },
+            alert: {
+                level: "info",
+                title: "LP Tokens Unlocked",
+                message: e => `${ethers.formatEther(e.amount)} LP tokens unlocked for ${e.token}`
+            }
+        },
+        ConfigUpdated: {
+            label: "⚙️ Config Updated",
+            handler: "updateThresholds",
+            alert: {
+                level: "warning",
+                title: "Configuration Updated",
+                message: e => `Market cap threshold ${ethers.formatEther(e.marketCapThreshold)} ETH, ` +
+                    `liquidity threshold ${ethers.formatEther(e.liquidityThreshold)} ETH`
+            }
+        },
+        EmergencyWithdraw: {
+            label: "💸 Emergency Withdraw",
+            alert: {
+                level: "critical",
+                title: "Emergency Withdraw",
+                message: e => `${ethers.formatEther(e.amount)} of ${e.token} withdrawn by owner`
+            }
+        }
+    },
+
+    security: {
+        CircuitBreakerTripped: {
+            label: "⚠️ CIRCUIT BREAKER TRIPPED",
+            metrics: { circuitBreakerTrips: 1 },
+            alert: {
+                level: "critical",
+                title: "Circuit Breaker Tripped",
+                message: e => `Reason: ${e.reason}`
+            }
+        },
+        CircuitBreakerReset: {
+            label: "✅ Circuit Breaker Reset",
+            resolves: "Circuit Breaker Tripped"
+        },
+        EmergencyModeActivated: {
+            label: "🚨 EMERGENCY MODE ACTIVATED",
+            metrics: { emergencyModeActivations: 1 },
+            alert: {
+                level: "critical",
+                title: "Emergency Mode Activated",
+                message: e => `Reason: ${e.reason}`
+            }
+        },
+        EmergencyModeDeactivated: {
+            label: "✅ Emergency Mode Deactivated",
+            resolves: "Emergency Mode Activated"
+        },
+        RateLimitUpdated: {
+            label: "⚙️ Rate Limit Updated"
+        },
+        TransactionLimitsUpdated: {
+            label: "⚙️ Transaction Limits Updated"
+        }
+    }
+};
+
+/**
+ * Apply (or with direction -1, revert) an entry's metric updates
+ */
+function applyMetrics(metrics, spec, eventData, direction = 1) {
+    for (const [key, source] of Object.entries(spec || {})) {
+        if (typeof source === "number") {
+            metrics[key] += source * direction;
+        } else if (source.startsWith("-")) {
+            metrics[key] -= BigInt(eventData[source.slice(1)]) * BigInt(direction);
+        } else {
+            metrics[key] += BigInt(eventData[source]) * BigInt(direction);
+        }
+    }
+}
+
+/**
+ * Event arguments keyed by their ABI names, BigInts as strings
+ */
+function decodeArgs(log) {
+    const values = {};
+    log.fragment.inputs.forEach((input, i) => {
+        const value = log.args[i];
+        values[input.name || `arg${i}`] = typeof value === "bigint" ? value.toString() : value;
+    });
+    return values;
+}
+
+/**
+ * Order logs by position in the chain
+ */
+function compareLogs(a, b) {
+    return a.blockNumber - b.blockNumber || a.index - b.index;
+}
+
+function logKey(log) {
+    return `${log.transactionHash}:${log.index}`;
+}
+
+/**
+ * Whether a log comes strictly after the last processed position
+ */
+function isAfterCursor(log, cursor) {
+    if (!cursor) {
+        return true;
+    }
+    return log.blockNumber > cursor.blockNumber ||
+        (log.blockNumber === cursor.blockNumber && log.index > cursor.logIndex);
+}
+
+/**
+ * Token Lifecycle Tracker
+ *
+ * Per-token state machine fed with the monitor's event data:
+ *   registered -> progressing -> eligible -> graduated -> locked -> unlocked
+ * A token is progressing from the first curve report the manager receives
+ * (BondingCurveUpdated). Each transition is timestamped. Events that do not fit the lifecycle
+ * (e.g. a graduation with no registration, an unlock before unlockTime)
+ * are recorded as anomalies.
+ */
+const LIFECYCLE_TRANSITIONS = {
+    TokenRegistered: "registered",
+    BondingCurveUpdated: "progressing",
+    GraduationTriggered: "eligible",
+    LiquidityMigrated: "graduated",
+    LPTokensLocked: "locked",
+    LPTokensUnlocked: "unlocked"
+};
+
+const LIFECYCLE_STATES = ["registered", "progressing", "eligible", "graduated", "locked", "unlocked"];
+
+class TokenLifecycleTracker {
+    constructor() {
+        this.tokens = new Map();
+    }
+
+    /**
+     * Apply one event, returning the anomalies it raised
+     */
+    apply(event) {
+        const state = LIFECYCLE_TRANSITIONS[event.type];
+        if (!state || !event.token) {
+            return [];
+        }
+
+        const anomalies = [];
+        const flag = (type, message) => anomalies.push({
+            type,
+            message,
+            token: event.token,
+            blockNumber: event.blockNumber,
+            transactionHash: event.transactionHash,
+            logIndex: event.logIndex
+        });
+
+        let token = this.tokens.get(event.token);
+        if (!token) {
+            token = {
+                token: event.token,
+                state: null,
+                transitions: [],
+                registeredAt: null,
+                graduatedAt: null,
+                lockedAt: null,
+                unlockedAt: null,
+                pair: null,
+                liquidity: null,
+                lpLocked: null,
+                unlockTime: null,
+                timeToGraduationMs: null,
+                timeToUnlockMs: null,
+                anomalies: []
+            };
+            this.tokens.set(event.token, token);
+        }
+
+        // Only the first curve update moves a registered token forward
+        if (state === "progressing" && token.state !== null && token.state !== "registered") {
+            return [];
+        }
+
+        const at = event.timestamp;
+        switch (state) {
+            case "progressing":
+                if (token.registeredAt === null) {
+                    flag("unregistered-activity", `Bonding curve update for unregistered token ${event.token}`);
+                }
+                break;
+            case "registered":
+                if (token.registeredAt !== null) {
+                    flag("duplicate-registration", `Token ${event.token} registered twice`);
+                }
+                token.registeredAt = at;
+                break;
+            case "eligible":
+            case "graduated":
+                if (token.registeredAt === null && !token.anomalies.some(a => a.type === "graduation-without-registration")) {
+                    flag("graduation-without-registration", `Token ${event.token} graduated without a registration`);
+                }
+                if (state === "graduated") {
+                    token.graduatedAt = at;
+                    token.pair = event.pair;
+                    token.liquidity = event.liquidity;
+                    token.timeToGraduationMs = token.registeredAt !== null ? at - token.registeredAt : null;
+                }
+                break;
+            case "locked":
+                token.lockedAt = at;
+                token.lpLocked = event.amount;
+                token.unlockTime = Number(event.unlockTime);
+                break;
+            case "unlocked":
+                if (token.lockedAt === null) {
+                    flag("unlock-without-lock", `LP tokens of ${event.token} unlocked without a recorded lock`);
+                } else if (at < token.unlockTime * 1000) {
+                    flag("early-unlock", `LP tokens of ${event.token} unlocked before ${new Date(token.unlockTime * 1000).toISOString()}`);
+                }
+                token.unlockedAt = at;
+                token.timeToUnlockMs = token.lockedAt !== null ? at - token.lockedAt : null;
+                break;
+        }
+
+        token.state = state;
+        token.transitions.push({ state, at, blockNumber: event.blockNumber, transactionHash: event.transactionHash });
+        token.anomalies.push(...anomalies);
+
+        return anomalies;
+    }
+
+    /**
+     * Rebuild one token from its (remaining) events, e.g. after a reorg
+     */
+    rebuild(address, events) {
+        this.tokens.delete(address);
+        for (const event of events) {
+            this.apply(event);
+        }
+    }
+
+    /**
+     * A token's lifecycle, with the time left until its LP unlock
+     */
+    getToken(address, now = Date.now()) {
+        const token = this.tokens.get(address);
+        if (!token) {
+            return null;
+        }
+
+        const unlockInMs = token.state === "locked" ? Math.max(token.unlockTime * 1000 - now, 0) : null;
+        return { ...token, unlockInMs };
+    }
+
+    getTokens({ state = null } = {}) {
+        return [...this.tokens.keys()]
+            .map(address => this.getToken(address))
+            .filter(token => !state || token.state === state);
+    }
+
+    /**
+     * Token counts per state
+     */
+    summary() {
+        const counts = Object.fromEntries(LIFECYCLE_STATES.map(state => [state, 0]));
+        for (const token of this.tokens.values()) {
+            counts[token.state]++;
+        }
+        return counts;
+    }
+
+    exportToJSON(filepath) {
+        fs.mkdirSync(path.dirname(filepath), { recursive: true });
+        fs.writeFileSync(filepath, toJSON({
+            summary: this.summary(),
+            tokens: this.getTokens(),
+            exportedAt: new Date().toISOString()
+        }, 2));
+    }
+}
+
+/**
+ * Metrics that are BigInt in memory and strings once persisted
+ */
+const BIGINT_METRICS = ["totalLiquidityAdded", "totalLPLocked", "averageGraduationSize"];
+
+/**
+ * Emits "event" (processed event data), "rollback" (event removed by a reorg)
+ * and "alert" (every alert that passed the policy).
+ *
+ * Event data is stamped with the chain time of its block: `blockTimestamp`
+ * (seconds) and `timestamp` (ms, falling back to the ingestion time when the
+ * block could not be fetched), plus `ingestedAt` (ms). Events are keyed by
+ * `chainId`, `transactionHash` and `logIndex`.
+ */
+class GraduationMonitor extends EventEmitter {
+    /**
+     * @param {object} [options]
+     * @param {object} [options.store] Event store (see monitoring/stores.js), in-memory by default
+     * @param {number} [options.confirmations] Blocks an event must be buried under before it is processed
+     * @param {object} [options.eventRegistry] Replaces EVENT_REGISTRY, e.g. for a customised manager
+     * @param {object} [options.security] SecurityEnhancements contract `{ address, abi }` whose events are monitored too
+     * @param {object} [options.dispatcher] AlertDispatcher delivering alerts to external sinks
+     * @param {object} [options.policy] AlertPolicy for dedup, cooldowns and escalation
+     * @param {object} [options.tags] Fields added to every event and alert, e.g. `{ network, chainId, contract }`
+     * @param {object} [options.rpc] Provider options for `providerUrl` (see monitoring/providers.js)
+     * @param {object} [options.watchdog] ConnectionWatchdog options; reconnects on stalled block height when given
+     * @param {object} [options.blockCache] BlockTimestampCache options (`maxEntries`, `batchSize`)
+     */
+    constructor(contractAddress, providerUrl, contractABI, options = {}) {
+        super();
         this.contractAddress = contractAddress;
-        this.provider = new ethers.JsonRpcProvider(providerUrl);
+        this.providerUrl = providerUrl;
+        this.rpcOptions = options.rpc || {};
+        this.provider = createProvider(providerUrl, this.rpcOptions);
         this.contract = new ethers.Contract(contractAddress, contractABI, this.provider);
-        this.eventHistory = [];
-        this.alerts = [];
+        this.securityContract = options.security
+            ? new ethers.Contract(options.security.address, options.security.abi, this.provider)
+            : null;
+        this.watchdog = options.watchdog ? new ConnectionWatchdog({ monitor: this, ...options.watchdog }) : null;
+        this.blockTimes = new BlockTimestampCache({ getBlock: n => this.provider.getBlock(n), ...options.blockCache });
+        this.store = options.store || new MemoryStore();
+        this.registries = options.eventRegistry || EVENT_REGISTRY;
+        // Entries of every subscribed contract, by event name
+        this.registry = { ...this.registries.manager, ...(this.securityContract ? this.registries.security : {}) };
+        this.dispatcher = options.dispatcher || null;
+        this.policy = options.policy || new AlertPolicy();
+        this.escalationTimer = null;
+        this.confirmations = options.confirmations || 0;
+        this.tags = options.tags || {};
+        this.chainId = this.rpcOptions.chainId ?? this.tags.chainId ?? null;
+        // The manager's graduation thresholds: read from config() at start, then
+        // kept current by ConfigUpdated events
+        this.thresholds = null;
+        this.cursor = null;
+        // Highest block processed; logs at or below it may already be stored after a cursor rewind
+        this.highestBlock = null;
+        this.liveBuffer = null;
+        this.ingesting = Promise.resolve();
+        this.pending = new Map();
+        this.confirming = Promise.resolve();
+        this.blockListener = null;
+        this.reorgBatch = [];
+        // Set while backfilled logs are processed
+        this.replaying = false;
+        this.ready = false;
+        // Set by stopMonitoring; an interrupted start or backfill then stops instead of writing to the closed store
+        this.stopped = false;
         this.metrics = {
             totalGraduations: 0,
             totalLiquidityAdded: 0n,
@@ -24,294 +425,680 @@ class GraduationMonitor {
             circuitBreakerTrips: 0,
             emergencyModeActivations: 0
         };
+
+        this.lifecycle = new TokenLifecycleTracker();
+
+        this.restoreCheckpoint();
+    }
+
+    /**
+     * Resume cursor and metrics from the store's last checkpoint, and rebuild
+     * token lifecycles from the stored events
+     */
+    restoreCheckpoint() {
+        const checkpoint = this.store.getCheckpoint();
+        if (!checkpoint) {
+            return;
+        }
+
+        this.cursor = { blockNumber: checkpoint.blockNumber, logIndex: checkpoint.logIndex };
+        this.highestBlock = checkpoint.highestBlock ?? checkpoint.blockNumber;
+        for (const [key, value] of Object.entries(checkpoint.metrics || {})) {
+            this.metrics[key] = BIGINT_METRICS.includes(key) ? BigInt(value) : value;
+        }
+
+        // Lifecycles follow from the events alone; keeping them out of the
+        // checkpoint keeps the per-event checkpoint write small
+        for (const event of this.store.queryEvents()) {
+            this.lifecycle.apply(event);
+        }
+
+        console.log(`⏯️ Resuming from block ${checkpoint.blockNumber}, log ${checkpoint.logIndex}`);
+    }
+
+    /**
+     * Persist cursor and metrics (inside the store transaction that changed them)
+     */
+    saveCheckpoint() {
+        this.store.saveCheckpoint({
+            ...this.cursor,
+            highestBlock: this.highestBlock,
+            metrics: { ...this.metrics }
+        });
     }
 
     /**
      * Start monitoring all events
+     *
+     * When `fromBlock` is given, historical events are backfilled first and
+     * live events that arrive meanwhile are buffered, so the hand-off from
+     * backfill to live listening has no gaps and no duplicates. A monitor
+     * restored from a checkpoint backfills from its cursor by default.
+     *
+     * With a confirmation depth, live events are held as pending and only
+     * processed once they are `confirmations` blocks deep.
      */
-    async startMonitoring() {
+    async startMonitoring({ fromBlock = null, batchSize } = {}) {
         console.log(`🔍 Starting monitor for contract: ${this.contractAddress}`);
-        
-        // Listen for graduation events
-        this.contract.on("TokenRegistered", (token, tokenReserve, ethReserve, event) => {
-            this.handleTokenRegistered(token, tokenReserve, ethReserve, event);
-        });
+        this.stopped = false;
 
-        this.contract.on("BondingCurveUpdated", (token, tokenReserve, ethReserve, event) => {
-            this.handleBondingCurveUpdated(token, tokenReserve, ethReserve, event);
-        });
+        if (fromBlock === null && this.cursor) {
+            fromBlock = this.cursor.blockNumber;
+        }
 
-        this.contract.on("TokenGraduated", (token, pair, liquidity, event) => {
-            this.handleTokenGraduated(token, pair, liquidity, event);
-        });
+        this.validateRegistry();
+        if (this.chainId === null) {
+            this.chainId = Number((await this.provider.getNetwork()).chainId);
+        }
+        await this.loadThresholds();
+        await this.subscribe({ fromBlock, batchSize });
+        this.throwIfStopped();
 
-        this.contract.on("LPLocked", (token, amount, unlockTime, event) => {
-            this.handleLPLocked(token, amount, unlockTime, event);
-        });
+        this.escalationTimer = setInterval(() => this.checkEscalations(), this.policy.checkIntervalMs);
+        this.escalationTimer.unref();
 
-        this.contract.on("LPUnlocked", (token, amount, recipient, event) => {
-            this.handleLPUnlocked(token, amount, recipient, event);
-        });
+        if (this.watchdog) {
+            await this.watchdog.start();
+        }
 
-        // Listen for security events
-        this.contract.on("CircuitBreakerTripped", (reason, resetAfter, event) => {
-            this.handleCircuitBreakerTripped(reason, resetAfter, event);
-        });
+        this.ready = true;
+        console.log("✅ Monitor started successfully");
+    }
 
-        this.contract.on("CircuitBreakerReset", (resetter, event) => {
-            this.handleCircuitBreakerReset(resetter, event);
-        });
+    /**
+     * Read the graduation thresholds from the manager's config()
+     */
+    async loadThresholds() {
+        if (typeof this.contract.config !== "function") {
+            return;
+        }
+        try {
+            const config = await this.contract.config();
+            this.thresholds = {
+                marketCapThreshold: config.marketCapThreshold.toString(),
+                liquidityThreshold: config.liquidityThreshold.toString()
+            };
+        } catch (error) {
+            console.warn(`⚠️ Could not read the manager config: ${error.message}`);
+        }
+    }
 
-        this.contract.on("EmergencyModeActivated", (activator, reason, event) => {
-            this.handleEmergencyModeActivated(activator, reason, event);
-        });
+    /**
+     * Subscribe to contract events (and new blocks, with a confirmation
+     * depth), backfilling from `fromBlock` first when given
+     */
+    async subscribe({ fromBlock = null, batchSize } = {}) {
+        this.throwIfStopped();
 
-        this.contract.on("EmergencyModeDeactivated", (deactivator, event) => {
-            this.handleEmergencyModeDeactivated(deactivator, event);
-        });
+        // A single subscription per contract for all its tracked events keeps its logs in chain order
+        this.liveBuffer = fromBlock !== null ? [] : null;
+        for (const source of this.sources()) {
+            await source.contract.on(this.eventFilter(source), (payload) => this.receiveLog(payload.log));
+        }
 
-        // Listen for configuration events
-        this.contract.on("MarketCapThresholdUpdated", (newThreshold, event) => {
-            this.handleConfigUpdate("MarketCapThreshold", newThreshold, event);
-        });
+        if (this.confirmations > 0) {
+            this.blockListener = (blockNumber) => {
+                this.confirming = this.confirming
+                    .then(() => this.confirmPending(blockNumber))
+                    .catch(error => this.reportFailure("Error confirming pending events", error));
+            };
+            await this.provider.on("block", this.blockListener);
+        }
 
-        this.contract.on("LiquidityThresholdUpdated", (newThreshold, event) => {
-            this.handleConfigUpdate("LiquidityThreshold", newThreshold, event);
-        });
+        if (fromBlock === null) {
+            return { fromBlock: null, toBlock: null, events: 0 };
+        }
 
-        this.contract.on("AutoGraduationToggled", (enabled, event) => {
-            this.handleConfigUpdate("AutoGraduation", enabled, event);
-        });
+        const result = await this.backfill({ fromBlock, batchSize });
 
-        console.log("✅ Monitor started successfully");
+        // Live logs keep buffering while their block timestamps are fetched
+        let missing;
+        while ((missing = this.liveBuffer.filter(log => !log.removed && !this.blockTimes.has(log.blockNumber))).length > 0) {
+            if (!(await this.resolveTimestamps(missing))) {
+                break;
+            }
+        }
+        this.throwIfStopped();
+
+        const buffered = this.liveBuffer.sort(compareLogs);
+        this.liveBuffer = null;
+        for (const log of buffered) {
+            this.ingestLog(log);
+        }
+
+        return result;
+    }
+
+    unsubscribe() {
+        for (const source of this.sources()) {
+            source.contract.removeAllListeners();
+        }
+        if (this.blockListener) {
+            this.provider.off("block", this.blockListener);
+            this.blockListener = null;
+        }
     }
 
     /**
-     * Stop monitoring
+     * Replace a stalled provider with a fresh one and resubscribe
+     *
+     * Blocks from `sinceBlock` (or the cursor, whichever is later) are
+     * backfilled so events the old connection missed are not lost; events
+     * already processed are skipped by the cursor. Emits "reconnect" so
+     * modules holding contracts on the old provider can resubscribe.
      */
-    stopMonitoring() {
-        this.contract.removeAllListeners();
-        console.log("🛑 Monitor stopped");
+    async reconnect({ sinceBlock = null, batchSize } = {}) {
+        const cursorBlock = this.cursor ? this.cursor.blockNumber : null;
+        const fromBlock = sinceBlock === null ? cursorBlock : Math.max(sinceBlock, cursorBlock ?? 0);
+
+        console.log(`🔌 Reconnecting to ${this.providerUrl}`);
+        this.unsubscribe();
+        this.provider.destroy();
+        this.provider = createProvider(this.providerUrl, this.rpcOptions);
+        this.contract = this.contract.connect(this.provider);
+        if (this.securityContract) {
+            this.securityContract = this.securityContract.connect(this.provider);
+        }
+
+        const result = await this.subscribe({ fromBlock, batchSize });
+        this.emit("reconnect", result);
+        return result;
     }
 
     /**
-     * Event Handlers
+     * Replay historical events through the regular handlers
+     *
+     * Pages through `queryFilter` in windows of `batchSize` blocks. Events at
+     * or before the last processed log are skipped, so overlapping ranges
+     * are safe to replay. Events newer than the confirmation depth are held
+     * as pending rather than processed.
      */
+    async backfill({ fromBlock = 0, toBlock = "latest", batchSize = 2000 } = {}) {
+        const head = await this.provider.getBlockNumber();
+        const endBlock = toBlock === "latest" ? head : toBlock;
+        let processed = 0;
+
+        console.log(`⏪ Backfilling blocks ${fromBlock} to ${endBlock} (batch size ${batchSize})`);
+
+        for (let start = fromBlock; start <= endBlock; start += batchSize) {
+            const end = Math.min(start + batchSize - 1, endBlock);
+            const logs = (await Promise.all(this.sources().map(source =>
+                source.contract.queryFilter(this.eventFilter(source), start, end)
+            ))).flat();
+            await this.resolveTimestamps(logs.filter(log => head - log.blockNumber >= this.confirmations));
+            this.throwIfStopped();
+
+            // Alerts raised by historical events are recorded but not delivered
+            this.replaying = true;
+            try {
+                for (const log of logs.sort(compareLogs)) {
+                    if (head - log.blockNumber < this.confirmations) {
+                        this.pending.set(logKey(log), log);
+                    } else if (this.processLog(log)) {
+                        processed++;
+                    }
+                }
+            } finally {
+                this.replaying = false;
+            }
 
-    handleTokenRegistered(token, tokenReserve, ethReserve, event) {
-        const eventData = {
-            type: "TokenRegistered",
-            token,
-            tokenReserve: tokenReserve.toString(),
-            ethReserve: ethReserve.toString(),
-            blockNumber: event.blockNumber,
-            transactionHash: event.transactionHash,
-            timestamp: Date.now()
-        };
+            // Checkpoint every confirmed batch, so an interrupted backfill resumes after it
+            if (head - end >= this.confirmations && (!this.cursor || this.cursor.blockNumber < end)) {
+                this.store.transaction(() => {
+                    this.cursor = { blockNumber: end, logIndex: Number.MAX_SAFE_INTEGER };
+                    this.saveCheckpoint();
+                });
+            }
+        }
 
-        this.eventHistory.push(eventData);
-        this.logEvent("📝 Token Registered", eventData);
+        console.log(`✅ Backfill complete: ${processed} events from blocks ${fromBlock}-${endBlock}`);
+
+        return { fromBlock, toBlock: endBlock, events: processed };
     }
 
-    handleBondingCurveUpdated(token, tokenReserve, ethReserve, event) {
-        const eventData = {
-            type: "BondingCurveUpdated",
-            token,
-            tokenReserve: tokenReserve.toString(),
-            ethReserve: ethReserve.toString(),
-            blockNumber: event.blockNumber,
-            transactionHash: event.transactionHash,
-            timestamp: Date.now()
-        };
+    throwIfStopped() {
+        if (this.stopped) {
+            throw new Error("Monitor stopped while starting");
+        }
+    }
 
-        this.eventHistory.push(eventData);
-        
-        // Check if close to graduation
-        this.checkGraduationProximity(token, ethReserve);
+    /**
+     * Subscribed contracts, each with the registry section matched against its ABI
+     */
+    sources() {
+        const sources = [{ name: "manager", contract: this.contract, registry: this.registries.manager || {} }];
+        if (this.securityContract) {
+            sources.push({ name: "security", contract: this.securityContract, registry: this.registries.security || {} });
+        }
+        return sources;
     }
 
-    handleTokenGraduated(token, pair, liquidity, event) {
-        const eventData = {
-            type: "TokenGraduated",
-            token,
-            pair,
-            liquidity: liquidity.toString(),
-            blockNumber: event.blockNumber,
-            transactionHash: event.transactionHash,
-            timestamp: Date.now()
-        };
+    /**
+     * Compare each contract's registry section against its ABI and warn about mismatches
+     */
+    validateRegistry() {
+        const missing = [];
+        const unhandled = [];
 
-        this.eventHistory.push(eventData);
-        this.metrics.totalGraduations++;
-        this.metrics.totalLiquidityAdded += liquidity;
+        for (const { name: source, contract, registry } of this.sources()) {
+            const abiEvents = [];
+            contract.interface.forEachEvent(fragment => abiEvents.push(fragment.name));
 
-        this.logEvent("🎓 Token Graduated!", eventData);
-        this.sendAlert({
-            level: "info",
-            title: "Token Graduated",
-            message: `Token ${token} graduated with ${ethers.formatEther(liquidity)} LP tokens`,
-            data: eventData
-        });
+            for (const name of Object.keys(registry).filter(name => !abiEvents.includes(name))) {
+                console.warn(`⚠️ Configured ${source} event ${name} is not in the contract ABI and will not be monitored`);
+                missing.push(name);
+            }
+            for (const name of abiEvents.filter(name => !registry[name])) {
+                console.warn(`⚠️ ${source} ABI event ${name} has no handler and will be ignored`);
+                unhandled.push(name);
+            }
+        }
+
+        return { missing, unhandled };
     }
 
-    handleLPLocked(token, amount, unlockTime, event) {
-        const eventData = {
-            type: "LPLocked",
-            token,
-            amount: amount.toString(),
-            unlockTime: unlockTime.toString(),
-            blockNumber: event.blockNumber,
-            transactionHash: event.transactionHash,
-            timestamp: Date.now()
-        };
+    /**
+     * Topic filter matching every registered event present in a contract's ABI
+     * (the manager's by default)
+     */
+    eventFilter(source = this.sources()[0]) {
+        const topics = Object.keys(source.registry)
+            .map(name => source.contract.interface.getEvent(name))
+            .filter(Boolean)
+            .map(fragment => fragment.topicHash);
 
-        this.eventHistory.push(eventData);
-        this.metrics.totalLPLocked += amount;
+        return [topics];
+    }
 
-        this.logEvent("🔒 LP Tokens Locked", eventData);
+    /**
+     * Listener for live logs
+     *
+     * Logs are ingested in arrival order once their block timestamp is
+     * known; timestamps of logs arriving together are fetched as one batch.
+     * Logs held for confirmation get theirs in confirmPending.
+     */
+    receiveLog(log) {
+        if (this.liveBuffer) {
+            this.liveBuffer.push(log);
+            return;
+        }
+
+        const resolved = !log.removed && this.confirmations === 0 ? this.resolveTimestamps([log]) : null;
+        this.ingesting = this.ingesting
+            .then(() => resolved)
+            .then(() => this.ingestLog(log))
+            .catch(error => this.reportFailure("Error ingesting event", error));
     }
 
-    handleLPUnlocked(token, amount, recipient, event) {
-        const eventData = {
-            type: "LPUnlocked",
-            token,
-            amount: amount.toString(),
-            recipient,
-            blockNumber: event.blockNumber,
-            transactionHash: event.transactionHash,
-            timestamp: Date.now()
-        };
+    /**
+     * Log a runtime error and emit "failure" so a supervisor can restart the monitor
+     */
+    reportFailure(context, error) {
+        console.error(`${context}:`, error);
+        this.emit("failure", error);
+    }
 
-        this.eventHistory.push(eventData);
+    /**
+     * Resolves once every live log received so far has been ingested
+     */
+    whenIdle() {
+        return this.ingesting;
+    }
 
-        this.logEvent("🔓 LP Tokens Unlocked", eventData);
-        this.sendAlert({
-            level: "info",
-            title: "LP Tokens Unlocked",
-            message: `${ethers.formatEther(amount)} LP tokens unlocked for ${token}`,
-            data: eventData
-        });
+    /**
+     * Fetch and cache the block timestamps of logs; returns false (and the
+     * events fall back to their ingestion time) when the provider fails
+     */
+    async resolveTimestamps(logs) {
+        try {
+            await this.blockTimes.resolve(logs.map(log => log.blockNumber));
+            return true;
+        } catch (error) {
+            console.error("Error fetching block timestamps:", error.message);
+            return false;
+        }
     }
 
-    handleCircuitBreakerTripped(reason, resetAfter, event) {
-        const eventData = {
-            type: "CircuitBreakerTripped",
-            reason,
-            resetAfter: resetAfter.toString(),
-            blockNumber: event.blockNumber,
-            transactionHash: event.transactionHash,
-            timestamp: Date.now()
-        };
+    /**
+     * Entry point for live logs: roll back removed logs, hold new ones until
+     * they are confirmed
+     */
+    ingestLog(log) {
+        if (log.removed) {
+            this.rollbackLog(log);
+        } else if (this.confirmations > 0) {
+            this.pending.set(logKey(log), log);
+        } else {
+            this.processLog(log);
+        }
+    }
 
-        this.eventHistory.push(eventData);
-        this.metrics.circuitBreakerTrips++;
+    /**
+     * Process pending logs that are now deep enough
+     *
+     * A log whose block hash no longer matches the canonical block was
+     * reorged out while pending and is dropped.
+     */
+    async confirmPending(head) {
+        const ready = [...this.pending.values()]
+            .filter(log => head - log.blockNumber >= this.confirmations)
+            .sort(compareLogs);
+        const blockHashes = new Map();
+
+        for (const log of ready) {
+            if (!blockHashes.has(log.blockNumber)) {
+                const block = await this.provider.getBlock(log.blockNumber);
+                blockHashes.set(log.blockNumber, block ? block.hash : null);
+                if (block && block.hash === log.blockHash) {
+                    this.blockTimes.set(log.blockNumber, block.timestamp);
+                }
+            }
 
-        this.logEvent("⚠️ CIRCUIT BREAKER TRIPPED", eventData);
-        this.sendAlert({
-            level: "critical",
-            title: "Circuit Breaker Tripped",
-            message: `Reason: ${reason}`,
-            data: eventData
+            // Skip logs removed while we were waiting on the provider
+            if (!this.pending.delete(logKey(log))) {
+                continue;
+            }
+
+            if (blockHashes.get(log.blockNumber) === log.blockHash) {
+                this.processLog(log);
+            } else {
+                this.queueReorgAlert(log, false);
+            }
+        }
+    }
+
+    /**
+     * Undo a log the chain no longer contains
+     *
+     * Pending logs are simply dropped. Processed logs have their event,
+     * alerts and metric updates removed, and the cursor is rewound to the
+     * previous block so replacement logs are not skipped.
+     */
+    rollbackLog(log) {
+        this.blockTimes.delete(log.blockNumber);
+        if (this.pending.delete(logKey(log))) {
+            this.queueReorgAlert(log, false);
+            return;
+        }
+
+        const event = this.store.transaction(() => {
+            const removed = this.store.removeEvent(log.transactionHash, log.index);
+            if (!removed) {
+                return null;
+            }
+
+            const entry = this.registry[removed.type];
+            if (entry) {
+                applyMetrics(this.metrics, entry.metrics, removed, -1);
+            }
+            if (entry && entry.alert) {
+                // A condition raised by a reorged event must not escalate
+                this.policy.resolve(entry.alert.title);
+            }
+            this.store.removeAlerts(log.transactionHash, log.index);
+            if (removed.token) {
+                this.lifecycle.rebuild(removed.token, this.store.queryEvents({ token: removed.token }));
+            }
+
+            if (!this.cursor || log.blockNumber <= this.cursor.blockNumber) {
+                this.cursor = { blockNumber: log.blockNumber - 1, logIndex: Number.MAX_SAFE_INTEGER };
+            }
+            this.saveCheckpoint();
+
+            return removed;
         });
+
+        if (event) {
+            this.emit("rollback", event);
+            this.queueReorgAlert(log, true);
+        }
     }
 
-    handleCircuitBreakerReset(resetter, event) {
-        const eventData = {
-            type: "CircuitBreakerReset",
-            resetter,
-            blockNumber: event.blockNumber,
-            transactionHash: event.transactionHash,
-            timestamp: Date.now()
-        };
+    /**
+     * Collect removed logs and raise a single reorg alert for them
+     */
+    queueReorgAlert(log, applied) {
+        this.reorgBatch.push({
+            type: log.eventName,
+            blockNumber: log.blockNumber,
+            transactionHash: log.transactionHash,
+            logIndex: log.index,
+            rolledBack: applied
+        });
 
-        this.eventHistory.push(eventData);
-        this.logEvent("✅ Circuit Breaker Reset", eventData);
+        if (this.reorgBatch.length === 1) {
+            setImmediate(() => this.flushReorgAlert());
+        }
     }
 
-    handleEmergencyModeActivated(activator, reason, event) {
-        const eventData = {
-            type: "EmergencyModeActivated",
-            activator,
-            reason,
-            blockNumber: event.blockNumber,
-            transactionHash: event.transactionHash,
-            timestamp: Date.now()
-        };
+    flushReorgAlert() {
+        const events = this.reorgBatch;
+        this.reorgBatch = [];
 
-        this.eventHistory.push(eventData);
-        this.metrics.emergencyModeActivations++;
+        const fromBlock = Math.min(...events.map(e => e.blockNumber));
+        const rolledBack = events.filter(e => e.rolledBack).length;
 
-        this.logEvent("🚨 EMERGENCY MODE ACTIVATED", eventData);
         this.sendAlert({
-            level: "critical",
-            title: "Emergency Mode Activated",
-            message: `Reason: ${reason}`,
-            data: eventData
+            level: rolledBack > 0 ? "critical" : "warning",
+            title: "Chain Reorg",
+            message: `${events.length} event(s) from block ${fromBlock} removed by a reorg (${rolledBack} rolled back)`,
+            data: { type: "reorg", fromBlock, events }
         });
     }
 
-    handleEmergencyModeDeactivated(deactivator, event) {
-        const eventData = {
-            type: "EmergencyModeDeactivated",
-            deactivator,
-            blockNumber: event.blockNumber,
-            transactionHash: event.transactionHash,
-            timestamp: Date.now()
-        };
+    /**
+     * Pending events awaiting confirmation
+     */
+    getPendingEvents() {
+        return [...this.pending.values()].sort(compareLogs).map(log => ({
+            type: log.eventName,
+            blockNumber: log.blockNumber,
+            transactionHash: log.transactionHash,
+            logIndex: log.index
+        }));
+    }
+
+    /**
+     * Route a decoded log to its handler
+     *
+     * Returns false for untracked events, for logs at or before the cursor
+     * and for logs already stored (replayed after a reorg rewound the cursor).
+     * With several contracts subscribed, live logs of one may arrive after
+     * later logs of another, so logs at or before the cursor are only
+     * skipped once they are stored.
+     */
+    processLog(log) {
+        const entry = this.registry[log.eventName];
+        if (!entry || (!isAfterCursor(log, this.cursor) && !this.securityContract)) {
+            return false;
+        }
+        if (this.highestBlock !== null && log.blockNumber <= this.highestBlock &&
+            this.store.hasEvent(log.transactionHash, log.index)) {
+            this.advanceCursor(log);
+            return false;
+        }
+
+        const eventData = this.store.transaction(() => {
+            const data = this.handleEvent(log.eventName, entry, log);
+            this.advanceCursor(log);
+            this.highestBlock = Math.max(this.highestBlock ?? 0, log.blockNumber);
+            this.saveCheckpoint();
+            return data;
+        });
 
-        this.eventHistory.push(eventData);
-        this.logEvent("✅ Emergency Mode Deactivated", eventData);
+        this.emit("event", eventData);
+        return true;
     }
 
-    handleConfigUpdate(configType, value, event) {
+    advanceCursor(log) {
+        if (isAfterCursor(log, this.cursor)) {
+            this.cursor = { blockNumber: log.blockNumber, logIndex: log.index };
+        }
+    }
+
+    /**
+     * Stop monitoring
+     */
+    stopMonitoring() {
+        this.ready = false;
+        this.stopped = true;
+        this.unsubscribe();
+        clearInterval(this.escalationTimer);
+        if (this.watchdog) {
+            this.watchdog.stop();
+        }
+        this.store.close();
+        console.log("🛑 Monitor stopped");
+    }
+
+    /**
+     * Event Handler
+     *
+     * Records the event, applies its metric updates and alert rule, then
+     * hands off to the entry's custom handler.
+     */
+
+    handleEvent(eventName, entry, log) {
+        const ingestedAt = Date.now();
+        const blockTimestamp = this.blockTimes.peek(log.blockNumber) ?? null;
         const eventData = {
-            type: "ConfigUpdate",
-            configType,
-            value: value.toString(),
-            blockNumber: event.blockNumber,
-            transactionHash: event.transactionHash,
-            timestamp: Date.now()
+            type: eventName,
+            ...decodeArgs(log),
+            chainId: this.chainId,
+            blockNumber: log.blockNumber,
+            transactionHash: log.transactionHash,
+            logIndex: log.index,
+            blockTimestamp,
+            timestamp: blockTimestamp !== null ? blockTimestamp * 1000 : ingestedAt,
+            ingestedAt,
+            ...this.tags
         };
 
-        this.eventHistory.push(eventData);
-        this.logEvent(`⚙️ Config Updated: ${configType}`, eventData);
+        this.store.appendEvent(eventData);
+        applyMetrics(this.metrics, entry.metrics, eventData);
+
+        if (entry.label) {
+            this.logEvent(entry.label, eventData);
+        }
+
+        if (entry.alert) {
+            this.sendAlert({
+                level: entry.alert.level,
+                title: entry.alert.title,
+                message: entry.alert.message(eventData),
+                data: eventData
+            });
+        }
+
+        for (const anomaly of this.lifecycle.apply(eventData)) {
+            this.sendAlert({
+                level: "warning",
+                title: "Lifecycle Anomaly",
+                message: anomaly.message,
+                data: anomaly
+            });
+        }
+
+        if (entry.resolves) {
+            this.policy.resolve(entry.resolves);
+        }
+
+        if (entry.handler) {
+            this[entry.handler](eventData, log);
+        }
+
+        return eventData;
     }
 
     /**
      * Alert system
      */
 
-    async checkGraduationProximity(token, ethReserve) {
-        try {
-            const threshold = await this.contract.liquidityThreshold();
-            const percentage = (ethReserve * 100n) / threshold;
-
-            if (percentage >= 90n && percentage < 100n) {
-                this.sendAlert({
-                    level: "warning",
-                    title: "Approaching Graduation",
-                    message: `Token ${token} is at ${percentage}% of graduation threshold`,
-                    data: { token, ethReserve: ethReserve.toString(), percentage: percentage.toString() }
-                });
-            }
-        } catch (error) {
-            console.error("Error checking graduation proximity:", error);
+    /**
+     * Warn when a token's curve reserve is within 10% of the liquidity
+     * threshold; uses the loaded thresholds so replaying history makes no RPC
+     * calls
+     */
+    checkGraduationProximity(eventData) {
+        if (!this.thresholds || BigInt(this.thresholds.liquidityThreshold) === 0n) {
+            return;
+        }
+        const percentage = (BigInt(eventData.ethReserve) * 100n) / BigInt(this.thresholds.liquidityThreshold);
+
+        if (percentage >= 90n && percentage < 100n) {
+            this.sendAlert({
+                level: "warning",
+                title: "Approaching Graduation",
+                message: `Token ${eventData.token} is at ${percentage}% of graduation threshold`,
+                data: {
+                    token: eventData.token,
+                    ethReserve: eventData.ethReserve,
+                    percentage: percentage.toString(),
+                    transactionHash: eventData.transactionHash,
+                    logIndex: eventData.logIndex
+                }
+            });
         }
     }
 
+    /**
+     * Keep the thresholds in step with the manager's config
+     */
+    updateThresholds(eventData) {
+        this.thresholds = {
+            marketCapThreshold: eventData.marketCapThreshold,
+            liquidityThreshold: eventData.liquidityThreshold
+        };
+    }
+
+    /**
+     * Emit an alert unless the policy suppresses it
+     *
+     * Alerts raised while replaying history (backfill, reconnect catch-up)
+     * are stored and emitted with `replayed: true`, but bypass the policy and
+     * are not dispatched to the sinks.
+     *
+     * Returns whether the alert was emitted.
+     */
     sendAlert(alert) {
+        Object.assign(alert, this.tags);
         alert.timestamp = Date.now();
-        this.alerts.push(alert);
+        if (this.replaying) {
+            alert.replayed = true;
+        } else if (!this.policy.admit(alert, alert.timestamp)) {
+            return false;
+        }
+
+        this.store.appendAlert(alert);
+        this.emit("alert", alert);
 
         // Console output with color coding
         const icon = {
             info: "ℹ️",
             warning: "⚠️",
-            critical: "🚨"
+            critical: "🚨",
+            emergency: "🆘"
         }[alert.level] || "📢";
 
-        console.log(`\n${icon} ${alert.level.toUpperCase()}: ${alert.title}`);
+        const repeats = alert.suppressed ? ` (${alert.suppressed} similar suppressed)` : "";
+        const network = alert.network ? ` [${alert.network}]` : "";
+        console.log(`\n${icon} ${alert.level.toUpperCase()}${network}: ${alert.title}${repeats}`);
         console.log(`   ${alert.message}`);
+
+        if (this.dispatcher && !alert.replayed) {
+            this.dispatcher.dispatch(alert);
+        }
+
+        return true;
+    }
+
+    /**
+     * Re-alert conditions that are still unresolved past their escalation time
+     */
+    checkEscalations() {
+        for (const alert of this.policy.dueEscalations()) {
+            this.sendAlert(alert);
+        }
     }
 
     logEvent(title, data) {
@@ -331,34 +1118,24 @@ class GraduationMonitor {
             averageGraduationSize: this.metrics.totalGraduations > 0
                 ? this.metrics.totalLiquidityAdded / BigInt(this.metrics.totalGraduations)
                 : 0n,
-            totalEvents: this.eventHistory.length,
-            totalAlerts: this.alerts.length
+            totalEvents: this.store.countEvents(),
+            totalAlerts: this.store.countAlerts()
         };
     }
 
-    getEventHistory(filter = {}) {
-        let filtered = this.eventHistory;
-
-        if (filter.type) {
-            filtered = filtered.filter(e => e.type === filter.type);
-        }
-
-        if (filter.token) {
-            filtered = filtered.filter(e => e.token === filter.token);
-        }
-
-        if (filter.fromBlock) {
-            filtered = filtered.filter(e => e.blockNumber >= filter.fromBlock);
-        }
+    /**
+     * Time-series analytics over the event history (see monitoring/analytics.js)
+     */
+    getAnalytics(options = {}) {
+        return analyze(this.getEventHistory(), { defaultThresholds: this.thresholds, ...options });
+    }
 
-        return filtered;
+    getEventHistory(filter = {}) {
+        return this.store.queryEvents(filter);
     }
 
     getAlerts(level = null) {
-        if (level) {
-            return this.alerts.filter(a => a.level === level);
-        }
-        return this.alerts;
+        return this.store.queryAlerts(level);
     }
 
     /**
@@ -368,20 +1145,28 @@ class GraduationMonitor {
     exportToJSON(filename) {
         const data = {
             metrics: this.getMetrics(),
-            eventHistory: this.eventHistory,
-            alerts: this.alerts,
+            eventHistory: this.getEventHistory(),
+            alerts: this.getAlerts(),
+            lifecycle: this.lifecycle.getTokens(),
+            analytics: this.getAnalytics(),
             exportedAt: new Date().toISOString()
         };
 
         const filepath = path.join(__dirname, "..", "monitoring", filename);
         fs.mkdirSync(path.dirname(filepath), { recursive: true });
-        fs.writeFileSync(filepath, JSON.stringify(data, (key, value) =>
-            typeof value === 'bigint' ? value.toString() : value
-        , 2));
+        fs.writeFileSync(filepath, toJSON(data, 2));
 
         console.log(`📊 Data exported to ${filepath}`);
     }
 
+    /**
+     * Report dataset over a time window, optionally for one token (see
+     * monitoring/reports.js for the Markdown, HTML and CSV renderers)
+     */
+    buildReport(options = {}) {
+        return buildReport({ events: this.getEventHistory(), alerts: this.getAlerts() }, { defaultThresholds: this.thresholds, ...options });
+    }
+
     /**
      * Generate report
      */
@@ -398,11 +1183,16 @@ class GraduationMonitor {
         console.log(`Average Graduation Size: ${ethers.formatEther(metrics.averageGraduationSize)} LP`);
         console.log(`Total Events: ${metrics.totalEvents}`);
         console.log(`Total Alerts: ${metrics.totalAlerts}`);
+        console.log(`  - Emergency: ${this.getAlerts("emergency").length}`);
         console.log(`  - Critical: ${this.getAlerts("critical").length}`);
         console.log(`  - Warning: ${this.getAlerts("warning").length}`);
         console.log(`  - Info: ${this.getAlerts("info").length}`);
         console.log(`Circuit Breaker Trips: ${metrics.circuitBreakerTrips}`);
         console.log(`Emergency Mode Activations: ${metrics.emergencyModeActivations}`);
+        console.log("Token Lifecycle:");
+        for (const [state, count] of Object.entries(this.lifecycle.summary())) {
+            console.log(`  - ${state}: ${count}`);
+        }
         console.log("=".repeat(60) + "\n");
 
         return metrics;
@@ -411,16 +1201,54 @@ class GraduationMonitor {
 
 /**
  * Health Check Monitor
+ *
+ * Collects contract, RPC and balance checks, evaluates them against the
+ * health rules (see monitoring/health.js) and keeps a rolling history. An
+ * alert is raised only when the overall status changes.
  */
 
+const HEALTH_ALERT_LEVELS = { healthy: "info", degraded: "warning", unhealthy: "critical", error: "critical" };
+
+/**
+ * Share of a rate-limit window used, in percent with one decimal
+ */
+function usedPct(used, remaining) {
+    const total = BigInt(used) + BigInt(remaining);
+    return total > 0n ? Number((BigInt(used) * 1000n) / total) / 10 : 0;
+}
+
 class HealthMonitor {
-    constructor(contractAddress, providerUrl, contractABI) {
+    /**
+     * @param {object} [options]
+     * @param {object} [options.rpc] Provider options for `providerUrl` (see monitoring/providers.js)
+     * @param {object} [options.security] SecurityEnhancements contract `{ address, abi }`; without it the
+     *   paused, circuit breaker, emergency mode and rate limit checks are skipped
+     * @param {GraduationMonitor} [options.monitor] Receives state-change alerts; its tokens are checked for stale bonding curves
+     * @param {object} [options.rules] Rule overrides, e.g. `{ rateLimitGraduations: { threshold: 90 }, lowBalance: { threshold: "0.5" } }`
+     * @param {object} [options.history] HealthHistory options (`maxEntries`, `slaTargetPct`)
+     */
+    constructor(contractAddress, providerUrl, contractABI, options = {}) {
         this.contractAddress = contractAddress;
-        this.provider = new ethers.JsonRpcProvider(providerUrl);
+        this.provider = createProvider(providerUrl, options.rpc);
         this.contract = new ethers.Contract(contractAddress, contractABI, this.provider);
+        this.securityContract = options.security
+            ? new ethers.Contract(options.security.address, options.security.abi, this.provider)
+            : null;
+        this.monitor = options.monitor || null;
+        this.rules = buildRules(options.rules);
+        this.history = new HealthHistory(options.history);
+        this.timer = null;
+        this.lastHealth = null;
+
+        // Token => { key, changedAt } of the last observed bonding-curve state
+        this.curves = new Map();
     }
 
-    async checkHealth() {
+    /**
+     * Collect checks and evaluate the rules; with `record: false` the result
+     * is kept as lastHealth but not added to the history (no status alert)
+     */
+    async checkHealth({ record = true } = {}) {
         const health = {
             timestamp: new Date().toISOString(),
             contractAddress: this.contractAddress,
@@ -428,56 +1256,145 @@ class HealthMonitor {
         };
 
         try {
-            // Check if contract is paused
-            health.checks.paused = await this.contract.paused();
-
-            // Check circuit breaker status
-            const cbStatus = await this.contract.getCircuitBreakerStatus();
-            health.checks.circuitBreaker = {
-                isTripped: cbStatus.isTripped,
-                reason: cbStatus.reason,
-                secondsUntilReset: cbStatus.secondsUntilReset.toString()
-            };
-
-            // Check emergency mode
-            health.checks.emergencyMode = await this.contract.emergencyMode();
-
-            // Check rate limits
-            const rateLimitStatus = await this.contract.getRateLimitStatus();
-            health.checks.rateLimit = {
-                graduationsUsed: rateLimitStatus.graduationsUsed.toString(),
-                graduationsRemaining: rateLimitStatus.graduationsRemaining.toString(),
-                liquidityUsed: ethers.formatEther(rateLimitStatus.liquidityUsed),
-                liquidityRemaining: ethers.formatEther(rateLimitStatus.liquidityRemaining),
-                windowEndsIn: rateLimitStatus.windowEndsIn.toString()
-            };
-
-            // Overall health status
-            health.status = (!health.checks.paused && 
-                           !health.checks.circuitBreaker.isTripped && 
-                           !health.checks.emergencyMode) ? "healthy" : "unhealthy";
-
+            health.checks = await this.collectChecks(Date.parse(health.timestamp));
+            Object.assign(health, evaluateRules(this.rules, health.checks));
         } catch (error) {
             health.status = "error";
             health.error = error.message;
         }
 
+        this.lastHealth = health;
+        const change = record ? this.history.record(health) : null;
+        if (change) {
+            this.alertStatusChange(change, health);
+        }
+
         return health;
     }
 
+    async collectChecks(now) {
+        const checks = this.securityContract ? await this.collectSecurityChecks() : {};
+
+        // Check how far behind the RPC head is
+        const block = await this.provider.getBlock("latest");
+        checks.rpc = {
+            blockNumber: block.number,
+            blockAgeSeconds: Math.max(Math.floor(now / 1000) - block.timestamp, 0)
+        };
+
+        // Check the manager's ETH balance
+        checks.balance = ethers.formatEther(await this.provider.getBalance(this.contractAddress));
+
+        // Check bonding curves of tokens that have not graduated yet
+        if (this.monitor) {
+            checks.bondingCurves = await this.checkBondingCurves(now);
+        }
+
+        return checks;
+    }
+
+    /**
+     * Pause, circuit breaker, emergency mode and rate-limit state of the security contract
+     */
+    async collectSecurityChecks() {
+        const checks = {};
+
+        // Check if contract is paused
+        checks.paused = await this.securityContract.paused();
+
+        // Check circuit breaker status
+        const cbStatus = await this.securityContract.getCircuitBreakerStatus();
+        checks.circuitBreaker = {
+            isTripped: cbStatus.isTripped,
+            reason: cbStatus.reason,
+            secondsUntilReset: cbStatus.secondsUntilReset.toString()
+        };
+
+        // Check emergency mode
+        checks.emergencyMode = await this.securityContract.emergencyMode();
+
+        // Check rate limits
+        const rateLimitStatus = await this.securityContract.getRateLimitStatus();
+        checks.rateLimit = {
+            graduationsUsed: rateLimitStatus.graduationsUsed.toString(),
+            graduationsRemaining: rateLimitStatus.graduationsRemaining.toString(),
+            graduationsUsedPct: usedPct(rateLimitStatus.graduationsUsed, rateLimitStatus.graduationsRemaining),
+            liquidityUsed: ethers.formatEther(rateLimitStatus.liquidityUsed),
+            liquidityRemaining: ethers.formatEther(rateLimitStatus.liquidityRemaining),
+            liquidityUsedPct: usedPct(rateLimitStatus.liquidityUsed, rateLimitStatus.liquidityRemaining),
+            windowEndsIn: rateLimitStatus.windowEndsIn.toString()
+        };
+
+        return checks;
+    }
+
+    /**
+     * How long each active token's bonding curve has gone without a change
+     */
+    async checkBondingCurves(now) {
+        const active = this.monitor.lifecycle.getTokens()
+            .filter(token => ["registered", "progressing", "eligible"].includes(token.state));
+        const results = [];
+
+        for (const { token } of active) {
+            const curve = await this.contract.bondingCurves(token);
+            const key = `${curve.tokenReserve}:${curve.ethReserve}:${curve.currentMarketCap}`;
+            const previous = this.curves.get(token);
+            if (!previous || previous.key !== key) {
+                this.curves.set(token, { key, changedAt: now });
+            }
+
+            results.push({
+                token,
+                ethReserve: ethers.formatEther(curve.ethReserve),
+                unchangedForMs: now - this.curves.get(token).changedAt
+            });
+        }
+
+        for (const token of this.curves.keys()) {
+            if (!active.some(t => t.token === token)) {
+                this.curves.delete(token);
+            }
+        }
+
+        return results;
+    }
+
+    alertStatusChange(change, health) {
+        const reasons = health.error ? [health.error] : (health.failures || []).map(f => f.message);
+        const alert = {
+            level: HEALTH_ALERT_LEVELS[change.to],
+            title: "Health Status Changed",
+            message: `Health ${change.from ? `changed from ${change.from} to` : "is"} ${change.to}` +
+                (reasons.length > 0 ? `: ${reasons.join("; ")}` : ""),
+            data: { from: change.from, to: change.to, failures: health.failures || [], error: health.error || null }
+        };
+
+        if (this.monitor) {
+            this.monitor.sendAlert(alert);
+        } else {
+            console.log(`\n⚠️ ${alert.message}`);
+        }
+    }
+
+    /**
+     * Uptime/SLA summary over `windowMs` (24h by default)
+     */
+    getUptime(options) {
+        return this.history.uptime(options);
+    }
+
     async startHealthChecks(intervalSeconds = 60) {
         console.log(`🏥 Starting health checks every ${intervalSeconds} seconds`);
 
-        setInterval(async () => {
-            const health = await this.checkHealth();
-            
-            if (health.status !== "healthy") {
-                console.log(`\n⚠️ Health Check Alert: ${health.status}`);
-                console.log(JSON.stringify(health, null, 2));
-            } else {
-                console.log(`✅ Health check passed at ${health.timestamp}`);
-            }
-        }, intervalSeconds * 1000);
+        const run = () => this.checkHealth().catch(error => console.error("Error checking health:", error));
+        this.timer = setInterval(run, intervalSeconds * 1000);
+        await run();
+    }
+
+    stopHealthChecks() {
+        clearInterval(this.timer);
+        this.timer = null;
     }
 }
 
@@ -486,36 +1403,125 @@ class HealthMonitor {
  */
 
 async function main() {
-    const contractAddress = process.env.CONTRACT_ADDRESS;
+    // CONTRACT_ADDRESS, or DEPLOYMENT_NETWORK=<network> for its active deployment
+    const contractAddress = resolveContractAddress();
+    // RPC_URL may list several endpoints: RPC_URL=https://a,wss://b with RPC_STRATEGY=fallback|quorum
     const providerUrl = process.env.RPC_URL;
+    const rpc = {
+        strategy: process.env.RPC_STRATEGY || "fallback",
+        quorum: process.env.RPC_QUORUM ? Number(process.env.RPC_QUORUM) : undefined,
+        chainId: process.env.CHAIN_ID ? Number(process.env.CHAIN_ID) : undefined
+    };
+    // Reconnect when no new block arrives for STALL_TIMEOUT (default 3m, 0 disables)
+    const stallTimeout = process.env.STALL_TIMEOUT || "3m";
     const contractABI = require("../artifacts/contracts/UniswapGraduationManager.sol/UniswapGraduationManager.json").abi;
-
-    // Start event monitoring
-    const monitor = new GraduationMonitor(contractAddress, providerUrl, contractABI);
-    await monitor.startMonitoring();
+    // SECURITY_ADDRESS adds the circuit breaker, emergency mode and rate limit contract
+    const security = process.env.SECURITY_ADDRESS
+        ? {
+            address: process.env.SECURITY_ADDRESS,
+            abi: require("../artifacts/contracts/SecurityEnhancements.sol/SecurityEnhancements.json").abi
+        }
+        : null;
+
+    // Start event monitoring (MONITOR_STORE=jsonl:<dir> or sqlite:<file> to persist)
+    const monitor = new GraduationMonitor(contractAddress, providerUrl, contractABI, {
+        security,
+        store: createStore(process.env.MONITOR_STORE),
+        confirmations: Number(process.env.CONFIRMATIONS || 0),
+        dispatcher: createDispatcherFromEnv(),
+        rpc,
+        watchdog: stallTimeout !== "0" ? { stallTimeoutMs: parseDuration(stallTimeout) } : null
+    });
+    await monitor.startMonitoring({
+        fromBlock: process.env.BACKFILL_FROM_BLOCK ? Number(process.env.BACKFILL_FROM_BLOCK) : null
+    });
 
     // Start health monitoring
-    const healthMonitor = new HealthMonitor(contractAddress, providerUrl, contractABI);
+    // HEALTH_RULES overrides rule thresholds, e.g. {"rateLimitGraduations":{"threshold":90},"lowBalance":{"threshold":"0.5"}}
+    const healthMonitor = new HealthMonitor(contractAddress, providerUrl, contractABI, {
+        rpc,
+        security,
+        monitor,
+        rules: process.env.HEALTH_RULES ? JSON.parse(process.env.HEALTH_RULES) : undefined
+    });
     await healthMonitor.startHealthChecks(300); // Check every 5 minutes
 
-    // Generate report every hour
+    // LP unlock calendar (UNLOCK_LEAD_TIMES=7d,24h,1h)
+    const unlocks = new UnlockScheduler({
+        monitor,
+        leadTimesMs: process.env.UNLOCK_LEAD_TIMES
+            ? process.env.UNLOCK_LEAD_TIMES.split(",").map(parseDuration)
+            : undefined
+    });
+    unlocks.start();
+
+    // Post-graduation pair surveillance
+    const pairs = new PairWatcher({ monitor });
+    await pairs.start();
+
+    // Prometheus /metrics, /healthz and /readyz (METRICS_PORT=0 disables)
+    const metricsPort = Number(process.env.METRICS_PORT ?? 9464);
+    const metricsServer = metricsPort > 0
+        ? new MetricsServer({ monitor, healthMonitor, port: metricsPort })
+        : null;
+    if (metricsServer) {
+        await metricsServer.start();
+    }
+
+    // Read-only REST API (enabled by API_PORT)
+    const apiServer = process.env.API_PORT
+        ? new ApiServer({
+            monitor,
+            healthMonitor,
+            unlocks,
+            pairs,
+            port: Number(process.env.API_PORT),
+            corsOrigin: process.env.API_CORS_ORIGIN
+        })
+        : null;
+    if (apiServer) {
+        await apiServer.start();
+    }
+
+    // Generate report every hour; REPORT_FORMATS=md,html,csv also writes stakeholder
+    // reports over the last REPORT_WINDOW (default 7d) to monitoring/reports
+    const reportFormats = process.env.REPORT_FORMATS ? process.env.REPORT_FORMATS.split(",") : [];
+    const reportWindow = parseDuration(process.env.REPORT_WINDOW || "7d");
     setInterval(() => {
         monitor.generateReport();
         monitor.exportToJSON(`report-${Date.now()}.json`);
+        unlocks.exportICS(path.join(__dirname, "..", "monitoring", "unlocks.ics"));
+
+        const now = Date.now();
+        const report = monitor.buildReport({ from: now - reportWindow, to: now });
+        for (const format of reportFormats) {
+            writeReport(report, format.trim(), path.join(__dirname, "..", "monitoring", "reports", `report-${now}`));
+        }
     }, 3600000);
 
     // Handle graceful shutdown
     process.on("SIGINT", () => {
         console.log("\n🛑 Shutting down monitors...");
-        monitor.stopMonitoring();
+        unlocks.stop();
+        pairs.stop();
+        healthMonitor.stopHealthChecks();
+        if (metricsServer) {
+            metricsServer.stop();
+        }
+        if (apiServer) {
+            apiServer.stop();
+        }
         monitor.generateReport();
+        monitor.stopMonitoring();
         process.exit(0);
     });
 }
 
 // Export classes
 module.exports = {
+    EVENT_REGISTRY,
     GraduationMonitor,
+    TokenLifecycleTracker,
     HealthMonitor,
     main
 };
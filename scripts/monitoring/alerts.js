@@ -0,0 +1,351 @@
+const fs = require("fs");
+const path = require("path");
+const { toJSON } = require("./json");
+
+/**
+ * Alert Dispatcher and Sinks
+ *
+ * The dispatcher fans each alert out to every sink routed for its level.
+ * Failed deliveries are retried with exponential backoff; alerts that still
+ * cannot be delivered are appended to a dead-letter file.
+ */
+
+const LEVEL_COLORS = {
+    info: "#2eb67d",
+    warning: "#ecb22e",
+    critical: "#e01e5a",
+    emergency: "#8b0000"
+};
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * "[LEVEL] Title", with the network of multi-target monitors
+ */
+function alertHeading(alert) {
+    const network = alert.network ? ` (${alert.network})` : "";
+    return `[${alert.level.toUpperCase()}] ${alert.title}${network}`;
+}
+
+/**
+ * Base sink: per-level routing, rate cap and retry settings
+ */
+class AlertSink {
+    /**
+     * @param {object} options
+     * @param {string} [options.name] Name used in logs and dead letters
+     * @param {string[]} [options.levels] Levels routed to this sink (all when omitted)
+     * @param {number} [options.retries] Overrides the dispatcher's retry count
+     * @param {number} [options.backoffMs] Overrides the dispatcher's initial backoff
+     * @param {object} [options.rateLimit] `{ max, windowMs }` cap on alerts sent through this sink
+     */
+    constructor(options = {}) {
+        this.name = options.name || this.constructor.name;
+        this.levels = options.levels || null;
+        this.retries = options.retries;
+        this.backoffMs = options.backoffMs;
+        this.rateLimit = options.rateLimit || null;
+        this.sentAt = [];
+    }
+
+    accepts(alert) {
+        return !this.levels || this.levels.includes(alert.level);
+    }
+
+    /**
+     * Take a slot in the sliding rate-limit window, if one is free
+     */
+    allow(now = Date.now()) {
+        if (!this.rateLimit) {
+            return true;
+        }
+
+        this.sentAt = this.sentAt.filter(t => now - t < this.rateLimit.windowMs);
+        if (this.sentAt.length >= this.rateLimit.max) {
+            return false;
+        }
+
+        this.sentAt.push(now);
+        return true;
+    }
+
+    async send() {
+        throw new Error(`${this.name} does not implement send()`);
+    }
+}
+
+/**
+ * POST to an HTTP endpoint, sending the alert as JSON
+ */
+async function postJSON(url, body, headers = {}, timeoutMs = 10000) {
+    const response = await fetch(url, {
+        method: "POST",
+        headers: { "Content-Type": "application/json", ...headers },
+        body: toJSON(body),
+        signal: AbortSignal.timeout(timeoutMs)
+    });
+
+    if (!response.ok) {
+        throw new Error(`HTTP ${response.status} from ${url}`);
+    }
+}
+
+/**
+ * Generic HTTP webhook, posts the alert object as-is
+ */
+class WebhookSink extends AlertSink {
+    constructor(options) {
+        super(options);
+        this.url = options.url;
+        this.headers = options.headers || {};
+        this.timeoutMs = options.timeoutMs || 10000;
+    }
+
+    async send(alert) {
+        await postJSON(this.url, alert, this.headers, this.timeoutMs);
+    }
+}
+
+/**
+ * Slack or Discord incoming webhook
+ */
+class SlackSink extends AlertSink {
+    /**
+     * @param {object} options
+     * @param {string} options.url Incoming webhook URL
+     * @param {"slack"|"discord"} [options.format] Payload flavour, Slack by default
+     */
+    constructor(options) {
+        super(options);
+        this.url = options.url;
+        this.format = options.format || "slack";
+        this.timeoutMs = options.timeoutMs || 10000;
+    }
+
+    formatPayload(alert) {
+        const color = LEVEL_COLORS[alert.level] || "#808080";
+        const heading = alertHeading(alert);
+
+        if (this.format === "discord") {
+            return {
+                content: heading,
+                embeds: [{
+                    title: alert.title,
+                    description: alert.message,
+                    color: parseInt(color.slice(1), 16),
+                    timestamp: new Date(alert.timestamp || Date.now()).toISOString()
+                }]
+            };
+        }
+
+        return {
+            text: heading,
+            attachments: [{
+                color,
+                title: alert.title,
+                text: alert.message,
+                ts: Math.floor((alert.timestamp || Date.now()) / 1000)
+            }]
+        };
+    }
+
+    async send(alert) {
+        await postJSON(this.url, this.formatPayload(alert), {}, this.timeoutMs);
+    }
+}
+
+/**
+ * Email over SMTP (via nodemailer)
+ */
+class EmailSink extends AlertSink {
+    /**
+     * @param {object} options
+     * @param {object} options.smtp nodemailer transport options (host, port, secure, auth, ...)
+     * @param {string} options.from Sender address
+     * @param {string|string[]} options.to Recipients
+     */
+    constructor(options) {
+        super(options);
+        this.from = options.from;
+        this.to = options.to;
+        this.transport = require("nodemailer").createTransport(options.smtp);
+    }
+
+    async send(alert) {
+        await this.transport.sendMail({
+            from: this.from,
+            to: this.to,
+            subject: alertHeading(alert),
+            text: `${alert.message}\n\n${toJSON(alert.data || {}, 2)}`
+        });
+    }
+}
+
+/**
+ * Append alerts as JSON lines, rotating once the file reaches `maxBytes`
+ *
+ * Rotated files are kept as `<filename>.1` (newest) to `<filename>.<maxFiles>`.
+ */
+class FileSink extends AlertSink {
+    constructor(options) {
+        super(options);
+        this.filename = options.filename;
+        this.maxBytes = options.maxBytes || 10 * 1024 * 1024;
+        this.maxFiles = options.maxFiles || 5;
+
+        fs.mkdirSync(path.dirname(this.filename), { recursive: true });
+    }
+
+    rotate() {
+        for (let i = this.maxFiles - 1; i >= 1; i--) {
+            const source = `${this.filename}.${i}`;
+            if (fs.existsSync(source)) {
+                fs.renameSync(source, `${this.filename}.${i + 1}`);
+            }
+        }
+        fs.renameSync(this.filename, `${this.filename}.1`);
+    }
+
+    async send(alert) {
+        const line = toJSON(alert) + "\n";
+
+        if (fs.existsSync(this.filename) &&
+            fs.statSync(this.filename).size + Buffer.byteLength(line) > this.maxBytes) {
+            this.rotate();
+        }
+
+        fs.appendFileSync(this.filename, line);
+    }
+}
+
+class AlertDispatcher {
+    /**
+     * @param {object} [options]
+     * @param {AlertSink[]} [options.sinks]
+     * @param {number} [options.retries] Retries after the first failed attempt
+     * @param {number} [options.backoffMs] Delay before the first retry, doubled on each retry
+     * @param {string} [options.deadLetterFile] JSONL file for undeliverable alerts
+     */
+    constructor(options = {}) {
+        this.sinks = options.sinks || [];
+        this.retries = options.retries ?? 3;
+        this.backoffMs = options.backoffMs ?? 1000;
+        this.deadLetterFile = options.deadLetterFile ||
+            path.join(__dirname, "..", "..", "monitoring", "alerts-dead-letter.jsonl");
+    }
+
+    addSink(sink) {
+        this.sinks.push(sink);
+        return this;
+    }
+
+    /**
+     * Deliver an alert to every matching sink
+     *
+     * Never rejects: failures end up in the dead-letter file, alerts over a
+     * sink's rate cap are dropped for that sink. Returns the per-sink outcome.
+     */
+    async dispatch(alert) {
+        const targets = this.sinks.filter(sink => sink.accepts(alert));
+        const results = await Promise.all(targets.map(sink => sink.allow()
+            ? this.deliver(sink, alert)
+            : { delivered: false, rateLimited: true }));
+
+        return targets.map((sink, i) => ({ sink: sink.name, ...results[i] }));
+    }
+
+    async deliver(sink, alert) {
+        const retries = sink.retries ?? this.retries;
+        const backoffMs = sink.backoffMs ?? this.backoffMs;
+        let lastError;
+
+        for (let attempt = 0; attempt <= retries; attempt++) {
+            if (attempt > 0) {
+                await sleep(backoffMs * 2 ** (attempt - 1));
+            }
+
+            try {
+                await sink.send(alert);
+                return { delivered: true, attempts: attempt + 1 };
+            } catch (error) {
+                lastError = error;
+            }
+        }
+
+        console.error(`❌ Alert delivery to ${sink.name} failed after ${retries + 1} attempts: ${lastError.message}`);
+        this.deadLetter(sink, alert, lastError);
+
+        return { delivered: false, attempts: retries + 1, error: lastError.message };
+    }
+
+    deadLetter(sink, alert, error) {
+        try {
+            fs.mkdirSync(path.dirname(this.deadLetterFile), { recursive: true });
+            fs.appendFileSync(this.deadLetterFile, toJSON({
+                sink: sink.name,
+                error: error.message,
+                failedAt: new Date().toISOString(),
+                alert
+            }) + "\n");
+        } catch (writeError) {
+            console.error("Error writing alert dead letter:", writeError);
+        }
+    }
+}
+
+/**
+ * Build a dispatcher from environment variables
+ *
+ * ALERT_WEBHOOK_URL, SLACK_WEBHOOK_URL, DISCORD_WEBHOOK_URL, ALERT_LOG_FILE,
+ * SMTP_HOST / SMTP_PORT / SMTP_USER / SMTP_PASS / ALERT_EMAIL_FROM / ALERT_EMAIL_TO.
+ * `<SINK>_LEVELS` (e.g. ALERT_EMAIL_LEVELS=critical) restricts a sink's levels.
+ */
+function createDispatcherFromEnv(env = process.env) {
+    const levels = (name) => env[name] ? env[name].split(",").map(l => l.trim()) : undefined;
+    const dispatcher = new AlertDispatcher({
+        deadLetterFile: env.ALERT_DEAD_LETTER_FILE
+    });
+
+    if (env.ALERT_WEBHOOK_URL) {
+        dispatcher.addSink(new WebhookSink({ url: env.ALERT_WEBHOOK_URL, levels: levels("ALERT_WEBHOOK_LEVELS") }));
+    }
+    if (env.SLACK_WEBHOOK_URL) {
+        dispatcher.addSink(new SlackSink({ url: env.SLACK_WEBHOOK_URL, levels: levels("SLACK_LEVELS") }));
+    }
+    if (env.DISCORD_WEBHOOK_URL) {
+        dispatcher.addSink(new SlackSink({
+            name: "DiscordSink",
+            url: env.DISCORD_WEBHOOK_URL,
+            format: "discord",
+            levels: levels("DISCORD_LEVELS")
+        }));
+    }
+    if (env.SMTP_HOST && env.ALERT_EMAIL_TO) {
+        dispatcher.addSink(new EmailSink({
+            smtp: {
+                host: env.SMTP_HOST,
+                port: Number(env.SMTP_PORT || 587),
+                secure: env.SMTP_SECURE === "true",
+                auth: env.SMTP_USER ? { user: env.SMTP_USER, pass: env.SMTP_PASS } : undefined
+            },
+            from: env.ALERT_EMAIL_FROM || env.SMTP_USER,
+            to: env.ALERT_EMAIL_TO.split(","),
+            levels: levels("ALERT_EMAIL_LEVELS")
+        }));
+    }
+    if (env.ALERT_LOG_FILE) {
+        dispatcher.addSink(new FileSink({ filename: env.ALERT_LOG_FILE, levels: levels("ALERT_LOG_LEVELS") }));
+    }
+
+    return dispatcher;
+}
+
+module.exports = {
+    AlertSink,
+    WebhookSink,
+    SlackSink,
+    EmailSink,
+    FileSink,
+    AlertDispatcher,
+    createDispatcherFromEnv
+};
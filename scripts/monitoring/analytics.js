@@ -0,0 +1,245 @@
+/**
+ * Time-series Analytics
+ *
+ * Bucketed and distribution analytics over the monitor's event history,
+ * meant for tuning the graduation thresholds:
+ * - graduations (count and LP liquidity) per hour, day or week
+ * - distribution of the peak bonding-curve progress each token reached,
+ *   relative to the marketCapThreshold/liquidityThreshold in force
+ * - time from TokenRegistered to LiquidityMigrated (median, p90, ...)
+ * - conversion of registered tokens into graduations
+ *
+ * All functions take stored event data (see GraduationMonitor.handleEvent)
+ * and an optional `{ from, to }` window in ms.
+ */
+
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+
+const INTERVALS = {
+    hour: {
+        step: HOUR,
+        start: ms => Math.floor(ms / HOUR) * HOUR,
+        label: ms => new Date(ms).toISOString().slice(0, 16)
+    },
+    day: {
+        step: DAY,
+        start: ms => Math.floor(ms / DAY) * DAY,
+        label: ms => new Date(ms).toISOString().slice(0, 10)
+    },
+    week: {
+        step: 7 * DAY,
+        // Weeks start on Monday (UTC); 1970-01-01 was a Thursday
+        start: ms => (Math.floor(ms / DAY) - ((Math.floor(ms / DAY) + 3) % 7)) * DAY,
+        label: ms => new Date(ms).toISOString().slice(0, 10)
+    }
+};
+
+const PROGRESS_BIN_PCT = 10;
+
+function inWindow(event, { from = null, to = null } = {}) {
+    return (from === null || event.timestamp >= from) && (to === null || event.timestamp <= to);
+}
+
+/**
+ * First occurrence of an event type per token, as a timestamp
+ */
+function firstByToken(events, type, window = {}) {
+    const first = new Map();
+    for (const event of events) {
+        if (event.type === type && inWindow(event, window) && !first.has(event.token)) {
+            first.set(event.token, event.timestamp);
+        }
+    }
+    return first;
+}
+
+/**
+ * Percent with one decimal, null when the base is zero
+ */
+function pct(part, whole) {
+    if (BigInt(whole) === 0n) {
+        return null;
+    }
+    return Number((BigInt(part) * 1000n) / BigInt(whole)) / 10;
+}
+
+/**
+ * Linearly interpolated percentile (0-100) of sorted values
+ */
+function percentile(sorted, p) {
+    if (sorted.length === 0) {
+        return null;
+    }
+    const position = (sorted.length - 1) * (p / 100);
+    const lower = Math.floor(position);
+    const upper = Math.ceil(position);
+    return sorted[lower] + (sorted[upper] - sorted[lower]) * (position - lower);
+}
+
+/**
+ * Graduation count and LP liquidity per interval, with empty buckets filled
+ * in from `from` (or the first graduation) to `to` (or the last one)
+ */
+function graduationSeries(events, { interval = "day", from = null, to = null } = {}) {
+    const spec = INTERVALS[interval];
+    if (!spec) {
+        throw new Error(`Unknown interval: ${interval}`);
+    }
+
+    const graduations = events.filter(e => e.type === "LiquidityMigrated" && inWindow(e, { from, to }));
+    const timestamps = graduations.map(e => e.timestamp);
+    const start = from ?? (timestamps.length > 0 ? Math.min(...timestamps) : null);
+    const end = to ?? (timestamps.length > 0 ? Math.max(...timestamps) : null);
+    if (start === null || end === null) {
+        return [];
+    }
+
+    const buckets = new Map();
+    for (let ms = spec.start(start); ms <= end; ms += spec.step) {
+        buckets.set(ms, { period: spec.label(ms), count: 0, liquidity: 0n });
+    }
+    for (const event of graduations) {
+        const bucket = buckets.get(spec.start(event.timestamp));
+        bucket.count++;
+        bucket.liquidity += BigInt(event.liquidity);
+    }
+
+    return [...buckets.values()].map(bucket => ({ ...bucket, liquidity: bucket.liquidity.toString() }));
+}
+
+/**
+ * Time from registration to graduation for tokens that graduated in the window
+ */
+function timeToGraduation(events, window = {}) {
+    const registered = firstByToken(events, "TokenRegistered");
+    const durations = [];
+    for (const [token, graduatedAt] of firstByToken(events, "LiquidityMigrated", window)) {
+        if (registered.has(token) && registered.get(token) <= graduatedAt) {
+            durations.push(graduatedAt - registered.get(token));
+        }
+    }
+    durations.sort((a, b) => a - b);
+
+    return {
+        count: durations.length,
+        minMs: durations.length > 0 ? durations[0] : null,
+        medianMs: percentile(durations, 50),
+        p90Ms: percentile(durations, 90),
+        maxMs: durations.length > 0 ? durations[durations.length - 1] : null,
+        meanMs: durations.length > 0 ? durations.reduce((a, b) => a + b, 0) / durations.length : null
+    };
+}
+
+/**
+ * Share of the tokens registered in the window that have graduated by `to`
+ */
+function conversion(events, window = {}) {
+    const registered = firstByToken(events, "TokenRegistered", window);
+    const graduated = firstByToken(events, "LiquidityMigrated", { to: window.to ?? null });
+    const converted = [...registered.keys()].filter(token => graduated.has(token)).length;
+
+    return {
+        registered: registered.size,
+        graduated: converted,
+        pending: registered.size - converted,
+        ratePct: registered.size > 0 ? Math.round((converted / registered.size) * 1000) / 10 : null
+    };
+}
+
+/**
+ * Thresholds from the last ConfigUpdated event at or before `to`
+ */
+function thresholdsAt(events, to = null) {
+    let thresholds = null;
+    for (const event of events) {
+        if (event.type === "ConfigUpdated" && (to === null || event.timestamp <= to)) {
+            thresholds = { marketCapThreshold: event.marketCapThreshold, liquidityThreshold: event.liquidityThreshold };
+        }
+    }
+    return thresholds;
+}
+
+/**
+ * Distribution of the peak curve progress reached by each token in the
+ * window, in 10% bins (the last bin holds everything at or past 100%)
+ *
+ * Progress is the lower of ethReserve/liquidityThreshold and
+ * marketCap/marketCapThreshold of each BondingCurveUpdated event: both must
+ * be met to graduate. Thresholds come from `options.thresholds`, the last
+ * ConfigUpdated event, or `options.defaultThresholds` (the manager's
+ * config()) when no ConfigUpdated event was seen.
+ */
+function curveProgress(events, { from = null, to = null, thresholds = null, defaultThresholds = null } = {}) {
+    const { marketCapThreshold = null, liquidityThreshold = null } =
+        thresholds || thresholdsAt(events, to) || defaultThresholds || {};
+    const bins = [];
+    for (let low = 0; low <= 100; low += PROGRESS_BIN_PCT) {
+        bins.push({ range: low < 100 ? `${low}-${low + PROGRESS_BIN_PCT}%` : "100%+", fromPct: low, tokens: 0, graduated: 0 });
+    }
+    if (!liquidityThreshold) {
+        return { thresholds: null, bins, tokens: [] };
+    }
+
+    const graduated = firstByToken(events, "LiquidityMigrated", { to });
+    const peaks = new Map();
+    for (const event of events) {
+        if (event.type !== "BondingCurveUpdated" || !inWindow(event, { from, to })) {
+            continue;
+        }
+        const liquidityPct = pct(event.ethReserve, liquidityThreshold);
+        const marketCapPct = marketCapThreshold ? pct(event.marketCap, marketCapThreshold) : null;
+        const progressPct = marketCapPct === null ? liquidityPct : Math.min(liquidityPct, marketCapPct);
+
+        const peak = peaks.get(event.token);
+        if (!peak || progressPct > peak.progressPct) {
+            peaks.set(event.token, { token: event.token, progressPct, liquidityPct, marketCapPct, graduated: graduated.has(event.token) });
+        }
+    }
+
+    const tokens = [...peaks.values()].sort((a, b) => b.progressPct - a.progressPct);
+    for (const token of tokens) {
+        const bin = bins[Math.min(Math.floor(token.progressPct / PROGRESS_BIN_PCT), bins.length - 1)];
+        bin.tokens++;
+        if (token.graduated) {
+            bin.graduated++;
+        }
+    }
+
+    return {
+        thresholds: { marketCapThreshold: marketCapThreshold && String(marketCapThreshold), liquidityThreshold: String(liquidityThreshold) },
+        bins,
+        tokens
+    };
+}
+
+/**
+ * Every analytic over one window
+ */
+function analyze(events, { from = null, to = null, thresholds = null, defaultThresholds = null } = {}) {
+    const window = { from, to };
+    return {
+        window: {
+            from: from === null ? null : new Date(from).toISOString(),
+            to: to === null ? null : new Date(to).toISOString()
+        },
+        graduations: {
+            hourly: graduationSeries(events, { ...window, interval: "hour" }),
+            daily: graduationSeries(events, { ...window, interval: "day" }),
+            weekly: graduationSeries(events, { ...window, interval: "week" })
+        },
+        timeToGraduation: timeToGraduation(events, window),
+        conversion: conversion(events, window),
+        curveProgress: curveProgress(events, { ...window, thresholds, defaultThresholds })
+    };
+}
+
+module.exports = {
+    INTERVALS,
+    graduationSeries,
+    timeToGraduation,
+    conversion,
+    curveProgress,
+    percentile,
+    analyze
+};
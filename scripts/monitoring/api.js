@@ -0,0 +1,308 @@
+const http = require("http");
+const { ethers } = require("ethers");
+const { toJSON } = require("./json");
+const { latestHealth } = require("./health");
+const { LEVELS } = require("./policy");
+const { LiveFeed } = require("./stream");
+const { parseDuration } = require("../lib/durations");
+
+/**
+ * Read-only REST API over monitor state
+ *
+ *   GET /events?type=&token=&fromBlock=&limit=&offset=
+ *   GET /alerts?level=&limit=&offset=
+ *   GET /metrics
+ *   GET /tokens/:address
+ *   GET /health                  - latest health check, re-run when stale (503 when unhealthy or unreachable)
+ *   GET /health/history?limit=   - recent health results
+ *   GET /health/uptime?window=   - uptime/SLA summary, 24h by default
+ *   GET /unlocks?limit=&within=  - next LP unlocks and overdue positions
+ *   GET /unlocks.ics             - the unlock calendar as iCalendar
+ *   GET /pairs                   - post-graduation pair state
+ *   GET /stream  - Server-Sent Events live feed (see stream.js)
+ *   WS  /ws      - WebSocket live feed
+ *
+ * Responses are JSON with BigInt values as decimal strings, the same as
+ * GraduationMonitor.exportToJSON.
+ */
+
+const DEFAULT_PAGE_SIZE = 100;
+const MAX_PAGE_SIZE = 1000;
+
+class HttpError extends Error {
+    constructor(status, message) {
+        super(message);
+        this.status = status;
+    }
+}
+
+/**
+ * Parse an optional non-negative integer query parameter
+ */
+function intParam(query, name, fallback) {
+    const raw = query.get(name);
+    if (raw === null || raw === "") {
+        return fallback;
+    }
+
+    const value = Number(raw);
+    if (!Number.isInteger(value) || value < 0) {
+        throw new HttpError(400, `${name} must be a non-negative integer`);
+    }
+    return value;
+}
+
+function addressParam(raw) {
+    try {
+        return ethers.getAddress(raw);
+    } catch (error) {
+        throw new HttpError(400, `Invalid address: ${raw}`);
+    }
+}
+
+/**
+ * Slice a result list according to `limit` and `offset`
+ */
+function paginate(items, query) {
+    const limit = Math.min(intParam(query, "limit", DEFAULT_PAGE_SIZE), MAX_PAGE_SIZE);
+    const offset = intParam(query, "offset", 0);
+    const nextOffset = offset + limit < items.length ? offset + limit : null;
+
+    return { items: items.slice(offset, offset + limit), total: items.length, limit, offset, nextOffset };
+}
+
+class ApiServer {
+    /**
+     * @param {object} options
+     * @param {GraduationMonitor} options.monitor
+     * @param {HealthMonitor} [options.healthMonitor] Backs /health
+     * @param {UnlockScheduler} [options.unlocks] Backs /unlocks and /unlocks.ics
+     * @param {PairWatcher} [options.pairs] Backs /pairs
+     * @param {number} [options.port] Listen port (0 picks a free one)
+     * @param {string} [options.host]
+     * @param {string} [options.corsOrigin] Value for Access-Control-Allow-Origin, none by default
+     * @param {number} [options.healthMaxAgeMs] Re-run the health check when the last one is older
+     */
+    constructor(options) {
+        this.monitor = options.monitor;
+        this.healthMonitor = options.healthMonitor || null;
+        this.unlocks = options.unlocks || null;
+        this.pairs = options.pairs || null;
+        this.port = options.port ?? 8080;
+        this.host = options.host || "0.0.0.0";
+        this.corsOrigin = options.corsOrigin || null;
+        this.healthMaxAgeMs = options.healthMaxAgeMs ?? 30000;
+        this.server = null;
+        this.feed = new LiveFeed({ monitor: this.monitor });
+
+        this.routes = [
+            { pattern: /^\/events$/, handler: (query) => this.events(query) },
+            { pattern: /^\/alerts$/, handler: (query) => this.alerts(query) },
+            { pattern: /^\/metrics$/, handler: () => this.monitor.getMetrics() },
+            { pattern: /^\/tokens\/([^/]+)$/, handler: (query, address) => this.token(address) },
+            { pattern: /^\/health$/, handler: () => this.health() },
+            { pattern: /^\/health\/history$/, handler: (query) => this.healthHistory(query) },
+            { pattern: /^\/health\/uptime$/, handler: (query) => this.uptime(query) },
+            { pattern: /^\/pairs$/, handler: () => this.pairStates() },
+            { pattern: /^\/unlocks$/, handler: (query) => this.nextUnlocks(query) },
+            { pattern: /^\/unlocks\.ics$/, raw: true, handler: (req, res) => this.unlockCalendar(res) },
+            { pattern: /^\/stream$/, raw: true, handler: (req, res, query) => this.feed.acceptSse(req, res, query) }
+        ];
+    }
+
+    async start() {
+        this.server = http.createServer((req, res) => this.handle(req, res));
+        this.feed.attach(this.server);
+        await new Promise(resolve => this.server.listen(this.port, this.host, resolve));
+        this.port = this.server.address().port;
+
+        console.log(`🌐 API server listening on ${this.host}:${this.port}`);
+        return this.port;
+    }
+
+    async stop() {
+        this.feed.close();
+        if (this.server) {
+            await new Promise(resolve => this.server.close(resolve));
+            this.server = null;
+        }
+    }
+
+    async handle(req, res) {
+        const url = new URL(req.url, "http://localhost");
+        let status = 200;
+        let body;
+
+        try {
+            if (req.method !== "GET") {
+                throw new HttpError(405, "Method not allowed");
+            }
+
+            const route = this.routes.find(r => r.pattern.test(url.pathname));
+            if (!route) {
+                throw new HttpError(404, `No route for ${url.pathname}`);
+            }
+
+            if (route.raw) {
+                this.applyCors(res);
+                route.handler(req, res, url.searchParams);
+                return;
+            }
+
+            let params;
+            try {
+                params = url.pathname.match(route.pattern).slice(1).map(decodeURIComponent);
+            } catch (error) {
+                throw new HttpError(400, `Malformed path: ${url.pathname}`);
+            }
+            body = await route.handler(url.searchParams, ...params);
+            if (body && body.httpStatus) {
+                status = body.httpStatus;
+                body = body.body;
+            }
+        } catch (error) {
+            status = error.status || 500;
+            body = { error: status === 500 ? "Internal server error" : error.message };
+            if (status === 500) {
+                console.error("Error serving API request:", error);
+            }
+        }
+
+        res.statusCode = status;
+        res.setHeader("Content-Type", "application/json");
+        this.applyCors(res);
+        res.end(toJSON(body));
+    }
+
+    applyCors(res) {
+        if (this.corsOrigin) {
+            res.setHeader("Access-Control-Allow-Origin", this.corsOrigin);
+        }
+    }
+
+    events(query) {
+        const filter = {
+            type: query.get("type") || undefined,
+            token: query.get("token") ? addressParam(query.get("token")) : undefined,
+            fromBlock: intParam(query, "fromBlock", undefined)
+        };
+        const { items, ...page } = paginate(this.monitor.getEventHistory(filter), query);
+
+        return { events: items, ...page };
+    }
+
+    alerts(query) {
+        const level = query.get("level");
+        if (level && !LEVELS.includes(level)) {
+            throw new HttpError(400, `level must be one of ${LEVELS.join(", ")}`);
+        }
+        const { items, ...page } = paginate(this.monitor.getAlerts(level || null), query);
+
+        return { alerts: items, ...page };
+    }
+
+    /**
+     * Lifecycle summary of one token: its state from the lifecycle tracker
+     * and its stored events
+     */
+    token(raw) {
+        const address = addressParam(raw);
+        const events = this.monitor.getEventHistory({ token: address });
+        if (events.length === 0) {
+            throw new HttpError(404, `No events for token ${address}`);
+        }
+
+        const find = (type) => events.find(e => e.type === type) || null;
+        const migration = find("LiquidityMigrated");
+        const alerts = this.monitor.getAlerts().filter(a => a.data && a.data.token === address);
+        const lifecycle = this.monitor.lifecycle.getToken(address);
+
+        return {
+            address,
+            status: lifecycle ? lifecycle.state : null,
+            registered: find("TokenRegistered"),
+            graduation: find("GraduationTriggered"),
+            migration,
+            lpLocks: events.filter(e => e.type === "LPTokensLocked"),
+            lifecycle,
+            events,
+            alerts
+        };
+    }
+
+    nextUnlocks(query) {
+        if (!this.unlocks) {
+            throw new HttpError(404, "Unlock scheduling is not configured");
+        }
+
+        let withinMs = null;
+        if (query.get("within")) {
+            try {
+                withinMs = parseDuration(query.get("within"));
+            } catch (error) {
+                throw new HttpError(400, error.message);
+            }
+        }
+
+        return {
+            next: this.unlocks.nextUnlocks({ limit: intParam(query, "limit", 10), withinMs }),
+            overdue: this.unlocks.overdue()
+        };
+    }
+
+    pairStates() {
+        if (!this.pairs) {
+            throw new HttpError(404, "Pair surveillance is not configured");
+        }
+        return { pairs: this.pairs.getPairs() };
+    }
+
+    unlockCalendar(res) {
+        if (!this.unlocks) {
+            throw new HttpError(404, "Unlock scheduling is not configured");
+        }
+
+        res.setHeader("Content-Type", "text/calendar; charset=utf-8");
+        res.end(this.unlocks.toICS());
+    }
+
+    async health() {
+        if (!this.healthMonitor) {
+            throw new HttpError(404, "Health monitoring is not configured");
+        }
+
+        const health = await latestHealth(this.healthMonitor, this.healthMaxAgeMs);
+        const up = health.status === "healthy" || health.status === "degraded";
+        return { httpStatus: up ? 200 : 503, body: health };
+    }
+
+    healthHistory(query) {
+        if (!this.healthMonitor) {
+            throw new HttpError(404, "Health monitoring is not configured");
+        }
+        return { history: this.healthMonitor.history.latest(Math.min(intParam(query, "limit", DEFAULT_PAGE_SIZE), MAX_PAGE_SIZE)) };
+    }
+
+    uptime(query) {
+        if (!this.healthMonitor) {
+            throw new HttpError(404, "Health monitoring is not configured");
+        }
+
+        let windowMs;
+        if (query.get("window")) {
+            try {
+                windowMs = parseDuration(query.get("window"));
+            } catch (error) {
+                throw new HttpError(400, error.message);
+            }
+        }
+
+        return this.healthMonitor.getUptime({ windowMs });
+    }
+}
+
+module.exports = {
+    ApiServer,
+    HttpError,
+    paginate
+};
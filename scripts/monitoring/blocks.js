@@ -0,0 +1,86 @@
+/**
+ * Block Timestamp Cache
+ *
+ * Resolves the chain timestamp of the blocks events were emitted in. Each
+ * block is fetched once: concurrent requests for the same block share one
+ * call, and the blocks of a batch of logs are requested together (ethers'
+ * JsonRpcProvider sends same-tick requests as one JSON-RPC batch). The
+ * most recently used `maxEntries` blocks are kept.
+ */
+
+class BlockTimestampCache {
+    /**
+     * @param {object} options
+     * @param {function} options.getBlock `async (blockNumber) => block` with a `timestamp` in seconds
+     * @param {number} [options.maxEntries] Blocks kept in memory
+     * @param {number} [options.batchSize] Blocks requested at once
+     */
+    constructor(options) {
+        this.getBlock = options.getBlock;
+        this.maxEntries = options.maxEntries || 10000;
+        this.batchSize = options.batchSize || 50;
+        this.timestamps = new Map();
+        this.inflight = new Map();
+    }
+
+    has(blockNumber) {
+        return this.timestamps.has(blockNumber);
+    }
+
+    /**
+     * Cached timestamp (seconds) or undefined
+     */
+    peek(blockNumber) {
+        return this.timestamps.get(blockNumber);
+    }
+
+    set(blockNumber, timestamp) {
+        this.timestamps.delete(blockNumber);
+        this.timestamps.set(blockNumber, timestamp);
+        if (this.timestamps.size > this.maxEntries) {
+            this.timestamps.delete(this.timestamps.keys().next().value);
+        }
+    }
+
+    /**
+     * Forget a block, e.g. one replaced by a reorg
+     */
+    delete(blockNumber) {
+        this.timestamps.delete(blockNumber);
+    }
+
+    async get(blockNumber) {
+        await this.resolve([blockNumber]);
+        return this.peek(blockNumber) ?? null;
+    }
+
+    /**
+     * Fetch the timestamps of the given blocks that are not cached yet
+     */
+    async resolve(blockNumbers) {
+        const missing = [...new Set(blockNumbers)].filter(n => !this.timestamps.has(n));
+
+        for (let i = 0; i < missing.length; i += this.batchSize) {
+            await Promise.all(missing.slice(i, i + this.batchSize).map(n => this.fetch(n)));
+        }
+    }
+
+    fetch(blockNumber) {
+        if (!this.inflight.has(blockNumber)) {
+            const request = Promise.resolve(this.getBlock(blockNumber))
+                .then(block => {
+                    if (!block) {
+                        throw new Error(`Block ${blockNumber} not found`);
+                    }
+                    this.set(blockNumber, block.timestamp);
+                })
+                .finally(() => this.inflight.delete(blockNumber));
+            this.inflight.set(blockNumber, request);
+        }
+        return this.inflight.get(blockNumber);
+    }
+}
+
+module.exports = {
+    BlockTimestampCache
+};
@@ -0,0 +1,257 @@
+const { ethers } = require("ethers");
+
+/**
+ * Health Rules and History
+ *
+ * HealthMonitor collects raw checks (security contract flags and rate-limit
+ * usage, RPC head age, manager ETH balance, bonding-curve freshness); each
+ * rule below turns one of them into a failure of a given severity. Rules
+ * whose check was not collected (e.g. no security contract configured) are
+ * skipped. The overall status is the most severe failing rule:
+ *   healthy < degraded < unhealthy < error (contract unreachable)
+ *
+ * HealthHistory keeps a rolling record of results for state-change
+ * detection and uptime/SLA summaries.
+ */
+
+const HEALTH_STATUSES = ["healthy", "degraded", "unhealthy", "error"];
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+
+const isDown = status => status === "unhealthy" || status === "error";
+
+/**
+ * Rules keyed by name. `test(checks, threshold)` returns a failure message,
+ * or a falsy value when the rule passes; `requires` names the check the
+ * rule reads.
+ */
+const DEFAULT_HEALTH_RULES = {
+    paused: {
+        severity: "unhealthy",
+        requires: "paused",
+        test: (checks) => checks.paused && "Contract is paused"
+    },
+    circuitBreaker: {
+        severity: "unhealthy",
+        requires: "circuitBreaker",
+        test: (checks) => checks.circuitBreaker.isTripped &&
+            `Circuit breaker tripped: ${checks.circuitBreaker.reason}`
+    },
+    emergencyMode: {
+        severity: "unhealthy",
+        requires: "emergencyMode",
+        test: (checks) => checks.emergencyMode && "Emergency mode is active"
+    },
+    rateLimitGraduations: {
+        severity: "degraded",
+        threshold: 80, // % of the window's graduations used
+        requires: "rateLimit",
+        test: (checks, threshold) => checks.rateLimit.graduationsUsedPct >= threshold &&
+            `${checks.rateLimit.graduationsUsedPct}% of the graduation rate limit used`
+    },
+    rateLimitLiquidity: {
+        severity: "degraded",
+        threshold: 80, // % of the window's liquidity used
+        requires: "rateLimit",
+        test: (checks, threshold) => checks.rateLimit.liquidityUsedPct >= threshold &&
+            `${checks.rateLimit.liquidityUsedPct}% of the liquidity rate limit used`
+    },
+    rpcLag: {
+        severity: "degraded",
+        threshold: 120, // seconds since the latest block
+        requires: "rpc",
+        test: (checks, threshold) => checks.rpc.blockAgeSeconds > threshold &&
+            `Latest block ${checks.rpc.blockNumber} is ${checks.rpc.blockAgeSeconds}s old`
+    },
+    lowBalance: {
+        severity: "degraded",
+        // Minimum ETH the manager is expected to hold; unset by default, as
+        // the manager forwards all ETH to the pair and normally holds none
+        threshold: null,
+        requires: "balance",
+        test: (checks, threshold) => threshold !== null &&
+            ethers.parseEther(checks.balance) < ethers.parseEther(String(threshold)) &&
+            `Manager balance ${checks.balance} ETH is below the expected ${threshold} ETH`
+    },
+    staleBondingCurves: {
+        severity: "degraded",
+        threshold: 6 * HOUR, // ms without a bonding-curve change
+        requires: "bondingCurves",
+        test: (checks, threshold) => {
+            const stale = checks.bondingCurves.filter(c => c.unchangedForMs >= threshold);
+            return stale.length > 0 &&
+                `${stale.length} bonding curve(s) unchanged for ${Math.round(threshold / MINUTE)}m: ${stale.map(c => c.token).join(", ")}`;
+        }
+    }
+};
+
+/**
+ * Merge rule overrides (`{ name: { threshold, severity } }`, or `false` to
+ * disable a rule) over DEFAULT_HEALTH_RULES
+ */
+function buildRules(overrides = {}) {
+    const rules = {};
+    for (const name of new Set([...Object.keys(DEFAULT_HEALTH_RULES), ...Object.keys(overrides)])) {
+        if (overrides[name] === false) {
+            continue;
+        }
+        const rule = { ...DEFAULT_HEALTH_RULES[name], ...(overrides[name] || {}) };
+        if (typeof rule.test !== "function") {
+            throw new Error(`Health rule ${name} has no test`);
+        }
+        if (!HEALTH_STATUSES.includes(rule.severity) || rule.severity === "healthy") {
+            throw new Error(`Invalid severity for health rule ${name}: ${rule.severity}`);
+        }
+        rules[name] = rule;
+    }
+    return rules;
+}
+
+/**
+ * Run every rule against the checks; returns the status, failing rules and
+ * rules skipped for lack of data
+ */
+function evaluateRules(rules, checks) {
+    const failures = [];
+    const skipped = [];
+
+    for (const [name, rule] of Object.entries(rules)) {
+        if (rule.requires && checks[rule.requires] === undefined) {
+            skipped.push(name);
+            continue;
+        }
+        const message = rule.test(checks, rule.threshold);
+        if (message) {
+            failures.push({ rule: name, severity: rule.severity, message });
+        }
+    }
+
+    const status = failures.reduce((worst, failure) =>
+        HEALTH_STATUSES.indexOf(failure.severity) > HEALTH_STATUSES.indexOf(worst) ? failure.severity : worst, "healthy");
+
+    return { status, failures, skipped };
+}
+
+// HealthMonitor => its in-flight on-demand check
+const refreshes = new WeakMap();
+
+/**
+ * A HealthMonitor's last result while it is younger than `maxAgeMs`, else a
+ * new check that concurrent callers share. On-demand checks (API requests,
+ * scrapes, probes) are not recorded in the history, so they do not skew the
+ * uptime figures of the scheduled checks.
+ */
+function latestHealth(healthMonitor, maxAgeMs) {
+    const last = healthMonitor.lastHealth;
+    if (last && Date.now() - Date.parse(last.timestamp) < maxAgeMs) {
+        return Promise.resolve(last);
+    }
+
+    if (!refreshes.has(healthMonitor)) {
+        refreshes.set(healthMonitor, healthMonitor.checkHealth({ record: false }).finally(() => {
+            refreshes.delete(healthMonitor);
+        }));
+    }
+    return refreshes.get(healthMonitor);
+}
+
+class HealthHistory {
+    /**
+     * @param {object} [options]
+     * @param {number} [options.maxEntries] Oldest results are dropped beyond this
+     * @param {number} [options.slaTargetPct] Uptime target reported by `uptime()`
+     */
+    constructor(options = {}) {
+        this.maxEntries = options.maxEntries || 10000;
+        this.slaTargetPct = options.slaTargetPct ?? 99.9;
+        this.entries = [];
+    }
+
+    /**
+     * Add a result; returns `{ from, to }` when the status changed
+     */
+    record(health) {
+        const previous = this.entries[this.entries.length - 1];
+        this.entries.push({
+            timestamp: Date.parse(health.timestamp),
+            status: health.status,
+            failing: (health.failures || []).map(f => f.rule)
+        });
+        if (this.entries.length > this.maxEntries) {
+            this.entries.shift();
+        }
+
+        if (!previous) {
+            return health.status !== "healthy" ? { from: null, to: health.status } : null;
+        }
+        return previous.status !== health.status ? { from: previous.status, to: health.status } : null;
+    }
+
+    latest(limit = 100) {
+        return this.entries.slice(-limit).map(entry => ({ ...entry, timestamp: new Date(entry.timestamp).toISOString() }));
+    }
+
+    /**
+     * Time spent in each status over the window, counting healthy and
+     * degraded as up
+     */
+    uptime({ windowMs = 24 * HOUR, now = Date.now() } = {}) {
+        const from = now - windowMs;
+        const durationsMs = Object.fromEntries(HEALTH_STATUSES.map(status => [status, 0]));
+        let incidents = 0;
+
+        for (let i = 0; i < this.entries.length; i++) {
+            const entry = this.entries[i];
+            const end = i + 1 < this.entries.length ? this.entries[i + 1].timestamp : now;
+            if (end <= from) {
+                continue;
+            }
+
+            durationsMs[entry.status] += end - Math.max(entry.timestamp, from);
+
+            const previous = this.entries[i - 1];
+            if (entry.timestamp >= from && isDown(entry.status) && !(previous && isDown(previous.status))) {
+                incidents++;
+            }
+        }
+
+        const covered = Object.values(durationsMs).reduce((a, b) => a + b, 0);
+        const uptimePct = covered > 0
+            ? Math.round(((durationsMs.healthy + durationsMs.degraded) / covered) * 100000) / 1000
+            : null;
+
+        const current = this.entries[this.entries.length - 1] || null;
+        let currentSince = null;
+        if (current) {
+            let i = this.entries.length - 1;
+            while (i > 0 && this.entries[i - 1].status === current.status) {
+                i--;
+            }
+            currentSince = new Date(this.entries[i].timestamp).toISOString();
+        }
+
+        return {
+            windowMs,
+            from: new Date(from).toISOString(),
+            to: new Date(now).toISOString(),
+            checks: this.entries.filter(e => e.timestamp >= from).length,
+            durationsMs,
+            uptimePct,
+            slaTargetPct: this.slaTargetPct,
+            slaMet: uptimePct === null ? null : uptimePct >= this.slaTargetPct,
+            incidents,
+            currentStatus: current ? current.status : null,
+            currentSince
+        };
+    }
+}
+
+module.exports = {
+    HEALTH_STATUSES,
+    DEFAULT_HEALTH_RULES,
+    buildRules,
+    evaluateRules,
+    latestHealth,
+    HealthHistory
+};
@@ -0,0 +1,19 @@
+/**
+ * JSON helpers shared by the monitor, its stores and its exports
+ */
+
+/**
+ * Serialize BigInt values as decimal strings
+ */
+function bigintReplacer(key, value) {
+    return typeof value === "bigint" ? value.toString() : value;
+}
+
+function toJSON(value, space) {
+    return JSON.stringify(value, bigintReplacer, space);
+}
+
+module.exports = {
+    bigintReplacer,
+    toJSON
+};
@@ -0,0 +1,265 @@
+const http = require("http");
+const { ethers } = require("ethers");
+const { HEALTH_STATUSES, latestHealth } = require("./health");
+
+/**
+ * Prometheus Metrics Server
+ *
+ * Serves the monitor's metrics and the latest health check in the Prometheus
+ * text exposition format, plus liveness and readiness probes:
+ *   GET /metrics  - gauges and the graduation size histogram
+ *   GET /healthz  - 200 while the process is serving
+ *   GET /readyz   - 200 once the monitor is live and the contract is reachable
+ */
+
+const DEFAULT_SIZE_BUCKETS = [0.1, 0.5, 1, 5, 10, 50, 100, 500];
+
+/**
+ * Render one metric family in the text exposition format
+ */
+function formatMetric(name, type, help, samples) {
+    const lines = [`# HELP ${name} ${help}`, `# TYPE ${name} ${type}`];
+
+    for (const { suffix = "", labels = {}, value } of samples) {
+        const pairs = Object.entries(labels)
+            .map(([key, label]) => `${key}="${String(label).replace(/\\/g, "\\\\").replace(/"/g, "\\\"").replace(/\n/g, "\\n")}"`);
+        const labelText = pairs.length ? `{${pairs.join(",")}}` : "";
+        lines.push(`${name}${suffix}${labelText} ${formatValue(value)}`);
+    }
+
+    return lines.join("\n");
+}
+
+function formatValue(value) {
+    if (value === Infinity) {
+        return "+Inf";
+    }
+    return typeof value === "boolean" ? String(Number(value)) : String(value);
+}
+
+/**
+ * Wei amount as a float in whole tokens
+ */
+function toUnits(wei) {
+    return Number(ethers.formatEther(wei));
+}
+
+/**
+ * Cumulative histogram, observations can be removed again after a reorg
+ */
+class Histogram {
+    constructor(buckets) {
+        this.buckets = [...buckets].sort((a, b) => a - b);
+        this.counts = this.buckets.map(() => 0);
+        this.sum = 0;
+        this.count = 0;
+    }
+
+    observe(value, direction = 1) {
+        this.buckets.forEach((bound, i) => {
+            if (value <= bound) {
+                this.counts[i] += direction;
+            }
+        });
+        this.sum += value * direction;
+        this.count += direction;
+    }
+
+    samples() {
+        return [
+            ...this.buckets.map((bound, i) => ({ suffix: "_bucket", labels: { le: bound }, value: this.counts[i] })),
+            { suffix: "_bucket", labels: { le: "+Inf" }, value: this.count },
+            { suffix: "_sum", value: this.sum },
+            { suffix: "_count", value: this.count }
+        ];
+    }
+}
+
+class MetricsServer {
+    /**
+     * @param {object} options
+     * @param {GraduationMonitor} options.monitor
+     * @param {HealthMonitor} [options.healthMonitor] Source of contract state gauges
+     * @param {number} [options.port] Listen port (0 picks a free one)
+     * @param {string} [options.host]
+     * @param {number[]} [options.sizeBuckets] Graduation size histogram buckets, in LP tokens
+     * @param {number} [options.healthMaxAgeMs] Re-run the health check when the last one is older
+     */
+    constructor(options) {
+        this.monitor = options.monitor;
+        this.healthMonitor = options.healthMonitor || null;
+        this.port = options.port ?? 9464;
+        this.host = options.host || "0.0.0.0";
+        this.healthMaxAgeMs = options.healthMaxAgeMs ?? 30000;
+        this.server = null;
+
+        // Seed from stored history, then follow the monitor
+        this.graduationSize = new Histogram(options.sizeBuckets || DEFAULT_SIZE_BUCKETS);
+        for (const event of this.monitor.getEventHistory({ type: "LiquidityMigrated" })) {
+            this.graduationSize.observe(toUnits(event.liquidity));
+        }
+        this.onEvent = (event) => {
+            if (event.type === "LiquidityMigrated") {
+                this.graduationSize.observe(toUnits(event.liquidity));
+            }
+        };
+        this.onRollback = (event) => {
+            if (event.type === "LiquidityMigrated") {
+                this.graduationSize.observe(toUnits(event.liquidity), -1);
+            }
+        };
+        this.monitor.on("event", this.onEvent);
+        this.monitor.on("rollback", this.onRollback);
+    }
+
+    async start() {
+        this.server = http.createServer((req, res) => {
+            this.handle(req, res).catch(error => {
+                console.error("Error serving metrics:", error);
+                res.statusCode = 500;
+                res.end("internal error\n");
+            });
+        });
+        await new Promise(resolve => this.server.listen(this.port, this.host, resolve));
+        this.port = this.server.address().port;
+
+        console.log(`📈 Metrics server listening on ${this.host}:${this.port}`);
+        return this.port;
+    }
+
+    async stop() {
+        this.monitor.off("event", this.onEvent);
+        this.monitor.off("rollback", this.onRollback);
+        if (this.server) {
+            await new Promise(resolve => this.server.close(resolve));
+            this.server = null;
+        }
+    }
+
+    async handle(req, res) {
+        const { pathname } = new URL(req.url, "http://localhost");
+
+        if (req.method !== "GET") {
+            res.statusCode = 405;
+            res.end("method not allowed\n");
+        } else if (pathname === "/metrics") {
+            res.setHeader("Content-Type", "text/plain; version=0.0.4; charset=utf-8");
+            res.end(await this.render());
+        } else if (pathname === "/healthz") {
+            res.end("ok\n");
+        } else if (pathname === "/readyz") {
+            const readiness = await this.readiness();
+            res.statusCode = readiness.ready ? 200 : 503;
+            res.setHeader("Content-Type", "application/json");
+            res.end(JSON.stringify(readiness) + "\n");
+        } else {
+            res.statusCode = 404;
+            res.end("not found\n");
+        }
+    }
+
+    /**
+     * Latest health check, refreshed when stale (see latestHealth)
+     */
+    async health() {
+        return this.healthMonitor ? latestHealth(this.healthMonitor, this.healthMaxAgeMs) : null;
+    }
+
+    async readiness() {
+        if (!this.monitor.ready) {
+            return { ready: false, reason: "monitor not started" };
+        }
+
+        const connection = this.monitor.watchdog ? this.monitor.watchdog.getStatus() : null;
+        if (connection && connection.stalled) {
+            return { ready: false, reason: `RPC stalled: ${connection.lastError || "no new blocks"}` };
+        }
+
+        const health = await this.health();
+        if (health && health.status === "error") {
+            return { ready: false, reason: health.error };
+        }
+
+        return { ready: true };
+    }
+
+    async render() {
+        const metrics = this.monitor.getMetrics();
+        const families = [
+            // Totals go down again when a reorg rolls their events back, so they
+            // are gauges: a Prometheus counter that decreases reads as a reset
+            formatMetric("graduation_graduations", "gauge",
+                "Tokens graduated to Uniswap", [{ value: metrics.totalGraduations }]),
+            formatMetric("graduation_circuit_breaker_trips", "gauge",
+                "Circuit breaker trips", [{ value: metrics.circuitBreakerTrips }]),
+            formatMetric("graduation_emergency_activations", "gauge",
+                "Emergency mode activations", [{ value: metrics.emergencyModeActivations }]),
+            formatMetric("graduation_liquidity_added_tokens", "gauge",
+                "LP tokens minted by graduations", [{ value: toUnits(metrics.totalLiquidityAdded) }]),
+            formatMetric("graduation_lp_locked_tokens", "gauge",
+                "LP tokens currently locked", [{ value: toUnits(metrics.totalLPLocked) }]),
+            formatMetric("graduation_size_tokens", "histogram",
+                "LP tokens minted per graduation", this.graduationSize.samples()),
+            formatMetric("graduation_monitor_events", "gauge",
+                "Events in the monitor store", [{ value: metrics.totalEvents }]),
+            formatMetric("graduation_monitor_alerts", "gauge",
+                "Alerts in the monitor store", [{ value: metrics.totalAlerts }]),
+            formatMetric("graduation_monitor_pending_events", "gauge",
+                "Events waiting for confirmations", [{ value: this.monitor.pending.size }]),
+            formatMetric("graduation_monitor_last_block", "gauge",
+                "Block of the last processed event", [{ value: this.monitor.cursor ? this.monitor.cursor.blockNumber : 0 }]),
+            formatMetric("graduation_monitor_ready", "gauge",
+                "Whether the monitor is live", [{ value: this.monitor.ready }])
+        ];
+
+        const health = await this.health();
+        if (health) {
+            families.push(
+                formatMetric("graduation_contract_up", "gauge",
+                    "Whether the last health check reached the contract", [{ value: health.status !== "error" }]),
+                formatMetric("graduation_health_status", "gauge",
+                    "Overall health status of the last check",
+                    HEALTH_STATUSES.map(status => ({ labels: { status }, value: health.status === status })))
+            );
+        }
+        if (this.healthMonitor && this.healthMonitor.history) {
+            const { uptimePct } = this.healthMonitor.getUptime();
+            if (uptimePct !== null) {
+                families.push(formatMetric("graduation_health_uptime_ratio", "gauge",
+                    "Share of the last 24h the contract was healthy or degraded", [{ value: uptimePct / 100 }]));
+            }
+        }
+        // Security contract state, when the health monitor has one
+        if (health && health.status !== "error" && health.checks.rateLimit) {
+            const { checks } = health;
+            families.push(
+                formatMetric("graduation_contract_paused", "gauge",
+                    "Whether the contract is paused", [{ value: checks.paused }]),
+                formatMetric("graduation_circuit_breaker_tripped", "gauge",
+                    "Whether the circuit breaker is tripped", [{ value: checks.circuitBreaker.isTripped }]),
+                formatMetric("graduation_emergency_mode", "gauge",
+                    "Whether emergency mode is active", [{ value: checks.emergencyMode }]),
+                formatMetric("graduation_rate_limit_graduations", "gauge",
+                    "Graduations in the current rate-limit window", [
+                        { labels: { state: "used" }, value: checks.rateLimit.graduationsUsed },
+                        { labels: { state: "remaining" }, value: checks.rateLimit.graduationsRemaining }
+                    ]),
+                formatMetric("graduation_rate_limit_liquidity_eth", "gauge",
+                    "Liquidity in the current rate-limit window", [
+                        { labels: { state: "used" }, value: checks.rateLimit.liquidityUsed },
+                        { labels: { state: "remaining" }, value: checks.rateLimit.liquidityRemaining }
+                    ]),
+                formatMetric("graduation_rate_limit_window_seconds", "gauge",
+                    "Seconds until the rate-limit window ends", [{ value: checks.rateLimit.windowEndsIn }])
+            );
+        }
+
+        return families.join("\n") + "\n";
+    }
+}
+
+module.exports = {
+    MetricsServer,
+    Histogram,
+    formatMetric
+};
@@ -0,0 +1,339 @@
+const { ethers } = require("ethers");
+
+/**
+ * Post-graduation Pair Watcher
+ *
+ * Follows the Uniswap V2 pair of every graduated token (Sync / Swap / Burn
+ * events plus periodic getPairReserves polls) and compares it against what
+ * was migrated (graduations[token].initialLiquidity):
+ * - "Pair Liquidity Drained": ETH reserve fell by liquidityDropPct or more
+ * - "Extreme Price Move": price moved by priceMovePct or more from the price at migration
+ * - "LP Supply Changed": pair LP supply fell by lpSupplyDropPct or more while LP is locked
+ * - "Locked LP Moved": the manager's locked LP balance shrank before unlockTime
+ */
+
+const PAIR_ABI = [
+    "event Sync(uint112 reserve0, uint112 reserve1)",
+    "event Swap(address indexed sender, uint256 amount0In, uint256 amount1In, uint256 amount0Out, uint256 amount1Out, address indexed to)",
+    "event Burn(address indexed sender, uint256 amount0, uint256 amount1, address indexed to)",
+    "function totalSupply() view returns (uint256)"
+];
+
+const DEFAULT_THRESHOLDS = {
+    liquidityDropPct: 50,
+    priceMovePct: 50,
+    lpSupplyDropPct: 10
+};
+
+const PRICE_SCALE = 10n ** 18n;
+
+/**
+ * ETH per token, scaled by PRICE_SCALE
+ */
+function price(ethReserve, tokenReserve) {
+    return tokenReserve > 0n ? (ethReserve * PRICE_SCALE) / tokenReserve : 0n;
+}
+
+/**
+ * Percentage change from `base` to `value` (negative for a drop)
+ */
+function percentChange(base, value) {
+    if (base === 0n) {
+        return 0;
+    }
+    return Number(((value - base) * 10000n) / base) / 100;
+}
+
+class PairWatcher {
+    /**
+     * @param {object} options
+     * @param {GraduationMonitor} options.monitor
+     * @param {object} [options.thresholds] Overrides for DEFAULT_THRESHOLDS
+     * @param {number} [options.pollIntervalMs] How often reserves are polled
+     * @param {function} [options.pairContract] (address) => pair contract, for custom providers
+     */
+    constructor(options) {
+        this.monitor = options.monitor;
+        this.thresholds = { ...DEFAULT_THRESHOLDS, ...(options.thresholds || {}) };
+        this.pollIntervalMs = options.pollIntervalMs || 60 * 1000;
+        this.pairContract = options.pairContract ||
+            ((address) => new ethers.Contract(address, PAIR_ABI, this.monitor.provider));
+        this.pairs = new Map();
+        // token => { pair, blockNumber } of pairs whose watch() failed, retried on every poll
+        this.failed = new Map();
+        this.timer = null;
+
+        this.onEvent = (event) => {
+            if (event.type === "LiquidityMigrated") {
+                this.tryWatch(event.token, event.pair, event.blockNumber);
+            }
+        };
+        this.onRollback = (event) => {
+            if (event.type === "LiquidityMigrated") {
+                this.unwatch(event.token);
+                this.failed.delete(event.token);
+            }
+        };
+        this.onReconnect = () => {
+            this.resubscribe().catch(error => console.error("Error resubscribing to pairs:", error));
+        };
+    }
+
+    /**
+     * Watch every already graduated token, then follow new graduations
+     */
+    async start() {
+        this.monitor.on("event", this.onEvent);
+        this.monitor.on("rollback", this.onRollback);
+        this.monitor.on("reconnect", this.onReconnect);
+
+        for (const token of this.monitor.lifecycle.getTokens()) {
+            if (token.pair && ["graduated", "locked", "unlocked"].includes(token.state)) {
+                const migration = token.transitions.find(t => t.state === "graduated");
+                await this.tryWatch(token.token, token.pair, migration ? migration.blockNumber : null);
+            }
+        }
+
+        this.timer = setInterval(() => {
+            this.pollAll().catch(error => console.error("Error polling pairs:", error));
+        }, this.pollIntervalMs);
+        this.timer.unref();
+    }
+
+    stop() {
+        clearInterval(this.timer);
+        this.timer = null;
+        this.monitor.off("event", this.onEvent);
+        this.monitor.off("rollback", this.onRollback);
+        this.monitor.off("reconnect", this.onReconnect);
+        for (const token of [...this.pairs.keys()]) {
+            this.unwatch(token);
+        }
+        this.failed.clear();
+    }
+
+    /**
+     * Watch a pair, remembering it for a retry on the next poll if that fails
+     */
+    async tryWatch(token, pairAddress, migrationBlock) {
+        try {
+            await this.watch(token, pairAddress, migrationBlock);
+            this.failed.delete(token);
+        } catch (error) {
+            console.error(`Error watching pair of ${token}:`, error);
+            this.failed.set(token, { pair: pairAddress, blockNumber: migrationBlock });
+        }
+    }
+
+    /**
+     * @param {string} token
+     * @param {string} pairAddress
+     * @param {number|null} migrationBlock Block of LiquidityMigrated; its reserves are the price baseline
+     */
+    async watch(token, pairAddress, migrationBlock = null) {
+        if (this.pairs.has(token)) {
+            return this.pairs.get(token);
+        }
+
+        const manager = this.monitor.contract;
+        const [graduation, reserves, migrated] = await Promise.all([
+            manager.graduations(token),
+            manager.getPairReserves(token),
+            this.migrationReserves(token, migrationBlock)
+        ]);
+        const contract = this.pairContract(pairAddress);
+        const tokenIsToken0 = reserves.token0.toLowerCase() === token.toLowerCase();
+
+        const state = {
+            token,
+            pair: pairAddress,
+            contract,
+            tokenIsToken0,
+            initialLiquidity: graduation.initialLiquidity,
+            lpLocked: graduation.lpTokensLocked,
+            unlockTime: Number(graduation.unlockTime),
+            baselinePrice: migrated
+                ? price(tokenIsToken0 ? migrated.reserve1 : migrated.reserve0, tokenIsToken0 ? migrated.reserve0 : migrated.reserve1)
+                : null,
+            baselineSupply: await contract.totalSupply(),
+            ethReserve: 0n,
+            tokenReserve: 0n,
+            price: 0n,
+            totalSupply: null,
+            swaps: 0,
+            burns: 0,
+            updatedAt: null
+        };
+        this.pairs.set(token, state);
+        await this.subscribe(state);
+
+        console.log(`👀 Watching pair ${pairAddress} of ${token}`);
+        this.update(state, reserves.reserve0, reserves.reserve1);
+        return state;
+    }
+
+    /**
+     * Pair reserves as of the migration block, or null when the block is
+     * unknown or the node has pruned its state
+     */
+    async migrationReserves(token, blockNumber) {
+        if (blockNumber === null || blockNumber === undefined) {
+            return null;
+        }
+        try {
+            return await this.monitor.contract.getPairReserves(token, { blockTag: blockNumber });
+        } catch (error) {
+            console.warn(`⚠️ Reserves of ${token} at migration block ${blockNumber} unavailable, using the first observation:`, error.message);
+            return null;
+        }
+    }
+
+    async subscribe(state) {
+        await state.contract.on("Sync", (reserve0, reserve1) => this.update(state, reserve0, reserve1));
+        await state.contract.on("Swap", () => {
+            state.swaps++;
+        });
+        await state.contract.on("Burn", () => {
+            state.burns++;
+            this.checkLocks(state).catch(error => console.error(`Error checking LP of ${state.token}:`, error));
+        });
+    }
+
+    /**
+     * Move every pair subscription to the monitor's new provider and catch
+     * up on changes missed while disconnected
+     */
+    async resubscribe() {
+        for (const state of this.pairs.values()) {
+            state.contract.removeAllListeners();
+            state.contract = this.pairContract(state.pair);
+            await this.subscribe(state);
+        }
+        await this.pollAll();
+    }
+
+    unwatch(token) {
+        const state = this.pairs.get(token);
+        if (state) {
+            state.contract.removeAllListeners();
+            this.pairs.delete(token);
+        }
+    }
+
+    /**
+     * Record new reserves and check liquidity and price against the migration
+     */
+    update(state, reserve0, reserve1) {
+        state.ethReserve = state.tokenIsToken0 ? reserve1 : reserve0;
+        state.tokenReserve = state.tokenIsToken0 ? reserve0 : reserve1;
+        state.price = price(state.ethReserve, state.tokenReserve);
+        state.updatedAt = Date.now();
+        if (state.baselinePrice === null) {
+            state.baselinePrice = state.price;
+        }
+
+        const liquidityChange = percentChange(state.initialLiquidity, state.ethReserve);
+        if (-liquidityChange >= this.thresholds.liquidityDropPct) {
+            this.monitor.sendAlert({
+                level: "critical",
+                title: "Pair Liquidity Drained",
+                message: `Pair ${state.pair} of ${state.token} holds ${ethers.formatEther(state.ethReserve)} ETH, ` +
+                    `${-liquidityChange}% below the ${ethers.formatEther(state.initialLiquidity)} ETH migrated`,
+                data: this.snapshot(state, { changePct: liquidityChange })
+            });
+        }
+
+        const priceChange = percentChange(state.baselinePrice, state.price);
+        if (Math.abs(priceChange) >= this.thresholds.priceMovePct) {
+            this.monitor.sendAlert({
+                level: "warning",
+                title: "Extreme Price Move",
+                message: `Price of ${state.token} moved ${priceChange > 0 ? "+" : ""}${priceChange}% since graduation`,
+                data: this.snapshot(state, { changePct: priceChange })
+            });
+        }
+    }
+
+    /**
+     * While LP is locked, neither the pair's LP supply nor the manager's locked balance should shrink
+     */
+    async checkLocks(state) {
+        if (Date.now() >= state.unlockTime * 1000) {
+            return;
+        }
+
+        const [totalSupply, locked] = await Promise.all([
+            state.contract.totalSupply(),
+            this.monitor.contract.getLockedLPBalance(state.token)
+        ]);
+        state.totalSupply = totalSupply;
+
+        if (locked < state.lpLocked) {
+            this.monitor.sendAlert({
+                level: "critical",
+                title: "Locked LP Moved",
+                message: `Locked LP of ${state.token} fell from ${ethers.formatEther(state.lpLocked)} to ${ethers.formatEther(locked)} before unlock`,
+                data: this.snapshot(state, { locked: locked.toString() })
+            });
+        }
+
+        const supplyChange = percentChange(state.baselineSupply, totalSupply);
+        if (-supplyChange >= this.thresholds.lpSupplyDropPct) {
+            this.monitor.sendAlert({
+                level: "warning",
+                title: "LP Supply Changed",
+                message: `LP supply of ${state.pair} fell ${-supplyChange}% while ${state.token} LP is locked`,
+                data: this.snapshot(state, { changePct: supplyChange })
+            });
+        }
+    }
+
+    /**
+     * Retry failed watches, then poll reserves and locks of every watched
+     * pair (covers missed events). One failing pair does not stop the others.
+     */
+    async pollAll() {
+        for (const [token, { pair, blockNumber }] of [...this.failed]) {
+            await this.tryWatch(token, pair, blockNumber);
+        }
+
+        for (const state of [...this.pairs.values()]) {
+            try {
+                const reserves = await this.monitor.contract.getPairReserves(state.token);
+                this.update(state, reserves.reserve0, reserves.reserve1);
+                await this.checkLocks(state);
+            } catch (error) {
+                console.error(`Error polling pair of ${state.token}:`, error);
+            }
+        }
+    }
+
+    snapshot(state, extra = {}) {
+        return {
+            token: state.token,
+            pair: state.pair,
+            ethReserve: state.ethReserve,
+            tokenReserve: state.tokenReserve,
+            price: state.price,
+            initialLiquidity: state.initialLiquidity,
+            totalSupply: state.totalSupply,
+            swaps: state.swaps,
+            burns: state.burns,
+            updatedAt: state.updatedAt,
+            ...extra
+        };
+    }
+
+    getPairs() {
+        return [...this.pairs.values()].map(state => this.snapshot(state, {
+            liquidityChangePct: percentChange(state.initialLiquidity, state.ethReserve),
+            priceChangePct: percentChange(state.baselinePrice, state.price)
+        }));
+    }
+}
+
+module.exports = {
+    PairWatcher,
+    PAIR_ABI,
+    DEFAULT_THRESHOLDS
+};
@@ -0,0 +1,160 @@
+/**
+ * Alert Policy Engine
+ *
+ * Decides whether an alert raised by the monitor is actually emitted:
+ * - Deduplication: alerts share a key (alert title plus token by default)
+ * - Cooldown: repeats of a key inside the window are suppressed and counted
+ * - Escalation: an open condition (e.g. a tripped breaker) that is not
+ *   resolved in time is re-alerted at a higher level
+ *
+ * Per-sink rate caps live on the sinks themselves (see alerts.js).
+ */
+
+const LEVELS = ["info", "warning", "critical", "emergency"];
+
+/**
+ * Rules keyed by alert title
+ *   key        - (alert) => string, part of the dedup key after the title
+ *   cooldownMs - suppress repeats of the same key for this long
+ *   escalate   - { afterMs, level, repeatMs } re-alert while still unresolved
+ */
+const DEFAULT_ALERT_RULES = {
+    "Approaching Graduation": {
+        key: alert => alert.data.token,
+        cooldownMs: 60 * 60 * 1000
+    },
+    "Pair Liquidity Drained": {
+        cooldownMs: 60 * 60 * 1000
+    },
+    "Extreme Price Move": {
+        cooldownMs: 60 * 60 * 1000
+    },
+    "LP Supply Changed": {
+        cooldownMs: 60 * 60 * 1000
+    },
+    "RPC Provider Stalled": {
+        cooldownMs: 15 * 60 * 1000
+    },
+    "Circuit Breaker Tripped": {
+        cooldownMs: 5 * 60 * 1000,
+        escalate: { afterMs: 30 * 60 * 1000, level: "emergency", repeatMs: 60 * 60 * 1000 }
+    },
+    "Emergency Mode Activated": {
+        cooldownMs: 5 * 60 * 1000,
+        escalate: { afterMs: 60 * 60 * 1000, level: "emergency", repeatMs: 60 * 60 * 1000 }
+    }
+};
+
+class AlertPolicy {
+    /**
+     * @param {object} [options]
+     * @param {object} [options.rules] Rules keyed by alert title, merged over DEFAULT_ALERT_RULES
+     * @param {number} [options.defaultCooldownMs] Cooldown for alerts without a rule (0 disables dedup)
+     * @param {number} [options.checkIntervalMs] How often the monitor checks for due escalations
+     */
+    constructor(options = {}) {
+        this.rules = { ...DEFAULT_ALERT_RULES, ...(options.rules || {}) };
+        this.defaultCooldownMs = options.defaultCooldownMs || 0;
+        this.checkIntervalMs = options.checkIntervalMs || 60 * 1000;
+
+        // Dedup key => { lastSentAt, suppressed }
+        this.history = new Map();
+        // Dedup key => { alert, openedAt, lastEscalatedAt }
+        this.openConditions = new Map();
+    }
+
+    ruleFor(alert) {
+        return this.rules[alert.title] || {};
+    }
+
+    keyFor(alert) {
+        const rule = this.ruleFor(alert);
+        const suffix = rule.key ? rule.key(alert) : (alert.data && alert.data.token);
+        return suffix ? `${alert.title}:${suffix}` : alert.title;
+    }
+
+    /**
+     * Decide whether to emit an alert, recording it if so
+     *
+     * Escalations produced by `dueEscalations` always pass. An admitted alert
+     * carries `suppressed`, the number of duplicates dropped since the last one.
+     */
+    admit(alert, now = Date.now()) {
+        if (alert.escalated) {
+            return true;
+        }
+
+        const rule = this.ruleFor(alert);
+        const key = this.keyFor(alert);
+        const cooldownMs = rule.cooldownMs ?? this.defaultCooldownMs;
+        const entry = this.history.get(key);
+
+        if (entry && cooldownMs > 0 && now - entry.lastSentAt < cooldownMs) {
+            entry.suppressed++;
+            return false;
+        }
+
+        if (entry && entry.suppressed > 0) {
+            alert.suppressed = entry.suppressed;
+        }
+        this.history.set(key, { lastSentAt: now, suppressed: 0 });
+
+        if (rule.escalate && !this.openConditions.has(key)) {
+            this.openConditions.set(key, { alert, openedAt: now, lastEscalatedAt: null });
+        }
+
+        return true;
+    }
+
+    /**
+     * Close every open condition raised under an alert title
+     */
+    resolve(title) {
+        for (const [key, condition] of this.openConditions) {
+            if (condition.alert.title === title) {
+                this.openConditions.delete(key);
+            }
+        }
+    }
+
+    /**
+     * Escalated copies of conditions that have stayed open too long
+     */
+    dueEscalations(now = Date.now()) {
+        const due = [];
+
+        for (const condition of this.openConditions.values()) {
+            const { afterMs, level, repeatMs } = this.ruleFor(condition.alert).escalate;
+            const firstDue = condition.lastEscalatedAt === null && now - condition.openedAt >= afterMs;
+            const repeatDue = condition.lastEscalatedAt !== null && repeatMs &&
+                now - condition.lastEscalatedAt >= repeatMs;
+
+            if (firstDue || repeatDue) {
+                condition.lastEscalatedAt = now;
+                const minutes = Math.round((now - condition.openedAt) / 60000);
+
+                due.push({
+                    ...condition.alert,
+                    level: higherLevel(condition.alert.level, level),
+                    message: `Still unresolved after ${minutes} min. ${condition.alert.message}`,
+                    escalated: true
+                });
+            }
+        }
+
+        return due;
+    }
+}
+
+/**
+ * The more severe of two levels
+ */
+function higherLevel(a, b) {
+    return LEVELS.indexOf(a) >= LEVELS.indexOf(b) ? a : b;
+}
+
+module.exports = {
+    AlertPolicy,
+    DEFAULT_ALERT_RULES,
+    LEVELS
+};
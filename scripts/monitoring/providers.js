@@ -0,0 +1,298 @@
+const { ethers } = require("ethers");
+const WebSocket = require("ws");
+
+/**
+ * RPC Provider Layer
+ *
+ * Builds providers from one or more RPC endpoints (http(s):// or ws(s)://):
+ * - "fallback": endpoints are tried in order, the next one taking over when
+ *   the current one errors or stalls for stallTimeoutMs (FailoverProvider)
+ * - "quorum": every endpoint is asked and `quorum` of them must agree
+ *   (ethers' FallbackProvider)
+ *
+ * A single endpoint is used as is, so a WebSocket endpoint keeps its push
+ * subscriptions; with several endpoints events are polled.
+ *
+ * ConnectionWatchdog watches a monitor's block height and, once it stops
+ * advancing, replaces the provider, resubscribes and backfills the gap.
+ */
+
+const STRATEGIES = ["fallback", "quorum"];
+
+// Errors every endpoint would answer the same way; anything else moves on to the next endpoint
+const FINAL_ERRORS = [
+    "CALL_EXCEPTION",
+    "INSUFFICIENT_FUNDS",
+    "NONCE_EXPIRED",
+    "REPLACEMENT_UNDERPRICED",
+    "TRANSACTION_REPLACED",
+    "INVALID_ARGUMENT",
+    "ACTION_REJECTED"
+];
+
+/**
+ * RPC endpoints from an array or a comma-separated string
+ */
+function parseUrls(urls) {
+    const list = Array.isArray(urls) ? urls : String(urls || "").split(",");
+    return list.map(url => url.trim()).filter(Boolean);
+}
+
+function connect(url, network, pollingInterval) {
+    if (/^wss?:\/\//i.test(url)) {
+        return new ethers.WebSocketProvider(() => {
+            const socket = new WebSocket(url);
+            // ethers does not listen for socket errors; a refused connection would otherwise crash the process
+            socket.on("error", error => console.error(`WebSocket ${url}: ${error.message}`));
+            return socket;
+        }, network);
+    }
+    return new ethers.JsonRpcProvider(url, network, { staticNetwork: Boolean(network), pollingInterval });
+}
+
+function withTimeout(promise, ms, message) {
+    let timer;
+    const timeout = new Promise((resolve, reject) => {
+        timer = setTimeout(() => reject(new Error(message)), ms);
+    });
+    return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+/**
+ * Sends each request to the first healthy endpoint by priority
+ *
+ * ethers' FallbackProvider counts a refused connection as an answer, so
+ * with a quorum of one it fails rather than falling back. Here an endpoint
+ * that errors or hangs is skipped for retryAfterMs and the request moves on.
+ */
+class FailoverProvider extends ethers.AbstractProvider {
+    /**
+     * @param {ethers.AbstractProvider[]} providers Endpoints in priority order
+     * @param {ethers.Networkish} [network]
+     * @param {object} [options]
+     * @param {number} [options.stallTimeoutMs] How long a request may hang before the next endpoint is tried
+     * @param {number} [options.retryAfterMs] How long a failed endpoint is skipped
+     * @param {number} [options.pollingInterval]
+     */
+    constructor(providers, network, options = {}) {
+        super(network, { pollingInterval: options.pollingInterval });
+        this.stallTimeoutMs = options.stallTimeoutMs || 5000;
+        this.retryAfterMs = options.retryAfterMs || 30000;
+        this.backends = providers.map((provider, priority) => ({
+            provider,
+            priority,
+            downUntil: 0,
+            lastError: null
+        }));
+    }
+
+    /**
+     * Healthy endpoints first, each group by priority
+     */
+    ordered(now = Date.now()) {
+        return [...this.backends].sort((a, b) =>
+            (a.downUntil > now) - (b.downUntil > now) || a.priority - b.priority);
+    }
+
+    async _detectNetwork() {
+        return this.failover(backend => backend.provider.getNetwork());
+    }
+
+    async _perform(req) {
+        return this.failover(backend => backend.provider._perform(req));
+    }
+
+    async failover(run) {
+        let lastError;
+
+        for (const backend of this.ordered()) {
+            try {
+                const result = await withTimeout(run(backend), this.stallTimeoutMs,
+                    `request timed out after ${this.stallTimeoutMs}ms`);
+                backend.downUntil = 0;
+                return result;
+            } catch (error) {
+                if (FINAL_ERRORS.includes(error.code)) {
+                    throw error;
+                }
+                backend.downUntil = Date.now() + this.retryAfterMs;
+                backend.lastError = error.message;
+                lastError = error;
+            }
+        }
+
+        throw lastError;
+    }
+
+    destroy() {
+        for (const backend of this.backends) {
+            backend.provider.destroy();
+        }
+        super.destroy();
+    }
+}
+
+/**
+ * @param {string|string[]} urls RPC endpoint(s)
+ * @param {object} [options]
+ * @param {string} [options.strategy] "fallback" (default) or "quorum"
+ * @param {number} [options.quorum] Endpoints that must agree, a majority by default ("quorum" only)
+ * @param {number} [options.stallTimeoutMs] How long a request may hang before the next endpoint is tried
+ * @param {number} [options.chainId] Skips network detection, so an endpoint that is down cannot hold up startup
+ * @param {number} [options.pollingIntervalMs] Polling interval for HTTP event subscriptions
+ */
+function createProvider(urls, options = {}) {
+    const { strategy = "fallback", quorum, stallTimeoutMs = 5000, chainId, pollingIntervalMs } = options;
+    const list = parseUrls(urls);
+    if (list.length === 0) {
+        throw new Error("No RPC URL configured");
+    }
+    if (!STRATEGIES.includes(strategy)) {
+        throw new Error(`Unknown provider strategy: ${strategy}`);
+    }
+
+    const network = chainId !== undefined && chainId !== null ? ethers.Network.from(Number(chainId)) : undefined;
+    const providers = list.map(url => connect(url, network, pollingIntervalMs));
+
+    if (providers.length === 1) {
+        return providers[0];
+    }
+    if (strategy === "fallback") {
+        return new FailoverProvider(providers, network, { stallTimeoutMs, pollingInterval: pollingIntervalMs });
+    }
+    return new ethers.FallbackProvider(providers.map(backend => ({
+        provider: backend,
+        priority: 1,
+        weight: 1,
+        stallTimeout: stallTimeoutMs
+    })), network, {
+        quorum: quorum || Math.floor(list.length / 2) + 1,
+        pollingInterval: pollingIntervalMs
+    });
+}
+
+class ConnectionWatchdog {
+    /**
+     * @param {object} options
+     * @param {GraduationMonitor} options.monitor
+     * @param {number} [options.stallTimeoutMs] Reconnect once the block height has not advanced for this long
+     * @param {number} [options.checkIntervalMs] How often the block height is polled
+     * @param {number} [options.requestTimeoutMs] A block height request taking longer than this counts as failed
+     */
+    constructor(options) {
+        this.monitor = options.monitor;
+        this.stallTimeoutMs = options.stallTimeoutMs || 3 * 60 * 1000;
+        this.checkIntervalMs = options.checkIntervalMs || 15 * 1000;
+        this.requestTimeoutMs = options.requestTimeoutMs || 10 * 1000;
+        this.timer = null;
+        this.checking = false;
+        // Set while a reconnect has failed; the monitor is not subscribed until one succeeds
+        this.needsReconnect = false;
+
+        this.lastHead = null;
+        this.lastAdvanceAt = Date.now();
+        this.lastError = null;
+        this.reconnects = 0;
+    }
+
+    async start() {
+        this.lastAdvanceAt = Date.now();
+        this.timer = setInterval(() => {
+            this.check().catch(error => console.error("Error checking RPC connection:", error));
+        }, this.checkIntervalMs);
+        this.timer.unref();
+        await this.check();
+    }
+
+    stop() {
+        clearInterval(this.timer);
+        this.timer = null;
+    }
+
+    /**
+     * Record the block height and reconnect if it has stalled
+     */
+    async check(now = Date.now()) {
+        if (this.checking) {
+            return;
+        }
+        this.checking = true;
+
+        try {
+            try {
+                const head = await withTimeout(this.monitor.provider.getBlockNumber(), this.requestTimeoutMs,
+                    `getBlockNumber timed out after ${this.requestTimeoutMs}ms`);
+                this.lastError = null;
+                if (this.lastHead === null || head > this.lastHead) {
+                    this.lastHead = head;
+                    this.lastAdvanceAt = now;
+                }
+            } catch (error) {
+                this.lastError = error.message;
+            }
+
+            if (this.needsReconnect || now - this.lastAdvanceAt >= this.stallTimeoutMs) {
+                await this.reconnect(now);
+            }
+        } finally {
+            this.checking = false;
+        }
+    }
+
+    /**
+     * Replace the monitor's provider and backfill from the last head the old one reported
+     */
+    async reconnect(now = Date.now()) {
+        const stalledForMs = now - this.lastAdvanceAt;
+        const reason = this.lastError || `no new block for ${Math.round(stalledForMs / 1000)}s`;
+
+        this.monitor.sendAlert({
+            level: "critical",
+            title: "RPC Provider Stalled",
+            message: `Block height stuck at ${this.lastHead} (${reason}), reconnecting`,
+            data: { lastHead: this.lastHead, stalledForMs, error: this.lastError }
+        });
+
+        try {
+            const result = await this.monitor.reconnect({ sinceBlock: this.lastHead });
+
+            this.reconnects++;
+            this.needsReconnect = false;
+            this.lastError = null;
+            this.lastHead = result.toBlock;
+            this.lastAdvanceAt = Date.now();
+            this.monitor.policy.resolve("RPC Provider Stalled");
+            this.monitor.sendAlert({
+                level: "info",
+                title: "RPC Provider Reconnected",
+                message: result.fromBlock === null
+                    ? "Resubscribed to contract events"
+                    : `Resubscribed and backfilled ${result.events} events from blocks ${result.fromBlock}-${result.toBlock}`,
+                data: { ...result, stalledForMs }
+            });
+        } catch (error) {
+            this.needsReconnect = true;
+            this.lastError = error.message;
+            console.error(`❌ Reconnect failed: ${error.message}`);
+            this.monitor.emit("failure", error);
+        }
+    }
+
+    getStatus(now = Date.now()) {
+        return {
+            lastHead: this.lastHead,
+            lastAdvanceAt: new Date(this.lastAdvanceAt).toISOString(),
+            stalled: this.needsReconnect || now - this.lastAdvanceAt >= this.stallTimeoutMs,
+            lastError: this.lastError,
+            reconnects: this.reconnects
+        };
+    }
+}
+
+module.exports = {
+    createProvider,
+    parseUrls,
+    FailoverProvider,
+    ConnectionWatchdog,
+    STRATEGIES
+};
@@ -0,0 +1,527 @@
+const fs = require("fs");
+const path = require("path");
+const { parseArgs } = require("util");
+const { ethers } = require("ethers");
+const { createStore } = require("./stores");
+const { parseDuration } = require("../lib/durations");
+const { analyze } = require("./analytics");
+
+/**
+ * Report Generation
+ *
+ * Builds one report dataset from stored events and alerts, then renders it
+ * as Markdown, self-contained HTML (inline CSS and SVG charts) or CSV:
+ * - graduations per hour, day and week (count and LP liquidity)
+ * - time to graduation, registration conversion and curve progress (see analytics.js)
+ * - top tokens by liquidity
+ * - LP lock/unlock schedule
+ * - alert breakdown by level and title
+ * - circuit breaker and emergency mode history
+ *
+ * A report covers a time window (`from`/`to`, ms) and may be limited to one
+ * token; circuit breaker history is contract-wide and is kept either way.
+ * Amounts are wei strings in the dataset and formatted by the renderers.
+ */
+
+const HOUR = 60 * 60 * 1000;
+
+const REPORT_FORMATS = ["md", "html", "csv"];
+
+const ALERT_LEVELS = ["emergency", "critical", "warning", "info"];
+
+const SECURITY_EVENTS = {
+    CircuitBreakerTripped: "circuit breaker tripped",
+    CircuitBreakerReset: "circuit breaker reset",
+    EmergencyModeActivated: "emergency mode activated",
+    EmergencyModeDeactivated: "emergency mode deactivated"
+};
+
+const sameAddress = (a, b) => Boolean(a && b) && a.toLowerCase() === b.toLowerCase();
+
+const isoTime = ms => (ms === null || ms === undefined ? null : new Date(ms).toISOString());
+
+/**
+ * LP positions locked up to `to`, with their state at `to`
+ */
+function lockSchedule(events, to) {
+    const pairs = new Map();
+    const positions = [];
+
+    for (const event of events) {
+        if (event.timestamp > to) {
+            continue;
+        }
+        if (event.type === "LiquidityMigrated") {
+            pairs.set(event.token, event.pair);
+        } else if (event.type === "LPTokensLocked") {
+            positions.push({
+                token: event.token,
+                pair: pairs.get(event.token) || null,
+                amount: event.amount,
+                lockedAt: isoTime(event.timestamp),
+                unlockTime: Number(event.unlockTime),
+                unlockAt: isoTime(Number(event.unlockTime) * 1000),
+                status: Number(event.unlockTime) * 1000 <= to ? "unlockable" : "locked",
+                unlockedAt: null
+            });
+        } else if (event.type === "LPTokensUnlocked") {
+            const position = positions.find(p => p.token === event.token && p.unlockedAt === null);
+            if (position) {
+                position.status = "unlocked";
+                position.unlockedAt = isoTime(event.timestamp);
+            }
+        }
+    }
+
+    return positions.sort((a, b) => a.unlockTime - b.unlockTime);
+}
+
+/**
+ * Build the report dataset
+ *
+ * @param {object} source `{ events, alerts }` as returned by the monitor's store
+ * @param {object} [options]
+ * @param {number} [options.from] Window start (ms), all history by default
+ * @param {number} [options.to] Window end (ms), now by default
+ * @param {string} [options.token] Only report on this token
+ * @param {number} [options.top] Number of top tokens listed
+ * @param {object} [options.thresholds] `{ marketCapThreshold, liquidityThreshold }` (wei) for curve
+ *   progress, the last ConfigUpdated event by default
+ * @param {object} [options.defaultThresholds] Thresholds used when no ConfigUpdated event was
+ *   stored (the manager's config())
+ */
+function buildReport(source, options = {}) {
+    const to = options.to ?? Date.now();
+    const from = options.from ?? null;
+    const token = options.token || null;
+    const top = options.top || 10;
+
+    const inWindow = item => item.timestamp <= to && (from === null || item.timestamp >= from);
+    const forToken = item => !token || sameAddress(item.token, token);
+
+    const events = [...source.events].sort((a, b) => a.timestamp - b.timestamp).filter(forToken);
+    const windowEvents = events.filter(inWindow);
+    const alerts = source.alerts.filter(a => inWindow(a) && (!token || sameAddress(a.data && a.data.token, token)));
+
+    const graduations = windowEvents.filter(e => e.type === "LiquidityMigrated");
+    const locked = windowEvents.filter(e => e.type === "LPTokensLocked");
+    const security = source.events
+        .filter(e => SECURITY_EVENTS[e.type] && inWindow(e))
+        .sort((a, b) => a.timestamp - b.timestamp);
+
+    const analytics = analyze(events, {
+        from,
+        to,
+        thresholds: options.thresholds || null,
+        defaultThresholds: options.defaultThresholds || null
+    });
+
+    const byTitle = new Map();
+    for (const alert of alerts) {
+        const key = `${alert.level}:${alert.title}`;
+        const entry = byTitle.get(key) || { title: alert.title, level: alert.level, count: 0 };
+        entry.count++;
+        byTitle.set(key, entry);
+    }
+
+    return {
+        generatedAt: new Date().toISOString(),
+        window: { from: isoTime(from), to: isoTime(to) },
+        token,
+        summary: {
+            graduations: graduations.length,
+            liquidityAdded: graduations.reduce((sum, e) => sum + BigInt(e.liquidity), 0n).toString(),
+            lpLocked: locked.reduce((sum, e) => sum + BigInt(e.amount), 0n).toString(),
+            events: windowEvents.length,
+            alerts: alerts.length,
+            circuitBreakerTrips: security.filter(e => e.type === "CircuitBreakerTripped").length,
+            emergencyModeActivations: security.filter(e => e.type === "EmergencyModeActivated").length
+        },
+        graduations: analytics.graduations,
+        analytics: {
+            timeToGraduation: analytics.timeToGraduation,
+            conversion: analytics.conversion,
+            curveProgress: analytics.curveProgress
+        },
+        topTokens: [...graduations]
+            .sort((a, b) => (BigInt(b.liquidity) > BigInt(a.liquidity) ? 1 : BigInt(b.liquidity) < BigInt(a.liquidity) ? -1 : 0))
+            .slice(0, top)
+            .map(e => ({
+                token: e.token,
+                pair: e.pair,
+                liquidity: e.liquidity,
+                graduatedAt: isoTime(e.timestamp),
+                transactionHash: e.transactionHash
+            })),
+        locks: lockSchedule(events, to),
+        alerts: {
+            byLevel: Object.fromEntries(ALERT_LEVELS.map(level => [level, alerts.filter(a => a.level === level).length])),
+            byTitle: [...byTitle.values()].sort((a, b) => b.count - a.count || a.title.localeCompare(b.title))
+        },
+        circuitBreaker: security.map(e => ({
+            at: isoTime(e.timestamp),
+            event: SECURITY_EVENTS[e.type],
+            reason: e.reason || "",
+            blockNumber: e.blockNumber,
+            transactionHash: e.transactionHash
+        }))
+    };
+}
+
+const hours = ms => (ms === null ? "" : (ms / HOUR).toFixed(1));
+
+/**
+ * Report tables shared by every renderer: title, columns and rows of cells
+ * (`csvOnly` tables are too long for the documents)
+ */
+function reportTables(report) {
+    const eth = wei => ethers.formatEther(wei);
+    const { timeToGraduation, conversion, curveProgress } = report.analytics;
+    return [
+        {
+            id: "graduations-hourly",
+            title: "Graduations per Hour",
+            columns: ["Hour", "Graduations", "LP Liquidity"],
+            rows: report.graduations.hourly.map(b => [b.period, b.count, eth(b.liquidity)]),
+            csvOnly: true
+        },
+        {
+            id: "graduations-daily",
+            title: "Graduations per Day",
+            columns: ["Day", "Graduations", "LP Liquidity"],
+            rows: report.graduations.daily.map(b => [b.period, b.count, eth(b.liquidity)])
+        },
+        {
+            id: "graduations-weekly",
+            title: "Graduations per Week",
+            columns: ["Week of", "Graduations", "LP Liquidity"],
+            rows: report.graduations.weekly.map(b => [b.period, b.count, eth(b.liquidity)])
+        },
+        {
+            id: "time-to-graduation",
+            title: "Time from Registration to Graduation",
+            columns: ["Graduated Tokens", "Min (h)", "Median (h)", "P90 (h)", "Max (h)", "Mean (h)"],
+            rows: timeToGraduation.count > 0
+                ? [[timeToGraduation.count, ...["minMs", "medianMs", "p90Ms", "maxMs", "meanMs"].map(key => hours(timeToGraduation[key]))]]
+                : []
+        },
+        {
+            id: "conversion",
+            title: "Registration Conversion",
+            columns: ["Registered", "Graduated", "Pending", "Conversion %"],
+            rows: conversion.registered > 0
+                ? [[conversion.registered, conversion.graduated, conversion.pending, conversion.ratePct]]
+                : []
+        },
+        {
+            id: "curve-progress",
+            title: "Peak Bonding Curve Progress",
+            columns: ["Progress", "Tokens", "Graduated"],
+            rows: curveProgress.thresholds ? curveProgress.bins.map(b => [b.range, b.tokens, b.graduated]) : []
+        },
+        {
+            id: "top-tokens",
+            title: "Top Tokens by Liquidity",
+            columns: ["Token", "Pair", "LP Liquidity", "Graduated At"],
+            rows: report.topTokens.map(t => [t.token, t.pair, eth(t.liquidity), t.graduatedAt])
+        },
+        {
+            id: "lp-locks",
+            title: "LP Lock Schedule",
+            columns: ["Token", "Pair", "LP Locked", "Locked At", "Unlocks At", "Status"],
+            rows: report.locks.map(l => [l.token, l.pair || "", eth(l.amount), l.lockedAt, l.unlockAt, l.status])
+        },
+        {
+            id: "alerts",
+            title: "Alerts by Title",
+            columns: ["Level", "Title", "Count"],
+            rows: report.alerts.byTitle.map(a => [a.level, a.title, a.count])
+        },
+        {
+            id: "circuit-breaker",
+            title: "Circuit Breaker History",
+            columns: ["At", "Event", "Reason", "Block", "Transaction"],
+            rows: report.circuitBreaker.map(c => [c.at, c.event, c.reason, c.blockNumber, c.transactionHash])
+        }
+    ];
+}
+
+function summaryRows(report) {
+    const { summary } = report;
+    return [
+        ["Graduations", summary.graduations],
+        ["LP Liquidity Added", ethers.formatEther(summary.liquidityAdded)],
+        ["LP Locked", ethers.formatEther(summary.lpLocked)],
+        ["Events", summary.events],
+        ["Alerts", summary.alerts],
+        ...ALERT_LEVELS.map(level => [`Alerts (${level})`, report.alerts.byLevel[level]]),
+        ["Circuit Breaker Trips", summary.circuitBreakerTrips],
+        ["Emergency Mode Activations", summary.emergencyModeActivations]
+    ];
+}
+
+function describeWindow(report) {
+    const scope = `${report.window.from || "the first event"} to ${report.window.to}`;
+    return report.token ? `${scope}, token ${report.token}` : scope;
+}
+
+/**
+ * Markdown
+ */
+
+function mdCell(value) {
+    return String(value ?? "").replace(/\|/g, "\\|").replace(/\n/g, " ");
+}
+
+function mdTable(columns, rows) {
+    if (rows.length === 0) {
+        return "_None_";
+    }
+    return [
+        `| ${columns.map(mdCell).join(" | ")} |`,
+        `| ${columns.map(() => "---").join(" | ")} |`,
+        ...rows.map(row => `| ${row.map(mdCell).join(" | ")} |`)
+    ].join("\n");
+}
+
+function renderMarkdown(report) {
+    const sections = [
+        "# Graduation Manager Report",
+        `Period: ${describeWindow(report)}  \nGenerated: ${report.generatedAt}`,
+        "## Summary",
+        mdTable(["Metric", "Value"], summaryRows(report))
+    ];
+    for (const table of reportTables(report).filter(t => !t.csvOnly)) {
+        sections.push(`## ${table.title}`, mdTable(table.columns, table.rows));
+    }
+    return sections.join("\n\n") + "\n";
+}
+
+/**
+ * HTML
+ */
+
+function htmlEscape(value) {
+    return String(value ?? "")
+        .replace(/&/g, "&amp;")
+        .replace(/</g, "&lt;")
+        .replace(/>/g, "&gt;")
+        .replace(/"/g, "&quot;");
+}
+
+function htmlTable(columns, rows) {
+    if (rows.length === 0) {
+        return "<p class=\"empty\">None</p>";
+    }
+    const head = columns.map(c => `<th>${htmlEscape(c)}</th>`).join("");
+    const body = rows.map(row => `<tr>${row.map(cell => `<td>${htmlEscape(cell)}</td>`).join("")}</tr>`).join("\n");
+    return `<table>\n<thead><tr>${head}</tr></thead>\n<tbody>\n${body}\n</tbody>\n</table>`;
+}
+
+/**
+ * Inline SVG bar chart of `{ label, value }` bars
+ */
+function svgBarChart(bars, { width = 720, height = 200 } = {}) {
+    if (bars.length === 0 || bars.every(bar => bar.value === 0)) {
+        return "<p class=\"empty\">No data</p>";
+    }
+
+    const max = Math.max(...bars.map(bar => bar.value));
+    const plot = height - 30;
+    const slot = width / bars.length;
+    const barWidth = Math.max(slot * 0.8, 1);
+
+    const rects = bars.map((bar, i) => {
+        const h = (bar.value / max) * plot;
+        const x = i * slot + (slot - barWidth) / 2;
+        return `<rect x="${x.toFixed(1)}" y="${(plot - h).toFixed(1)}" width="${barWidth.toFixed(1)}" height="${h.toFixed(1)}">` +
+            `<title>${htmlEscape(`${bar.label}: ${bar.value}`)}</title></rect>`;
+    });
+    const label = (text, x, anchor) =>
+        `<text x="${x}" y="${height - 8}" text-anchor="${anchor}">${htmlEscape(text)}</text>`;
+
+    return `<svg class="chart" viewBox="0 0 ${width} ${height}" width="${width}" height="${height}" role="img">\n` +
+        `<text x="0" y="12">${htmlEscape(max)}</text>\n` +
+        rects.join("\n") + "\n" +
+        `<line x1="0" y1="${plot}" x2="${width}" y2="${plot}"/>\n` +
+        label(bars[0].label, 0, "start") + "\n" +
+        (bars.length > 1 ? label(bars[bars.length - 1].label, width, "end") + "\n" : "") +
+        "</svg>";
+}
+
+const HTML_STYLE = `
+body { font-family: -apple-system, "Segoe UI", Helvetica, Arial, sans-serif; margin: 2rem; color: #1f2328; }
+h1 { margin-bottom: 0.25rem; }
+.meta { color: #656d76; margin-top: 0; }
+table { border-collapse: collapse; margin: 0.5rem 0 1.5rem; font-size: 0.9rem; }
+th, td { border: 1px solid #d0d7de; padding: 0.3rem 0.6rem; text-align: left; }
+th { background: #f6f8fa; }
+.chart rect { fill: #0969da; }
+.chart line { stroke: #8c959f; }
+.chart text { font-size: 11px; fill: #656d76; }
+.empty { color: #656d76; font-style: italic; }
+`;
+
+function renderHTML(report) {
+    const tables = Object.fromEntries(reportTables(report).map(table => [table.id, table]));
+    const section = (table, chart = "") =>
+        `<h2>${htmlEscape(table.title)}</h2>\n${chart}${htmlTable(table.columns, table.rows)}`;
+
+    const dailyChart = svgBarChart(report.graduations.daily.map(b => ({ label: b.period, value: b.count })));
+    const progressChart = report.analytics.curveProgress.thresholds
+        ? svgBarChart(report.analytics.curveProgress.bins.map(b => ({ label: b.range, value: b.tokens })), { width: 480 })
+        : "";
+    const alertChart = svgBarChart(ALERT_LEVELS.map(level => ({ label: level, value: report.alerts.byLevel[level] })), { width: 360 });
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>Graduation Manager Report</title>
+<style>${HTML_STYLE}</style>
+</head>
+<body>
+<h1>Graduation Manager Report</h1>
+<p class="meta">Period: ${htmlEscape(describeWindow(report))}<br>Generated: ${htmlEscape(report.generatedAt)}</p>
+<h2>Summary</h2>
+${htmlTable(["Metric", "Value"], summaryRows(report))}
+${section(tables["graduations-daily"], dailyChart + "\n")}
+${section(tables["graduations-weekly"])}
+${section(tables["time-to-graduation"])}
+${section(tables["conversion"])}
+${section(tables["curve-progress"], progressChart + "\n")}
+${section(tables["top-tokens"])}
+${section(tables["lp-locks"])}
+<h2>Alerts</h2>
+${alertChart}
+${htmlTable(tables.alerts.columns, tables.alerts.rows)}
+${section(tables["circuit-breaker"])}
+</body>
+</html>
+`;
+}
+
+/**
+ * CSV
+ */
+
+function csvCell(value) {
+    const text = String(value ?? "");
+    return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, "\"\"")}"` : text;
+}
+
+function csvTable(columns, rows) {
+    return [columns, ...rows].map(row => row.map(csvCell).join(",")).join("\r\n") + "\r\n";
+}
+
+/**
+ * One CSV document per table, keyed by table id
+ */
+function renderCSV(report) {
+    const documents = { summary: csvTable(["Metric", "Value"], summaryRows(report)) };
+    for (const table of reportTables(report)) {
+        documents[table.id] = csvTable(table.columns, table.rows);
+    }
+    return documents;
+}
+
+/**
+ * Render and write a report; CSV writes one file per table into
+ * `<basename>/`. Returns the written paths.
+ */
+function writeReport(report, format, basename) {
+    if (!REPORT_FORMATS.includes(format)) {
+        throw new Error(`Unknown report format: ${format}`);
+    }
+
+    if (format === "csv") {
+        fs.mkdirSync(basename, { recursive: true });
+        return Object.entries(renderCSV(report)).map(([id, csv]) => {
+            const filepath = path.join(basename, `${id}.csv`);
+            fs.writeFileSync(filepath, csv);
+            return filepath;
+        });
+    }
+
+    const filepath = `${basename}.${format}`;
+    fs.mkdirSync(path.dirname(filepath), { recursive: true });
+    fs.writeFileSync(filepath, format === "md" ? renderMarkdown(report) : renderHTML(report));
+    return [filepath];
+}
+
+/**
+ * Window bound from an ISO date or a duration back from `now` ("7d")
+ */
+function parseTime(text, now) {
+    if (/^\d+\s*[dhms]$/.test(text)) {
+        return now - parseDuration(text);
+    }
+    const ms = Date.parse(text);
+    if (Number.isNaN(ms)) {
+        throw new Error(`Invalid time: ${text}`);
+    }
+    return ms;
+}
+
+/**
+ * Reports from a persisted store:
+ *   MONITOR_STORE=jsonl:monitoring/store node scripts/monitoring/reports.js \
+ *     --format md,html,csv --from 7d [--to 2024-02-01] [--token 0x...] [--out monitoring/reports]
+ *     [--liquidity-threshold 20 --market-cap-threshold 69000]
+ */
+async function main() {
+    const { values } = parseArgs({
+        options: {
+            format: { type: "string", default: "md,html" },
+            from: { type: "string" },
+            to: { type: "string" },
+            token: { type: "string" },
+            top: { type: "string" },
+            "market-cap-threshold": { type: "string" },
+            "liquidity-threshold": { type: "string" },
+            store: { type: "string", default: process.env.MONITOR_STORE },
+            out: { type: "string", default: path.join(__dirname, "..", "..", "monitoring", "reports") }
+        }
+    });
+    if (!values.store) {
+        throw new Error("No store configured: set MONITOR_STORE or pass --store");
+    }
+
+    const now = Date.now();
+    const store = createStore(values.store);
+    const report = buildReport({ events: store.queryEvents(), alerts: store.queryAlerts() }, {
+        from: values.from ? parseTime(values.from, now) : null,
+        to: values.to ? parseTime(values.to, now) : now,
+        token: values.token ? ethers.getAddress(values.token) : null,
+        top: values.top ? Number(values.top) : undefined,
+        // Curve progress thresholds in ETH, the last ConfigUpdated event by default
+        thresholds: values["liquidity-threshold"]
+            ? {
+                marketCapThreshold: values["market-cap-threshold"] ? ethers.parseEther(values["market-cap-threshold"]) : null,
+                liquidityThreshold: ethers.parseEther(values["liquidity-threshold"])
+            }
+            : null
+    });
+    store.close();
+
+    const basename = path.join(values.out, `report-${now}`);
+    for (const format of values.format.split(",").map(f => f.trim())) {
+        for (const filepath of writeReport(report, format, basename)) {
+            console.log(`📊 Report written to ${filepath}`);
+        }
+    }
+}
+
+module.exports = {
+    REPORT_FORMATS,
+    buildReport,
+    renderMarkdown,
+    renderHTML,
+    renderCSV,
+    writeReport,
+    parseTime
+};
+
+if (require.main === module) {
+    main().catch(console.error);
+}
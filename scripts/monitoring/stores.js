@@ -0,0 +1,600 @@
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+const { StringDecoder } = require("string_decoder");
+const { toJSON } = require("./json");
+
+/**
+ * Event Stores for GraduationMonitor
+ *
+ * Every store implements the same synchronous interface:
+ *   appendEvent(event), appendAlert(alert)
+ *   queryEvents(filter), queryAlerts(level), countEvents(), countAlerts()
+ *   hasEvent(transactionHash, logIndex)
+ *   removeEvent(transactionHash, logIndex), removeAlerts(transactionHash, logIndex)
+ *   getCheckpoint(), saveCheckpoint(checkpoint)
+ *   transaction(fn), close()
+ *
+ * A checkpoint is `{ blockNumber, logIndex, highestBlock, metrics }` for the last
+ * processed log.
+ * Removals roll back events dropped by a chain reorg; alerts are linked to an
+ * event through `alert.data.transactionHash` and `alert.data.logIndex`.
+ */
+
+/**
+ * Same filter semantics as GraduationMonitor.getEventHistory
+ */
+function matchesFilter(event, filter) {
+    if (filter.type && event.type !== filter.type) {
+        return false;
+    }
+    if (filter.token && event.token !== filter.token) {
+        return false;
+    }
+    if (filter.fromBlock && event.blockNumber < filter.fromBlock) {
+        return false;
+    }
+    return true;
+}
+
+function isLogEvent(event, transactionHash, logIndex) {
+    return event.transactionHash === transactionHash && event.logIndex === logIndex;
+}
+
+function isLogAlert(alert, transactionHash, logIndex) {
+    return Boolean(alert.data) && isLogEvent(alert.data, transactionHash, logIndex);
+}
+
+/**
+ * Read a file line by line without loading it into memory
+ */
+function* readLines(filepath) {
+    if (!fs.existsSync(filepath)) {
+        return;
+    }
+
+    const fd = fs.openSync(filepath, "r");
+    const buffer = Buffer.alloc(64 * 1024);
+    const decoder = new StringDecoder("utf8");
+    let remainder = "";
+
+    try {
+        let bytesRead;
+        while ((bytesRead = fs.readSync(fd, buffer, 0, buffer.length, null)) > 0) {
+            const lines = (remainder + decoder.write(buffer.subarray(0, bytesRead))).split("\n");
+            remainder = lines.pop();
+            for (const line of lines) {
+                if (line) {
+                    yield line;
+                }
+            }
+        }
+        remainder += decoder.end();
+        if (remainder) {
+            yield remainder;
+        }
+    } finally {
+        fs.closeSync(fd);
+    }
+}
+
+/**
+ * Parse JSONL records with their line number, skipping a torn line left by
+ * an interrupted write
+ */
+function* readRecords(filepath) {
+    let line = 0;
+    for (const text of readLines(filepath)) {
+        try {
+            yield { line, record: JSON.parse(text) };
+        } catch (error) {
+            console.warn(`⚠️ Skipping malformed record in ${filepath}`);
+        }
+        line++;
+    }
+}
+
+/**
+ * Write-then-rename so a crash never leaves a half-written file
+ */
+function writeAtomic(filepath, data) {
+    const tmpFile = `${filepath}.tmp`;
+    fs.writeFileSync(tmpFile, data);
+    fs.renameSync(tmpFile, filepath);
+}
+
+/**
+ * In-memory store (default, nothing survives a restart)
+ */
+class MemoryStore {
+    constructor() {
+        this.events = [];
+        this.alerts = [];
+        this.checkpoint = null;
+    }
+
+    appendEvent(event) {
+        this.events.push(event);
+    }
+
+    appendAlert(alert) {
+        this.alerts.push(alert);
+    }
+
+    queryEvents(filter = {}) {
+        return this.events.filter(e => matchesFilter(e, filter));
+    }
+
+    queryAlerts(level = null) {
+        return level ? this.alerts.filter(a => a.level === level) : [...this.alerts];
+    }
+
+    countEvents() {
+        return this.events.length;
+    }
+
+    countAlerts() {
+        return this.alerts.length;
+    }
+
+    hasEvent(transactionHash, logIndex) {
+        return this.events.some(e => isLogEvent(e, transactionHash, logIndex));
+    }
+
+    removeEvent(transactionHash, logIndex) {
+        const index = this.events.findLastIndex(e => isLogEvent(e, transactionHash, logIndex));
+        return index === -1 ? null : this.events.splice(index, 1)[0];
+    }
+
+    removeAlerts(transactionHash, logIndex) {
+        const count = this.alerts.length;
+        this.alerts = this.alerts.filter(a => !isLogAlert(a, transactionHash, logIndex));
+        return count - this.alerts.length;
+    }
+
+    getCheckpoint() {
+        return this.checkpoint;
+    }
+
+    saveCheckpoint(checkpoint) {
+        this.checkpoint = checkpoint;
+    }
+
+    transaction(fn) {
+        return fn();
+    }
+
+    close() {}
+}
+
+/**
+ * Append-only JSONL store
+ *
+ * Layout: `<directory>/events.jsonl`, `<directory>/alerts.jsonl` and
+ * `<directory>/checkpoint.json`. Queries stream the files from disk.
+ * Records are never rewritten: removals are appended to
+ * `<directory>/removed.jsonl` as tombstones pointing at a line.
+ *
+ * A transaction writes `<directory>/transaction.json` with the file sizes
+ * it started from; the checkpoint saved inside it commits it. A transaction
+ * that throws, or was interrupted by a crash before its checkpoint, is
+ * rolled back by truncating the files to those sizes.
+ */
+class JsonlStore {
+    constructor(directory) {
+        this.directory = directory;
+        this.eventsFile = path.join(directory, "events.jsonl");
+        this.alertsFile = path.join(directory, "alerts.jsonl");
+        this.removedFile = path.join(directory, "removed.jsonl");
+        this.checkpointFile = path.join(directory, "checkpoint.json");
+        this.transactionFile = path.join(directory, "transaction.json");
+        this.transactionId = null;
+        this.committedTransaction = null;
+
+        fs.mkdirSync(directory, { recursive: true });
+
+        this.recover();
+        this.load();
+    }
+
+    /**
+     * Tombstones and line counts of the files on disk
+     */
+    load() {
+        this.removed = { events: new Set(), alerts: new Set() };
+        for (const { record } of readRecords(this.removedFile)) {
+            this.removed[record.file].add(record.line);
+        }
+
+        this.eventLines = this.countLines(this.eventsFile);
+        this.alertLines = this.countLines(this.alertsFile);
+    }
+
+    /**
+     * Roll back a transaction a crash left uncommitted
+     */
+    recover() {
+        if (!fs.existsSync(this.transactionFile)) {
+            return;
+        }
+
+        const marker = JSON.parse(fs.readFileSync(this.transactionFile, "utf8"));
+        const checkpoint = fs.existsSync(this.checkpointFile)
+            ? JSON.parse(fs.readFileSync(this.checkpointFile, "utf8"))
+            : null;
+        if (!checkpoint || checkpoint.transaction !== marker.id) {
+            console.warn(`⚠️ Rolling back an interrupted transaction in ${this.directory}`);
+            this.truncate(marker.sizes);
+        }
+        fs.unlinkSync(this.transactionFile);
+    }
+
+    fileSizes() {
+        const size = filepath => (fs.existsSync(filepath) ? fs.statSync(filepath).size : 0);
+        return { events: size(this.eventsFile), alerts: size(this.alertsFile), removed: size(this.removedFile) };
+    }
+
+    truncate(sizes) {
+        const files = { events: this.eventsFile, alerts: this.alertsFile, removed: this.removedFile };
+        for (const [name, filepath] of Object.entries(files)) {
+            if (fs.existsSync(filepath) && fs.statSync(filepath).size > sizes[name]) {
+                fs.truncateSync(filepath, sizes[name]);
+            }
+        }
+    }
+
+    countLines(filepath) {
+        let count = 0;
+        for (const _line of readLines(filepath)) {
+            count++;
+        }
+        return count;
+    }
+
+    /**
+     * Live records of a file, skipping tombstoned lines
+     */
+    *records(file) {
+        const filepath = file === "events" ? this.eventsFile : this.alertsFile;
+        for (const entry of readRecords(filepath)) {
+            if (!this.removed[file].has(entry.line)) {
+                yield entry;
+            }
+        }
+    }
+
+    tombstone(file, line) {
+        fs.appendFileSync(this.removedFile, JSON.stringify({ file, line }) + "\n");
+        this.removed[file].add(line);
+    }
+
+    appendEvent(event) {
+        fs.appendFileSync(this.eventsFile, toJSON(event) + "\n");
+        this.eventLines++;
+    }
+
+    appendAlert(alert) {
+        fs.appendFileSync(this.alertsFile, toJSON(alert) + "\n");
+        this.alertLines++;
+    }
+
+    queryEvents(filter = {}) {
+        const results = [];
+        for (const { record } of this.records("events")) {
+            if (matchesFilter(record, filter)) {
+                results.push(record);
+            }
+        }
+        return results;
+    }
+
+    queryAlerts(level = null) {
+        const results = [];
+        for (const { record } of this.records("alerts")) {
+            if (!level || record.level === level) {
+                results.push(record);
+            }
+        }
+        return results;
+    }
+
+    countEvents() {
+        return this.eventLines - this.removed.events.size;
+    }
+
+    countAlerts() {
+        return this.alertLines - this.removed.alerts.size;
+    }
+
+    hasEvent(transactionHash, logIndex) {
+        for (const { record } of this.records("events")) {
+            if (isLogEvent(record, transactionHash, logIndex)) {
+                return true;
+            }
+        }
+        return false;
+    }
+
+    removeEvent(transactionHash, logIndex) {
+        let match = null;
+        for (const entry of this.records("events")) {
+            if (isLogEvent(entry.record, transactionHash, logIndex)) {
+                match = entry;
+            }
+        }
+        if (!match) {
+            return null;
+        }
+
+        this.tombstone("events", match.line);
+        return match.record;
+    }
+
+    removeAlerts(transactionHash, logIndex) {
+        const lines = [];
+        for (const { line, record } of this.records("alerts")) {
+            if (isLogAlert(record, transactionHash, logIndex)) {
+                lines.push(line);
+            }
+        }
+
+        lines.forEach(line => this.tombstone("alerts", line));
+        return lines.length;
+    }
+
+    getCheckpoint() {
+        if (!fs.existsSync(this.checkpointFile)) {
+            return null;
+        }
+        const checkpoint = JSON.parse(fs.readFileSync(this.checkpointFile, "utf8"));
+        delete checkpoint.transaction;
+        return checkpoint;
+    }
+
+    saveCheckpoint(checkpoint) {
+        // Inside a transaction the checkpoint names it, which commits it
+        const data = this.transactionId ? { ...checkpoint, transaction: this.transactionId } : checkpoint;
+        writeAtomic(this.checkpointFile, toJSON(data));
+        this.committedTransaction = this.transactionId;
+    }
+
+    transaction(fn) {
+        if (this.transactionId) {
+            return fn();
+        }
+
+        const id = crypto.randomUUID();
+        const sizes = this.fileSizes();
+        writeAtomic(this.transactionFile, JSON.stringify({ id, sizes }));
+        this.transactionId = id;
+
+        try {
+            const result = fn();
+            fs.unlinkSync(this.transactionFile);
+            return result;
+        } catch (error) {
+            if (this.committedTransaction !== id) {
+                this.truncate(sizes);
+                this.load();
+            }
+            fs.unlinkSync(this.transactionFile);
+            throw error;
+        } finally {
+            this.transactionId = null;
+        }
+    }
+
+    close() {}
+}
+
+/**
+ * SQLite store (requires the optional `better-sqlite3` dependency)
+ *
+ * Filters run as indexed SQL queries; events and their checkpoint are
+ * committed in a single transaction.
+ */
+class SqliteStore {
+    constructor(filename) {
+        let Database;
+        try {
+            Database = require("better-sqlite3");
+        } catch (error) {
+            throw new Error("SqliteStore requires the optional dependency better-sqlite3 (npm install better-sqlite3)");
+        }
+
+        fs.mkdirSync(path.dirname(path.resolve(filename)), { recursive: true });
+
+        this.db = new Database(filename);
+        this.db.pragma("journal_mode = WAL");
+        this.db.exec(`
+            CREATE TABLE IF NOT EXISTS events (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                type TEXT NOT NULL,
+                token TEXT,
+                block_number INTEGER,
+                transaction_hash TEXT,
+                log_index INTEGER,
+                data TEXT NOT NULL
+            );
+
+            CREATE TABLE IF NOT EXISTS alerts (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                level TEXT NOT NULL,
+                transaction_hash TEXT,
+                log_index INTEGER,
+                data TEXT NOT NULL
+            );
+
+            CREATE TABLE IF NOT EXISTS checkpoint (
+                id INTEGER PRIMARY KEY CHECK (id = 1),
+                data TEXT NOT NULL
+            );
+        `);
+        this.addLogColumns("events", "$");
+        this.addLogColumns("alerts", "$.data");
+        this.db.exec(`
+            CREATE INDEX IF NOT EXISTS events_type ON events (type);
+            CREATE INDEX IF NOT EXISTS events_token ON events (token);
+            CREATE INDEX IF NOT EXISTS events_block ON events (block_number);
+            CREATE INDEX IF NOT EXISTS events_log ON events (transaction_hash, log_index);
+            CREATE INDEX IF NOT EXISTS alerts_level ON alerts (level);
+            CREATE INDEX IF NOT EXISTS alerts_log ON alerts (transaction_hash, log_index);
+        `);
+
+        this.statements = {
+            insertEvent: this.db.prepare(
+                "INSERT INTO events (type, token, block_number, transaction_hash, log_index, data) VALUES (?, ?, ?, ?, ?, ?)"
+            ),
+            insertAlert: this.db.prepare("INSERT INTO alerts (level, transaction_hash, log_index, data) VALUES (?, ?, ?, ?)"),
+            hasEvent: this.db.prepare("SELECT 1 FROM events WHERE transaction_hash = ? AND log_index = ?"),
+            findEvent: this.db.prepare(
+                "SELECT id, data FROM events WHERE transaction_hash = ? AND log_index = ? ORDER BY id DESC LIMIT 1"
+            ),
+            deleteEvent: this.db.prepare("DELETE FROM events WHERE id = ?"),
+            deleteAlerts: this.db.prepare("DELETE FROM alerts WHERE transaction_hash = ? AND log_index = ?"),
+            countEvents: this.db.prepare("SELECT COUNT(*) AS count FROM events"),
+            countAlerts: this.db.prepare("SELECT COUNT(*) AS count FROM alerts"),
+            getCheckpoint: this.db.prepare("SELECT data FROM checkpoint WHERE id = 1"),
+            saveCheckpoint: this.db.prepare("INSERT OR REPLACE INTO checkpoint (id, data) VALUES (1, ?)")
+        };
+    }
+
+    /**
+     * Add the transaction_hash/log_index columns to a table created before
+     * they existed, filled from the JSON at `prefix`
+     */
+    addLogColumns(table, prefix) {
+        const columns = this.db.prepare(`PRAGMA table_info(${table})`).all().map(column => column.name);
+        if (columns.includes("transaction_hash")) {
+            return;
+        }
+
+        this.db.exec(`
+            ALTER TABLE ${table} ADD COLUMN transaction_hash TEXT;
+            ALTER TABLE ${table} ADD COLUMN log_index INTEGER;
+            UPDATE ${table} SET
+                transaction_hash = json_extract(data, '${prefix}.transactionHash'),
+                log_index = json_extract(data, '${prefix}.logIndex');
+        `);
+    }
+
+    appendEvent(event) {
+        this.statements.insertEvent.run(
+            event.type,
+            event.token || null,
+            event.blockNumber ?? null,
+            event.transactionHash ?? null,
+            event.logIndex ?? null,
+            toJSON(event)
+        );
+    }
+
+    appendAlert(alert) {
+        const data = alert.data || {};
+        this.statements.insertAlert.run(alert.level, data.transactionHash ?? null, data.logIndex ?? null, toJSON(alert));
+    }
+
+    queryEvents(filter = {}) {
+        const clauses = [];
+        const params = [];
+
+        if (filter.type) {
+            clauses.push("type = ?");
+            params.push(filter.type);
+        }
+        if (filter.token) {
+            clauses.push("token = ?");
+            params.push(filter.token);
+        }
+        if (filter.fromBlock) {
+            clauses.push("block_number >= ?");
+            params.push(filter.fromBlock);
+        }
+
+        const where = clauses.length ? `WHERE ${clauses.join(" AND ")}` : "";
+        return this.db.prepare(`SELECT data FROM events ${where} ORDER BY id`)
+            .all(...params)
+            .map(row => JSON.parse(row.data));
+    }
+
+    queryAlerts(level = null) {
+        const rows = level
+            ? this.db.prepare("SELECT data FROM alerts WHERE level = ? ORDER BY id").all(level)
+            : this.db.prepare("SELECT data FROM alerts ORDER BY id").all();
+        return rows.map(row => JSON.parse(row.data));
+    }
+
+    countEvents() {
+        return this.statements.countEvents.get().count;
+    }
+
+    countAlerts() {
+        return this.statements.countAlerts.get().count;
+    }
+
+    hasEvent(transactionHash, logIndex) {
+        return Boolean(this.statements.hasEvent.get(transactionHash, logIndex));
+    }
+
+    removeEvent(transactionHash, logIndex) {
+        const row = this.statements.findEvent.get(transactionHash, logIndex);
+        if (!row) {
+            return null;
+        }
+
+        this.statements.deleteEvent.run(row.id);
+        return JSON.parse(row.data);
+    }
+
+    removeAlerts(transactionHash, logIndex) {
+        return this.statements.deleteAlerts.run(transactionHash, logIndex).changes;
+    }
+
+    getCheckpoint() {
+        const row = this.statements.getCheckpoint.get();
+        return row ? JSON.parse(row.data) : null;
+    }
+
+    saveCheckpoint(checkpoint) {
+        this.statements.saveCheckpoint.run(toJSON(checkpoint));
+    }
+
+    transaction(fn) {
+        return this.db.transaction(fn)();
+    }
+
+    close() {
+        this.db.close();
+    }
+}
+
+/**
+ * Build a store from a `<type>:<location>` spec, e.g. `jsonl:monitoring/store`
+ * or `sqlite:monitoring/monitor.db`
+ */
+function createStore(spec) {
+    if (!spec || spec === "memory") {
+        return new MemoryStore();
+    }
+
+    const separator = spec.indexOf(":");
+    const type = separator === -1 ? spec : spec.slice(0, separator);
+    const location = separator === -1 ? "" : spec.slice(separator + 1);
+
+    switch (type) {
+        case "jsonl":
+            return new JsonlStore(location || path.join(__dirname, "..", "..", "monitoring", "store"));
+        case "sqlite":
+            return new SqliteStore(location || path.join(__dirname, "..", "..", "monitoring", "monitor.db"));
+        default:
+            throw new Error(`Unknown store type: ${type}`);
+    }
+}
+
+module.exports = {
+    MemoryStore,
+    JsonlStore,
+    SqliteStore,
+    createStore,
+    matchesFilter
+};
@@ -0,0 +1,215 @@
+const { WebSocketServer } = require("ws");
+const { toJSON } = require("./json");
+
+/**
+ * Live Feed over Server-Sent Events and WebSocket
+ *
+ * Publishes the eventData objects built by GraduationMonitor.handleEvent,
+ * the alerts it emits and reorg rollbacks. Each message is
+ *   { kind: "event" | "alert" | "rollback", id, data }
+ * where `id` is the event cursor `<blockNumber>:<logIndex>` (alerts have none).
+ *
+ * Subscription options (query string, or a WebSocket "subscribe" message):
+ *   token     - only events and alerts for this token
+ *   types     - comma separated event types
+ *   alerts    - "false" to leave out alerts
+ *   fromBlock - replay stored events from this block before going live
+ *   cursor    - replay stored events after this cursor (SSE also honours Last-Event-ID)
+ */
+
+const HEARTBEAT_MS = 15000;
+
+function cursorOf(event) {
+    return `${event.blockNumber}:${event.logIndex}`;
+}
+
+function parseCursor(raw) {
+    const match = /^(\d+):(\d+)$/.exec(raw || "");
+    return match ? { blockNumber: Number(match[1]), logIndex: Number(match[2]) } : null;
+}
+
+/**
+ * Normalize subscription options from a query string or a plain object
+ */
+function parseSubscription(source) {
+    const get = (name) => (source instanceof URLSearchParams ? source.get(name) : source[name]) ?? null;
+    const types = get("types");
+    const fromBlock = get("fromBlock");
+
+    return {
+        token: get("token") ? String(get("token")).toLowerCase() : null,
+        types: types ? (Array.isArray(types) ? types : String(types).split(",").map(t => t.trim())) : null,
+        alerts: String(get("alerts")) !== "false",
+        fromBlock: fromBlock !== null && fromBlock !== "" ? Number(fromBlock) : null,
+        cursor: parseCursor(get("cursor"))
+    };
+}
+
+function matchesSubscription(subscription, kind, data) {
+    if (kind === "alert") {
+        if (!subscription.alerts) {
+            return false;
+        }
+        const token = data.data && data.data.token;
+        return !subscription.token || (typeof token === "string" && token.toLowerCase() === subscription.token);
+    }
+
+    if (subscription.types && !subscription.types.includes(data.type)) {
+        return false;
+    }
+    return !subscription.token ||
+        (typeof data.token === "string" && data.token.toLowerCase() === subscription.token);
+}
+
+class LiveFeed {
+    /**
+     * @param {object} options
+     * @param {GraduationMonitor} options.monitor
+     * @param {number} [options.heartbeatMs] SSE keep-alive / WebSocket ping interval
+     */
+    constructor(options) {
+        this.monitor = options.monitor;
+        this.heartbeatMs = options.heartbeatMs ?? HEARTBEAT_MS;
+        this.clients = new Set();
+        this.wss = new WebSocketServer({ noServer: true });
+
+        this.onEvent = (event) => this.publish("event", event);
+        this.onAlert = (alert) => this.publish("alert", alert);
+        this.onRollback = (event) => this.publish("rollback", event);
+        this.monitor.on("event", this.onEvent);
+        this.monitor.on("alert", this.onAlert);
+        this.monitor.on("rollback", this.onRollback);
+
+        this.heartbeat = setInterval(() => {
+            for (const client of this.clients) {
+                client.ping();
+            }
+        }, this.heartbeatMs);
+        this.heartbeat.unref();
+    }
+
+    /**
+     * Accept WebSocket upgrades on `path` of an http server
+     */
+    attach(server, path = "/ws") {
+        server.on("upgrade", (req, socket, head) => {
+            const url = new URL(req.url, "http://localhost");
+            if (url.pathname !== path) {
+                socket.destroy();
+                return;
+            }
+
+            this.wss.handleUpgrade(req, socket, head, (ws) => this.acceptWebSocket(ws, url.searchParams));
+        });
+    }
+
+    /**
+     * Serve an SSE stream on an http response
+     */
+    acceptSse(req, res, query) {
+        const subscription = parseSubscription(query);
+        if (!subscription.cursor && req.headers["last-event-id"]) {
+            subscription.cursor = parseCursor(req.headers["last-event-id"]);
+        }
+
+        res.writeHead(200, {
+            "Content-Type": "text/event-stream",
+            "Cache-Control": "no-cache",
+            Connection: "keep-alive"
+        });
+        res.write(": connected\n\n");
+
+        const client = {
+            subscription,
+            send: (kind, data) => {
+                const id = kind === "alert" ? "" : `id: ${cursorOf(data)}\n`;
+                res.write(`${id}event: ${kind}\ndata: ${toJSON(data)}\n\n`);
+            },
+            ping: () => res.write(": ping\n\n"),
+            close: () => res.end()
+        };
+
+        this.join(client);
+        req.on("close", () => this.clients.delete(client));
+    }
+
+    acceptWebSocket(ws, query) {
+        const client = {
+            subscription: parseSubscription(query),
+            send: (kind, data) => ws.send(toJSON({ kind, id: kind === "alert" ? null : cursorOf(data), data })),
+            ping: () => ws.ping(),
+            close: () => ws.close(1001)
+        };
+
+        ws.on("message", (raw) => {
+            let message;
+            try {
+                message = JSON.parse(raw);
+            } catch (error) {
+                ws.send(toJSON({ kind: "error", error: "Invalid JSON" }));
+                return;
+            }
+
+            if (message.action === "subscribe") {
+                client.subscription = parseSubscription(message);
+                this.replay(client);
+            }
+        });
+        ws.on("close", () => this.clients.delete(client));
+
+        this.join(client);
+    }
+
+    /**
+     * Replay history, then receive live messages
+     *
+     * Stores are synchronous, so no event can be emitted between the replay
+     * and the client joining the live set.
+     */
+    join(client) {
+        this.replay(client);
+        this.clients.add(client);
+    }
+
+    replay(client) {
+        const { fromBlock, cursor } = client.subscription;
+        if (fromBlock === null && !cursor) {
+            return;
+        }
+
+        const start = cursor ? cursor.blockNumber : fromBlock;
+        for (const event of this.monitor.getEventHistory({ fromBlock: start })) {
+            const afterCursor = !cursor || event.blockNumber > cursor.blockNumber ||
+                (event.blockNumber === cursor.blockNumber && event.logIndex > cursor.logIndex);
+
+            if (afterCursor && matchesSubscription(client.subscription, "event", event)) {
+                client.send("event", event);
+            }
+        }
+    }
+
+    publish(kind, data) {
+        for (const client of this.clients) {
+            if (matchesSubscription(client.subscription, kind, data)) {
+                client.send(kind, data);
+            }
+        }
+    }
+
+    close() {
+        clearInterval(this.heartbeat);
+        this.monitor.off("event", this.onEvent);
+        this.monitor.off("alert", this.onAlert);
+        this.monitor.off("rollback", this.onRollback);
+        for (const client of this.clients) {
+            client.close();
+        }
+        this.clients.clear();
+        this.wss.close();
+    }
+}
+
+module.exports = {
+    LiveFeed,
+    parseSubscription
+};
@@ -0,0 +1,349 @@
+const fs = require("fs");
+const path = require("path");
+const { EventEmitter } = require("events");
+const { ethers } = require("ethers");
+const { GraduationMonitor, HealthMonitor } = require("../monitoring");
+const { createStore } = require("./stores");
+const { createDispatcherFromEnv } = require("./alerts");
+const { DeploymentRegistry } = require("../lib/deployment-registry");
+
+/**
+ * Multi-target Monitor Supervisor
+ *
+ * Runs one GraduationMonitor and one HealthMonitor per (network, manager
+ * address, ABI) target from a config file, tags every event and alert with
+ * the target's network, chainId and contract, and aggregates metrics across
+ * targets. A target that fails to start, or whose running monitor reports a
+ * failure (an ingest error, a failed watchdog reconnect), is restarted with
+ * backoff without affecting the others. A start that times out is stopped
+ * before the restart, and restarts resume from the store's checkpoint.
+ *
+ * Config (JSON):
+ *   {
+ *     "targets": [{
+ *       "name": "base",                 // defaults to the network name
+ *       "network": "base",              // a network from hardhat.config.js
+ *       "address": "0x...",             // the network's active deployment by default
+ *       "abi": "artifacts/...json",     // artifact or ABI file, the manager artifact by default
+ *       "security": { "address": "0x..." }, // SecurityEnhancements contract; "abi" as above
+ *       "rpcUrl": "https://...",        // overrides the network's url; may list several endpoints
+ *       "rpc": { "strategy": "quorum" }, // provider options (see providers.js)
+ *       "watchdog": { "stallTimeoutMs": 180000 }, // stall detection, false disables
+ *       "health": { "intervalSeconds": 300, "rules": {} }, // health checks, false disables
+ *       "chainId": 8453,                // overrides the network's chainId
+ *       "confirmations": 3,
+ *       "store": "jsonl:monitoring/base",
+ *       "fromBlock": 12000000
+ *     }]
+ *   }
+ */
+
+const ROOT = path.join(__dirname, "..", "..");
+const DEFAULT_ABI = "artifacts/contracts/UniswapGraduationManager.sol/UniswapGraduationManager.json";
+const DEFAULT_SECURITY_ABI = "artifacts/contracts/SecurityEnhancements.sol/SecurityEnhancements.json";
+
+/**
+ * Network url and chainId from hardhat.config.js (loads the Hardhat runtime)
+ */
+function hardhatNetwork(name) {
+    const { config } = require("hardhat");
+    const network = config.networks[name];
+    if (!network) {
+        throw new Error(`Unknown network: ${name}`);
+    }
+    return { url: network.url, chainId: network.chainId };
+}
+
+function loadAbi(file) {
+    const content = JSON.parse(fs.readFileSync(path.resolve(ROOT, file), "utf8"));
+    return Array.isArray(content) ? content : content.abi;
+}
+
+function securityContract(target) {
+    return target.security
+        ? { address: target.security.address, abi: loadAbi(target.security.abi || DEFAULT_SECURITY_ABI) }
+        : null;
+}
+
+function sumMetric(a, b) {
+    if (typeof a === "bigint" || typeof b === "bigint") {
+        return BigInt(a || 0) + BigInt(b || 0);
+    }
+    return (a || 0) + (b || 0);
+}
+
+class MonitorSupervisor extends EventEmitter {
+    /**
+     * @param {object} options
+     * @param {object[]} options.targets Target definitions (see the config format above)
+     * @param {object} [options.dispatcher] AlertDispatcher shared by all targets
+     * @param {number} [options.restartDelayMs] First retry delay after a failure, doubled up to maxRestartDelayMs
+     * @param {number} [options.maxRestartDelayMs]
+     * @param {number} [options.startTimeoutMs] A target still starting after this long counts as failed
+     * @param {function} [options.resolveNetwork] (name) => { url, chainId }, hardhat.config.js by default
+     * @param {function} [options.createMonitor] (target) => monitor, for custom monitor setups
+     * @param {function} [options.createHealthMonitor] (target, monitor) => health monitor
+     */
+    constructor(options) {
+        super();
+        this.dispatcher = options.dispatcher || null;
+        this.restartDelayMs = options.restartDelayMs ?? 30000;
+        this.maxRestartDelayMs = options.maxRestartDelayMs ?? 15 * 60 * 1000;
+        this.startTimeoutMs = options.startTimeoutMs ?? 120000;
+        this.resolveNetwork = options.resolveNetwork || hardhatNetwork;
+        this.createMonitor = options.createMonitor || ((target) => this.buildMonitor(target));
+        this.createHealthMonitor = options.createHealthMonitor ||
+            ((target, monitor) => this.buildHealthMonitor(target, monitor));
+
+        this.targets = options.targets.map(target => ({
+            ...target,
+            name: target.name || target.network,
+            status: "stopped",
+            monitor: null,
+            healthMonitor: null,
+            error: null,
+            failures: 0,
+            retryTimer: null
+        }));
+
+        const names = this.targets.map(t => t.name);
+        const duplicate = names.find((name, i) => names.indexOf(name) !== i);
+        if (duplicate) {
+            throw new Error(`Duplicate target name: ${duplicate}`);
+        }
+    }
+
+    static fromFile(file, options = {}) {
+        const config = JSON.parse(fs.readFileSync(file, "utf8"));
+        return new MonitorSupervisor({ ...options, targets: config.targets });
+    }
+
+    buildMonitor(target) {
+        if (!target.address) {
+            const active = new DeploymentRegistry({ network: target.network }).active();
+            if (!active) {
+                throw new Error(`No address for target ${target.name} and no active deployment on ${target.network}`);
+            }
+            target.address = active.managerAddress;
+        }
+        const network = target.rpcUrl && target.chainId
+            ? { url: target.rpcUrl, chainId: target.chainId }
+            : { ...this.resolveNetwork(target.network), ...(target.rpcUrl ? { url: target.rpcUrl } : {}) };
+
+        return new GraduationMonitor(target.address, network.url, loadAbi(target.abi || DEFAULT_ABI), {
+            store: createStore(target.store),
+            security: securityContract(target),
+            confirmations: target.confirmations,
+            dispatcher: this.dispatcher,
+            rpc: { chainId: target.chainId ?? network.chainId, ...(target.rpc || {}) },
+            watchdog: target.watchdog === false ? null : { ...(target.watchdog || {}) },
+            tags: {
+                network: target.network,
+                chainId: target.chainId ?? network.chainId,
+                contract: target.address
+            }
+        });
+    }
+
+    buildHealthMonitor(target, monitor) {
+        return new HealthMonitor(target.address, monitor.providerUrl, loadAbi(target.abi || DEFAULT_ABI), {
+            rpc: monitor.rpcOptions,
+            security: securityContract(target),
+            monitor,
+            rules: target.health ? target.health.rules : undefined
+        });
+    }
+
+    async start() {
+        console.log(`🧭 Supervising ${this.targets.length} monitor targets`);
+        await Promise.all(this.targets.map(target => this.startTarget(target)));
+    }
+
+    /**
+     * Start one target; failures are logged and retried, never thrown
+     */
+    async startTarget(target) {
+        target.status = "starting";
+        let timeout;
+
+        try {
+            target.monitor = this.createMonitor(target);
+            this.forward(target);
+
+            // The configured fromBlock only applies until the store has a checkpoint
+            const fromBlock = target.monitor.cursor ? null : target.fromBlock ?? null;
+            const started = target.monitor.startMonitoring({ fromBlock });
+            started.catch(() => {});
+            const timedOut = new Promise((resolve, reject) => {
+                timeout = setTimeout(() => reject(new Error(`start timed out after ${this.startTimeoutMs}ms`)),
+                    this.startTimeoutMs);
+            });
+            await Promise.race([started, timedOut]);
+
+            if (target.monitor.tags.chainId === undefined) {
+                const network = await target.monitor.provider.getNetwork();
+                target.monitor.tags.chainId = Number(network.chainId);
+            }
+
+            if (target.health !== false) {
+                target.healthMonitor = this.createHealthMonitor(target, target.monitor);
+                await target.healthMonitor.startHealthChecks((target.health && target.health.intervalSeconds) || 300);
+            }
+
+            target.status = "running";
+            target.error = null;
+            target.failures = 0;
+            console.log(`✅ [${target.name}] monitoring ${target.address}`);
+        } catch (error) {
+            // Stopping the monitor also ends a start still running after the timeout
+            this.fail(target, error);
+        } finally {
+            clearTimeout(timeout);
+        }
+    }
+
+    fail(target, error) {
+        clearTimeout(target.retryTimer);
+        target.status = "failed";
+        target.error = error.message;
+        target.failures++;
+        console.error(`❌ [${target.name}] ${error.message}`);
+        this.emit("targetFailed", target.name, error);
+
+        try {
+            this.stopTarget(target);
+        } catch (stopError) {
+            console.error(`Error stopping [${target.name}]:`, stopError);
+        }
+
+        const delay = Math.min(this.restartDelayMs * 2 ** (target.failures - 1), this.maxRestartDelayMs);
+        target.retryTimer = setTimeout(() => {
+            target.retryTimer = null;
+            this.startTarget(target);
+        }, delay);
+        target.retryTimer.unref();
+    }
+
+    /**
+     * Re-emit a target's events, alerts and rollbacks as (targetName, payload);
+     * failures of a running monitor restart the target
+     */
+    forward(target) {
+        for (const name of ["event", "alert", "rollback"]) {
+            target.monitor.on(name, (payload) => this.emit(name, target.name, payload));
+        }
+        target.monitor.on("failure", (error) => {
+            if (target.status === "running") {
+                this.fail(target, error);
+            }
+        });
+    }
+
+    stopTarget(target) {
+        if (target.healthMonitor) {
+            target.healthMonitor.stopHealthChecks();
+            target.healthMonitor = null;
+        }
+        if (target.monitor) {
+            const monitor = target.monitor;
+            target.monitor = null;
+            monitor.removeAllListeners();
+            monitor.stopMonitoring();
+        }
+    }
+
+    stop() {
+        for (const target of this.targets) {
+            clearTimeout(target.retryTimer);
+            this.stopTarget(target);
+            target.status = "stopped";
+        }
+    }
+
+    getStatus() {
+        return this.targets.map(target => ({
+            name: target.name,
+            network: target.network,
+            chainId: target.monitor ? target.monitor.tags.chainId : target.chainId ?? null,
+            contract: target.address,
+            status: target.status,
+            health: target.healthMonitor && target.healthMonitor.lastHealth
+                ? target.healthMonitor.lastHealth.status
+                : null,
+            error: target.error,
+            failures: target.failures
+        }));
+    }
+
+    /**
+     * Metrics per target and summed across all targets that have a monitor
+     */
+    getMetrics() {
+        const byTarget = {};
+        const totals = {};
+
+        for (const target of this.targets) {
+            if (!target.monitor) {
+                continue;
+            }
+
+            const metrics = target.monitor.getMetrics();
+            byTarget[target.name] = metrics;
+            for (const [key, value] of Object.entries(metrics)) {
+                totals[key] = sumMetric(totals[key], value);
+            }
+        }
+
+        totals.averageGraduationSize = totals.totalGraduations > 0
+            ? totals.totalLiquidityAdded / BigInt(totals.totalGraduations)
+            : 0n;
+
+        return { totals, byTarget };
+    }
+
+    generateReport() {
+        const { totals } = this.getMetrics();
+
+        console.log("\n" + "=".repeat(60));
+        console.log("GRADUATION MANAGER MONITORING REPORT (ALL TARGETS)");
+        console.log("=".repeat(60));
+        for (const target of this.getStatus()) {
+            console.log(`${target.name} (chain ${target.chainId}): ${target.status}` +
+                (target.health ? ` (${target.health})` : "") +
+                (target.error ? ` - ${target.error}` : ""));
+        }
+        console.log("-".repeat(60));
+        console.log(`Total Graduations: ${totals.totalGraduations || 0}`);
+        console.log(`Total Liquidity Added: ${ethers.formatEther(totals.totalLiquidityAdded || 0n)} ETH`);
+        console.log(`Total LP Locked: ${ethers.formatEther(totals.totalLPLocked || 0n)} LP`);
+        console.log(`Total Events: ${totals.totalEvents || 0}`);
+        console.log(`Total Alerts: ${totals.totalAlerts || 0}`);
+        console.log("=".repeat(60) + "\n");
+
+        return totals;
+    }
+}
+
+async function main() {
+    const file = process.argv[2] || process.env.MONITOR_TARGETS || path.join(ROOT, "monitoring.targets.json");
+    const supervisor = MonitorSupervisor.fromFile(file, { dispatcher: createDispatcherFromEnv() });
+    await supervisor.start();
+
+    setInterval(() => supervisor.generateReport(), 3600000);
+
+    process.on("SIGINT", () => {
+        console.log("\n🛑 Shutting down monitors...");
+        supervisor.generateReport();
+        supervisor.stop();
+        process.exit(0);
+    });
+}
+
+module.exports = {
+    MonitorSupervisor,
+    main
+};
+
+if (require.main === module) {
+    main().catch(console.error);
+}
@@ -0,0 +1,242 @@
+const fs = require("fs");
+const path = require("path");
+const { ethers } = require("ethers");
+const { formatDuration } = require("../lib/durations");
+
+/**
+ * LP Unlock Scheduler
+ *
+ * Keeps a calendar of locked LP positions (from the monitor's token
+ * lifecycle, i.e. LPTokensLocked events) and:
+ * - raises an "Upcoming LP Unlock" warning as each lead time is reached
+ * - raises "LP Unlock Overdue" for positions past their unlock time that
+ *   were never unlocked through unlockLPTokens
+ * - answers "next unlocks" queries and exports the calendar as iCalendar
+ *
+ * Remaining times are confirmed on-chain with getTimeUntilUnlock and
+ * getLockedLPBalance before alerting.
+ */
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+const DAY = 24 * HOUR;
+
+const DEFAULT_LEAD_TIMES = [7 * DAY, 24 * HOUR, HOUR];
+
+/**
+ * UTC timestamp in iCalendar form, e.g. 20240101T120000Z
+ */
+function icsDate(ms) {
+    return new Date(ms).toISOString().replace(/[-:]/g, "").replace(/\.\d{3}/, "");
+}
+
+/**
+ * Escape a TEXT property value (RFC 5545)
+ */
+function icsText(value) {
+    return String(value).replace(/\\/g, "\\\\").replace(/;/g, "\\;").replace(/,/g, "\\,").replace(/\n/g, "\\n");
+}
+
+/**
+ * Fold a content line to 75 octets per line (RFC 5545)
+ */
+function icsFold(line) {
+    const parts = [line.slice(0, 75)];
+    for (let i = 75; i < line.length; i += 74) {
+        parts.push(line.slice(i, i + 74));
+    }
+    return parts.join("\r\n ");
+}
+
+class UnlockScheduler {
+    /**
+     * @param {object} options
+     * @param {GraduationMonitor} options.monitor
+     * @param {number[]} [options.leadTimesMs] When to warn ahead of an unlock
+     * @param {number} [options.checkIntervalMs] How often to check the calendar
+     * @param {number} [options.overdueAfterMs] Grace period after unlockTime before a position is overdue
+     */
+    constructor(options) {
+        this.monitor = options.monitor;
+        this.leadTimesMs = [...(options.leadTimesMs || DEFAULT_LEAD_TIMES)].sort((a, b) => b - a);
+        this.checkIntervalMs = options.checkIntervalMs || MINUTE;
+        this.overdueAfterMs = options.overdueAfterMs || 0;
+        this.timer = null;
+        this.checking = null;
+
+        // `${token}:${unlockTime}:${leadTime}` warnings already sent, and overdue positions reported
+        this.warned = new Set();
+        this.reportedOverdue = new Set();
+        // Positions found unlocked on-chain without an LPTokensUnlocked event
+        this.settled = new Set();
+    }
+
+    start() {
+        const run = () => this.check().catch(error => console.error("Error checking LP unlocks:", error));
+        this.timer = setInterval(run, this.checkIntervalMs);
+        this.timer.unref();
+        run();
+    }
+
+    stop() {
+        clearInterval(this.timer);
+        this.timer = null;
+    }
+
+    /**
+     * Locked positions ordered by unlock time
+     */
+    calendar(now = Date.now()) {
+        return this.monitor.lifecycle.getTokens({ state: "locked" })
+            .filter(token => !this.settled.has(positionKey(token)))
+            .map(token => ({
+                token: token.token,
+                pair: token.pair,
+                amount: token.lpLocked,
+                unlockTime: token.unlockTime,
+                unlockAt: new Date(token.unlockTime * 1000).toISOString(),
+                unlockInMs: token.unlockTime * 1000 - now,
+                overdue: now >= token.unlockTime * 1000 + this.overdueAfterMs
+            }))
+            .sort((a, b) => a.unlockTime - b.unlockTime);
+    }
+
+    /**
+     * Upcoming (not yet due) unlocks, optionally limited to a window
+     */
+    nextUnlocks({ limit = 10, withinMs = null, now = Date.now() } = {}) {
+        return this.calendar(now)
+            .filter(entry => entry.unlockInMs > 0 && (withinMs === null || entry.unlockInMs <= withinMs))
+            .slice(0, limit);
+    }
+
+    overdue(now = Date.now()) {
+        return this.calendar(now).filter(entry => entry.overdue);
+    }
+
+    /**
+     * Send due lead-time warnings and overdue alerts. Overlapping calls share
+     * the check in flight so a slow RPC cannot send a warning twice.
+     */
+    check(now = Date.now()) {
+        if (!this.checking) {
+            this.checking = this.runCheck(now).finally(() => {
+                this.checking = null;
+            });
+        }
+        return this.checking;
+    }
+
+    async runCheck(now) {
+        for (const entry of this.calendar(now)) {
+            if (entry.overdue) {
+                await this.checkOverdue(entry);
+                continue;
+            }
+
+            // Only the closest lead time already reached is announced
+            const due = this.leadTimesMs.filter(lead => entry.unlockInMs <= lead);
+            const keys = due.map(lead => `${entry.token}:${entry.unlockTime}:${lead}`);
+            if (due.length === 0 || this.warned.has(keys[keys.length - 1])) {
+                continue;
+            }
+
+            const secondsLeft = await this.monitor.contract.getTimeUntilUnlock(entry.token);
+            const remainingMs = Number(secondsLeft) * 1000;
+            if (remainingMs === 0) {
+                continue;
+            }
+
+            this.monitor.sendAlert({
+                level: "warning",
+                title: "Upcoming LP Unlock",
+                message: `${ethers.formatEther(entry.amount)} LP of ${entry.token} unlocks in ${formatDuration(remainingMs)} (${entry.unlockAt})`,
+                data: { ...entry, unlockInMs: remainingMs, leadTimeMs: due[due.length - 1] }
+            });
+            // Marked only once sent, so a failed on-chain read retries on the next check
+            keys.forEach(key => this.warned.add(key));
+        }
+    }
+
+    async checkOverdue(entry) {
+        const key = positionKey(entry);
+        if (this.reportedOverdue.has(key)) {
+            return;
+        }
+
+        const [secondsLeft, locked] = await Promise.all([
+            this.monitor.contract.getTimeUntilUnlock(entry.token),
+            this.monitor.contract.getLockedLPBalance(entry.token)
+        ]);
+        if (secondsLeft > 0n) {
+            return;
+        }
+        if (locked === 0n) {
+            console.log(`🔓 LP of ${entry.token} already unlocked on-chain`);
+            this.settled.add(key);
+            return;
+        }
+
+        this.reportedOverdue.add(key);
+        this.monitor.sendAlert({
+            level: "warning",
+            title: "LP Unlock Overdue",
+            message: `${ethers.formatEther(locked)} LP of ${entry.token} unlockable since ${entry.unlockAt} but still locked`,
+            data: { ...entry, amount: locked.toString() }
+        });
+    }
+
+    /**
+     * The calendar as an iCalendar document, one event (with alarms) per position
+     */
+    toICS(now = Date.now()) {
+        const lines = [
+            "BEGIN:VCALENDAR",
+            "VERSION:2.0",
+            "PRODID:-//uniswap-graduation-manager//LP unlocks//EN",
+            "CALSCALE:GREGORIAN",
+            "X-WR-CALNAME:LP Unlocks"
+        ];
+
+        for (const entry of this.calendar(now)) {
+            const start = entry.unlockTime * 1000;
+            lines.push(
+                "BEGIN:VEVENT",
+                `UID:${entry.token.toLowerCase()}-${entry.unlockTime}@uniswap-graduation-manager`,
+                `DTSTAMP:${icsDate(now)}`,
+                `DTSTART:${icsDate(start)}`,
+                `DTEND:${icsDate(start + 15 * MINUTE)}`,
+                `SUMMARY:${icsText(`LP unlock: ${entry.token}`)}`,
+                `DESCRIPTION:${icsText(`${ethers.formatEther(entry.amount)} LP tokens of pair ${entry.pair} become unlockable.`)}`
+            );
+            for (const lead of this.leadTimesMs) {
+                lines.push(
+                    "BEGIN:VALARM",
+                    "ACTION:DISPLAY",
+                    `TRIGGER:-PT${Math.round(lead / MINUTE)}M`,
+                    `DESCRIPTION:${icsText(`LP unlock of ${entry.token} in ${formatDuration(lead)}`)}`,
+                    "END:VALARM"
+                );
+            }
+            lines.push("END:VEVENT");
+        }
+
+        lines.push("END:VCALENDAR");
+        return lines.map(icsFold).join("\r\n") + "\r\n";
+    }
+
+    exportICS(filepath) {
+        fs.mkdirSync(path.dirname(filepath), { recursive: true });
+        fs.writeFileSync(filepath, this.toICS());
+        console.log(`📅 Unlock calendar exported to ${filepath}`);
+    }
+}
+
+function positionKey(position) {
+    return `${position.token}:${position.unlockTime}`;
+}
+
+module.exports = {
+    UnlockScheduler,
+    DEFAULT_LEAD_TIMES
+};
@@ -0,0 +1,249 @@
+const { ethers } = require("ethers");
+const { parseArgs } = require("util");
+const { DeploymentRegistry } = require("./lib/deployment-registry");
+
+/**
+ * Local Sandbox Seeding
+ *
+ * Fills a local chain with graduation activity, with no network access:
+ * - deploys the manager with the sandbox contracts from contracts/mocks
+ *   (WETH9, Uniswap V2 factory, router and pair) when the network has no
+ *   active deployment
+ * - a MockSecurityEnhancements (circuit breaker, emergency mode and rate
+ *   limits for the monitor and keeper) unless the deployment recorded one
+ * - per sample token: a MockERC20, a MockBondingCurve holding its supply,
+ *   and the token registered with the manager
+ * - buys on each curve, which reports to `updateBondingCurve`, until the
+ *   curve hands its liquidity to the manager and the token graduates to a
+ *   Uniswap V2 pair (the last token stops halfway to the thresholds)
+ * - a couple of swaps on each new pair
+ *
+ *   npx hardhat node
+ *   npm run sandbox:seed
+ *   node scripts/seed-sandbox.js --network localhost [--tokens 3] [--graduate 2] [--buy-eth 10]
+ */
+
+const LOCAL_NETWORKS = ["hardhat", "localhost"];
+const DEFAULT_SUPPLY = ethers.parseEther("1000000000");
+
+class SandboxSeeder {
+    /**
+     * @param {object} options
+     * @param {object} options.ethers Hardhat ethers (for contract factories)
+     * @param {ethers.Contract} options.manager Manager connected to its owner
+     * @param {ethers.Signer[]} options.traders Accounts buying on the curves
+     * @param {number} [options.tokens] Sample tokens to launch
+     * @param {number} [options.graduate] How many of them to push to graduation
+     * @param {bigint} [options.buyAmount] ETH per curve buy
+     * @param {bigint} [options.virtualEth] Virtual ETH reserve pricing the curves
+     * @param {bigint} [options.supply] Supply of each sample token
+     * @param {number} [options.liquidityBps] Share of the supply kept for the Uniswap pair
+     * @param {boolean} [options.swaps] Trade on the pairs after graduation
+     */
+    constructor(options) {
+        this.ethers = options.ethers;
+        this.manager = options.manager;
+        this.owner = options.manager.runner;
+        this.traders = options.traders;
+        this.tokens = options.tokens ?? 3;
+        this.graduate = Math.min(options.graduate ?? this.tokens - 1, this.tokens);
+        this.buyAmount = options.buyAmount ?? ethers.parseEther("10");
+        this.virtualEth = options.virtualEth ?? ethers.parseEther("30");
+        this.supply = options.supply ?? DEFAULT_SUPPLY;
+        this.liquidityBps = options.liquidityBps ?? 2000;
+        this.swaps = options.swaps ?? true;
+        this.maxBuys = options.maxBuys ?? 200;
+        this.log = options.log || console.log;
+    }
+
+    async deploy(contractName, ...args) {
+        const factory = await this.ethers.getContractFactory(contractName, this.owner);
+        const contract = await factory.deploy(...args);
+        await contract.waitForDeployment();
+        return contract;
+    }
+
+    /**
+     * Deploy the sandbox SecurityEnhancements; resolves with its address
+     */
+    async deploySecurity() {
+        const security = await this.deploy("MockSecurityEnhancements");
+        this.log(`🛡️  MockSecurityEnhancements ${security.target}`);
+        return security.target;
+    }
+
+    async send(txPromise) {
+        return (await txPromise).wait();
+    }
+
+    /**
+     * Launch every sample token; resolves with one summary per token
+     */
+    async run() {
+        const owner = await this.owner.getAddress();
+        if ((await this.manager.owner()) !== owner) {
+            throw new Error(`Seeding registers tokens, which needs the manager owner (${await this.manager.owner()}), not ${owner}`);
+        }
+
+        const results = [];
+        for (let i = 0; i < this.tokens; i++) {
+            results.push(await this.seedToken(i, i < this.graduate));
+        }
+        return results;
+    }
+
+    async seedToken(index, graduate) {
+        const symbol = `SBX${index + 1}`;
+        const liquidityTokens = (this.supply * BigInt(this.liquidityBps)) / 10000n;
+
+        const token = await this.deploy("MockERC20", `Sandbox Token ${index + 1}`, symbol, this.supply);
+        const curve = await this.deploy("MockBondingCurve", this.manager.target, token.target, this.virtualEth, liquidityTokens);
+        await this.send(token.transfer(curve.target, this.supply));
+        await this.send(this.manager.registerToken(token.target, liquidityTokens, 0));
+        this.log(`🪙 ${symbol} ${token.target} on curve ${curve.target}`);
+
+        const config = await this.manager.config();
+        // Stop halfway to the liquidity threshold unless graduating
+        const target = graduate ? null : config.liquidityThreshold / 2n;
+        let buys = 0;
+        while (!(await curve.migrated()) && buys < this.maxBuys) {
+            if (target !== null && (await curve.ethReserve()) + this.buyAmount > target) {
+                break;
+            }
+            const trader = this.traders[buys % this.traders.length];
+            await this.send(curve.connect(trader).buy(0, { value: this.buyAmount }));
+            buys++;
+        }
+
+        let graduation = await this.manager.graduations(token.target);
+        if (graduate && (await curve.migrated()) && !graduation.graduated) {
+            // Auto-graduation is off: the liquidity waits in the manager
+            await this.send(this.manager.graduateToken(token.target));
+            graduation = await this.manager.graduations(token.target);
+        }
+
+        const status = await this.manager.getGraduationStatus(token.target);
+        this.log(graduation.graduated
+            ? `🎓 ${symbol} graduated after ${buys} buys: pair ${graduation.pair}, ${ethers.formatEther(graduation.lpTokensLocked)} LP locked`
+            : `📈 ${symbol} at ${Number(status.liquidityProgress) / 100}% of the liquidity threshold after ${buys} buys`);
+
+        if (graduation.graduated && this.swaps) {
+            await this.swap(token);
+        }
+
+        return {
+            symbol,
+            token: token.target,
+            curve: curve.target,
+            buys,
+            graduated: graduation.graduated,
+            pair: graduation.graduated ? graduation.pair : null,
+            lpTokensLocked: graduation.lpTokensLocked,
+            unlockTime: graduation.unlockTime,
+            marketCap: status.currentMarketCap,
+            liquidity: status.currentLiquidity
+        };
+    }
+
+    /**
+     * A buy and a sell through the router, so the pair has Swap events
+     */
+    async swap(token) {
+        const router = await this.ethers.getContractAt("MockUniswapV2Router", await this.manager.uniswapRouter());
+        const weth = await router.WETH();
+        const trader = this.traders[0];
+        const deadline = (await this.ethers.provider.getBlock("latest")).timestamp + 3600;
+
+        await this.send(router.connect(trader).swapExactETHForTokens(0, [weth, token.target], trader.address, deadline, {
+            value: this.buyAmount / 10n
+        }));
+        const amount = (await token.balanceOf(trader.address)) / 10n;
+        await this.send(token.connect(trader).approve(router.target, amount));
+        await this.send(router.connect(trader).swapExactTokensForETH(amount, 0, [token.target, weth], trader.address, deadline));
+    }
+}
+
+/**
+ * The security contract, then one line per sample token
+ */
+function renderSandboxSummary(results, securityAddress = null) {
+    const lines = [""];
+    if (securityAddress) {
+        lines.push(`SecurityEnhancements: ${securityAddress}`);
+    }
+    lines.push("Sandbox tokens:");
+    for (const result of results) {
+        const state = result.graduated
+            ? `graduated, pair ${result.pair}, ${ethers.formatEther(result.lpTokensLocked)} LP locked until ${new Date(Number(result.unlockTime) * 1000).toISOString()}`
+            : `on the curve, ${ethers.formatEther(result.liquidity)} ETH raised`;
+        lines.push(`  ${result.symbol.padEnd(6)} ${result.token}  ${state}`);
+    }
+    return lines.join("\n");
+}
+
+async function main() {
+    const { values } = parseArgs({
+        args: process.argv.slice(2),
+        options: {
+            network: { type: "string" },
+            tokens: { type: "string", default: process.env.SANDBOX_TOKENS },
+            graduate: { type: "string", default: process.env.SANDBOX_GRADUATE },
+            "buy-eth": { type: "string", default: process.env.SANDBOX_BUY_ETH },
+            "virtual-eth": { type: "string", default: process.env.SANDBOX_VIRTUAL_ETH }
+        }
+    });
+    // `node scripts/seed-sandbox.js --network <name>` selects the network like `hardhat run --network`
+    if (values.network) {
+        process.env.HARDHAT_NETWORK = values.network;
+    }
+    const hre = require("hardhat");
+    const network = hre.network.name;
+    if (!LOCAL_NETWORKS.includes(network)) {
+        throw new Error(`The sandbox only runs on ${LOCAL_NETWORKS.join(" or ")}, not ${network}`);
+    }
+
+    const [owner, ...traders] = await hre.ethers.getSigners();
+    let record = new DeploymentRegistry({ network }).active();
+    if (!record || (await hre.ethers.provider.getCode(record.managerAddress)) === "0x") {
+        // A restarted node leaves the journal and the active deployment behind
+        console.log(`🏗️  No manager on this ${network} chain, deploying the sandbox first`);
+        process.env.DEPLOY_FRESH = "true";
+        record = await require("./deploy").main();
+    }
+
+    const manager = await hre.ethers.getContractAt("UniswapGraduationManager", record.managerAddress, owner);
+    console.log(`\n🌱 Seeding the sandbox on ${network}: manager ${record.managerAddress}, router ${record.routerAddress}`);
+
+    const seeder = new SandboxSeeder({
+        ethers: hre.ethers,
+        manager,
+        traders,
+        tokens: values.tokens ? Number(values.tokens) : undefined,
+        graduate: values.graduate ? Number(values.graduate) : undefined,
+        buyAmount: values["buy-eth"] ? ethers.parseEther(values["buy-eth"]) : undefined,
+        virtualEth: values["virtual-eth"] ? ethers.parseEther(values["virtual-eth"]) : undefined
+    });
+    const securityAddress = record.securityAddress && (await hre.ethers.provider.getCode(record.securityAddress)) !== "0x"
+        ? record.securityAddress
+        : await seeder.deploySecurity();
+    console.log(renderSandboxSummary(await seeder.run(), securityAddress));
+
+    if (network === "hardhat") {
+        console.log("\nℹ️  The hardhat network ends with this run: start `npx hardhat node` and seed --network localhost to keep the sandbox");
+        return;
+    }
+    console.log("\nWatch it:");
+    console.log(`  DEPLOYMENT_NETWORK=${network} RPC_URL=http://127.0.0.1:8545 SECURITY_ADDRESS=${securityAddress} BACKFILL_FROM_BLOCK=0 npm run monitor`);
+}
+
+module.exports = {
+    SandboxSeeder,
+    renderSandboxSummary
+};
+
+if (require.main === module) {
+    main().catch((error) => {
+        console.error(error);
+        process.exit(1);
+    });
+}
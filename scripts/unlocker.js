@@ -0,0 +1,168 @@
+const path = require("path");
+const { parseDuration } = require("./lib/durations");
+const { TransactionAutomation, automationFromEnv, stopOnInterrupt } = require("./lib/automation");
+
+/**
+ * LP Unlock Executor
+ *
+ * `unlockLPTokens` is permissionless once a lock's unlockTime has passed;
+ * this calls it on schedule so LP does not sit in the manager longer than
+ * intended. Locked tokens are tracked from LPTokensLocked/LPTokensUnlocked
+ * events, and a lock is matured when `getTimeUntilUnlock` is 0 and
+ * `getLockedLPBalance` is nonzero.
+ *
+ * Each round submits the matured unlocks in batches of `maxBatch`: the
+ * transactions of a batch are broadcast one after another in token order
+ * (consecutive local nonces, see TransactionSender) and confirmed together. The
+ * amount and recipient of every confirmed unlock are read back from its
+ * LPTokensUnlocked event and logged as an "unlocked" receipt alongside the
+ * transaction attempts (see lib/automation.js).
+ */
+
+class LPUnlockExecutor extends TransactionAutomation {
+    /**
+     * @param {object} options
+     * @param {ethers.Contract} options.contract Manager connected to the signer
+     * @param {ethers.Signer} options.signer
+     * @param {object} [options.transactions] TransactionSender options (maxFeePerGas, replaceAfterMs, ...)
+     * @param {boolean} [options.dryRun] Simulate unlocks without sending them
+     * @param {number} [options.fromBlock] First block scanned for locks
+     * @param {number} [options.blockBatchSize] Blocks per log query
+     * @param {number} [options.maxBatch] Unlocks in flight at once
+     * @param {number} [options.intervalMs]
+     * @param {string} [options.logFile] JSONL file attempts and receipts are appended to
+     */
+    constructor(options) {
+        // Locked tokens are tracked until they are unlocked
+        super(options, {
+            name: "Unlocker",
+            title: "🔓 Unlock executor",
+            events: ["LPTokensLocked", "LPTokensUnlocked"],
+            intervalMs: options.intervalMs || 60 * 60 * 1000,
+            blockBatchSize: options.blockBatchSize || 2000
+        });
+        this.maxBatch = options.maxBatch || 10;
+        this.running = false;
+    }
+
+    /**
+     * Locks that can be released now, as `{ token, amount }`
+     */
+    async findMatured() {
+        const matured = [];
+        for (const token of this.tokens) {
+            const [timeUntilUnlock, amount] = await Promise.all([
+                this.contract.getTimeUntilUnlock(token),
+                this.contract.getLockedLPBalance(token)
+            ]);
+            if (timeUntilUnlock === 0n && amount > 0n) {
+                matured.push({ token, amount });
+            }
+        }
+        return matured;
+    }
+
+    /**
+     * One round: unlock every matured lock; resolves with the receipts of
+     * this round
+     */
+    async round() {
+        if (this.running) {
+            return [];
+        }
+        this.running = true;
+
+        try {
+            await this.syncTokens();
+            const matured = await this.findMatured();
+            const receipts = [];
+
+            for (let i = 0; i < matured.length; i += this.maxBatch) {
+                const batch = await Promise.all(matured.slice(i, i + this.maxBatch).map(lock => this.unlock(lock)));
+                receipts.push(...batch.filter(Boolean));
+            }
+
+            if (receipts.length > 0) {
+                console.log(`🔓 Unlocked ${receipts.length} LP lock(s)`);
+            }
+            return receipts;
+        } finally {
+            this.running = false;
+        }
+    }
+
+    /**
+     * Submit unlockLPTokens; resolves with the "unlocked" receipt, or null
+     */
+    async unlock({ token, amount }) {
+        try {
+            const tx = await this.contract.unlockLPTokens.populateTransaction(token);
+            const result = await this.sender.send(tx, { action: "unlockLPTokens", token, amount });
+            if (result.dryRun || result.receipt.status !== 1) {
+                return null;
+            }
+
+            const event = result.receipt.logs
+                .map(log => this.contract.interface.parseLog(log))
+                .find(parsed => parsed && parsed.name === "LPTokensUnlocked" && parsed.args.token === token);
+            this.tokens.delete(token);
+            return this.record({
+                stage: "unlocked",
+                token,
+                recipient: event ? event.args.recipient : null,
+                amount: event ? event.args.amount : null,
+                hash: result.hash,
+                blockNumber: result.receipt.blockNumber,
+                gasUsed: result.receipt.gasUsed
+            });
+        } catch (error) {
+            this.record({
+                stage: error.code === "GAS_PRICE_TOO_HIGH" ? "skipped" : "failed",
+                action: "unlockLPTokens",
+                token,
+                reason: error.shortMessage || error.message
+            });
+            return null;
+        }
+    }
+}
+
+/**
+ * Run the executor:
+ *   CONTRACT_ADDRESS=0x... RPC_URL=https://... UNLOCKER_PRIVATE_KEY=0x... node scripts/unlocker.js
+ *
+ * DEPLOYMENT_NETWORK=<network> instead of CONTRACT_ADDRESS uses the network's
+ * active deployment (see scripts/deployments.js).
+ *
+ * UNLOCKER_DRY_RUN=true simulates only; MAX_FEE_GWEI / MAX_PRIORITY_FEE_GWEI
+ * cap fees; UNLOCKER_INTERVAL (default 1h), UNLOCKER_BATCH (default 10),
+ * UNLOCKER_FROM_BLOCK and UNLOCKER_REPLACE_AFTER (default 3m) tune the rest.
+ */
+async function main() {
+    const { signer, contractAddress, ...options } = automationFromEnv("UNLOCKER");
+
+    const executor = new LPUnlockExecutor({
+        ...options,
+        signer,
+        maxBatch: Number(process.env.UNLOCKER_BATCH || 10),
+        intervalMs: parseDuration(process.env.UNLOCKER_INTERVAL || "1h"),
+        logFile: process.env.UNLOCKER_LOG || path.join(__dirname, "..", "monitoring", "unlock-receipts.jsonl")
+    });
+
+    console.log(`🔓 Unlocker ${await signer.getAddress()} for manager ${contractAddress}`);
+    console.log(`   LP recipient: ${await options.contract.lpLockRecipient()}`);
+    executor.start();
+    stopOnInterrupt(executor, "Stopping unlock executor...");
+}
+
+module.exports = {
+    LPUnlockExecutor,
+    main
+};
+
+if (require.main === module) {
+    main().catch((error) => {
+        console.error(error);
+        process.exit(1);
+    });
+}
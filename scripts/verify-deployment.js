@@ -0,0 +1,262 @@
+const { ethers } = require("ethers");
+const fs = require("fs");
+const { parseArgs } = require("util");
+const { toJSON } = require("./monitoring/json");
+const { DeploymentRegistry } = require("./lib/deployment-registry");
+
+/**
+ * Deployment Verification
+ *
+ * Compares a deployed manager with the deployment record written by
+ * scripts/deploy.js (the network's active deployment, or --version <n> from
+ * its history):
+ * - wiring: uniswapRouter, and uniswapFactory/WETH against the router's own
+ *   factory() and WETH()
+ * - config(): thresholds, lock duration, slippage, auto-graduation
+ * - lpLockRecipient and owner()
+ * - SecurityEnhancements role holders and rate/transaction limits, on the
+ *   record's securityAddress (or --security <address>)
+ *
+ * Prints a pass/fail report and exits non-zero on any drift:
+ *   npx hardhat run scripts/verify-deployment.js --network localhost
+ *   node scripts/verify-deployment.js --network base [--version <n> | --file <record>] [--security <address>] [--json]
+ */
+
+const ROUTER_ABI = [
+    "function factory() view returns (address)",
+    "function WETH() view returns (address)"
+];
+
+const ROLE_IDS = {
+    admin: ethers.ZeroHash,
+    operator: ethers.id("OPERATOR_ROLE"),
+    guardian: ethers.id("GUARDIAN_ROLE"),
+    emergency: ethers.id("EMERGENCY_ROLE")
+};
+
+/**
+ * Values compared as addresses, numbers or as they are
+ */
+function normalize(value) {
+    if (typeof value === "string" && ethers.isAddress(value)) {
+        return ethers.getAddress(value);
+    }
+    if (typeof value === "bigint" || typeof value === "number" || (typeof value === "string" && /^\d+$/.test(value))) {
+        return BigInt(value).toString();
+    }
+    return value;
+}
+
+class DeploymentVerifier {
+    /**
+     * @param {object} options
+     * @param {object} options.record Deployment record written by deploy.js
+     * @param {ethers.Contract} options.manager Manager at record.managerAddress
+     * @param {ethers.Contract} options.router Router at the manager's uniswapRouter
+     * @param {ethers.Contract} [options.security] SecurityEnhancements contract holding the roles and limits
+     * @param {ethers.Provider} options.provider
+     */
+    constructor(options) {
+        this.record = options.record;
+        this.manager = options.manager;
+        this.router = options.router;
+        this.security = options.security || null;
+        this.provider = options.provider;
+        this.checks = [];
+    }
+
+    check(section, name, expected, actual) {
+        const pass = normalize(expected) === normalize(actual);
+        this.checks.push({ section, name, expected, actual, pass });
+        return pass;
+    }
+
+    skip(section, name, reason) {
+        this.checks.push({ section, name, pass: true, skipped: reason });
+    }
+
+    /**
+     * Run every check; resolves with the report
+     */
+    async verify() {
+        const { record } = this;
+        const expected = record.config;
+
+        const code = await this.provider.getCode(record.managerAddress);
+        if (!this.check("contract", "bytecode deployed", true, code !== "0x")) {
+            return this.report();
+        }
+
+        const [router, factory, weth] = await Promise.all([
+            this.manager.uniswapRouter(),
+            this.manager.uniswapFactory(),
+            this.manager.WETH()
+        ]);
+        this.check("wiring", "uniswapRouter", record.routerAddress, router);
+        const [routerFactory, routerWeth] = await Promise.all([this.router.factory(), this.router.WETH()]);
+        this.check("wiring", "uniswapFactory = router.factory()", routerFactory, factory);
+        this.check("wiring", "WETH = router.WETH()", routerWeth, weth);
+        if (record.factoryAddress) {
+            this.check("wiring", "uniswapFactory", record.factoryAddress, factory);
+        }
+
+        const config = await this.manager.config();
+        this.check("config", "marketCapThreshold", expected.thresholds.marketCap, config.marketCapThreshold);
+        this.check("config", "liquidityThreshold", expected.thresholds.liquidity, config.liquidityThreshold);
+        this.check("config", "minLockDuration", expected.lockDuration, config.minLockDuration);
+        this.check("config", "slippageTolerance", expected.slippageTolerance, config.slippageTolerance);
+        this.check("config", "autoGraduateEnabled", expected.autoGraduationEnabled, config.autoGraduateEnabled);
+
+        this.check("ownership", "lpLockRecipient", expected.lpLockRecipient, await this.manager.lpLockRecipient());
+        this.check("ownership", "owner", expected.roles?.owner || record.deployer, await this.manager.owner());
+
+        await this.verifySecurity();
+        return this.report();
+    }
+
+    async verifySecurity() {
+        const roles = Object.entries(this.record.config.roles || {}).filter(([role]) => role !== "owner");
+        const limits = this.record.config.limits || {};
+
+        if (roles.length === 0 && Object.keys(limits).length === 0) {
+            this.skip("security", "roles and limits", "no SecurityEnhancements roles or limits recorded");
+            return;
+        }
+        if (!this.security) {
+            this.check("security", "SecurityEnhancements address", "recorded or --security", "missing");
+            return;
+        }
+        const code = await this.provider.getCode(await this.security.getAddress());
+        if (!this.check("security", "SecurityEnhancements deployed", true, code !== "0x")) {
+            return;
+        }
+
+        for (const [role, holders] of roles) {
+            for (const holder of holders) {
+                this.check("security", `${role} role: ${holder}`, true, await this.security.hasRole(ROLE_IDS[role], holder));
+            }
+        }
+
+        if (limits.maxGraduationsPerHour !== undefined) {
+            const rateLimit = await this.security.rateLimit();
+            this.check("security", "maxGraduationsPerHour", limits.maxGraduationsPerHour, rateLimit.maxGraduationsPerHour);
+            this.check("security", "maxTotalLiquidityPerHour", limits.maxLiquidityPerHour, rateLimit.maxTotalLiquidityPerHour);
+        }
+        if (limits.maxSingleGraduationLiquidity !== undefined) {
+            const txLimits = await this.security.txLimits();
+            this.check("security", "maxSingleGraduationLiquidity", limits.maxSingleGraduationLiquidity, txLimits.maxSingleGraduationLiquidity);
+            this.check("security", "minGraduationDelay", limits.minGraduationDelay, txLimits.minGraduationDelay);
+            this.check("security", "maxSlippageAllowed", limits.maxSlippageBps, txLimits.maxSlippageAllowed);
+        }
+    }
+
+    report() {
+        const failures = this.checks.filter(check => !check.pass);
+        return {
+            network: this.record.network,
+            manager: this.record.managerAddress,
+            verifiedAt: new Date().toISOString(),
+            passed: failures.length === 0,
+            failures: failures.length,
+            checks: this.checks
+        };
+    }
+}
+
+/**
+ * Pass/fail report, one line per check with expected vs on-chain values for drift
+ */
+function renderVerificationReport(report) {
+    const format = value => (typeof value === "bigint" ? value.toString() : String(value));
+    const width = Math.max(...report.checks.map(check => check.name.length), 10);
+    const lines = [`Deployment verification: ${report.network} ${report.manager}`, ""];
+
+    for (const check of report.checks) {
+        const label = `${check.section.padEnd(9)} ${check.name.padEnd(width)}`;
+        if (check.skipped) {
+            lines.push(`⏭️  ${label}  skipped: ${check.skipped}`);
+        } else if (check.pass) {
+            lines.push(`✅ ${label}  ${format(check.actual)}`);
+        } else {
+            lines.push(`❌ ${label}  expected ${format(check.expected)}, on chain ${format(check.actual)}`);
+        }
+    }
+
+    lines.push("");
+    lines.push(report.passed
+        ? `✅ ${report.checks.length} checks passed`
+        : `❌ ${report.failures} of ${report.checks.length} checks failed: on-chain state drifted from the deployment record`);
+    return lines.join("\n");
+}
+
+/**
+ * Verify a deployment record against the chain `hre` is connected to
+ *
+ * @param {object} [options]
+ * @param {string} [options.securityAddress] SecurityEnhancements contract, record.securityAddress by default
+ */
+async function verifyDeployment(hre, record, options = {}) {
+    const { provider } = hre.ethers;
+    const manager = await hre.ethers.getContractAt("UniswapGraduationManager", record.managerAddress);
+    // Without code at the address the verifier stops before the router is needed
+    const deployed = (await provider.getCode(record.managerAddress)) !== "0x";
+    const router = deployed ? new hre.ethers.Contract(await manager.uniswapRouter(), ROUTER_ABI, provider) : null;
+    const securityAddress = options.securityAddress || record.securityAddress;
+    const security = securityAddress ? await hre.ethers.getContractAt("SecurityEnhancements", securityAddress) : null;
+    return new DeploymentVerifier({ record, manager, router, security, provider }).verify();
+}
+
+async function main() {
+    const { values } = parseArgs({
+        args: process.argv.slice(2),
+        options: {
+            network: { type: "string" },
+            file: { type: "string" },
+            version: { type: "string" },
+            security: { type: "string" },
+            json: { type: "boolean" }
+        }
+    });
+    // `node scripts/verify-deployment.js --network <name>` selects the network like `hardhat run --network`
+    if (values.network) {
+        process.env.HARDHAT_NETWORK = values.network;
+    }
+    const hre = require("hardhat");
+    const network = hre.network.name;
+
+    const file = values.file || process.env.DEPLOYMENT_FILE;
+    let record;
+    if (file) {
+        if (!fs.existsSync(file)) {
+            throw new Error(`No deployment record for ${network}: ${file}`);
+        }
+        record = JSON.parse(fs.readFileSync(file, "utf8"));
+    } else {
+        const registry = new DeploymentRegistry({ network });
+        record = values.version ? registry.get(values.version) : registry.active();
+        if (!record) {
+            throw new Error(`No deployment recorded for ${network} in ${registry.dir}`);
+        }
+    }
+
+    const report = await verifyDeployment(hre, record, { securityAddress: values.security });
+
+    console.log(values.json ? toJSON(report, 2) : renderVerificationReport(report));
+    if (!report.passed) {
+        process.exitCode = 1;
+    }
+}
+
+module.exports = {
+    DeploymentVerifier,
+    verifyDeployment,
+    renderVerificationReport,
+    ROUTER_ABI
+};
+
+if (require.main === module) {
+    main().catch((error) => {
+        console.error(error);
+        process.exit(1);
+    });
+}
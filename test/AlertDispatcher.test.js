@@ -0,0 +1,228 @@
+const { expect } = require("chai");
+const fs = require("fs");
+const http = require("http");
+const net = require("net");
+const os = require("os");
+const path = require("path");
+const {
+    AlertDispatcher,
+    WebhookSink,
+    SlackSink,
+    EmailSink,
+    FileSink,
+    createDispatcherFromEnv
+} = require("../scripts/monitoring/alerts");
+
+describe("AlertDispatcher", function () {
+    const CRITICAL = {
+        level: "critical",
+        title: "Circuit Breaker Tripped",
+        message: "Reason: oracle deviation",
+        data: { reason: "oracle deviation", resetAfter: 10n },
+        timestamp: 1700000000000
+    };
+    const INFO = { level: "info", title: "Token Graduated", message: "graduated", data: {} };
+
+    let tmpDir;
+    let consoleError;
+
+    beforeEach(function () {
+        tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "graduation-alerts-"));
+        consoleError = console.error;
+        console.error = () => {};
+    });
+
+    afterEach(function () {
+        console.error = consoleError;
+        fs.rmSync(tmpDir, { recursive: true, force: true });
+    });
+
+    /**
+     * Local HTTP server answering with the queued status codes (200 once exhausted)
+     */
+    async function startHttpStub(statuses = []) {
+        const requests = [];
+        const server = http.createServer((req, res) => {
+            let body = "";
+            req.on("data", chunk => { body += chunk; });
+            req.on("end", () => {
+                requests.push({ url: req.url, headers: req.headers, body: JSON.parse(body) });
+                res.statusCode = statuses.length ? statuses.shift() : 200;
+                res.end();
+            });
+        });
+        await new Promise(resolve => server.listen(0, "127.0.0.1", resolve));
+
+        return { server, requests, url: `http://127.0.0.1:${server.address().port}/hook` };
+    }
+
+    /**
+     * Minimal SMTP server that accepts every message
+     */
+    async function startSmtpStub() {
+        const messages = [];
+        const server = net.createServer(socket => {
+            let buffer = "";
+            let inData = false;
+            const reply = (line) => socket.write(`${line}\r\n`);
+
+            reply("220 stub ESMTP");
+            socket.on("data", chunk => {
+                buffer += chunk.toString();
+                let index;
+                while ((index = buffer.indexOf("\r\n")) !== -1) {
+                    const line = buffer.slice(0, index);
+                    buffer = buffer.slice(index + 2);
+
+                    if (inData) {
+                        if (line === ".") {
+                            inData = false;
+                            reply("250 OK queued");
+                        } else {
+                            messages[messages.length - 1] += line + "\n";
+                        }
+                    } else if (/^(EHLO|HELO)/i.test(line)) {
+                        reply("250 stub");
+                    } else if (/^DATA/i.test(line)) {
+                        inData = true;
+                        messages.push("");
+                        reply("354 End data with <CR><LF>.<CR><LF>");
+                    } else if (/^QUIT/i.test(line)) {
+                        reply("221 Bye");
+                        socket.end();
+                    } else {
+                        reply("250 OK");
+                    }
+                }
+            });
+        });
+        await new Promise(resolve => server.listen(0, "127.0.0.1", resolve));
+
+        return { server, messages, port: server.address().port };
+    }
+
+    describe("Sinks", function () {
+        it("Should post alerts to a webhook", async function () {
+            const stub = await startHttpStub();
+            const dispatcher = new AlertDispatcher({ sinks: [new WebhookSink({ url: stub.url, headers: { "X-Token": "abc" } })] });
+
+            const [result] = await dispatcher.dispatch(CRITICAL);
+            stub.server.close();
+
+            expect(result).to.include({ sink: "WebhookSink", delivered: true, attempts: 1 });
+            expect(stub.requests[0].headers["x-token"]).to.equal("abc");
+            expect(stub.requests[0].body.data.resetAfter).to.equal("10");
+        });
+
+        it("Should format Slack and Discord payloads", async function () {
+            const stub = await startHttpStub();
+            const dispatcher = new AlertDispatcher({
+                sinks: [
+                    new SlackSink({ url: stub.url }),
+                    new SlackSink({ name: "DiscordSink", url: stub.url, format: "discord" })
+                ]
+            });
+
+            await dispatcher.dispatch(CRITICAL);
+            stub.server.close();
+
+            const slack = stub.requests.find(r => r.body.attachments).body;
+            const discord = stub.requests.find(r => r.body.embeds).body;
+            expect(slack.text).to.equal("[CRITICAL] Circuit Breaker Tripped");
+            expect(slack.attachments[0]).to.include({ color: "#e01e5a", text: "Reason: oracle deviation" });
+            expect(discord.embeds[0]).to.include({ title: "Circuit Breaker Tripped", color: 0xe01e5a });
+        });
+
+        it("Should send email through SMTP", async function () {
+            const smtp = await startSmtpStub();
+            const dispatcher = new AlertDispatcher({
+                sinks: [new EmailSink({
+                    smtp: { host: "127.0.0.1", port: smtp.port, secure: false, ignoreTLS: true },
+                    from: "monitor@example.com",
+                    to: ["ops@example.com"]
+                })]
+            });
+
+            const [result] = await dispatcher.dispatch(CRITICAL);
+            smtp.server.close();
+
+            expect(result.delivered).to.equal(true);
+            expect(smtp.messages[0]).to.contain("Subject: [CRITICAL] Circuit Breaker Tripped");
+            expect(smtp.messages[0]).to.contain("Reason: oracle deviation");
+        });
+
+        it("Should rotate the alert file", async function () {
+            const filename = path.join(tmpDir, "alerts.jsonl");
+            const sink = new FileSink({ filename, maxBytes: 300, maxFiles: 2 });
+
+            for (let i = 0; i < 6; i++) {
+                await sink.send({ ...INFO, message: `alert ${i}`.padEnd(100, ".") });
+            }
+
+            expect(fs.existsSync(`${filename}.1`)).to.equal(true);
+            expect(fs.existsSync(`${filename}.2`)).to.equal(true);
+            expect(fs.existsSync(`${filename}.3`)).to.equal(false);
+            const latest = fs.readFileSync(filename, "utf8").trim().split("\n").map(l => JSON.parse(l));
+            expect(latest[latest.length - 1].message).to.match(/^alert 5/);
+        });
+    });
+
+    describe("Routing and retries", function () {
+        it("Should route alerts by level", async function () {
+            const stub = await startHttpStub();
+            const dispatcher = new AlertDispatcher({
+                sinks: [new WebhookSink({ name: "pager", url: stub.url, levels: ["critical"] })]
+            });
+
+            expect(await dispatcher.dispatch(INFO)).to.deep.equal([]);
+            expect(await dispatcher.dispatch(CRITICAL)).to.have.length(1);
+            stub.server.close();
+
+            expect(stub.requests).to.have.length(1);
+        });
+
+        it("Should retry failed deliveries with backoff", async function () {
+            const stub = await startHttpStub([500, 503]);
+            const dispatcher = new AlertDispatcher({
+                retries: 3,
+                backoffMs: 5,
+                sinks: [new WebhookSink({ url: stub.url })]
+            });
+
+            const [result] = await dispatcher.dispatch(CRITICAL);
+            stub.server.close();
+
+            expect(result).to.include({ delivered: true, attempts: 3 });
+        });
+
+        it("Should dead-letter alerts that cannot be delivered", async function () {
+            const stub = await startHttpStub([500, 500, 500]);
+            const deadLetterFile = path.join(tmpDir, "dead.jsonl");
+            const dispatcher = new AlertDispatcher({
+                retries: 2,
+                backoffMs: 1,
+                deadLetterFile,
+                sinks: [new WebhookSink({ url: stub.url })]
+            });
+
+            const [result] = await dispatcher.dispatch(CRITICAL);
+            stub.server.close();
+
+            expect(result).to.include({ delivered: false, attempts: 3, error: `HTTP 500 from ${stub.url}` });
+            const [letter] = fs.readFileSync(deadLetterFile, "utf8").trim().split("\n").map(l => JSON.parse(l));
+            expect(letter.sink).to.equal("WebhookSink");
+            expect(letter.alert.title).to.equal("Circuit Breaker Tripped");
+        });
+
+        it("Should build sinks from environment variables", async function () {
+            const dispatcher = createDispatcherFromEnv({
+                SLACK_WEBHOOK_URL: "http://127.0.0.1/slack",
+                SLACK_LEVELS: "warning, critical",
+                ALERT_LOG_FILE: path.join(tmpDir, "alerts.jsonl")
+            });
+
+            expect(dispatcher.sinks.map(s => s.name)).to.deep.equal(["SlackSink", "FileSink"]);
+            expect(dispatcher.sinks[0].levels).to.deep.equal(["warning", "critical"]);
+        });
+    });
+});
@@ -0,0 +1,161 @@
+const { expect } = require("chai");
+const { ethers } = require("ethers");
+const { AlertPolicy } = require("../scripts/monitoring/policy");
+const { AlertDispatcher, AlertSink } = require("../scripts/monitoring/alerts");
+const { GraduationMonitor } = require("../scripts/monitoring");
+const { logFactory, silenceConsole } = require("./helpers");
+
+describe("AlertPolicy", function () {
+    const TOKEN_A = "0x00000000000000000000000000000000000000aa";
+    const TOKEN_B = "0x00000000000000000000000000000000000000bb";
+    const MINUTE = 60 * 1000;
+
+    const proximity = (token) => ({
+        level: "warning",
+        title: "Approaching Graduation",
+        message: `Token ${token} is 90.00% to graduation`,
+        data: { token }
+    });
+    const tripped = () => ({
+        level: "critical",
+        title: "Circuit Breaker Tripped",
+        message: "Reason: oracle deviation",
+        data: { reason: "oracle deviation" }
+    });
+
+    describe("Deduplication", function () {
+        it("Should suppress repeats of the same token inside the cooldown", async function () {
+            const policy = new AlertPolicy();
+
+            expect(policy.admit(proximity(TOKEN_A), 0)).to.equal(true);
+            expect(policy.admit(proximity(TOKEN_A), 10 * MINUTE)).to.equal(false);
+            expect(policy.admit(proximity(TOKEN_B), 10 * MINUTE)).to.equal(true);
+        });
+
+        it("Should report how many repeats were suppressed", async function () {
+            const policy = new AlertPolicy();
+            policy.admit(proximity(TOKEN_A), 0);
+            policy.admit(proximity(TOKEN_A), MINUTE);
+            policy.admit(proximity(TOKEN_A), 2 * MINUTE);
+
+            const alert = proximity(TOKEN_A);
+            expect(policy.admit(alert, 61 * MINUTE)).to.equal(true);
+            expect(alert.suppressed).to.equal(2);
+        });
+
+        it("Should pass alerts without a rule unless a default cooldown is set", async function () {
+            const alert = { level: "info", title: "Token Graduated", message: "", data: { token: TOKEN_A } };
+
+            const open = new AlertPolicy();
+            expect(open.admit({ ...alert }, 0)).to.equal(true);
+            expect(open.admit({ ...alert }, 1)).to.equal(true);
+
+            const strict = new AlertPolicy({ defaultCooldownMs: MINUTE });
+            expect(strict.admit({ ...alert }, 0)).to.equal(true);
+            expect(strict.admit({ ...alert }, 1)).to.equal(false);
+        });
+    });
+
+    describe("Escalation", function () {
+        it("Should escalate an unresolved condition and repeat it", async function () {
+            const policy = new AlertPolicy();
+            policy.admit(tripped(), 0);
+
+            expect(policy.dueEscalations(29 * MINUTE)).to.have.length(0);
+
+            const [escalation] = policy.dueEscalations(30 * MINUTE);
+            expect(escalation).to.include({ level: "emergency", title: "Circuit Breaker Tripped", escalated: true });
+            expect(escalation.message).to.match(/^Still unresolved after 30 min/);
+            expect(policy.admit(escalation, 30 * MINUTE)).to.equal(true);
+
+            expect(policy.dueEscalations(60 * MINUTE)).to.have.length(0);
+            expect(policy.dueEscalations(90 * MINUTE)).to.have.length(1);
+        });
+
+        it("Should stop escalating once the condition is resolved", async function () {
+            const policy = new AlertPolicy();
+            policy.admit(tripped(), 0);
+
+            policy.resolve("Circuit Breaker Tripped");
+
+            expect(policy.dueEscalations(30 * MINUTE)).to.have.length(0);
+        });
+    });
+
+    describe("Sink rate caps", function () {
+        it("Should drop alerts over a sink's rate cap", async function () {
+            class CountingSink extends AlertSink {
+                async send() {
+                    this.sent = (this.sent || 0) + 1;
+                }
+            }
+            const sink = new CountingSink({ rateLimit: { max: 2, windowMs: MINUTE } });
+            const dispatcher = new AlertDispatcher({ sinks: [sink] });
+
+            await dispatcher.dispatch(tripped());
+            await dispatcher.dispatch(tripped());
+            const [result] = await dispatcher.dispatch(tripped());
+
+            expect(result).to.deep.equal({ sink: "CountingSink", delivered: false, rateLimited: true });
+            expect(sink.sent).to.equal(2);
+            expect(sink.allow(Date.now() + MINUTE)).to.equal(true);
+        });
+    });
+
+    describe("Monitor integration", function () {
+        const iface = new ethers.Interface([
+            "event CircuitBreakerTripped(string reason, uint256 resetAfter)",
+            "event CircuitBreakerReset(address resetter)"
+        ]);
+
+        silenceConsole();
+
+        const makeLog = logFactory(iface);
+
+        function newMonitor() {
+            const monitor = new GraduationMonitor(TOKEN_A, "http://127.0.0.1:1", [], {
+                security: { address: TOKEN_B, abi: [] }
+            });
+            monitor.thresholds = {
+                marketCapThreshold: ethers.parseEther("100").toString(),
+                liquidityThreshold: ethers.parseEther("10").toString()
+            };
+            return monitor;
+        }
+
+        it("Should alert once for a token hovering near the threshold", async function () {
+            const monitor = newMonitor();
+
+            for (let i = 0; i < 20; i++) {
+                monitor.checkGraduationProximity({
+                    token: TOKEN_A,
+                    ethReserve: ethers.parseEther("9.5").toString(),
+                    blockNumber: i
+                });
+            }
+
+            expect(monitor.getAlerts("warning")).to.have.length(1);
+        });
+
+        it("Should stop escalating after the breaker is reset", async function () {
+            const monitor = newMonitor();
+            monitor.processLog(makeLog("CircuitBreakerTripped", ["oracle deviation", 60n], 1));
+            expect(monitor.policy.openConditions.size).to.equal(1);
+
+            monitor.processLog(makeLog("CircuitBreakerReset", [TOKEN_B], 2));
+
+            expect(monitor.policy.openConditions.size).to.equal(0);
+        });
+
+        it("Should record escalations as emergency alerts", async function () {
+            const monitor = newMonitor();
+            monitor.processLog(makeLog("CircuitBreakerTripped", ["oracle deviation", 60n], 1));
+
+            const [condition] = monitor.policy.openConditions.values();
+            condition.openedAt -= 31 * MINUTE;
+            monitor.checkEscalations();
+
+            expect(monitor.getAlerts("emergency")).to.have.length(1);
+        });
+    });
+});
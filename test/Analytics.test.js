@@ -0,0 +1,153 @@
+const { expect } = require("chai");
+const { ethers } = require("ethers");
+const hre = require("hardhat");
+const {
+    graduationSeries,
+    timeToGraduation,
+    conversion,
+    curveProgress,
+    percentile,
+    analyze
+} = require("../scripts/monitoring/analytics");
+const { GraduationMonitor } = require("../scripts/monitoring");
+const { silenceConsole } = require("./helpers");
+
+describe("Analytics", function () {
+    const HOUR = 60 * 60 * 1000;
+    const DAY = 24 * HOUR;
+    // Monday 2024-01-01
+    const START = Date.UTC(2024, 0, 1);
+    const token = (n) => ethers.getAddress(`0x${n.toString(16).padStart(40, "0")}`);
+    const ether = (n) => ethers.parseEther(String(n)).toString();
+
+    let events;
+
+    silenceConsole();
+
+    /**
+     * Five registered tokens; 1-3 graduate after 2h, 10h and 30h, 4 stalls
+     * at 45% of the liquidity threshold and 5 never trades
+     */
+    beforeEach(function () {
+        const at = (ms, type, fields) => events.push({ type, ...fields, timestamp: START + ms });
+        events = [];
+
+        at(0, "ConfigUpdated", { marketCapThreshold: ether(100), liquidityThreshold: ether(20) });
+        for (let n = 1; n <= 5; n++) {
+            at(n * HOUR, "TokenRegistered", { token: token(n), initialReserve: "1" });
+        }
+        at(2 * HOUR, "BondingCurveUpdated", { token: token(1), ethReserve: ether(10), marketCap: ether(80) });
+        at(3 * HOUR, "LiquidityMigrated", { token: token(1), pair: token(11), liquidity: ether(4) });
+        at(4 * HOUR, "BondingCurveUpdated", { token: token(4), ethReserve: ether(9), marketCap: ether(90) });
+        at(5 * HOUR, "BondingCurveUpdated", { token: token(4), ethReserve: ether(6), marketCap: ether(60) });
+        at(6 * HOUR, "BondingCurveUpdated", { token: token(2), ethReserve: ether(25), marketCap: ether(150) });
+        at(12 * HOUR, "LiquidityMigrated", { token: token(2), pair: token(12), liquidity: ether(6) });
+        at(33 * HOUR, "LiquidityMigrated", { token: token(3), pair: token(13), liquidity: ether(8) });
+    });
+
+    it("Should bucket graduations per hour, day and week", function () {
+        const daily = graduationSeries(events, { interval: "day" });
+        expect(daily).to.deep.equal([
+            { period: "2024-01-01", count: 2, liquidity: ether(10) },
+            { period: "2024-01-02", count: 1, liquidity: ether(8) }
+        ]);
+
+        const hourly = graduationSeries(events, { interval: "hour", from: START, to: START + 12 * HOUR });
+        expect(hourly).to.have.length(13);
+        expect(hourly[3]).to.deep.equal({ period: "2024-01-01T03:00", count: 1, liquidity: ether(4) });
+
+        const weekly = graduationSeries(events, { interval: "week", from: START - DAY, to: START + DAY });
+        expect(weekly.map(b => [b.period, b.count])).to.deep.equal([["2023-12-25", 0], ["2024-01-01", 2]]);
+        expect(graduationSeries([], { interval: "day" })).to.deep.equal([]);
+        expect(() => graduationSeries(events, { interval: "month" })).to.throw("Unknown interval: month");
+    });
+
+    it("Should compute time to graduation percentiles", function () {
+        const stats = timeToGraduation(events);
+
+        expect(stats).to.deep.equal({
+            count: 3,
+            minMs: 2 * HOUR,
+            medianMs: 10 * HOUR,
+            p90Ms: 26 * HOUR,
+            maxMs: 30 * HOUR,
+            meanMs: 14 * HOUR
+        });
+        expect(timeToGraduation(events, { to: START + 12 * HOUR }).count).to.equal(2);
+        expect(percentile([1, 2, 3, 4], 50)).to.equal(2.5);
+        expect(percentile([], 90)).to.equal(null);
+    });
+
+    it("Should compute the conversion of registered tokens", function () {
+        expect(conversion(events)).to.deep.equal({ registered: 5, graduated: 3, pending: 2, ratePct: 60 });
+        // Graduations after the window do not count for its cohort
+        expect(conversion(events, { to: START + 24 * HOUR })).to.include({ registered: 5, graduated: 2, ratePct: 40 });
+        expect(conversion(events, { from: START + 4 * HOUR }).registered).to.equal(2);
+    });
+
+    it("Should distribute the peak curve progress of each token", function () {
+        const progress = curveProgress(events);
+
+        expect(progress.thresholds).to.deep.equal({ marketCapThreshold: ether(100), liquidityThreshold: ether(20) });
+        expect(progress.tokens.map(t => [t.token, t.progressPct, t.graduated])).to.deep.equal([
+            [token(2), 125, true],
+            [token(1), 50, true],
+            [token(4), 45, false]
+        ]);
+        expect(progress.bins[4]).to.deep.equal({ range: "40-50%", fromPct: 40, tokens: 1, graduated: 0 });
+        expect(progress.bins[5]).to.include({ tokens: 1, graduated: 1 });
+        expect(progress.bins[10]).to.include({ range: "100%+", tokens: 1 });
+
+        // Explicit thresholds replace ConfigUpdated; without any there is no distribution
+        const tighter = curveProgress(events, { thresholds: { liquidityThreshold: ether(10) } });
+        expect(tighter.tokens[1].progressPct).to.equal(100);
+        expect(curveProgress(events.slice(1)).thresholds).to.equal(null);
+
+        // The manager's config() only applies when no ConfigUpdated event was seen
+        const defaultThresholds = { marketCapThreshold: ether(200), liquidityThreshold: ether(50) };
+        expect(curveProgress(events, { defaultThresholds }).thresholds.liquidityThreshold).to.equal(ether(20));
+        expect(curveProgress(events.slice(1), { defaultThresholds }).tokens[0].progressPct).to.equal(50);
+    });
+
+    it("Should expose analytics through the monitor", function () {
+        const monitor = new GraduationMonitor(token(1), "http://127.0.0.1:1", [], {});
+        events.forEach(event => monitor.store.appendEvent(event));
+
+        const analytics = monitor.getAnalytics({ to: START + 7 * DAY });
+
+        expect(analytics.graduations.daily).to.have.length(8);
+        expect(analytics.conversion.ratePct).to.equal(60);
+        expect(analytics).to.deep.equal(analyze(events, { to: START + 7 * DAY }));
+    });
+
+    it("Should measure curve progress against the deployed manager's config", async function () {
+        const [owner, recipient] = await hre.ethers.getSigners();
+        const deploy = async (name, ...args) => (await hre.ethers.getContractFactory(name, owner)).deploy(...args);
+        const weth = await deploy("WETH9");
+        const factory = await deploy("MockUniswapV2Factory");
+        const router = await deploy("MockUniswapV2Router", factory.target, weth.target);
+        const manager = await deploy("UniswapGraduationManager", router.target, ethers.parseEther("100"),
+            ethers.parseEther("50"), 24 * 60 * 60, recipient.address);
+        const erc20 = await deploy("MockERC20", "Progress Token", "PROG", ethers.parseEther("1000000"));
+        const startBlock = await hre.ethers.provider.getBlockNumber();
+
+        await manager.registerToken(erc20.target, ethers.parseEther("500000"), 0);
+        await manager.updateBondingCurve(erc20.target, ethers.parseEther("500000"),
+            ethers.parseEther("20"), ethers.parseEther("60"));
+
+        const monitor = new GraduationMonitor(manager.target, "http://127.0.0.1:1", [], {});
+        monitor.provider = hre.ethers.provider;
+        monitor.contract = manager;
+        await monitor.loadThresholds();
+        await monitor.backfill({ fromBlock: startBlock + 1 });
+
+        const { curveProgress: progress } = monitor.getAnalytics();
+
+        expect(progress.thresholds).to.deep.equal({
+            marketCapThreshold: ethers.parseEther("100").toString(),
+            liquidityThreshold: ethers.parseEther("50").toString()
+        });
+        expect(progress.tokens.map(t => [t.token, t.liquidityPct, t.marketCapPct, t.progressPct]))
+            .to.deep.equal([[erc20.target, 40, 60, 40]]);
+    });
+});
@@ -0,0 +1,173 @@
+const { expect } = require("chai");
+const { ethers } = require("ethers");
+const { ApiServer } = require("../scripts/monitoring/api");
+const { GraduationMonitor } = require("../scripts/monitoring");
+const { logFactory, silenceConsole } = require("./helpers");
+
+describe("ApiServer", function () {
+    const TOKEN_A = ethers.getAddress("0x00000000000000000000000000000000000000aa");
+    const TOKEN_B = ethers.getAddress("0x00000000000000000000000000000000000000bb");
+    const PAIR = ethers.getAddress("0x00000000000000000000000000000000000000cc");
+
+    const iface = new ethers.Interface([
+        "event TokenRegistered(address indexed token, uint256 initialReserve)",
+        "event LiquidityMigrated(address indexed token, address indexed pair, uint256 liquidity)",
+        "event LPTokensLocked(address indexed token, uint256 amount, uint256 unlockTime)"
+    ]);
+
+    let monitor;
+    let server;
+    let baseUrl;
+
+    silenceConsole();
+
+    const makeLog = logFactory(iface);
+
+    async function get(pathname) {
+        const response = await fetch(`${baseUrl}${pathname}`);
+        return { status: response.status, headers: response.headers, body: await response.json() };
+    }
+
+    async function startServer(options = {}) {
+        server = new ApiServer({ monitor, port: 0, host: "127.0.0.1", ...options });
+        baseUrl = `http://127.0.0.1:${await server.start()}`;
+    }
+
+    beforeEach(function () {
+        monitor = new GraduationMonitor(TOKEN_A, "http://127.0.0.1:1", [], {});
+        monitor.processLog(makeLog("TokenRegistered", [TOKEN_A, 1n], 1));
+        monitor.processLog(makeLog("TokenRegistered", [TOKEN_B, 1n], 2));
+        monitor.processLog(makeLog("LiquidityMigrated", [TOKEN_A, PAIR, ethers.parseEther("3")], 3));
+        monitor.processLog(makeLog("LPTokensLocked", [TOKEN_A, ethers.parseEther("3"), 2000n], 4));
+    });
+
+    afterEach(async function () {
+        await server.stop();
+    });
+
+    describe("/events", function () {
+        it("Should filter events like getEventHistory", async function () {
+            await startServer();
+
+            const byType = await get("/events?type=TokenRegistered");
+            const byToken = await get(`/events?token=${TOKEN_A.toLowerCase()}&fromBlock=3`);
+
+            expect(byType.body.events.map(e => e.token)).to.deep.equal([TOKEN_A, TOKEN_B]);
+            expect(byToken.body.events.map(e => e.type)).to.deep.equal(["LiquidityMigrated", "LPTokensLocked"]);
+        });
+
+        it("Should paginate results", async function () {
+            await startServer();
+
+            const first = await get("/events?limit=3");
+            const second = await get(`/events?limit=3&offset=${first.body.nextOffset}`);
+
+            expect(first.body).to.include({ total: 4, limit: 3, offset: 0, nextOffset: 3 });
+            expect(second.body.events).to.have.length(1);
+            expect(second.body.nextOffset).to.equal(null);
+        });
+
+        it("Should reject invalid parameters", async function () {
+            await startServer();
+
+            expect((await get("/events?limit=-1")).status).to.equal(400);
+            expect((await get("/events?token=0x123")).body.error).to.equal("Invalid address: 0x123");
+        });
+    });
+
+    describe("State endpoints", function () {
+        it("Should serialize BigInt metrics as strings", async function () {
+            await startServer();
+
+            const { body } = await get("/metrics");
+
+            expect(body).to.include({
+                totalGraduations: 1,
+                totalLiquidityAdded: ethers.parseEther("3").toString(),
+                totalEvents: 4
+            });
+        });
+
+        it("Should filter alerts by level", async function () {
+            await startServer();
+
+            expect((await get("/alerts?level=info")).body.alerts[0].title).to.equal("Token Graduated");
+            expect((await get("/alerts?level=critical")).body.total).to.equal(0);
+            expect((await get("/alerts?level=loud")).status).to.equal(400);
+        });
+
+        it("Should summarize a token's lifecycle", async function () {
+            await startServer();
+
+            const graduated = await get(`/tokens/${TOKEN_A}`);
+            const registered = await get(`/tokens/${TOKEN_B}`);
+
+            expect(graduated.body).to.include({ address: TOKEN_A, status: "locked" });
+            expect(graduated.body.status).to.equal(graduated.body.lifecycle.state);
+            expect(graduated.body.migration.pair).to.equal(PAIR);
+            expect(graduated.body.lpLocks[0].unlockTime).to.equal("2000");
+            expect(graduated.body.alerts).to.have.length(1);
+            expect(registered.body.status).to.equal("registered");
+            expect((await get(`/tokens/${PAIR}`)).status).to.equal(404);
+        });
+
+        it("Should reject a malformed percent-encoded path", async function () {
+            await startServer();
+
+            const response = await get("/tokens/%E0%A4%A");
+
+            expect(response.status).to.equal(400);
+            expect(response.body.error).to.equal("Malformed path: /tokens/%E0%A4%A");
+        });
+
+        it("Should report health from the health monitor", async function () {
+            let status = "healthy";
+            const healthMonitor = {
+                lastHealth: null,
+                checkHealth: async () => {
+                    healthMonitor.lastHealth = { status, checks: {}, timestamp: new Date().toISOString() };
+                    return healthMonitor.lastHealth;
+                }
+            };
+            await startServer({ corsOrigin: "*", healthMonitor, healthMaxAgeMs: 0 });
+
+            const healthy = await get("/health");
+            status = "unhealthy";
+            const unhealthy = await get("/health");
+
+            expect(healthy.status).to.equal(200);
+            expect(healthy.headers.get("access-control-allow-origin")).to.equal("*");
+            expect(unhealthy.status).to.equal(503);
+            expect(unhealthy.body.status).to.equal("unhealthy");
+        });
+
+        it("Should serve the last health check until it is stale", async function () {
+            let checks = 0;
+            const healthMonitor = {
+                lastHealth: { status: "healthy", checks: {}, timestamp: new Date().toISOString() },
+                checkHealth: async () => {
+                    checks++;
+                    healthMonitor.lastHealth = { status: "unhealthy", checks: {}, timestamp: new Date().toISOString() };
+                    return healthMonitor.lastHealth;
+                }
+            };
+            await startServer({ healthMonitor, healthMaxAgeMs: 60000 });
+
+            const responses = await Promise.all([get("/health"), get("/health"), get("/health")]);
+            expect(responses.map(r => r.status)).to.deep.equal([200, 200, 200]);
+            expect(checks).to.equal(0);
+
+            healthMonitor.lastHealth.timestamp = new Date(Date.now() - 61000).toISOString();
+            const refreshed = await Promise.all([get("/health"), get("/health")]);
+            expect(refreshed.map(r => r.status)).to.deep.equal([503, 503]);
+            expect(checks).to.equal(1);
+        });
+
+        it("Should return 404 for unknown routes", async function () {
+            await startServer();
+
+            expect((await get("/health")).status).to.equal(404);
+            expect((await get("/nope")).status).to.equal(404);
+        });
+    });
+});
@@ -0,0 +1,164 @@
+const { expect } = require("chai");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { ethers } = require("ethers");
+const {
+    DEPLOY_CONFIG_DIR,
+    DEPLOY_CONFIG_SCHEMA,
+    envName,
+    loadDeployConfig,
+    parseDeployArgs
+} = require("../scripts/lib/deploy-config");
+
+describe("DeployConfig", function () {
+    const ROUTER = "0x7a250d5630B4cF539739dF2C5dAcb4c659F2488D";
+    const RECIPIENT = "0x70997970C51812dc3A010C7d01b50e0d17dc79C8";
+    const OWNER = "0x3C44CdDdB6a900fa2b585dd299e03d12FA4293BC";
+    const SECURITY = "0x90F79bf6EB2c4f870365E785982E1f101E93b906";
+
+    let dir;
+
+    function write(name, text) {
+        fs.writeFileSync(path.join(dir, name), text);
+    }
+
+    function load(network, options = {}) {
+        return loadDeployConfig(network, { dir, env: {}, ...options });
+    }
+
+    function errorsOf(fn) {
+        try {
+            fn();
+        } catch (error) {
+            expect(error.code).to.equal("INVALID_DEPLOY_CONFIG");
+            return error.errors;
+        }
+        throw new Error("Expected an invalid config");
+    }
+
+    beforeEach(function () {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), "deploy-config-"));
+        write("defaults.yaml", [
+            "thresholds:",
+            "  marketCap: \"100\"",
+            "  liquidity: \"50\"",
+            "lockDuration: 7d",
+            "slippageBps: 100",
+            "autoGraduation: true"
+        ].join("\n"));
+        write("mainnet.yaml", `router: "${ROUTER}"\nlpLockRecipient: "${RECIPIENT}"\nthresholds:\n  liquidity: "75.5"\n`);
+    });
+
+    afterEach(function () {
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    it("Should merge the network file over the defaults", function () {
+        const { config, files } = load("mainnet");
+
+        expect(files.map(file => path.basename(file))).to.deep.equal(["defaults.yaml", "mainnet.yaml"]);
+        expect(config).to.deep.equal({
+            router: ROUTER,
+            thresholds: { marketCap: ethers.parseEther("100"), liquidity: ethers.parseEther("75.5") },
+            lockDuration: 7 * 24 * 60 * 60,
+            slippageBps: 100,
+            autoGraduation: true,
+            lpLockRecipient: RECIPIENT
+        });
+    });
+
+    it("Should apply environment overrides, then command-line overrides", function () {
+        const env = {
+            DEPLOY_SLIPPAGE_BPS: "250",
+            DEPLOY_AUTO_GRADUATION: "false",
+            DEPLOY_THRESHOLDS_MARKET_CAP: "200",
+            DEPLOY_ROLES_GUARDIAN: `${RECIPIENT}, ${OWNER}`,
+            DEPLOY_SECURITY: SECURITY
+        };
+        const { overrides } = parseDeployArgs(["--network", "mainnet", "--set", "slippageBps=300", "--set", `roles.owner=${OWNER.toLowerCase()}`]);
+
+        const { config } = load("mainnet", { env, overrides });
+
+        expect(config.slippageBps).to.equal(300);
+        expect(config.autoGraduation).to.equal(false);
+        expect(config.thresholds.marketCap).to.equal(ethers.parseEther("200"));
+        expect(config.roles).to.deep.equal({ owner: OWNER, guardian: [RECIPIENT, OWNER] });
+        expect(envName("thresholds.marketCap")).to.equal("DEPLOY_THRESHOLDS_MARKET_CAP");
+        expect(() => parseDeployArgs(["--set", "slippageBps"])).to.throw("Invalid override");
+        expect(parseDeployArgs(["--fresh"]).fresh).to.equal(true);
+    });
+
+    it("Should report every schema violation before deploying", function () {
+        write("base.json", JSON.stringify({
+            router: ethers.ZeroAddress,
+            slippageBps: 1001,
+            lockDuration: "soon",
+            autoGraduation: "yes",
+            thresholds: { liquidity: "0" },
+            roles: { admin: ["0x1234"] },
+            extra: 1
+        }));
+
+        const errors = errorsOf(() => load("base"));
+
+        expect(errors).to.have.length(8);
+        expect(errors).to.include("extra: unknown setting");
+        expect(errors).to.include("router: must not be the zero address");
+        expect(errors).to.include("slippageBps: must be between 0 and 1000, got 1001");
+        expect(errors).to.include("thresholds.liquidity: must be greater than 0");
+        expect(errors.find(e => e.startsWith("lockDuration"))).to.contain("7d");
+        expect(errors.find(e => e.startsWith("autoGraduation"))).to.contain("true or false");
+        expect(errors.find(e => e.startsWith("roles.admin"))).to.contain("must be an address");
+        expect(errors.find(e => e.startsWith("lpLockRecipient"))).to.contain("DEPLOY_LP_LOCK_RECIPIENT");
+    });
+
+    it("Should take SecurityEnhancements limits a whole group at a time", function () {
+        const { config } = load("mainnet", {
+            overrides: { security: SECURITY, "limits.maxGraduationsPerHour": "5", "limits.maxLiquidityPerHour": "250" }
+        });
+        expect(config.limits).to.deep.equal({ maxGraduationsPerHour: 5, maxLiquidityPerHour: ethers.parseEther("250") });
+
+        expect(errorsOf(() => load("mainnet", { overrides: { security: SECURITY, "limits.minGraduationDelay": "1h" } }))).to.deep.equal([
+            "limits.maxSingleGraduationLiquidity: required together with limits.minGraduationDelay",
+            "limits.maxSlippageBps: required together with limits.minGraduationDelay"
+        ]);
+    });
+
+    it("Should require a SecurityEnhancements contract for roles and limits outside local networks", function () {
+        const overrides = { "roles.guardian": OWNER, "roles.operator": "", "limits.maxGraduationsPerHour": "5", "limits.maxLiquidityPerHour": "250" };
+
+        expect(errorsOf(() => load("mainnet", { overrides }))).to.deep.equal([
+            `roles.guardian: requires security (${DEPLOY_CONFIG_SCHEMA.security.description})`,
+            `limits.maxGraduationsPerHour: requires security (${DEPLOY_CONFIG_SCHEMA.security.description})`,
+            `limits.maxLiquidityPerHour: requires security (${DEPLOY_CONFIG_SCHEMA.security.description})`
+        ]);
+        expect(load("mainnet", { overrides: { ...overrides, security: SECURITY } }).config.security).to.equal(SECURITY);
+        // Local networks deploy a MockSecurityEnhancements instead
+        write("hardhat.yaml", `lpLockRecipient: "${RECIPIENT}"\n`);
+        expect(load("hardhat", { overrides }).config).to.include({ router: null, security: null });
+    });
+
+    it("Should only allow a missing router on local networks", function () {
+        write("hardhat.yaml", `lpLockRecipient: "${RECIPIENT}"\n`);
+        write("sepolia.yaml", `lpLockRecipient: "${RECIPIENT}"\n`);
+
+        expect(load("hardhat").config.router).to.equal(null);
+        expect(errorsOf(() => load("sepolia"))).to.deep.equal([
+            `router: required (${DEPLOY_CONFIG_SCHEMA.router.description}), set it in the config file, DEPLOY_ROUTER or --set router=...`
+        ]);
+        expect(() => load("mainnet", { file: path.join(dir, "missing.yaml") })).to.throw("Deployment config not found");
+    });
+
+    it("Should ship valid configs for the local networks and require a recipient elsewhere", function () {
+        expect(loadDeployConfig("hardhat", { env: {} }).config.router).to.equal(null);
+
+        for (const network of ["mainnet", "base", "polygon", "arbitrum"]) {
+            expect(fs.existsSync(path.join(DEPLOY_CONFIG_DIR, `${network}.yaml`))).to.equal(true);
+            const errors = errorsOf(() => loadDeployConfig(network, { env: {} }));
+            expect(errors.map(e => e.split(":")[0])).to.deep.equal(["lpLockRecipient"]);
+        }
+        const { config } = loadDeployConfig("base", { env: { DEPLOY_LP_LOCK_RECIPIENT: RECIPIENT } });
+        expect(config.router).to.equal("0x4752ba5DBc23f44D87826276BF6Fd6b1C372aD24");
+    });
+});
@@ -0,0 +1,123 @@
+const { expect } = require("chai");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { ethers } = require("hardhat");
+const { DeploymentJournal, DeploymentPipeline, hashInputs } = require("../scripts/lib/deploy-pipeline");
+
+describe("DeploymentPipeline", function () {
+    let signer;
+    let recipient;
+    let dir;
+    let file;
+    let sent;
+
+    before(async function () {
+        [, , , , , , , , signer, recipient] = await ethers.getSigners();
+    });
+
+    beforeEach(function () {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), "deploy-journal-"));
+        file = path.join(dir, "journal.json");
+        sent = [];
+    });
+
+    afterEach(function () {
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    function makePipeline(options = {}) {
+        const journal = new DeploymentJournal({ file, network: "localhost", ...options });
+        return new DeploymentPipeline({ journal, provider: ethers.provider, log: () => {} });
+    }
+
+    /**
+     * Step sending `value` wei; `fail` makes it throw instead
+     */
+    function transferStep(id, value, options = {}) {
+        return {
+            id,
+            inputs: { value },
+            send: async () => {
+                if (options.fail) {
+                    throw new Error(`${id} failed`);
+                }
+                sent.push(id);
+                return signer.sendTransaction({ to: recipient.address, value });
+            },
+            result: receipt => ({ block: receipt.blockNumber, value }),
+            ...options.step
+        };
+    }
+
+    async function expectRejection(promise, message) {
+        let error;
+        try {
+            await promise;
+        } catch (e) {
+            error = e;
+        }
+        expect(error, "expected a rejection").to.exist;
+        expect(error.message).to.contain(message);
+    }
+
+    it("Should journal each step and resume from the failed one", async function () {
+        await expectRejection(
+            makePipeline().run([transferStep("first", 1n), transferStep("second", 2n, { fail: true })]),
+            "second failed"
+        );
+
+        const journal = JSON.parse(fs.readFileSync(file, "utf8"));
+        expect(journal.network).to.equal("localhost");
+        expect(journal.steps.first).to.include({ status: "completed" });
+        expect(journal.steps.first.txHash).to.match(/^0x[0-9a-f]{64}$/);
+        expect(journal.steps.second).to.include({ status: "failed", error: "second failed" });
+
+        const results = await makePipeline().run([transferStep("first", 1n), transferStep("second", 2n)]);
+
+        expect(sent).to.deep.equal(["first", "second"]);
+        expect(results.first).to.deep.equal(journal.steps.first.result);
+        expect(results.second.value).to.equal(2n);
+
+        // Everything completed: nothing is sent again
+        await makePipeline().run([transferStep("first", 1n), transferStep("second", 2n)]);
+        expect(sent).to.deep.equal(["first", "second"]);
+    });
+
+    it("Should pick up a transaction broadcast before a crash instead of resending it", async function () {
+        const tx = await signer.sendTransaction({ to: recipient.address, value: 1n });
+        makePipeline().journal.update("first", { status: "pending", inputsHash: hashInputs({ value: 1n }), txHash: tx.hash });
+
+        const results = await makePipeline().run([transferStep("first", 1n)]);
+
+        expect(sent).to.deep.equal([]);
+        expect(results.first.block).to.equal((await tx.wait()).blockNumber);
+        expect(JSON.parse(fs.readFileSync(file, "utf8")).steps.first).to.include({ status: "completed", txHash: tx.hash });
+    });
+
+    it("Should refuse to skip a step completed with different inputs", async function () {
+        await makePipeline().run([transferStep("first", 1n)]);
+
+        await expectRejection(makePipeline().run([transferStep("first", 5n)]), "different inputs; rerun with --fresh");
+        expect(sent).to.deep.equal(["first"]);
+    });
+
+    it("Should refuse to skip a step whose result no longer holds", async function () {
+        const step = { step: { check: async () => false } };
+        await makePipeline().run([transferStep("first", 1n, step)]);
+
+        await expectRejection(makePipeline().run([transferStep("first", 1n, step)]), "no longer holds on chain");
+    });
+
+    it("Should archive the journal and start over when fresh", async function () {
+        await makePipeline().run([transferStep("first", 1n)]);
+
+        const pipeline = makePipeline({ fresh: true });
+        await pipeline.run([transferStep("first", 1n)]);
+
+        expect(sent).to.deep.equal(["first", "first"]);
+        expect(fs.existsSync(pipeline.journal.archived)).to.equal(true);
+        expect(fs.readdirSync(dir).sort()).to.deep.equal([path.basename(pipeline.journal.archived), "journal.json"].sort());
+        expect(() => new DeploymentJournal({ file, network: "base" })).to.throw("belongs to network localhost");
+    });
+});
@@ -0,0 +1,143 @@
+const { expect } = require("chai");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { DeploymentRegistry, diffDeployments, resolveContractAddress } = require("../scripts/lib/deployment-registry");
+const { renderDeploymentList, renderDeploymentDiff, selectDiffPair } = require("../scripts/deployments");
+
+describe("DeploymentRegistry", function () {
+    const MANAGER_A = "0x5FbDB2315678afecb367f032d93F642f64180aa3";
+    const MANAGER_B = "0xe7f1725E7734CE288F8367e1Bb143E90bb3F0512";
+    const MANAGER_C = "0x9fE46736679d2D9a65F0992F2272dE9f3c7fa6e0";
+
+    let dir;
+    let registry;
+
+    function deployment(managerAddress, overrides = {}) {
+        return {
+            network: "base",
+            managerAddress,
+            config: { slippageTolerance: 100, lockDuration: 604800 },
+            constructorArgs: ["0x4752ba5DBc23f44D87826276BF6Fd6b1C372aD24", "604800"],
+            build: { gitCommit: "a".repeat(40), gitDirty: false, bytecodeHash: `0x${"1".repeat(64)}` },
+            timestamp: "2026-01-01T00:00:00.000Z",
+            ...overrides
+        };
+    }
+
+    beforeEach(function () {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), "deployments-"));
+        registry = new DeploymentRegistry({ network: "base", dir });
+    });
+
+    afterEach(function () {
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    it("Should append versions and keep the active record file on the promoted one", function () {
+        const first = registry.add(deployment(MANAGER_A));
+        registry.promote(first.version);
+        const second = registry.add(deployment(MANAGER_B));
+        registry.promote(second.version, "deployed");
+
+        expect([first.version, second.version]).to.deep.equal([1, 2]);
+        expect(fs.readFileSync(registry.historyFile, "utf8").trim().split("\n")).to.have.length(2);
+        expect(registry.active().managerAddress).to.equal(MANAGER_B);
+        expect(registry.activePointer()).to.include({ version: 2, reason: "deployed" });
+        expect(registry.activePointer().previous).to.deep.equal([1]);
+        expect(JSON.parse(fs.readFileSync(registry.recordFile, "utf8")).managerAddress).to.equal(MANAGER_B);
+
+        // A resumed deployment of the same manager is not recorded twice
+        expect(registry.add(deployment(MANAGER_B)).version).to.equal(2);
+        expect(registry.list()).to.have.length(2);
+    });
+
+    it("Should record a redeployment at a reused manager address as a new version", function () {
+        // A restarted local node hands out the same addresses again
+        const first = registry.add(deployment(MANAGER_A, { transactions: { "deploy-manager": `0x${"a".repeat(64)}` } }));
+        const again = registry.add(deployment(MANAGER_A, {
+            transactions: { "deploy-manager": `0x${"a".repeat(64)}` },
+            timestamp: "2026-01-02T00:00:00.000Z"
+        }));
+        const redeployed = registry.add(deployment(MANAGER_A, { transactions: { "deploy-manager": `0x${"b".repeat(64)}` } }));
+        const reconfigured = registry.add(deployment(MANAGER_A, {
+            transactions: { "deploy-manager": `0x${"b".repeat(64)}` },
+            config: { slippageTolerance: 250, lockDuration: 604800 }
+        }));
+
+        expect(again.version).to.equal(first.version);
+        expect([first.version, redeployed.version, reconfigured.version]).to.deep.equal([1, 2, 3]);
+        expect(registry.list()).to.have.length(3);
+    });
+
+    it("Should roll back to the previously active deployment", function () {
+        for (const address of [MANAGER_A, MANAGER_B, MANAGER_C]) {
+            registry.promote(registry.add(deployment(address)).version);
+        }
+
+        expect(registry.rollback().version).to.equal(2);
+        expect(registry.rollback().version).to.equal(1);
+        expect(() => registry.rollback()).to.throw("No earlier deployment");
+        expect(JSON.parse(fs.readFileSync(registry.recordFile, "utf8")).managerAddress).to.equal(MANAGER_A);
+
+        expect(registry.promote(3).managerAddress).to.equal(MANAGER_C);
+        expect(registry.activePointer().previous).to.deep.equal([1]);
+        expect(() => registry.promote(9)).to.throw("No deployment version 9 on base");
+        // History itself is never rewritten
+        expect(registry.list().map(r => r.version)).to.deep.equal([1, 2, 3]);
+    });
+
+    it("Should import a record saved before the registry existed", function () {
+        fs.mkdirSync(registry.dir, { recursive: true });
+        fs.writeFileSync(registry.recordFile, JSON.stringify(deployment(MANAGER_A)));
+
+        expect(registry.active()).to.include({ version: 1, managerAddress: MANAGER_A, deployedAt: "2026-01-01T00:00:00.000Z" });
+        expect(registry.add(deployment(MANAGER_B)).version).to.equal(2);
+    });
+
+    it("Should diff two deployments field by field", function () {
+        const a = registry.add(deployment(MANAGER_A));
+        const b = registry.add(deployment(MANAGER_B, {
+            config: { slippageTolerance: 250, lockDuration: 604800 },
+            build: { gitCommit: "b".repeat(40), gitDirty: true, bytecodeHash: `0x${"1".repeat(64)}` }
+        }));
+
+        expect(diffDeployments(a, b).map(change => change.path)).to.deep.equal([
+            "version",
+            "managerAddress",
+            "config.slippageTolerance",
+            "build.gitCommit",
+            "build.gitDirty"
+        ]);
+
+        const text = renderDeploymentDiff(a, b);
+        expect(text).to.contain("v1 → v2");
+        expect(text).to.contain("config.slippageTolerance: 100 → 250");
+        expect(text).not.to.contain("version:");
+        expect(renderDeploymentDiff(a, a)).to.contain("No differences");
+    });
+
+    it("Should diff a version against the active deployment only when one is active", function () {
+        registry.add(deployment(MANAGER_A));
+        registry.add(deployment(MANAGER_B));
+
+        expect(() => selectDiffPair(registry, ["1"])).to.throw("No active deployment on base; pass two versions");
+        expect(selectDiffPair(registry, ["1", "2"]).map(record => record.version)).to.deep.equal([1, 2]);
+        expect(() => selectDiffPair(registry, [])).to.throw("Usage: diff");
+
+        registry.promote(2);
+        expect(selectDiffPair(registry, ["1"]).map(record => record.version)).to.deep.equal([1, 2]);
+    });
+
+    it("Should resolve the manager address from the active deployment", function () {
+        registry.promote(registry.add(deployment(MANAGER_A)).version);
+
+        expect(resolveContractAddress({ CONTRACT_ADDRESS: MANAGER_C, DEPLOYMENT_NETWORK: "base" }, { dir })).to.equal(MANAGER_C);
+        expect(resolveContractAddress({ DEPLOYMENT_NETWORK: "base" }, { dir })).to.equal(MANAGER_A);
+        expect(() => resolveContractAddress({ DEPLOYMENT_NETWORK: "mainnet" }, { dir })).to.throw("No active deployment on mainnet");
+        expect(() => resolveContractAddress({}, { dir })).to.throw("Set CONTRACT_ADDRESS");
+
+        const list = renderDeploymentList(registry.list(), registry.activePointer());
+        expect(list).to.match(/^\* v1 .*0x5FbDB2315678afecb367f032d93F642f64180aa3 {2}aaaaaaaaaa/m);
+    });
+});
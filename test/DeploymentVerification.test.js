@@ -0,0 +1,316 @@
+const { expect } = require("chai");
+const hre = require("hardhat");
+const { DeploymentVerifier, verifyDeployment, renderVerificationReport } = require("../scripts/verify-deployment");
+const { buildDeploymentSteps } = require("../scripts/deploy");
+const { DeploymentJournal, DeploymentPipeline } = require("../scripts/lib/deploy-pipeline");
+
+const { ethers, network } = hre;
+
+describe("DeploymentVerifier", function () {
+    const address = (n) => ethers.getAddress(`0x${n.toString(16).padStart(40, "0")}`);
+    const MANAGER = address(0xa11);
+    const ROUTER = address(0xa12);
+    const FACTORY = address(0xa13);
+    const WETH = address(0xa14);
+    const DEPLOYER = address(0xa15);
+    const RECIPIENT = address(0xa16);
+    const GUARDIAN = address(0xa17);
+    const SECURITY = address(0xa18);
+
+    const managerAbi = [
+        "function uniswapRouter() view returns (address)",
+        "function uniswapFactory() view returns (address)",
+        "function WETH() view returns (address)",
+        "function config() view returns (uint256 marketCapThreshold, uint256 liquidityThreshold, uint256 minLockDuration, uint256 slippageTolerance, bool autoGraduateEnabled)",
+        "function lpLockRecipient() view returns (address)",
+        "function owner() view returns (address)"
+    ];
+    let record;
+    let chain;
+
+    /**
+     * Verifier over stub contracts reading `chain`; `securityAddress` adds a
+     * SecurityEnhancements contract at that address
+     */
+    function makeVerifier(securityAddress = null) {
+        const manager = {
+            interface: new ethers.Interface(managerAbi),
+            uniswapRouter: async () => chain.router,
+            uniswapFactory: async () => chain.factory,
+            WETH: async () => chain.weth,
+            config: async () => ({ ...chain.config }),
+            lpLockRecipient: async () => chain.lpLockRecipient,
+            owner: async () => chain.owner
+        };
+        const security = securityAddress && {
+            getAddress: async () => securityAddress,
+            hasRole: async (role, account) => (chain.roles[role] || []).includes(account),
+            rateLimit: async () => chain.rateLimit,
+            txLimits: async () => chain.txLimits
+        };
+        const router = { factory: async () => FACTORY, WETH: async () => WETH };
+        return new DeploymentVerifier({ record, manager, router, security, provider: ethers.provider });
+    }
+
+    /**
+     * Record as written by deploy.js, and a chain that matches it
+     */
+    beforeEach(async function () {
+        await network.provider.request({ method: "hardhat_setCode", params: [MANAGER, "0x00"] });
+        await network.provider.request({ method: "hardhat_setCode", params: [SECURITY, "0x00"] });
+        record = {
+            network: "localhost",
+            deployer: DEPLOYER,
+            managerAddress: MANAGER,
+            routerAddress: ROUTER.toLowerCase(),
+            factoryAddress: FACTORY,
+            config: {
+                thresholds: { marketCap: ethers.parseEther("100").toString(), liquidity: ethers.parseEther("50").toString() },
+                lockDuration: 604800,
+                autoGraduationEnabled: true,
+                slippageTolerance: 100,
+                lpLockRecipient: RECIPIENT,
+                roles: {},
+                limits: {}
+            }
+        };
+        chain = {
+            router: ROUTER,
+            factory: FACTORY,
+            weth: WETH,
+            config: {
+                marketCapThreshold: ethers.parseEther("100"),
+                liquidityThreshold: ethers.parseEther("50"),
+                minLockDuration: 604800n,
+                slippageTolerance: 100n,
+                autoGraduateEnabled: true
+            },
+            lpLockRecipient: RECIPIENT,
+            owner: DEPLOYER,
+            roles: {},
+            rateLimit: { maxGraduationsPerHour: 10n, maxTotalLiquidityPerHour: ethers.parseEther("1000") },
+            txLimits: { maxSingleGraduationLiquidity: ethers.parseEther("100"), minGraduationDelay: 3600n, maxSlippageAllowed: 500n }
+        };
+    });
+
+    it("Should pass when the chain matches the deployment record", async function () {
+        const report = await makeVerifier().verify();
+
+        expect(report.passed).to.equal(true);
+        expect(report.checks.filter(c => !c.skipped).map(c => c.name)).to.deep.equal([
+            "bytecode deployed",
+            "uniswapRouter",
+            "uniswapFactory = router.factory()",
+            "WETH = router.WETH()",
+            "uniswapFactory",
+            "marketCapThreshold",
+            "liquidityThreshold",
+            "minLockDuration",
+            "slippageTolerance",
+            "autoGraduateEnabled",
+            "lpLockRecipient",
+            "owner"
+        ]);
+        expect(report.checks[report.checks.length - 1].skipped).to.contain("SecurityEnhancements");
+        expect(renderVerificationReport(report)).to.contain("✅ 13 checks passed");
+    });
+
+    it("Should report drift in config, ownership and wiring", async function () {
+        chain.config.slippageTolerance = 250n;
+        chain.owner = RECIPIENT;
+        chain.weth = address(0xbad);
+
+        const report = await makeVerifier().verify();
+
+        expect(report.passed).to.equal(false);
+        expect(report.failures).to.equal(3);
+        expect(report.checks.filter(c => !c.pass).map(c => c.name)).to.deep.equal(["WETH = router.WETH()", "slippageTolerance", "owner"]);
+
+        const text = renderVerificationReport(report);
+        expect(text).to.contain("slippageTolerance");
+        expect(text).to.contain("expected 100, on chain 250");
+        expect(text).to.contain("❌ 3 of 13 checks failed");
+    });
+
+    it("Should stop at a missing contract", async function () {
+        record.managerAddress = address(0xdead);
+
+        const report = await makeVerifier().verify();
+
+        expect(report.checks).to.have.length(1);
+        expect(report.checks[0]).to.include({ name: "bytecode deployed", pass: false });
+    });
+
+    it("Should check SecurityEnhancements role holders and limits", async function () {
+        record.config.roles = { owner: GUARDIAN, guardian: [GUARDIAN] };
+        record.config.limits = {
+            maxGraduationsPerHour: 10,
+            maxLiquidityPerHour: ethers.parseEther("1000").toString(),
+            maxSingleGraduationLiquidity: ethers.parseEther("100").toString(),
+            minGraduationDelay: 3600,
+            maxSlippageBps: 300
+        };
+        chain.owner = GUARDIAN;
+        chain.roles[ethers.id("GUARDIAN_ROLE")] = [GUARDIAN];
+
+        const report = await makeVerifier(SECURITY).verify();
+
+        const security = report.checks.filter(c => c.section === "security");
+        expect(security.map(c => [c.name, c.pass])).to.deep.equal([
+            ["SecurityEnhancements deployed", true],
+            [`guardian role: ${GUARDIAN}`, true],
+            ["maxGraduationsPerHour", true],
+            ["maxTotalLiquidityPerHour", true],
+            ["maxSingleGraduationLiquidity", true],
+            ["minGraduationDelay", true],
+            ["maxSlippageAllowed", false]
+        ]);
+
+        // Recorded roles and limits without a SecurityEnhancements contract to check them on fail
+        const withoutSecurity = await makeVerifier().verify();
+        expect(withoutSecurity.checks.find(c => c.section === "security"))
+            .to.include({ name: "SecurityEnhancements address", pass: false });
+        const withoutCode = await makeVerifier(address(0xdead)).verify();
+        expect(withoutCode.checks.filter(c => c.section === "security").map(c => [c.name, c.pass]))
+            .to.deep.equal([["SecurityEnhancements deployed", false]]);
+    });
+
+    describe("Against a local deployment", function () {
+        let deployer;
+        let deployed;
+
+        /**
+         * Run the deploy.js steps (mock Uniswap V2 sandbox, manager,
+         * updateConfig) and write the record deploy.js would
+         */
+        beforeEach(async function () {
+            [deployer] = await ethers.getSigners();
+            const config = {
+                thresholds: { marketCap: ethers.parseEther("100"), liquidity: ethers.parseEther("50") },
+                lockDuration: 604800,
+                slippageBps: 100,
+                autoGraduation: true,
+                lpLockRecipient: RECIPIENT
+            };
+            const pipeline = new DeploymentPipeline({
+                journal: new DeploymentJournal({ network: "hardhat" }),
+                provider: ethers.provider,
+                log: () => {}
+            });
+            const results = await pipeline.run(buildDeploymentSteps(config));
+
+            record = {
+                network: "hardhat",
+                deployer: deployer.address,
+                managerAddress: results["deploy-manager"].address,
+                routerAddress: results["deploy-mock-router"].address,
+                factoryAddress: results["deploy-mock-factory"].address,
+                config: {
+                    thresholds: { marketCap: config.thresholds.marketCap.toString(), liquidity: config.thresholds.liquidity.toString() },
+                    lockDuration: config.lockDuration,
+                    autoGraduationEnabled: config.autoGraduation,
+                    slippageTolerance: config.slippageBps,
+                    lpLockRecipient: config.lpLockRecipient,
+                    roles: {},
+                    limits: {}
+                }
+            };
+            deployed = await ethers.getContractAt("UniswapGraduationManager", record.managerAddress);
+        });
+
+        it("Should pass right after deployment", async function () {
+            const report = await verifyDeployment(hre, record);
+
+            expect(report.passed).to.equal(true);
+            expect(report.checks.filter(c => !c.skipped)).to.have.length(12);
+        });
+
+        it("Should report drift introduced after deployment", async function () {
+            await deployed.updateConfig(ethers.parseEther("100"), ethers.parseEther("80"), 604800, 250, false);
+            await deployed.updateLPLockRecipient(GUARDIAN);
+
+            const report = await verifyDeployment(hre, record);
+
+            expect(report.passed).to.equal(false);
+            expect(report.checks.filter(c => !c.pass).map(c => [c.name, String(c.actual)])).to.deep.equal([
+                ["liquidityThreshold", ethers.parseEther("80").toString()],
+                ["slippageTolerance", "250"],
+                ["autoGraduateEnabled", "false"],
+                ["lpLockRecipient", GUARDIAN]
+            ]);
+            expect(renderVerificationReport(report)).to.contain("❌ 4 of 13 checks failed");
+        });
+
+        it("Should apply roles and limits to a MockSecurityEnhancements on local networks", async function () {
+            const config = {
+                thresholds: { marketCap: ethers.parseEther("100"), liquidity: ethers.parseEther("50") },
+                lockDuration: 604800,
+                slippageBps: 100,
+                autoGraduation: true,
+                lpLockRecipient: RECIPIENT,
+                security: null,
+                roles: { guardian: [GUARDIAN] },
+                limits: { maxGraduationsPerHour: 3, maxLiquidityPerHour: ethers.parseEther("200") }
+            };
+            const pipeline = new DeploymentPipeline({
+                journal: new DeploymentJournal({ network: "hardhat" }),
+                provider: ethers.provider,
+                log: () => {}
+            });
+            const results = await pipeline.run(buildDeploymentSteps(config));
+
+            const security = await ethers.getContractAt("MockSecurityEnhancements", results["deploy-mock-security"].address);
+            expect(await security.hasRole(await security.GUARDIAN_ROLE(), GUARDIAN)).to.equal(true);
+            expect((await security.rateLimit()).maxGraduationsPerHour).to.equal(3n);
+            expect(results).to.include.keys(["update-rate-limit", `grant-role:guardian:${GUARDIAN}`]);
+        });
+
+        it("Should report drift in the roles and limits of the SecurityEnhancements contract", async function () {
+            const config = {
+                thresholds: { marketCap: ethers.parseEther("100"), liquidity: ethers.parseEther("50") },
+                lockDuration: 604800,
+                slippageBps: 100,
+                autoGraduation: true,
+                lpLockRecipient: RECIPIENT,
+                security: null,
+                roles: { guardian: [GUARDIAN] },
+                limits: { maxGraduationsPerHour: 3, maxLiquidityPerHour: ethers.parseEther("200") }
+            };
+            const results = await new DeploymentPipeline({
+                journal: new DeploymentJournal({ network: "hardhat" }),
+                provider: ethers.provider,
+                log: () => {}
+            }).run(buildDeploymentSteps(config));
+            record.managerAddress = results["deploy-manager"].address;
+            record.routerAddress = results["deploy-mock-router"].address;
+            record.factoryAddress = results["deploy-mock-factory"].address;
+            record.securityAddress = results["deploy-mock-security"].address;
+            record.config.roles = { guardian: [GUARDIAN] };
+            record.config.limits = { maxGraduationsPerHour: 3, maxLiquidityPerHour: ethers.parseEther("200").toString() };
+
+            expect((await verifyDeployment(hre, record)).passed).to.equal(true);
+
+            const security = await ethers.getContractAt("MockSecurityEnhancements", record.securityAddress);
+            await security.removeGuardian(GUARDIAN);
+            await security.updateRateLimit(5, ethers.parseEther("200"));
+
+            const report = await verifyDeployment(hre, record);
+
+            expect(report.checks.filter(c => !c.pass).map(c => [c.name, String(c.actual)])).to.deep.equal([
+                [`guardian role: ${GUARDIAN}`, "false"],
+                ["maxGraduationsPerHour", "5"]
+            ]);
+            // --security overrides the recorded address
+            const elsewhere = await verifyDeployment(hre, record, { securityAddress: address(0xdead) });
+            expect(elsewhere.checks.find(c => !c.pass).name).to.equal("SecurityEnhancements deployed");
+        });
+
+        it("Should report a record pointing at an address without code", async function () {
+            record.managerAddress = address(0xdead);
+
+            const report = await verifyDeployment(hre, record);
+
+            expect(report.checks.map(c => [c.name, c.pass])).to.deep.equal([["bytecode deployed", false]]);
+        });
+    });
+});
@@ -0,0 +1,293 @@
+const { expect } = require("chai");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { ethers } = require("ethers");
+const { MemoryStore, JsonlStore, SqliteStore, createStore } = require("../scripts/monitoring/stores");
+const { GraduationMonitor } = require("../scripts/monitoring");
+const { silenceConsole } = require("./helpers");
+
+describe("Event Stores", function () {
+    const TOKEN_A = "0x00000000000000000000000000000000000000aa";
+    const TOKEN_B = "0x00000000000000000000000000000000000000bb";
+
+    let tmpDir;
+
+    beforeEach(function () {
+        tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "graduation-store-"));
+    });
+
+    afterEach(function () {
+        fs.rmSync(tmpDir, { recursive: true, force: true });
+    });
+
+    const backends = {
+        MemoryStore: () => new MemoryStore(),
+        JsonlStore: () => new JsonlStore(tmpDir),
+        SqliteStore: () => new SqliteStore(path.join(tmpDir, "monitor.db"))
+    };
+
+    for (const [name, open] of Object.entries(backends)) {
+        describe(name, function () {
+            let store;
+
+            beforeEach(function () {
+                store = open();
+                store.appendEvent({ type: "TokenRegistered", token: TOKEN_A, blockNumber: 1 });
+                store.appendEvent({ type: "TokenRegistered", token: TOKEN_B, blockNumber: 2 });
+                store.appendEvent({ type: "TokenGraduated", token: TOKEN_A, blockNumber: 5, liquidity: 10n });
+                store.appendAlert({ level: "info", title: "Token Graduated" });
+                store.appendAlert({ level: "critical", title: "Circuit Breaker Tripped" });
+            });
+
+            afterEach(function () {
+                store.close();
+            });
+
+            it("Should filter events by type, token and block", async function () {
+                expect(store.queryEvents()).to.have.length(3);
+                expect(store.queryEvents({ type: "TokenRegistered" })).to.have.length(2);
+                expect(store.queryEvents({ token: TOKEN_A })).to.have.length(2);
+                expect(store.queryEvents({ fromBlock: 2 }).map(e => e.blockNumber)).to.deep.equal([2, 5]);
+                expect(store.queryEvents({ type: "TokenGraduated", token: TOKEN_B })).to.have.length(0);
+            });
+
+            it("Should filter alerts by level", async function () {
+                expect(store.queryAlerts()).to.have.length(2);
+                expect(store.queryAlerts("critical")[0].title).to.equal("Circuit Breaker Tripped");
+                expect(store.countEvents()).to.equal(3);
+                expect(store.countAlerts()).to.equal(2);
+            });
+
+            it("Should remove an event and its alerts", async function () {
+                store.appendEvent({ type: "LPLocked", token: TOKEN_B, blockNumber: 6, transactionHash: "0x01", logIndex: 2 });
+                store.appendAlert({ level: "info", title: "LP Locked", data: { transactionHash: "0x01", logIndex: 2 } });
+
+                const removed = store.removeEvent("0x01", 2);
+
+                expect(removed).to.include({ type: "LPLocked", token: TOKEN_B });
+                expect(store.removeAlerts("0x01", 2)).to.equal(1);
+                expect(store.removeEvent("0x01", 2)).to.equal(null);
+                expect(store.countEvents()).to.equal(3);
+                expect(store.countAlerts()).to.equal(2);
+                expect(store.queryEvents({ type: "LPLocked" })).to.have.length(0);
+            });
+
+            it("Should save and load checkpoints", async function () {
+                expect(store.getCheckpoint()).to.equal(null);
+
+                store.saveCheckpoint({ blockNumber: 5, logIndex: 3, metrics: { totalGraduations: 1 } });
+
+                expect(store.getCheckpoint()).to.deep.equal({
+                    blockNumber: 5,
+                    logIndex: 3,
+                    metrics: { totalGraduations: 1 }
+                });
+            });
+        });
+    }
+
+    describe("Persistence", function () {
+        it("Should reopen a JSONL store with its events and counts", async function () {
+            const store = new JsonlStore(tmpDir);
+            store.appendEvent({ type: "LPLocked", token: TOKEN_A, blockNumber: 7 });
+
+            const reopened = new JsonlStore(tmpDir);
+
+            expect(reopened.countEvents()).to.equal(1);
+            expect(reopened.queryEvents({ type: "LPLocked" })).to.have.length(1);
+        });
+
+        it("Should keep JSONL removals across a reopen", async function () {
+            const store = new JsonlStore(tmpDir);
+            store.appendEvent({ type: "LPLocked", token: TOKEN_A, blockNumber: 7, transactionHash: "0x01", logIndex: 0 });
+            store.appendEvent({ type: "LPLocked", token: TOKEN_A, blockNumber: 8, transactionHash: "0x02", logIndex: 0 });
+            store.removeEvent("0x01", 0);
+
+            const reopened = new JsonlStore(tmpDir);
+
+            expect(reopened.countEvents()).to.equal(1);
+            expect(reopened.queryEvents().map(e => e.blockNumber)).to.deep.equal([8]);
+        });
+
+        it("Should skip a torn trailing line in a JSONL store", async function () {
+            const store = new JsonlStore(tmpDir);
+            store.appendEvent({ type: "LPLocked", token: TOKEN_A, blockNumber: 7 });
+            fs.appendFileSync(path.join(tmpDir, "events.jsonl"), "{\"type\":\"LPLo");
+
+            const originalWarn = console.warn;
+            console.warn = () => {};
+            try {
+                expect(store.queryEvents()).to.have.length(1);
+            } finally {
+                console.warn = originalWarn;
+            }
+        });
+
+        it("Should roll back a JSONL transaction that throws", async function () {
+            const store = new JsonlStore(tmpDir);
+            store.appendEvent({ type: "LPLocked", token: TOKEN_A, blockNumber: 7 });
+
+            expect(() => store.transaction(() => {
+                store.appendEvent({ type: "LPLocked", token: TOKEN_B, blockNumber: 8 });
+                store.appendAlert({ level: "info", title: "LP Locked" });
+                throw new Error("handler failed");
+            })).to.throw("handler failed");
+
+            expect(store.countEvents()).to.equal(1);
+            expect(store.countAlerts()).to.equal(0);
+            expect(new JsonlStore(tmpDir).queryEvents().map(e => e.blockNumber)).to.deep.equal([7]);
+        });
+
+        it("Should drop the writes of a JSONL transaction interrupted before its checkpoint", async function () {
+            const store = new JsonlStore(tmpDir);
+            store.transaction(() => {
+                store.appendEvent({ type: "LPLocked", token: TOKEN_A, blockNumber: 7 });
+                store.saveCheckpoint({ blockNumber: 7, logIndex: 0 });
+            });
+
+            // A crash between the event append and the checkpoint leaves the marker behind
+            const markerFile = path.join(tmpDir, "transaction.json");
+            fs.writeFileSync(markerFile, JSON.stringify({ id: "interrupted", sizes: store.fileSizes() }));
+            store.appendEvent({ type: "LPLocked", token: TOKEN_B, blockNumber: 8 });
+            store.tombstone("events", 0);
+
+            const originalWarn = console.warn;
+            console.warn = () => {};
+            let reopened;
+            try {
+                reopened = new JsonlStore(tmpDir);
+            } finally {
+                console.warn = originalWarn;
+            }
+
+            expect(reopened.queryEvents().map(e => e.blockNumber)).to.deep.equal([7]);
+            expect(reopened.getCheckpoint()).to.deep.equal({ blockNumber: 7, logIndex: 0 });
+            expect(fs.existsSync(markerFile)).to.equal(false);
+        });
+
+        it("Should keep a JSONL transaction whose checkpoint was saved before a crash", async function () {
+            const store = new JsonlStore(tmpDir);
+            const markerFile = path.join(tmpDir, "transaction.json");
+            let marker;
+            store.transaction(() => {
+                store.appendEvent({ type: "LPLocked", token: TOKEN_A, blockNumber: 7 });
+                store.saveCheckpoint({ blockNumber: 7, logIndex: 0 });
+                marker = fs.readFileSync(markerFile);
+            });
+            fs.writeFileSync(markerFile, marker);
+
+            const reopened = new JsonlStore(tmpDir);
+
+            expect(reopened.countEvents()).to.equal(1);
+            expect(fs.existsSync(markerFile)).to.equal(false);
+        });
+
+        it("Should add indexed log columns to an existing SQLite store", async function () {
+            const filename = path.join(tmpDir, "legacy.db");
+            const Database = require("better-sqlite3");
+            const db = new Database(filename);
+            db.exec(`
+                CREATE TABLE events (id INTEGER PRIMARY KEY AUTOINCREMENT, type TEXT NOT NULL, token TEXT,
+                    block_number INTEGER, data TEXT NOT NULL);
+                CREATE TABLE alerts (id INTEGER PRIMARY KEY AUTOINCREMENT, level TEXT NOT NULL, data TEXT NOT NULL);
+            `);
+            db.prepare("INSERT INTO events (type, token, block_number, data) VALUES (?, ?, ?, ?)")
+                .run("LPLocked", TOKEN_A, 7, JSON.stringify({ type: "LPLocked", transactionHash: "0x01", logIndex: 2 }));
+            db.prepare("INSERT INTO alerts (level, data) VALUES (?, ?)")
+                .run("info", JSON.stringify({ level: "info", data: { transactionHash: "0x01", logIndex: 2 } }));
+            db.close();
+
+            const store = new SqliteStore(filename);
+            try {
+                expect(store.hasEvent("0x01", 2)).to.equal(true);
+                expect(store.removeAlerts("0x01", 2)).to.equal(1);
+                expect(store.removeEvent("0x01", 2).type).to.equal("LPLocked");
+                expect(store.db.prepare("EXPLAIN QUERY PLAN SELECT 1 FROM events WHERE transaction_hash = ? AND log_index = ?")
+                    .all("0x01", 2)[0].detail).to.include("events_log");
+            } finally {
+                store.close();
+            }
+        });
+
+        it("Should create stores from a spec string", async function () {
+            expect(createStore()).to.be.instanceOf(MemoryStore);
+            expect(createStore(`jsonl:${tmpDir}`)).to.be.instanceOf(JsonlStore);
+            expect(() => createStore("redis:localhost")).to.throw("Unknown store type: redis");
+        });
+    });
+
+    describe("Monitor resume", function () {
+
+        silenceConsole();
+
+        const iface = new ethers.Interface([
+            "event LiquidityMigrated(address indexed token, address indexed pair, uint256 liquidity)"
+        ]);
+
+        function graduated(blockNumber, index) {
+            return {
+                eventName: "LiquidityMigrated",
+                fragment: iface.getEvent("LiquidityMigrated"),
+                args: [TOKEN_A, TOKEN_B, ethers.parseEther("2")],
+                blockNumber,
+                index,
+                transactionHash: ethers.id(`${blockNumber}-${index}`)
+            };
+        }
+
+        it("Should resume exactly where a restarted monitor stopped", async function () {
+            const first = new GraduationMonitor(TOKEN_A, "http://127.0.0.1:1", [], {
+                store: new JsonlStore(tmpDir)
+            });
+            first.processLog(graduated(10, 0));
+            first.processLog(graduated(10, 1));
+
+            const second = new GraduationMonitor(TOKEN_A, "http://127.0.0.1:1", [], {
+                store: new JsonlStore(tmpDir)
+            });
+
+            expect(second.cursor).to.deep.equal({ blockNumber: 10, logIndex: 1 });
+            expect(second.getMetrics().totalLiquidityAdded).to.equal(ethers.parseEther("4"));
+
+            // Replaying the same block only picks up logs after the cursor
+            expect(second.processLog(graduated(10, 1))).to.equal(false);
+            expect(second.processLog(graduated(10, 2))).to.equal(true);
+            expect(second.getMetrics().totalGraduations).to.equal(3);
+            expect(second.getEventHistory()).to.have.length(3);
+        });
+
+        it("Should rebuild token lifecycles from the stored events", async function () {
+            const first = new GraduationMonitor(TOKEN_A, "http://127.0.0.1:1", [], {
+                store: new JsonlStore(tmpDir)
+            });
+            first.processLog(graduated(10, 0));
+
+            const store = new JsonlStore(tmpDir);
+            const second = new GraduationMonitor(TOKEN_A, "http://127.0.0.1:1", [], { store });
+
+            expect(store.getCheckpoint()).to.not.have.property("lifecycle");
+            expect(second.lifecycle.getToken(TOKEN_A).state).to.equal("graduated");
+            expect(second.lifecycle.summary().graduated).to.equal(1);
+        });
+
+        it("Should not store an event twice when its checkpoint could not be saved", async function () {
+            const first = new GraduationMonitor(TOKEN_A, "http://127.0.0.1:1", [], {
+                store: new JsonlStore(tmpDir)
+            });
+            first.processLog(graduated(10, 0));
+            first.store.saveCheckpoint = () => {
+                throw new Error("disk full");
+            };
+            expect(() => first.processLog(graduated(11, 0))).to.throw("disk full");
+
+            const second = new GraduationMonitor(TOKEN_A, "http://127.0.0.1:1", [], {
+                store: new JsonlStore(tmpDir)
+            });
+
+            expect(second.processLog(graduated(11, 0))).to.equal(true);
+            expect(second.getEventHistory().map(e => e.blockNumber)).to.deep.equal([10, 11]);
+            expect(second.getMetrics().totalGraduations).to.equal(2);
+        });
+    });
+});
@@ -0,0 +1,221 @@
+const { expect } = require("chai");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { ethers } = require("hardhat");
+const { loadFixture } = require("@nomicfoundation/hardhat-network-helpers");
+const { GraduationKeeper } = require("../scripts/keeper");
+const { silenceConsole } = require("./helpers");
+
+describe("GraduationKeeper", function () {
+    const token = (n) => ethers.getAddress(`0x${n.toString(16).padStart(40, "0")}`);
+    const ether = (n) => ethers.parseEther(String(n));
+
+    let signer;
+    let target;
+    let chain;
+    let contract;
+    let dir;
+
+    silenceConsole();
+
+    before(async function () {
+        [, , , , , signer, target] = await ethers.getSigners();
+    });
+
+    /**
+     * Stand-in for the manager: registrations, eligibility, reserves and
+     * security state come from `chain`; graduateToken is a plain transfer
+     * carrying the token in its data
+     */
+    beforeEach(function () {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), "keeper-"));
+        chain = {
+            registered: [token(1), token(2), token(3)],
+            migrated: [],
+            eligible: new Set([token(1), token(3)]),
+            reserves: { [token(1)]: ether(5), [token(2)]: ether(1), [token(3)]: ether(8) },
+            breaker: { isTripped: false, reason: "", secondsUntilReset: 0n },
+            rateLimit: { graduationsRemaining: 10n, liquidityRemaining: ether(100), windowEndsIn: 3600n }
+        };
+        const graduateToken = async (address) => ({ to: target.address, data: ethers.zeroPadValue(address, 32) });
+        graduateToken.populateTransaction = graduateToken;
+        contract = {
+            queryFilter: async (name) =>
+                (name === "TokenRegistered" ? chain.registered : chain.migrated).map(address => ({ args: [address] })),
+            checkGraduationEligibility: async (address) => chain.eligible.has(address),
+            bondingCurves: async (address) => ({ ethReserve: chain.reserves[address] }),
+            getCircuitBreakerStatus: async () => chain.breaker,
+            getRateLimitStatus: async () => chain.rateLimit,
+            graduateToken
+        };
+    });
+
+    afterEach(function () {
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    function makeKeeper(options = {}) {
+        return new GraduationKeeper({
+            contract,
+            signer,
+            logFile: path.join(dir, "attempts.jsonl"),
+            transactions: { pollIntervalMs: 10 },
+            ...options
+        });
+    }
+
+    const graduatedTokens = (keeper) => keeper.attempts.filter(a => a.stage === "confirmed").map(a => a.token);
+
+    it("Should graduate eligible tokens and log every attempt", async function () {
+        const keeper = makeKeeper();
+        await keeper.round();
+
+        expect(graduatedTokens(keeper)).to.deep.equal([token(1), token(3)]);
+        expect([...keeper.tokens]).to.deep.equal([token(2)]);
+
+        const logged = fs.readFileSync(path.join(dir, "attempts.jsonl"), "utf8").trim().split("\n").map(JSON.parse);
+        expect(logged.map(a => [a.stage, a.token])).to.deep.equal([
+            ["submitted", token(1)],
+            ["confirmed", token(1)],
+            ["submitted", token(3)],
+            ["confirmed", token(3)]
+        ]);
+        expect(logged[0]).to.include({ action: "graduateToken" });
+        expect(logged[0].hash).to.equal(logged[1].hash);
+
+        // Tokens that graduated elsewhere are dropped on the next sync
+        chain.migrated = [token(2)];
+        await keeper.round();
+        expect(keeper.tokens.size).to.equal(0);
+    });
+
+    it("Should not submit anything while the circuit breaker is tripped", async function () {
+        chain.breaker = { isTripped: true, reason: "Too many graduations", secondsUntilReset: 600n };
+        const keeper = makeKeeper();
+        const nonce = await signer.getNonce("pending");
+
+        await keeper.round();
+
+        expect(keeper.attempts).to.have.length(1);
+        expect(keeper.attempts[0].stage).to.equal("skipped");
+        expect(keeper.attempts[0].reason).to.contain("Too many graduations");
+        expect(await signer.getNonce("pending")).to.equal(nonce);
+    });
+
+    it("Should stay within the rate limit", async function () {
+        chain.eligible = new Set([token(1), token(2), token(3)]);
+        chain.rateLimit = { graduationsRemaining: 3n, liquidityRemaining: ether(7), windowEndsIn: 3600n };
+        const keeper = makeKeeper();
+
+        await keeper.round();
+
+        // token 3 needs more liquidity than is left once token 1 graduated
+        expect(graduatedTokens(keeper)).to.deep.equal([token(1), token(2)]);
+        const skipped = keeper.attempts.filter(a => a.stage === "skipped");
+        expect(skipped.map(a => a.token)).to.deep.equal([token(3)]);
+        expect(skipped[0].reason).to.contain("liquidity rate limit");
+
+        chain.rateLimit = { graduationsRemaining: 0n, liquidityRemaining: ether(100), windowEndsIn: 60n };
+        await keeper.round();
+        expect(keeper.attempts[keeper.attempts.length - 1].reason).to.contain("graduation rate limit reached");
+    });
+
+    it("Should only simulate graduations in dry-run mode", async function () {
+        const keeper = makeKeeper({ dryRun: true });
+        const nonce = await signer.getNonce("pending");
+
+        await keeper.round();
+
+        expect(keeper.attempts.map(a => [a.stage, a.token])).to.deep.equal([
+            ["dry-run", token(1)],
+            ["dry-run", token(3)]
+        ]);
+        expect(await signer.getNonce("pending")).to.equal(nonce);
+        expect(keeper.tokens.size).to.equal(3);
+    });
+
+    it("Should log refused graduations and move on", async function () {
+        const keeper = makeKeeper({ transactions: { maxFeePerGas: 1n } });
+
+        await keeper.round();
+
+        expect(keeper.attempts.map(a => a.stage)).to.deep.equal(["skipped", "skipped"]);
+        expect(keeper.attempts[0].reason).to.contain("above the cap");
+    });
+
+    describe("Against the manager contract", function () {
+        /**
+         * Manager with auto-graduation off and one funded token past both
+         * thresholds, plus a standalone SecurityEnhancements contract
+         */
+        async function managerFixture() {
+            const [owner, recipient] = await ethers.getSigners();
+            const deploy = async (name, ...args) => (await ethers.getContractFactory(name, owner)).deploy(...args);
+            const weth = await deploy("WETH9");
+            const factory = await deploy("MockUniswapV2Factory");
+            const router = await deploy("MockUniswapV2Router", factory.target, weth.target);
+            const manager = await deploy("UniswapGraduationManager", router.target, ether(100), ether(50),
+                24 * 60 * 60, recipient.address);
+            const security = await deploy("MockSecurityEnhancements");
+            const erc20 = await deploy("MockERC20", "Keeper Token", "KEEP", ether(1000000));
+
+            await manager.updateConfig(ether(100), ether(50), 24 * 60 * 60, 100, false);
+            await manager.registerToken(erc20.target, ether(500000), 0);
+            await erc20.transfer(manager.target, ether(500000));
+            await owner.sendTransaction({ to: manager.target, value: ether(60) });
+            await manager.updateBondingCurve(erc20.target, ether(500000), ether(60), ether(120));
+
+            return { owner, manager, security, erc20 };
+        }
+
+        function managerKeeper({ owner, manager, security }) {
+            return new GraduationKeeper({
+                contract: manager,
+                security,
+                signer: owner,
+                logFile: path.join(dir, "attempts.jsonl"),
+                transactions: { pollIntervalMs: 10 }
+            });
+        }
+
+        it("Should refuse to start without the security functions", async function () {
+            const { owner, manager } = await loadFixture(managerFixture);
+
+            expect(() => new GraduationKeeper({ contract: manager, signer: owner }))
+                .to.throw("Keeper security contract has no getCircuitBreakerStatus, getRateLimitStatus");
+        });
+
+        it("Should graduate an eligible token through graduateToken", async function () {
+            const fixture = await loadFixture(managerFixture);
+            const { manager, erc20 } = fixture;
+            expect(await manager.checkGraduationEligibility(erc20.target)).to.equal(true);
+
+            const keeper = managerKeeper(fixture);
+            await keeper.round();
+
+            expect(graduatedTokens(keeper)).to.deep.equal([erc20.target]);
+            expect((await manager.graduations(erc20.target)).graduated).to.equal(true);
+            expect(keeper.tokens.size).to.equal(0);
+        });
+
+        it("Should respect the security contract's circuit breaker and rate limit", async function () {
+            const fixture = await loadFixture(managerFixture);
+            const { manager, security, erc20 } = fixture;
+            const keeper = managerKeeper(fixture);
+
+            await security.tripCircuitBreaker("maintenance", 600);
+            await keeper.round();
+            expect(keeper.attempts[keeper.attempts.length - 1].reason).to.contain("circuit breaker tripped (maintenance)");
+
+            await security.resetCircuitBreaker();
+            await security.updateRateLimit(1, ether(1000));
+            await security.recordGraduation(ether(1));
+            await keeper.round();
+            expect(keeper.attempts[keeper.attempts.length - 1].reason).to.contain("graduation rate limit reached");
+
+            expect(graduatedTokens(keeper)).to.deep.equal([]);
+            expect((await manager.graduations(erc20.target)).graduated).to.equal(false);
+        });
+    });
+});
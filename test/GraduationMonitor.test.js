@@ -0,0 +1,485 @@
+const { expect } = require("chai");
+const { ethers } = require("ethers");
+const { GraduationMonitor } = require("../scripts/monitoring");
+const { blockHash, logFactory, silenceConsole } = require("./helpers");
+
+describe("GraduationMonitor", function () {
+    const TOKEN = "0x00000000000000000000000000000000000000aa";
+    const PAIR = "0x00000000000000000000000000000000000000bb";
+    // Chain time of block 0 (seconds); blocks are 12s apart
+    const GENESIS = 1704067200;
+
+    const ABI = [
+        "event TokenRegistered(address indexed token, uint256 initialReserve)",
+        "event BondingCurveUpdated(address indexed token, uint256 tokenReserve, uint256 ethReserve, uint256 marketCap)",
+        "event ConfigUpdated(uint256 marketCapThreshold, uint256 liquidityThreshold)",
+        "event LiquidityMigrated(address indexed token, address indexed pair, uint256 liquidity)",
+        "event LPTokensLocked(address indexed token, uint256 amount, uint256 unlockTime)",
+        "event LPTokensUnlocked(address indexed token, address indexed recipient, uint256 amount)",
+        "event OwnershipTransferred(address indexed previousOwner, address indexed newOwner)"
+    ];
+    const SECURITY_ABI = [
+        "event CircuitBreakerTripped(string reason, uint256 resetAfter)"
+    ];
+    const iface = new ethers.Interface([...ABI, ...SECURITY_ABI]);
+
+    silenceConsole("log", "warn");
+
+    const makeLog = logFactory(iface);
+
+    function graduated(blockNumber, index = 0) {
+        return makeLog("LiquidityMigrated", [TOKEN, PAIR, ethers.parseEther("1")], blockNumber, index);
+    }
+
+    /**
+     * Fake contract serving the `logs` of the events in its ABI
+     */
+    function fakeContract(abi, logs, calls) {
+        const contractIface = new ethers.Interface(abi);
+        const contract = {
+            interface: contractIface,
+            liveListener: null,
+            queryFilter: async (event, fromBlock, toBlock) => {
+                calls.push([fromBlock, toBlock]);
+                return logs.filter(l => contractIface.getEvent(l.eventName) &&
+                    l.blockNumber >= fromBlock && l.blockNumber <= toBlock);
+            },
+            on: async (event, listener) => {
+                contract.liveListener = listener;
+            },
+            removeAllListeners: () => {}
+        };
+        return contract;
+    }
+
+    /**
+     * Build a monitor backed by a fake chain holding `logs`; `options.security`
+     * adds a security contract with SECURITY_ABI
+     */
+    function monitorWithLogs(logs, head, options = {}) {
+        const security = options.security ? { address: PAIR, abi: SECURITY_ABI } : null;
+        const monitor = new GraduationMonitor(TOKEN, "http://127.0.0.1:1", [], { ...options, security });
+        const calls = [];
+
+        monitor.provider = {
+            canonical: new Map(),
+            blockRequests: [],
+            getNetwork: async () => ({ chainId: 31337n }),
+            getBlockNumber: async () => head,
+            getBlock: async (n) => {
+                monitor.provider.blockRequests.push(n);
+                return { hash: monitor.provider.canonical.get(n) || blockHash(n), timestamp: GENESIS + n * 12 };
+            },
+            on: async (event, listener) => {
+                monitor.provider.blockListener = listener;
+            },
+            off: () => {}
+        };
+        monitor.contract = fakeContract(ABI, logs, calls);
+        if (security) {
+            monitor.securityContract = fakeContract(SECURITY_ABI, logs, []);
+        }
+
+        return { monitor, calls };
+    }
+
+    describe("Event registry", function () {
+        it("Should decode events by their ABI argument names", async function () {
+            const { monitor } = monitorWithLogs([], 0);
+
+            monitor.processLog(makeLog("LPTokensLocked", [TOKEN, 10n, 1000n], 3));
+
+            expect(monitor.getEventHistory()[0]).to.include({
+                type: "LPTokensLocked",
+                token: TOKEN,
+                amount: "10",
+                unlockTime: "1000",
+                blockNumber: 3,
+                logIndex: 0
+            });
+            expect(monitor.getMetrics().totalLPLocked).to.equal(10n);
+        });
+
+        it("Should raise an info alert when LP tokens are unlocked", async function () {
+            const { monitor } = monitorWithLogs([], 0);
+
+            monitor.processLog(makeLog("LPTokensUnlocked", [TOKEN, PAIR, ethers.parseEther("7")], 3));
+
+            expect(monitor.getAlerts("info").map(a => a.message))
+                .to.deep.equal([`7.0 LP tokens unlocked for ${TOKEN}`]);
+        });
+
+        it("Should warn about registry and ABI mismatches", async function () {
+            const { monitor } = monitorWithLogs([], 0);
+            const warnings = [];
+            const originalWarn = console.warn;
+            console.warn = (message) => warnings.push(message);
+
+            let result;
+            try {
+                result = monitor.validateRegistry();
+            } finally {
+                console.warn = originalWarn;
+            }
+
+            expect(result.unhandled).to.deep.equal(["OwnershipTransferred"]);
+            expect(result.missing).to.include("GraduationTriggered");
+            expect(result.missing).to.not.include("LiquidityMigrated");
+            expect(warnings).to.have.length(result.missing.length + 1);
+        });
+
+        it("Should subscribe only to registered events in the ABI", async function () {
+            const { monitor } = monitorWithLogs([], 0);
+
+            const [topics] = monitor.eventFilter();
+
+            expect(topics).to.have.members([
+                iface.getEvent("TokenRegistered").topicHash,
+                iface.getEvent("BondingCurveUpdated").topicHash,
+                iface.getEvent("LiquidityMigrated").topicHash,
+                iface.getEvent("LPTokensLocked").topicHash,
+                iface.getEvent("LPTokensUnlocked").topicHash,
+                iface.getEvent("ConfigUpdated").topicHash
+            ]);
+        });
+
+        it("Should match security events against the security contract only", async function () {
+            const { monitor } = monitorWithLogs([], 0, { security: true });
+            const warnings = [];
+            const originalWarn = console.warn;
+            console.warn = (message) => warnings.push(message);
+
+            let result;
+            try {
+                result = monitor.validateRegistry();
+            } finally {
+                console.warn = originalWarn;
+            }
+
+            const [, security] = monitor.sources();
+            expect(monitor.eventFilter(security)).to.deep.equal([[iface.getEvent("CircuitBreakerTripped").topicHash]]);
+            expect(result.missing).to.include("CircuitBreakerReset");
+            expect(result.missing).to.not.include("CircuitBreakerTripped");
+            expect(warnings.some(w => w.includes("manager event CircuitBreakerTripped"))).to.equal(false);
+        });
+
+        it("Should ignore security events without a security contract", async function () {
+            const { monitor } = monitorWithLogs([], 0);
+
+            expect(monitor.processLog(makeLog("CircuitBreakerTripped", ["test", 60n], 1))).to.equal(false);
+            expect(monitor.getMetrics().circuitBreakerTrips).to.equal(0);
+        });
+
+        it("Should accept a custom registry", async function () {
+            const { monitor } = monitorWithLogs([], 0, {
+                eventRegistry: {
+                    manager: {
+                        TokenRegistered: {
+                            metrics: { totalGraduations: 1 },
+                            alert: { level: "info", title: "Registered", message: e => `Registered ${e.token}` }
+                        }
+                    }
+                }
+            });
+
+            monitor.processLog(makeLog("TokenRegistered", [TOKEN, 1n], 1));
+            monitor.processLog(graduated(2));
+
+            expect(monitor.getMetrics().totalGraduations).to.equal(1);
+            expect(monitor.getAlerts()[0].message).to.equal(`Registered ${TOKEN}`);
+        });
+    });
+
+    describe("Backfill", function () {
+        it("Should page through history in batches", async function () {
+            const { monitor, calls } = monitorWithLogs([graduated(5), graduated(12)], 25);
+
+            const result = await monitor.backfill({ fromBlock: 0, batchSize: 10 });
+
+            expect(calls).to.deep.equal([[0, 9], [10, 19], [20, 25]]);
+            expect(result).to.deep.equal({ fromBlock: 0, toBlock: 25, events: 2 });
+            expect(monitor.getMetrics().totalGraduations).to.equal(2);
+        });
+
+        it("Should process events in chain order", async function () {
+            const logs = [
+                makeLog("LPTokensLocked", [TOKEN, 10n, 1000n], 3, 2),
+                makeLog("TokenRegistered", [TOKEN, 1n], 3, 0)
+            ];
+            const { monitor } = monitorWithLogs(logs, 10);
+
+            await monitor.backfill({ fromBlock: 0 });
+
+            expect(monitor.getEventHistory().map(e => e.type))
+                .to.deep.equal(["TokenRegistered", "LPTokensLocked"]);
+        });
+
+        it("Should skip events already processed", async function () {
+            const { monitor } = monitorWithLogs([graduated(5), graduated(12)], 20);
+
+            await monitor.backfill({ fromBlock: 0, toBlock: 10 });
+            await monitor.backfill({ fromBlock: 0, toBlock: 20 });
+
+            expect(monitor.getMetrics().totalGraduations).to.equal(2);
+        });
+
+        it("Should merge manager and security events in chain order", async function () {
+            const logs = [
+                makeLog("CircuitBreakerTripped", ["volume spike", 60n], 4, 1),
+                graduated(4, 0),
+                graduated(3, 5)
+            ];
+            const { monitor } = monitorWithLogs(logs, 10, { security: true });
+
+            const result = await monitor.backfill({ fromBlock: 0 });
+
+            expect(result.events).to.equal(3);
+            expect(monitor.getEventHistory().map(e => `${e.blockNumber}:${e.logIndex}`)).to.deep.equal(["3:5", "4:0", "4:1"]);
+            expect(monitor.getMetrics().circuitBreakerTrips).to.equal(1);
+        });
+
+        it("Should check graduation proximity against the thresholds in effect at each event", async function () {
+            const curve = (token, ethReserve, blockNumber) => makeLog("BondingCurveUpdated",
+                [token, 1n, ethers.parseEther(ethReserve), 1n], blockNumber);
+            const logs = [
+                makeLog("ConfigUpdated", [ethers.parseEther("100"), ethers.parseEther("10")], 1),
+                curve(TOKEN, "9.5", 2),
+                makeLog("ConfigUpdated", [ethers.parseEther("100"), ethers.parseEther("20")], 3),
+                curve(PAIR, "9.6", 4)
+            ];
+            const { monitor } = monitorWithLogs(logs, 10);
+
+            await monitor.backfill({ fromBlock: 0 });
+
+            const approaching = monitor.getAlerts("warning").filter(a => a.title === "Approaching Graduation");
+            expect(approaching.map(a => a.data.token)).to.deep.equal([TOKEN]);
+            expect(monitor.thresholds.liquidityThreshold).to.equal(ethers.parseEther("20").toString());
+        });
+
+        it("Should record alerts of backfilled events without dispatching them", async function () {
+            const dispatched = [];
+            const logs = [makeLog("CircuitBreakerTripped", ["volume spike", 60n], 3), graduated(4)];
+            const { monitor } = monitorWithLogs(logs, 10, {
+                security: true,
+                dispatcher: { dispatch: alert => dispatched.push(alert) }
+            });
+
+            await monitor.backfill({ fromBlock: 0 });
+
+            expect(monitor.getAlerts().map(a => [a.title, a.replayed])).to.deep.equal([
+                ["Circuit Breaker Tripped", true],
+                ["Token Graduated", true],
+                ["Lifecycle Anomaly", true]
+            ]);
+            expect(dispatched).to.have.length(0);
+            expect(monitor.policy.openConditions.size).to.equal(0);
+
+            monitor.processLog(graduated(11));
+
+            expect(dispatched.map(a => a.title)).to.deep.equal(["Token Graduated"]);
+            expect(dispatched[0]).to.not.have.property("replayed");
+        });
+
+        it("Should ignore untracked events", async function () {
+            const { monitor } = monitorWithLogs([makeLog("OwnershipTransferred", [TOKEN, PAIR], 1)], 5);
+
+            const result = await monitor.backfill({ fromBlock: 0 });
+
+            expect(result.events).to.equal(0);
+            expect(monitor.getEventHistory()).to.have.length(0);
+        });
+    });
+
+    describe("Live hand-off", function () {
+        it("Should hand off to live events without gaps or duplicates", async function () {
+            const logs = [graduated(5), graduated(12)];
+            const { monitor } = monitorWithLogs(logs, 12);
+
+            // Live events delivered while the backfill is still running
+            const originalBackfill = monitor.backfill.bind(monitor);
+            monitor.backfill = async (options) => {
+                monitor.contract.liveListener({ log: graduated(12) });
+                monitor.contract.liveListener({ log: graduated(13) });
+                return originalBackfill(options);
+            };
+
+            await monitor.startMonitoring({ fromBlock: 0 });
+            monitor.contract.liveListener({ log: graduated(14) });
+            await monitor.whenIdle();
+
+            expect(monitor.getEventHistory().map(e => e.blockNumber)).to.deep.equal([5, 12, 13, 14]);
+        });
+
+        it("Should process live events immediately without a backfill", async function () {
+            const { monitor } = monitorWithLogs([], 0);
+
+            await monitor.startMonitoring();
+            monitor.contract.liveListener({ log: graduated(1) });
+            await monitor.whenIdle();
+
+            expect(monitor.getMetrics().totalGraduations).to.equal(1);
+        });
+
+        it("Should process a security log that arrives after a later manager log", async function () {
+            const { monitor } = monitorWithLogs([], 0, { security: true });
+
+            await monitor.startMonitoring();
+            monitor.contract.liveListener({ log: graduated(7, 3) });
+            monitor.securityContract.liveListener({ log: makeLog("CircuitBreakerTripped", ["test", 60n], 7, 1) });
+            monitor.securityContract.liveListener({ log: makeLog("CircuitBreakerTripped", ["test", 60n], 7, 1) });
+            await monitor.whenIdle();
+
+            expect(monitor.getEventHistory().map(e => e.logIndex)).to.deep.equal([3, 1]);
+            expect(monitor.cursor).to.deep.equal({ blockNumber: 7, logIndex: 3 });
+        });
+    });
+
+    describe("Reorg handling", function () {
+        const flush = () => new Promise(resolve => setImmediate(resolve));
+
+        it("Should hold events as pending until they are confirmed", async function () {
+            const { monitor } = monitorWithLogs([], 100, { confirmations: 3 });
+            await monitor.startMonitoring();
+
+            monitor.contract.liveListener({ log: graduated(101) });
+            await monitor.whenIdle();
+            expect(monitor.getPendingEvents()).to.have.length(1);
+            expect(monitor.getMetrics().totalGraduations).to.equal(0);
+
+            await monitor.confirmPending(103);
+            expect(monitor.getMetrics().totalGraduations).to.equal(0);
+
+            await monitor.confirmPending(104);
+            expect(monitor.getPendingEvents()).to.have.length(0);
+            expect(monitor.getMetrics().totalGraduations).to.equal(1);
+        });
+
+        it("Should hold recent backfilled events as pending", async function () {
+            const { monitor } = monitorWithLogs([graduated(5), graduated(9)], 10, { confirmations: 3 });
+
+            const result = await monitor.backfill({ fromBlock: 0 });
+
+            expect(result.events).to.equal(1);
+            expect(monitor.getPendingEvents().map(e => e.blockNumber)).to.deep.equal([9]);
+        });
+
+        it("Should drop pending events whose block was reorged out", async function () {
+            const { monitor } = monitorWithLogs([], 100, { confirmations: 2 });
+            await monitor.startMonitoring();
+
+            monitor.contract.liveListener({ log: graduated(101) });
+            await monitor.whenIdle();
+            monitor.provider.canonical.set(101, blockHash(101, "-fork"));
+            await monitor.confirmPending(105);
+            await flush();
+
+            expect(monitor.getMetrics().totalGraduations).to.equal(0);
+            expect(monitor.getAlerts("warning")[0].title).to.equal("Chain Reorg");
+        });
+
+        it("Should roll back metrics and alerts of removed events", async function () {
+            const { monitor } = monitorWithLogs([], 100, { security: true });
+            await monitor.startMonitoring();
+
+            monitor.contract.liveListener({ log: graduated(101) });
+            monitor.securityContract.liveListener({ log: makeLog("CircuitBreakerTripped", ["test", 60n], 102) });
+            await monitor.whenIdle();
+            // Graduated, Lifecycle Anomaly (never registered) and Circuit Breaker Tripped
+            expect(monitor.getAlerts()).to.have.length(3);
+
+            monitor.contract.liveListener({ log: { ...graduated(101), removed: true } });
+            monitor.securityContract.liveListener({ log: { ...makeLog("CircuitBreakerTripped", ["test", 60n], 102), removed: true } });
+            await monitor.whenIdle();
+            await flush();
+
+            const metrics = monitor.getMetrics();
+            expect(metrics.totalGraduations).to.equal(0);
+            expect(metrics.totalLiquidityAdded).to.equal(0n);
+            expect(metrics.circuitBreakerTrips).to.equal(0);
+            expect(monitor.getEventHistory()).to.have.length(0);
+
+            const alerts = monitor.getAlerts();
+            expect(alerts).to.have.length(1);
+            expect(alerts[0]).to.include({ level: "critical", title: "Chain Reorg" });
+            expect(alerts[0].data.events).to.have.length(2);
+        });
+
+        it("Should accept replacement events after a rollback", async function () {
+            const { monitor } = monitorWithLogs([], 100);
+            await monitor.startMonitoring();
+
+            monitor.contract.liveListener({ log: graduated(101, 4) });
+            monitor.contract.liveListener({ log: { ...graduated(101, 4), removed: true } });
+            monitor.contract.liveListener({ log: graduated(101, 1) });
+            await monitor.whenIdle();
+
+            expect(monitor.cursor).to.deep.equal({ blockNumber: 101, logIndex: 1 });
+            expect(monitor.getMetrics().totalGraduations).to.equal(1);
+        });
+
+        it("Should not store an event twice when it is replayed after a rollback", async function () {
+            const { monitor } = monitorWithLogs([], 100);
+            await monitor.startMonitoring();
+
+            monitor.contract.liveListener({ log: graduated(101, 1) });
+            monitor.contract.liveListener({ log: graduated(101, 4) });
+            monitor.contract.liveListener({ log: { ...graduated(101, 4), removed: true } });
+            monitor.contract.liveListener({ log: graduated(101, 1) });
+            await monitor.whenIdle();
+
+            expect(monitor.getEventHistory().map(e => e.logIndex)).to.deep.equal([1]);
+            expect(monitor.getMetrics().totalGraduations).to.equal(1);
+        });
+    });
+
+    describe("Block timestamps", function () {
+        it("Should stamp events with their block time, ingestion time and chain", async function () {
+            const { monitor } = monitorWithLogs([graduated(5)], 10);
+            await monitor.startMonitoring({ fromBlock: 0 });
+
+            monitor.contract.liveListener({ log: graduated(11) });
+            await monitor.whenIdle();
+
+            const [backfilled, live] = monitor.getEventHistory();
+            expect(backfilled).to.include({ chainId: 31337, blockNumber: 5, logIndex: 0, blockTimestamp: GENESIS + 60, timestamp: (GENESIS + 60) * 1000 });
+            expect(live).to.include({ blockTimestamp: GENESIS + 132, timestamp: (GENESIS + 132) * 1000 });
+            expect(live.ingestedAt).to.be.closeTo(Date.now(), 5000);
+            expect(monitor.lifecycle.getToken(TOKEN).transitions[0].at).to.equal((GENESIS + 60) * 1000);
+        });
+
+        it("Should fetch each block once", async function () {
+            const logs = [graduated(5, 0), graduated(5, 1), graduated(5, 2), graduated(7)];
+            const { monitor } = monitorWithLogs(logs, 10, { confirmations: 2 });
+            await monitor.startMonitoring();
+
+            await monitor.backfill({ fromBlock: 0 });
+            monitor.contract.liveListener({ log: graduated(11, 0) });
+            monitor.contract.liveListener({ log: graduated(11, 1) });
+            await monitor.whenIdle();
+            await monitor.confirmPending(13);
+
+            expect(monitor.provider.blockRequests).to.deep.equal([5, 7, 11]);
+            expect(monitor.getEventHistory().map(e => e.blockTimestamp)).to.deep.equal([
+                GENESIS + 60, GENESIS + 60, GENESIS + 60, GENESIS + 84, GENESIS + 132, GENESIS + 132
+            ]);
+        });
+
+        it("Should fall back to the ingestion time when the block cannot be fetched", async function () {
+            const { monitor } = monitorWithLogs([], 10);
+            const consoleError = console.error;
+            console.error = () => {};
+            monitor.provider.getBlock = async () => {
+                throw new Error("rate limited");
+            };
+            await monitor.startMonitoring();
+
+            monitor.contract.liveListener({ log: graduated(11) });
+            await monitor.whenIdle();
+            console.error = consoleError;
+
+            const [event] = monitor.getEventHistory();
+            expect(event.blockTimestamp).to.equal(null);
+            expect(event.timestamp).to.equal(event.ingestedAt);
+        });
+    });
+});
@@ -0,0 +1,274 @@
+const { expect } = require("chai");
+const { ethers } = require("ethers");
+const hre = require("hardhat");
+const { GraduationMonitor, HealthMonitor } = require("../scripts/monitoring");
+const { HealthHistory, buildRules, latestHealth } = require("../scripts/monitoring/health");
+const { ApiServer } = require("../scripts/monitoring/api");
+const { silenceConsole } = require("./helpers");
+
+describe("HealthMonitor", function () {
+    const MANAGER = "0x00000000000000000000000000000000000000a1";
+    const SECURITY = "0x00000000000000000000000000000000000000b1";
+    const TOKEN = ethers.getAddress("0x00000000000000000000000000000000000000aa");
+    const MINUTE = 60 * 1000;
+    const HOUR = 60 * MINUTE;
+
+    const iface = new ethers.Interface([
+        "event TokenRegistered(address indexed token, uint256 initialReserve)"
+    ]);
+
+    let monitor;
+    let chain;
+
+    silenceConsole();
+
+    beforeEach(function () {
+        monitor = new GraduationMonitor(MANAGER, "http://127.0.0.1:1", [], {});
+        chain = {
+            paused: false,
+            tripped: false,
+            emergency: false,
+            graduationsUsed: 2n,
+            liquidityUsed: ethers.parseEther("10"),
+            blockAgeSeconds: 12,
+            balance: ethers.parseEther("1"),
+            curve: { tokenReserve: 1000n, ethReserve: ethers.parseEther("1"), currentMarketCap: 5n },
+            down: false
+        };
+    });
+
+    /**
+     * Health monitor over a fake manager and security contract described by `chain`
+     */
+    function healthMonitor(options = {}) {
+        const health = new HealthMonitor(MANAGER, "http://127.0.0.1:1", [], {
+            monitor,
+            security: { address: SECURITY, abi: [] },
+            ...options
+        });
+        const call = (fn) => async (...args) => {
+            if (chain.down) {
+                throw new Error("could not detect network");
+            }
+            return fn(...args);
+        };
+
+        health.contract = {
+            bondingCurves: call(() => chain.curve)
+        };
+        health.securityContract = health.securityContract && {
+            paused: call(() => chain.paused),
+            getCircuitBreakerStatus: call(() => ({ isTripped: chain.tripped, reason: chain.tripped ? "volume spike" : "", secondsUntilReset: 0n })),
+            emergencyMode: call(() => chain.emergency),
+            getRateLimitStatus: call(() => ({
+                graduationsUsed: chain.graduationsUsed,
+                graduationsRemaining: 10n - chain.graduationsUsed,
+                liquidityUsed: chain.liquidityUsed,
+                liquidityRemaining: ethers.parseEther("100") - chain.liquidityUsed,
+                windowEndsIn: 600n
+            }))
+        };
+        health.provider = {
+            getBlock: call(() => ({ number: 100, timestamp: Math.floor(Date.now() / 1000) - chain.blockAgeSeconds })),
+            getBalance: call(() => chain.balance)
+        };
+        return health;
+    }
+
+    const statusAlerts = () => monitor.getAlerts().filter(a => a.title === "Health Status Changed");
+
+    describe("Rules", function () {
+        it("Should report healthy when no rule fails", async function () {
+            const health = await healthMonitor().checkHealth();
+
+            expect(health.status).to.equal("healthy");
+            expect(health.failures).to.deep.equal([]);
+            expect(health.skipped).to.deep.equal([]);
+            expect(health.checks.rateLimit).to.include({ graduationsUsedPct: 20, liquidityUsedPct: 10 });
+            expect(health.checks.rpc).to.deep.equal({ blockNumber: 100, blockAgeSeconds: 12 });
+        });
+
+        it("Should degrade on rate-limit saturation, RPC lag and a balance below the expected one", async function () {
+            chain.graduationsUsed = 8n;
+            chain.blockAgeSeconds = 600;
+            chain.balance = ethers.parseEther("0.05");
+
+            const health = await healthMonitor({ rules: { lowBalance: { threshold: "0.1" } } }).checkHealth();
+
+            expect(health.status).to.equal("degraded");
+            expect(health.failures.map(f => f.rule)).to.deep.equal(["rateLimitGraduations", "rpcLag", "lowBalance"]);
+            expect(health.failures[0].message).to.equal("80% of the graduation rate limit used");
+            expect(health.failures[2].message).to.equal("Manager balance 0.05 ETH is below the expected 0.1 ETH");
+        });
+
+        it("Should not flag an empty manager unless an expected balance is configured", async function () {
+            chain.balance = 0n;
+
+            const health = await healthMonitor().checkHealth();
+
+            expect(health.status).to.equal("healthy");
+        });
+
+        it("Should let the most severe failing rule decide the status", async function () {
+            chain.graduationsUsed = 9n;
+            chain.tripped = true;
+
+            const health = await healthMonitor().checkHealth();
+
+            expect(health.status).to.equal("unhealthy");
+            expect(health.failures.map(f => f.severity)).to.deep.equal(["unhealthy", "degraded"]);
+        });
+
+        it("Should apply threshold and severity overrides", async function () {
+            chain.graduationsUsed = 8n;
+            chain.balance = 0n;
+
+            const health = await healthMonitor({
+                rules: { rateLimitGraduations: { threshold: 90 }, lowBalance: { threshold: "0.1", severity: "unhealthy" }, rpcLag: false }
+            }).checkHealth();
+
+            expect(health.status).to.equal("unhealthy");
+            expect(health.failures.map(f => f.rule)).to.deep.equal(["lowBalance"]);
+            expect(() => buildRules({ custom: { severity: "degraded" } })).to.throw("Health rule custom has no test");
+            expect(() => buildRules({ paused: { severity: "bad" } })).to.throw("Invalid severity for health rule paused: bad");
+        });
+
+        it("Should skip security rules without a security contract", async function () {
+            chain.tripped = true;
+            chain.balance = ethers.parseEther("0.05");
+
+            const health = await healthMonitor({ security: null, rules: { lowBalance: { threshold: "0.1" } } }).checkHealth();
+
+            expect(health.status).to.equal("degraded");
+            expect(health.failures.map(f => f.rule)).to.deep.equal(["lowBalance"]);
+            expect(health.skipped).to.deep.equal(["paused", "circuitBreaker", "emergencyMode",
+                "rateLimitGraduations", "rateLimitLiquidity"]);
+            expect(health.checks).to.not.have.property("paused");
+        });
+
+        it("Should check the deployed manager contract", async function () {
+            const [owner, recipient] = await hre.ethers.getSigners();
+            const deploy = async (name, ...args) => (await hre.ethers.getContractFactory(name, owner)).deploy(...args);
+            const weth = await deploy("WETH9");
+            const factory = await deploy("MockUniswapV2Factory");
+            const router = await deploy("MockUniswapV2Router", factory.target, weth.target);
+            const manager = await deploy("UniswapGraduationManager", router.target, ethers.parseEther("100"),
+                ethers.parseEther("50"), 24 * 60 * 60, recipient.address);
+            await owner.sendTransaction({ to: manager.target, value: ethers.parseEther("1") });
+
+            const abi = require("../artifacts/contracts/UniswapGraduationManager.sol/UniswapGraduationManager.json").abi;
+            const health = new HealthMonitor(manager.target, "http://127.0.0.1:1", abi, { monitor });
+            health.provider = hre.ethers.provider;
+            health.contract = manager;
+
+            const result = await health.checkHealth();
+
+            expect(result.status).to.equal("healthy");
+            expect(result.checks.balance).to.equal("1.0");
+            expect(result.skipped).to.include.members(["paused", "circuitBreaker", "emergencyMode"]);
+        });
+
+        it("Should flag bonding curves that stopped changing", async function () {
+            monitor.processLog({
+                eventName: "TokenRegistered",
+                fragment: iface.getEvent("TokenRegistered"),
+                args: [TOKEN, 1n],
+                blockNumber: 1,
+                index: 0,
+                transactionHash: ethers.id("registered")
+            });
+            const health = healthMonitor();
+
+            expect((await health.checkHealth()).status).to.equal("healthy");
+
+            health.curves.get(TOKEN).changedAt -= 7 * HOUR;
+            const stale = await health.checkHealth();
+
+            expect(stale.status).to.equal("degraded");
+            expect(stale.failures[0].rule).to.equal("staleBondingCurves");
+
+            chain.curve = { ...chain.curve, ethReserve: ethers.parseEther("2") };
+            expect((await health.checkHealth()).status).to.equal("healthy");
+        });
+    });
+
+    describe("History", function () {
+        it("Should alert only when the status changes", async function () {
+            const health = healthMonitor();
+
+            await health.checkHealth();
+            await health.checkHealth();
+            chain.graduationsUsed = 9n;
+            await health.checkHealth();
+            await health.checkHealth();
+            chain.down = true;
+            await health.checkHealth();
+            chain.down = false;
+            chain.graduationsUsed = 2n;
+            await health.checkHealth();
+
+            expect(health.history.latest().map(e => e.status))
+                .to.deep.equal(["healthy", "healthy", "degraded", "degraded", "error", "healthy"]);
+            expect(statusAlerts().map(a => [a.level, a.data.from, a.data.to])).to.deep.equal([
+                ["warning", "healthy", "degraded"],
+                ["critical", "degraded", "error"],
+                ["info", "error", "healthy"]
+            ]);
+            expect(statusAlerts()[1].message).to.equal("Health changed from degraded to error: could not detect network");
+        });
+
+        it("Should summarise uptime against the SLA target", function () {
+            const history = new HealthHistory({ slaTargetPct: 99 });
+            const start = Date.UTC(2024, 0, 1);
+            const at = (minutes, status) => history.record({ timestamp: new Date(start + minutes * MINUTE).toISOString(), status });
+
+            at(0, "healthy");
+            at(30, "degraded");
+            at(60, "unhealthy");
+            at(70, "error");
+            at(75, "healthy");
+
+            const uptime = history.uptime({ windowMs: 2 * HOUR, now: start + 2 * HOUR });
+
+            expect(uptime.durationsMs).to.deep.equal({ healthy: 75 * MINUTE, degraded: 30 * MINUTE, unhealthy: 10 * MINUTE, error: 5 * MINUTE });
+            expect(uptime).to.include({ uptimePct: 87.5, slaMet: false, incidents: 1, currentStatus: "healthy" });
+            expect(uptime.currentSince).to.equal(new Date(start + 75 * MINUTE).toISOString());
+            expect(history.uptime({ windowMs: HOUR, now: start + 2 * HOUR }).uptimePct).to.equal(75);
+        });
+
+        it("Should share on-demand checks and keep them out of the history", async function () {
+            const health = healthMonitor();
+            await health.checkHealth();
+            chain.graduationsUsed = 9n;
+
+            const [first, second] = await Promise.all([latestHealth(health, 0), latestHealth(health, 0)]);
+
+            expect(first).to.equal(second);
+            expect(first.status).to.equal("degraded");
+            expect(health.lastHealth).to.equal(first);
+            expect(health.history.latest().map(e => e.status)).to.deep.equal(["healthy"]);
+            expect(statusAlerts()).to.have.length(0);
+            expect(await latestHealth(health, MINUTE)).to.equal(first);
+        });
+
+        it("Should serve history and uptime over the API", async function () {
+            const health = healthMonitor();
+            chain.graduationsUsed = 9n;
+            await health.checkHealth();
+            const server = new ApiServer({ monitor, healthMonitor: health, port: 0, host: "127.0.0.1" });
+            const baseUrl = `http://127.0.0.1:${await server.start()}`;
+
+            const current = await fetch(`${baseUrl}/health`);
+            const history = await (await fetch(`${baseUrl}/health/history?limit=5`)).json();
+            const uptime = await (await fetch(`${baseUrl}/health/uptime?window=1h`)).json();
+            const invalid = await fetch(`${baseUrl}/health/uptime?window=soon`);
+            await server.stop();
+
+            expect(current.status).to.equal(200);
+            expect((await current.json()).status).to.equal("degraded");
+            expect(history.history.map(e => e.status)).to.deep.equal(["degraded"]);
+            expect(uptime).to.include({ windowMs: HOUR, currentStatus: "degraded", uptimePct: 100 });
+            expect(invalid.status).to.equal(400);
+        });
+    });
+});
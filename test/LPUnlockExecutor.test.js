@@ -0,0 +1,151 @@
+const { expect } = require("chai");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { ethers, network } = require("hardhat");
+const { LPUnlockExecutor } = require("../scripts/unlocker");
+const { silenceConsole } = require("./helpers");
+
+describe("LPUnlockExecutor", function () {
+    const token = (n) => ethers.getAddress(`0x${n.toString(16).padStart(40, "0")}`);
+    const ether = (n) => ethers.parseEther(String(n));
+    const RECIPIENT = token(0xbeef);
+
+    const iface = new ethers.Interface([
+        "event LPTokensLocked(address indexed token, uint256 amount, uint256 unlockTime)",
+        "event LPTokensUnlocked(address indexed token, address indexed recipient, uint256 amount)"
+    ]);
+
+    let signer;
+    let chain;
+    let contract;
+    let dir;
+
+    /**
+     * Code that emits LPTokensUnlocked(token, RECIPIENT, amount), standing in
+     * for the manager's unlockLPTokens
+     */
+    function unlockCode(address, amount) {
+        const word = (value) => ethers.toBeHex(value, 32).slice(2);
+        return "0x" +
+            "7f" + word(amount) + "600052" +
+            "7f" + ethers.zeroPadValue(RECIPIENT, 32).slice(2) +
+            "7f" + ethers.zeroPadValue(address, 32).slice(2) +
+            "7f" + iface.getEvent("LPTokensUnlocked").topicHash.slice(2) +
+            "60206000a300";
+    }
+
+    const emitter = (n) => token(0xe000 + n);
+
+    silenceConsole();
+
+    before(async function () {
+        [, , , , , , , signer] = await ethers.getSigners();
+    });
+
+    /**
+     * Tokens 1 and 3 have matured locks, 2 unlocks in an hour and 4 was
+     * already unlocked (zero balance)
+     */
+    beforeEach(async function () {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), "unlocker-"));
+        chain = {
+            locked: [1, 2, 3, 4].map(token),
+            unlocked: [],
+            timeUntilUnlock: { [token(2)]: 3600n },
+            balances: { [token(1)]: ether(3), [token(2)]: ether(4), [token(3)]: ether(5), [token(4)]: 0n }
+        };
+        for (let n = 1; n <= 4; n++) {
+            await network.provider.request({ method: "hardhat_setCode", params: [emitter(n), unlockCode(token(n), chain.balances[token(n)])] });
+        }
+
+        const unlockLPTokens = async (address) => ({ to: emitter(Number(BigInt(address))), data: "0x" });
+        unlockLPTokens.populateTransaction = unlockLPTokens;
+        contract = {
+            interface: iface,
+            queryFilter: async (name) =>
+                (name === "LPTokensLocked" ? chain.locked : chain.unlocked).map(address => ({ args: [address] })),
+            getTimeUntilUnlock: async (address) => chain.timeUntilUnlock[address] || 0n,
+            getLockedLPBalance: async (address) => chain.balances[address],
+            unlockLPTokens
+        };
+    });
+
+    afterEach(function () {
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    function makeExecutor(options = {}) {
+        return new LPUnlockExecutor({
+            contract,
+            signer,
+            logFile: path.join(dir, "receipts.jsonl"),
+            transactions: { pollIntervalMs: 10 },
+            ...options
+        });
+    }
+
+    it("Should unlock matured locks and log the amounts sent to the recipient", async function () {
+        const executor = makeExecutor();
+
+        const receipts = await executor.round();
+
+        expect(receipts.map(r => [r.token, r.recipient, r.amount])).to.deep.equal([
+            [token(1), RECIPIENT, ether(3)],
+            [token(3), RECIPIENT, ether(5)]
+        ]);
+        expect([...executor.tokens]).to.deep.equal([token(2), token(4)]);
+
+        const logged = fs.readFileSync(path.join(dir, "receipts.jsonl"), "utf8").trim().split("\n").map(JSON.parse);
+        // A batch is sent together, so its receipts are logged as they confirm
+        const unlocked = logged.filter(entry => entry.stage === "unlocked").sort((a, b) => a.token.localeCompare(b.token));
+        expect(unlocked.map(entry => [entry.token, entry.amount])).to.deep.equal([
+            [token(1), ether(3).toString()],
+            [token(3), ether(5).toString()]
+        ]);
+        expect(unlocked[0].hash).to.equal(receipts[0].hash);
+    });
+
+    it("Should send a batch of unlocks together", async function () {
+        const executor = makeExecutor({ maxBatch: 2 });
+        const nonce = await signer.getNonce("pending");
+
+        await network.provider.send("evm_setAutomine", [false]);
+        let receipts;
+        try {
+            const run = executor.round();
+            // Both unlocks are broadcast before either is mined
+            while (executor.attempts.filter(a => a.stage === "submitted").length < 2) {
+                await new Promise(resolve => setTimeout(resolve, 10));
+            }
+            await network.provider.send("evm_mine", []);
+            receipts = await run;
+        } finally {
+            await network.provider.send("evm_setAutomine", [true]);
+        }
+
+        expect(receipts.map(r => r.blockNumber)).to.deep.equal([receipts[0].blockNumber, receipts[0].blockNumber]);
+        expect(executor.attempts.filter(a => a.stage === "submitted").map(a => a.nonce)).to.deep.equal([nonce, nonce + 1]);
+    });
+
+    it("Should drop locks released elsewhere", async function () {
+        chain.unlocked = [token(1)];
+        const executor = makeExecutor();
+
+        const receipts = await executor.round();
+
+        expect(receipts.map(r => r.token)).to.deep.equal([token(3)]);
+    });
+
+    it("Should only simulate unlocks in dry-run mode", async function () {
+        const executor = makeExecutor({ dryRun: true });
+        const nonce = await signer.getNonce("pending");
+
+        expect(await executor.round()).to.deep.equal([]);
+        expect(executor.attempts.map(a => [a.stage, a.token, a.amount])).to.deep.equal([
+            ["dry-run", token(1), ether(3)],
+            ["dry-run", token(3), ether(5)]
+        ]);
+        expect(await signer.getNonce("pending")).to.equal(nonce);
+    });
+});
@@ -0,0 +1,165 @@
+const { expect } = require("chai");
+const http = require("http");
+const WebSocket = require("ws");
+const { ethers } = require("ethers");
+const { ApiServer } = require("../scripts/monitoring/api");
+const { GraduationMonitor } = require("../scripts/monitoring");
+const { logFactory, silenceConsole } = require("./helpers");
+
+describe("LiveFeed", function () {
+    const TOKEN_A = ethers.getAddress("0x00000000000000000000000000000000000000aa");
+    const TOKEN_B = ethers.getAddress("0x00000000000000000000000000000000000000bb");
+    const PAIR = ethers.getAddress("0x00000000000000000000000000000000000000cc");
+
+    const iface = new ethers.Interface([
+        "event TokenRegistered(address indexed token, uint256 initialReserve)",
+        "event LiquidityMigrated(address indexed token, address indexed pair, uint256 liquidity)"
+    ]);
+
+    let monitor;
+    let server;
+    let port;
+
+    silenceConsole();
+
+    const makeLog = logFactory(iface);
+
+    const registered = (token, blockNumber) => makeLog("TokenRegistered", [token, 1n], blockNumber);
+    const graduated = (token, blockNumber) =>
+        makeLog("LiquidityMigrated", [token, PAIR, ethers.parseEther("1")], blockNumber);
+
+    /**
+     * Open an SSE stream and collect its parsed messages
+     */
+    function openSse(query = "", headers = {}) {
+        const messages = [];
+        const request = http.get({ host: "127.0.0.1", port, path: `/stream${query}`, headers }, (res) => {
+            let buffer = "";
+            res.setEncoding("utf8");
+            res.on("data", chunk => {
+                buffer += chunk;
+                let index;
+                while ((index = buffer.indexOf("\n\n")) !== -1) {
+                    const block = buffer.slice(0, index);
+                    buffer = buffer.slice(index + 2);
+                    const fields = Object.fromEntries(block.split("\n")
+                        .filter(line => !line.startsWith(":"))
+                        .map(line => [line.slice(0, line.indexOf(":")), line.slice(line.indexOf(":") + 2)]));
+                    if (fields.event) {
+                        messages.push({ kind: fields.event, id: fields.id, data: JSON.parse(fields.data) });
+                    }
+                }
+            });
+        });
+        request.on("error", () => {});
+
+        return { messages, close: () => request.destroy() };
+    }
+
+    function openWebSocket(query = "") {
+        const messages = [];
+        const ws = new WebSocket(`ws://127.0.0.1:${port}/ws${query}`);
+        ws.on("message", raw => messages.push(JSON.parse(raw)));
+
+        return new Promise(resolve => ws.on("open", () => resolve({ ws, messages })));
+    }
+
+    async function waitFor(check) {
+        for (let i = 0; i < 100 && !check(); i++) {
+            await new Promise(resolve => setTimeout(resolve, 10));
+        }
+        expect(check()).to.equal(true);
+    }
+
+    beforeEach(async function () {
+        monitor = new GraduationMonitor(TOKEN_A, "http://127.0.0.1:1", [], {});
+        monitor.processLog(registered(TOKEN_A, 1));
+        monitor.processLog(registered(TOKEN_B, 2));
+
+        server = new ApiServer({ monitor, port: 0, host: "127.0.0.1" });
+        port = await server.start();
+    });
+
+    afterEach(async function () {
+        await server.stop();
+    });
+
+    describe("Server-Sent Events", function () {
+        it("Should stream new events and alerts", async function () {
+            const stream = openSse();
+            await waitFor(() => server.feed.clients.size === 1);
+
+            monitor.processLog(graduated(TOKEN_A, 3));
+            await waitFor(() => stream.messages.length === 2);
+            stream.close();
+
+            const [alert, event] = stream.messages;
+            expect(alert).to.include({ kind: "alert", id: undefined });
+            expect(alert.data.title).to.equal("Token Graduated");
+            expect(event).to.include({ kind: "event", id: "3:0" });
+            expect(event.data).to.include({ type: "LiquidityMigrated", token: TOKEN_A, liquidity: ethers.parseEther("1").toString() });
+        });
+
+        it("Should filter by token and event type", async function () {
+            const stream = openSse(`?token=${TOKEN_B.toLowerCase()}&types=LiquidityMigrated&alerts=false`);
+            await waitFor(() => server.feed.clients.size === 1);
+
+            monitor.processLog(graduated(TOKEN_A, 3));
+            monitor.processLog(registered(PAIR, 4));
+            monitor.processLog(graduated(TOKEN_B, 5));
+            await waitFor(() => stream.messages.length === 1);
+            stream.close();
+
+            expect(stream.messages[0].data).to.include({ type: "LiquidityMigrated", token: TOKEN_B });
+        });
+
+        it("Should replay from Last-Event-ID on reconnect", async function () {
+            const stream = openSse("?alerts=false", { "Last-Event-ID": "1:0" });
+            await waitFor(() => stream.messages.length === 1);
+            monitor.processLog(graduated(TOKEN_A, 3));
+            await waitFor(() => stream.messages.length === 2);
+            stream.close();
+
+            expect(stream.messages.map(m => m.id)).to.deep.equal(["2:0", "3:0"]);
+        });
+
+        it("Should publish reorg rollbacks", async function () {
+            monitor.processLog(graduated(TOKEN_A, 3));
+            const stream = openSse("?alerts=false");
+            await waitFor(() => server.feed.clients.size === 1);
+
+            monitor.rollbackLog(graduated(TOKEN_A, 3));
+            await waitFor(() => stream.messages.length === 1);
+            stream.close();
+
+            expect(stream.messages[0]).to.include({ kind: "rollback", id: "3:0" });
+        });
+    });
+
+    describe("WebSocket", function () {
+        it("Should replay from a block and then stream live events", async function () {
+            const { ws, messages } = await openWebSocket("?fromBlock=2&alerts=false");
+
+            monitor.processLog(graduated(TOKEN_A, 3));
+            await waitFor(() => messages.length === 2);
+            ws.close();
+
+            expect(messages.map(m => m.id)).to.deep.equal(["2:0", "3:0"]);
+            expect(messages[0]).to.include({ kind: "event" });
+            expect(messages[0].data.token).to.equal(TOKEN_B);
+        });
+
+        it("Should change the subscription on a subscribe message", async function () {
+            const { ws, messages } = await openWebSocket();
+
+            ws.send(JSON.stringify({ action: "subscribe", token: TOKEN_A, cursor: "0:0", alerts: false }));
+            await waitFor(() => messages.length === 1);
+            monitor.processLog(registered(TOKEN_B, 3));
+            monitor.processLog(graduated(TOKEN_A, 4));
+            await waitFor(() => messages.length === 2);
+            ws.close();
+
+            expect(messages.map(m => m.data.blockNumber)).to.deep.equal([1, 4]);
+        });
+    });
+});
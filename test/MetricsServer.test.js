@@ -0,0 +1,202 @@
+const { expect } = require("chai");
+const { ethers } = require("ethers");
+const { MetricsServer, Histogram, formatMetric } = require("../scripts/monitoring/metrics");
+const { GraduationMonitor } = require("../scripts/monitoring");
+const { logFactory, silenceConsole } = require("./helpers");
+
+describe("MetricsServer", function () {
+    const TOKEN = "0x00000000000000000000000000000000000000aa";
+    const PAIR = "0x00000000000000000000000000000000000000bb";
+
+    const iface = new ethers.Interface([
+        "event LiquidityMigrated(address indexed token, address indexed pair, uint256 liquidity)",
+        "event LPTokensLocked(address indexed token, uint256 amount, uint256 unlockTime)",
+        "event LPTokensUnlocked(address indexed token, address indexed recipient, uint256 amount)"
+    ]);
+
+    const HEALTHY = {
+        status: "healthy",
+        checks: {
+            paused: false,
+            circuitBreaker: { isTripped: false, reason: "", secondsUntilReset: "0" },
+            emergencyMode: false,
+            rateLimit: {
+                graduationsUsed: "3",
+                graduationsRemaining: "7",
+                liquidityUsed: "12.5",
+                liquidityRemaining: "87.5",
+                windowEndsIn: "1200"
+            }
+        }
+    };
+
+    let monitor;
+    let server;
+    let baseUrl;
+
+    silenceConsole();
+
+    const makeLog = logFactory(iface);
+
+    async function startServer(healthMonitor) {
+        server = new MetricsServer({ monitor, healthMonitor, port: 0, host: "127.0.0.1" });
+        const port = await server.start();
+        baseUrl = `http://127.0.0.1:${port}`;
+    }
+
+    beforeEach(function () {
+        monitor = new GraduationMonitor(TOKEN, "http://127.0.0.1:1", [], {});
+        monitor.processLog(makeLog("LiquidityMigrated", [TOKEN, PAIR, ethers.parseEther("2")], 1));
+    });
+
+    afterEach(async function () {
+        await server.stop();
+    });
+
+    describe("/metrics", function () {
+        it("Should expose counters, gauges and the size histogram", async function () {
+            await startServer(null);
+            monitor.processLog(makeLog("LiquidityMigrated", [TOKEN, PAIR, ethers.parseEther("20")], 2));
+            monitor.processLog(makeLog("LPTokensLocked", [TOKEN, ethers.parseEther("20"), 1000n], 2, 1));
+
+            const response = await fetch(`${baseUrl}/metrics`);
+            const text = await response.text();
+
+            expect(response.headers.get("content-type")).to.contain("text/plain; version=0.0.4");
+            expect(text).to.contain("# TYPE graduation_graduations gauge\ngraduation_graduations 2");
+            expect(text).to.contain("# TYPE graduation_liquidity_added_tokens gauge\ngraduation_liquidity_added_tokens 22");
+            expect(text).to.contain("graduation_lp_locked_tokens 20");
+            expect(text).to.contain("graduation_size_tokens_bucket{le=\"1\"} 0");
+            expect(text).to.contain("graduation_size_tokens_bucket{le=\"5\"} 1");
+            expect(text).to.contain("graduation_size_tokens_bucket{le=\"+Inf\"} 2");
+            expect(text).to.contain("graduation_size_tokens_sum 22");
+            expect(text).to.contain("graduation_monitor_last_block 2");
+            expect(text).to.not.contain("graduation_contract_paused");
+        });
+
+        it("Should lower the locked LP gauge when LP tokens are unlocked", async function () {
+            await startServer(null);
+            monitor.processLog(makeLog("LPTokensLocked", [TOKEN, ethers.parseEther("20"), 1000n], 2));
+            monitor.processLog(makeLog("LPTokensLocked", [PAIR, ethers.parseEther("5"), 1000n], 3));
+            monitor.processLog(makeLog("LPTokensUnlocked", [TOKEN, PAIR, ethers.parseEther("20")], 4));
+
+            const text = await (await fetch(`${baseUrl}/metrics`)).text();
+
+            expect(text).to.contain("graduation_lp_locked_tokens 5");
+        });
+
+        it("Should include contract state from the health monitor", async function () {
+            let checks = 0;
+            await startServer({
+                lastHealth: null,
+                checkHealth: async () => {
+                    checks++;
+                    return { ...HEALTHY, timestamp: new Date().toISOString() };
+                }
+            });
+
+            const text = await (await fetch(`${baseUrl}/metrics`)).text();
+
+            expect(checks).to.equal(1);
+            expect(text).to.contain("graduation_contract_up 1");
+            expect(text).to.contain("graduation_contract_paused 0");
+            expect(text).to.contain("graduation_rate_limit_graduations{state=\"used\"} 3");
+            expect(text).to.contain("graduation_rate_limit_liquidity_eth{state=\"remaining\"} 87.5");
+        });
+
+        it("Should share one unrecorded health check between scrapes and probes", async function () {
+            const checks = [];
+            await startServer({
+                lastHealth: null,
+                checkHealth: async (options) => {
+                    checks.push(options);
+                    await new Promise(resolve => setTimeout(resolve, 20));
+                    return { ...HEALTHY, timestamp: new Date().toISOString() };
+                }
+            });
+            monitor.ready = true;
+
+            const responses = await Promise.all([fetch(`${baseUrl}/metrics`), fetch(`${baseUrl}/readyz`), fetch(`${baseUrl}/metrics`)]);
+
+            expect(responses.map(r => r.status)).to.deep.equal([200, 200, 200]);
+            expect(checks).to.deep.equal([{ record: false }]);
+        });
+
+        it("Should leave out security gauges without a security contract", async function () {
+            await startServer({
+                lastHealth: { status: "healthy", timestamp: new Date().toISOString(), checks: { balance: "1.0" } },
+                checkHealth: async () => {
+                    throw new Error("not expected");
+                }
+            });
+
+            const text = await (await fetch(`${baseUrl}/metrics`)).text();
+
+            expect(text).to.contain("graduation_contract_up 1");
+            expect(text).to.not.contain("graduation_contract_paused");
+        });
+
+        it("Should remove reorged graduations from the histogram", async function () {
+            await startServer(null);
+
+            monitor.rollbackLog(makeLog("LiquidityMigrated", [TOKEN, PAIR, ethers.parseEther("2")], 1));
+            const text = await (await fetch(`${baseUrl}/metrics`)).text();
+
+            expect(text).to.contain("graduation_size_tokens_count 0");
+            expect(text).to.contain("graduation_graduations 0");
+            expect(text).to.contain("graduation_liquidity_added_tokens 0");
+        });
+    });
+
+    describe("Probes", function () {
+        it("Should answer liveness while serving", async function () {
+            await startServer(null);
+
+            const response = await fetch(`${baseUrl}/healthz`);
+
+            expect(response.status).to.equal(200);
+        });
+
+        it("Should only report ready once the monitor is live and the contract reachable", async function () {
+            let health = { status: "error", error: "could not detect network", timestamp: new Date(0).toISOString() };
+            await startServer({ lastHealth: null, checkHealth: async () => health });
+
+            let response = await fetch(`${baseUrl}/readyz`);
+            expect(response.status).to.equal(503);
+            expect((await response.json()).reason).to.equal("monitor not started");
+
+            monitor.ready = true;
+            response = await fetch(`${baseUrl}/readyz`);
+            expect(response.status).to.equal(503);
+            expect((await response.json()).reason).to.equal("could not detect network");
+
+            health = { ...HEALTHY, timestamp: new Date().toISOString() };
+            response = await fetch(`${baseUrl}/readyz`);
+            expect(response.status).to.equal(200);
+        });
+
+        it("Should return 404 for unknown paths", async function () {
+            await startServer(null);
+
+            const response = await fetch(`${baseUrl}/nope`);
+
+            expect(response.status).to.equal(404);
+        });
+    });
+
+    describe("Formatting", function () {
+        it("Should escape label values", async function () {
+            const text = formatMetric("x", "gauge", "help", [{ labels: { reason: "a \"b\"\n" }, value: true }]);
+
+            expect(text).to.equal("# HELP x help\n# TYPE x gauge\nx{reason=\"a \\\"b\\\"\\n\"} 1");
+        });
+
+        it("Should keep histogram buckets cumulative", async function () {
+            const histogram = new Histogram([1, 10]);
+            histogram.observe(0.5);
+            histogram.observe(5);
+
+            expect(histogram.samples().map(s => s.value)).to.deep.equal([1, 2, 2, 5.5, 2]);
+        });
+    });
+});
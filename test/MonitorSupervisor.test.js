@@ -0,0 +1,250 @@
+const { expect } = require("chai");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { ethers } = require("ethers");
+const { MonitorSupervisor } = require("../scripts/monitoring/supervisor");
+const { silenceConsole } = require("./helpers");
+
+describe("MonitorSupervisor", function () {
+    const MANAGER_A = "0x00000000000000000000000000000000000000a1";
+    const MANAGER_B = "0x00000000000000000000000000000000000000b2";
+    const TOKEN = "0x00000000000000000000000000000000000000aa";
+    const PAIR = "0x00000000000000000000000000000000000000cc";
+
+    const iface = new ethers.Interface([
+        "event LiquidityMigrated(address indexed token, address indexed pair, uint256 liquidity)"
+    ]);
+    const NETWORKS = {
+        base: { url: "http://127.0.0.1:1", chainId: 8453 },
+        arbitrum: { url: "http://127.0.0.1:2", chainId: 42161 }
+    };
+
+    let tmpDir;
+    let supervisor;
+
+    silenceConsole("log", "warn", "error");
+
+    beforeEach(function () {
+        tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "graduation-supervisor-"));
+        fs.writeFileSync(path.join(tmpDir, "abi.json"), JSON.stringify(iface.fragments.map(f => JSON.parse(f.format("json")))));
+    });
+
+    afterEach(function () {
+        supervisor.stop();
+        fs.rmSync(tmpDir, { recursive: true, force: true });
+    });
+
+    function graduated(blockNumber, liquidity) {
+        return {
+            eventName: "LiquidityMigrated",
+            fragment: iface.getEvent("LiquidityMigrated"),
+            args: [TOKEN, PAIR, ethers.parseEther(String(liquidity))],
+            blockNumber,
+            index: 0,
+            transactionHash: ethers.id(`graduated-${blockNumber}`)
+        };
+    }
+
+    const HEALTHY_CHECKS = {
+        paused: false,
+        circuitBreaker: { isTripped: false, reason: "", secondsUntilReset: "0" },
+        emergencyMode: false,
+        rateLimit: { graduationsUsedPct: 0, liquidityUsedPct: 0 },
+        rpc: { blockNumber: 1, blockAgeSeconds: 0 },
+        balance: "1.0"
+    };
+
+    /**
+     * Supervisor whose monitors use fake chains; `failing` targets fail to start
+     */
+    function newSupervisor(targets, failing = new Set(), options = {}) {
+        supervisor = new MonitorSupervisor({
+            targets: targets.map(t => ({ abi: path.join(tmpDir, "abi.json"), watchdog: false, ...t })),
+            resolveNetwork: (name) => NETWORKS[name],
+            restartDelayMs: 5,
+            ...options
+        });
+
+        const build = supervisor.buildMonitor.bind(supervisor);
+        supervisor.createMonitor = (target) => {
+            const monitor = build(target);
+            monitor.contract = {
+                interface: iface,
+                on: async () => {
+                    if (failing.has(target.name)) {
+                        throw new Error("could not detect network");
+                    }
+                },
+                removeAllListeners: () => {}
+            };
+            return monitor;
+        };
+
+        const buildHealth = supervisor.buildHealthMonitor.bind(supervisor);
+        supervisor.createHealthMonitor = (target, monitor) => {
+            const healthMonitor = buildHealth(target, monitor);
+            healthMonitor.collectChecks = async () => HEALTHY_CHECKS;
+            return healthMonitor;
+        };
+
+        return supervisor;
+    }
+
+    it("Should run one monitor per target and tag events and alerts", async function () {
+        newSupervisor([
+            { network: "base", address: MANAGER_A },
+            { network: "arbitrum", address: MANAGER_B }
+        ]);
+        const forwarded = [];
+        supervisor.on("alert", (name, alert) => forwarded.push(name));
+
+        await supervisor.start();
+        const [base] = supervisor.targets;
+        base.monitor.processLog(graduated(1, 2));
+
+        expect(supervisor.getStatus().map(t => t.status)).to.deep.equal(["running", "running"]);
+        expect(base.monitor.getEventHistory()[0]).to.include({ network: "base", chainId: 8453, contract: MANAGER_A });
+        expect(base.monitor.getAlerts()[0]).to.include({ network: "base", chainId: 8453, contract: MANAGER_A });
+        expect(forwarded).to.include("base").and.not.include("arbitrum");
+    });
+
+    it("Should run health checks per target", async function () {
+        newSupervisor([
+            { network: "base", address: MANAGER_A, health: { intervalSeconds: 60 } },
+            { network: "arbitrum", address: MANAGER_B, health: false }
+        ]);
+
+        await supervisor.start();
+        const [base, arbitrum] = supervisor.targets;
+
+        expect(base.healthMonitor.monitor).to.equal(base.monitor);
+        expect(base.healthMonitor.contractAddress).to.equal(MANAGER_A);
+        expect(arbitrum.healthMonitor).to.equal(null);
+        expect(supervisor.getStatus().map(t => t.health)).to.deep.equal(["healthy", null]);
+    });
+
+    it("Should restart a running target whose monitor fails", async function () {
+        newSupervisor([
+            { network: "base", address: MANAGER_A },
+            { network: "arbitrum", address: MANAGER_B }
+        ]);
+        const failed = [];
+        supervisor.on("targetFailed", (name) => failed.push(name));
+        await supervisor.start();
+        const [base] = supervisor.targets;
+        const { monitor, healthMonitor } = base;
+
+        monitor.emit("failure", new Error("Reconnect failed"));
+
+        expect(failed).to.deep.equal(["base"]);
+        expect(supervisor.getStatus()[0]).to.include({ status: "failed", error: "Reconnect failed", failures: 1 });
+        expect(supervisor.getStatus()[1]).to.include({ status: "running" });
+        expect(healthMonitor.timer).to.equal(null);
+        expect(monitor.listenerCount("failure")).to.equal(0);
+
+        await new Promise(resolve => setTimeout(resolve, 50));
+
+        expect(supervisor.getStatus()[0]).to.include({ status: "running", failures: 0 });
+        expect(base.monitor).to.not.equal(monitor);
+        expect(base.healthMonitor).to.not.equal(healthMonitor);
+    });
+
+    it("Should aggregate metrics across targets", async function () {
+        newSupervisor([
+            { network: "base", address: MANAGER_A },
+            { network: "arbitrum", address: MANAGER_B }
+        ]);
+        await supervisor.start();
+
+        supervisor.targets[0].monitor.processLog(graduated(1, 2));
+        supervisor.targets[1].monitor.processLog(graduated(1, 4));
+        supervisor.targets[1].monitor.processLog(graduated(2, 6));
+
+        const { totals, byTarget } = supervisor.getMetrics();
+        expect(totals.totalGraduations).to.equal(3);
+        expect(totals.totalLiquidityAdded).to.equal(ethers.parseEther("12"));
+        expect(totals.averageGraduationSize).to.equal(ethers.parseEther("4"));
+        expect(byTarget.arbitrum.totalGraduations).to.equal(2);
+    });
+
+    it("Should keep other targets running when one fails and retry it", async function () {
+        const failing = new Set(["arbitrum"]);
+        newSupervisor([
+            { network: "base", address: MANAGER_A },
+            { network: "arbitrum", address: MANAGER_B }
+        ], failing);
+
+        await supervisor.start();
+
+        expect(supervisor.getStatus().map(t => t.status)).to.deep.equal(["running", "failed"]);
+        expect(supervisor.getStatus()[1]).to.include({ error: "could not detect network", failures: 1 });
+        expect(supervisor.getMetrics().byTarget).to.have.keys(["base"]);
+
+        failing.clear();
+        await new Promise(resolve => setTimeout(resolve, 50));
+
+        expect(supervisor.getStatus()[1]).to.include({ status: "running", failures: 0 });
+    });
+
+    it("Should fail targets that take too long to start", async function () {
+        newSupervisor([{ network: "base", address: MANAGER_A }], new Set(), { startTimeoutMs: 20, restartDelayMs: 60000 });
+        const build = supervisor.createMonitor;
+        supervisor.createMonitor = (target) => {
+            const monitor = build(target);
+            monitor.startMonitoring = () => new Promise(() => {});
+            return monitor;
+        };
+
+        await supervisor.start();
+
+        expect(supervisor.getStatus()[0]).to.include({ status: "failed", error: "start timed out after 20ms" });
+    });
+
+    it("Should stop a start that timed out and resume from the checkpoint", async function () {
+        newSupervisor([{ network: "base", address: MANAGER_A, store: `jsonl:${tmpDir}/store`, fromBlock: 0 }], new Set(),
+            { startTimeoutMs: 50, restartDelayMs: 10 });
+        const build = supervisor.createMonitor;
+        const starts = [];
+        supervisor.createMonitor = (target) => {
+            const monitor = build(target);
+            const start = { monitor, ranges: [] };
+            starts.push(start);
+            monitor.provider.getBlockNumber = async () => 9999;
+            // The first start backfills 2000 blocks per 20ms, too slow for the timeout
+            monitor.contract.queryFilter = async (filter, from, to) => {
+                start.ranges.push([from, to]);
+                await new Promise(resolve => setTimeout(resolve, starts.length === 1 ? 20 : 0));
+                return [];
+            };
+            return monitor;
+        };
+
+        await supervisor.start();
+        expect(supervisor.getStatus()[0]).to.include({ status: "failed", error: "start timed out after 50ms" });
+        const abandoned = starts[0].ranges.length;
+
+        await new Promise(resolve => setTimeout(resolve, 100));
+
+        expect(starts[0].ranges.length).to.be.at.most(abandoned + 1);
+        expect(starts).to.have.length(2);
+        // Resumed from the last batch the abandoned start checkpointed, not from fromBlock
+        expect(starts[1].ranges[0][0]).to.be.above(0);
+        expect(starts[0].ranges.map(([, to]) => to)).to.include(starts[1].ranges[0][0]);
+        expect(supervisor.getStatus()[0]).to.include({ status: "running" });
+    });
+
+    it("Should load targets from a config file", async function () {
+        const file = path.join(tmpDir, "targets.json");
+        fs.writeFileSync(file, JSON.stringify({
+            targets: [{ name: "base-main", network: "base", address: MANAGER_A }]
+        }));
+
+        supervisor = MonitorSupervisor.fromFile(file);
+
+        expect(supervisor.getStatus()[0]).to.include({ name: "base-main", network: "base", status: "stopped" });
+        expect(() => new MonitorSupervisor({
+            targets: [{ network: "base", address: MANAGER_A }, { network: "base", address: MANAGER_B }]
+        })).to.throw("Duplicate target name: base");
+    });
+});
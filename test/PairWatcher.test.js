@@ -0,0 +1,206 @@
+const { expect } = require("chai");
+const { ethers } = require("ethers");
+const { PairWatcher } = require("../scripts/monitoring/pairs");
+const { GraduationMonitor } = require("../scripts/monitoring");
+const { logFactory, silenceConsole } = require("./helpers");
+
+describe("PairWatcher", function () {
+    const TOKEN = ethers.getAddress("0x00000000000000000000000000000000000000aa");
+    const PAIR = ethers.getAddress("0x00000000000000000000000000000000000000cc");
+    const WETH = ethers.getAddress("0x00000000000000000000000000000000000000ee");
+    const ether = (n) => ethers.parseEther(String(n));
+
+    const iface = new ethers.Interface([
+        "event TokenRegistered(address indexed token, uint256 initialReserve)",
+        "event LiquidityMigrated(address indexed token, address indexed pair, uint256 liquidity)"
+    ]);
+
+    let monitor;
+    let chain;
+    let pair;
+    let watcher;
+
+    silenceConsole("log", "error", "warn");
+
+    const makeLog = logFactory(iface);
+
+    /**
+     * Pair with the token as token1 and WETH as token0
+     */
+    function stubPair() {
+        const listeners = {};
+        return {
+            listeners,
+            on: async (event, listener) => {
+                listeners[event] = listener;
+            },
+            removeAllListeners: () => {
+                for (const event of Object.keys(listeners)) {
+                    delete listeners[event];
+                }
+            },
+            totalSupply: async () => chain.totalSupply
+        };
+    }
+
+    const sync = (ethReserve, tokenReserve) => pair.listeners.Sync(ethReserve, tokenReserve);
+    const alerts = (title) => monitor.getAlerts().filter(a => a.title === title);
+
+    beforeEach(async function () {
+        monitor = new GraduationMonitor(TOKEN, "http://127.0.0.1:1", [], {});
+        chain = {
+            reserves: [ether(10), ether(1000)],
+            migrated: [ether(10), ether(1000)],
+            totalSupply: ether(100),
+            locked: ether(100),
+            unlockTime: BigInt(Math.floor(Date.now() / 1000) + 86400)
+        };
+        monitor.contract = {
+            graduations: async () => ({
+                initialLiquidity: ether(10),
+                lpTokensLocked: ether(100),
+                unlockTime: chain.unlockTime
+            }),
+            getPairReserves: async (token, overrides = {}) => {
+                const reserves = overrides.blockTag === 2 ? chain.migrated : chain.reserves;
+                if (chain.failing && overrides.blockTag === undefined) {
+                    throw new Error("RPC unavailable");
+                }
+                return { reserve0: reserves[0], reserve1: reserves[1], token0: WETH, token1: TOKEN };
+            },
+            getLockedLPBalance: async () => chain.locked
+        };
+        pair = stubPair();
+        watcher = new PairWatcher({ monitor, pairContract: () => pair });
+        await watcher.start();
+
+        monitor.processLog(makeLog("TokenRegistered", [TOKEN, 1n], 1));
+        monitor.processLog(makeLog("LiquidityMigrated", [TOKEN, PAIR, ether(100)], 2));
+        await new Promise(resolve => setImmediate(resolve));
+    });
+
+    afterEach(function () {
+        watcher.stop();
+    });
+
+    it("Should start watching the pair of a graduated token", async function () {
+        const [state] = watcher.getPairs();
+
+        expect(state).to.include({ token: TOKEN, pair: PAIR, ethReserve: ether(10), tokenReserve: ether(1000) });
+        expect(state.price).to.equal(ether("0.01"));
+        expect(pair.listeners).to.have.keys(["Sync", "Swap", "Burn"]);
+    });
+
+    it("Should alert when liquidity is drained", async function () {
+        sync(ether(6), ether(1600));
+        expect(alerts("Pair Liquidity Drained")).to.have.length(0);
+
+        sync(ether(4), ether(2500));
+        sync(ether(3), ether(3000));
+
+        const drained = alerts("Pair Liquidity Drained");
+        expect(drained).to.have.length(1);
+        expect(drained[0].level).to.equal("critical");
+        expect(drained[0].data.changePct).to.equal(-60);
+    });
+
+    it("Should alert on extreme price moves", async function () {
+        sync(ether(12), ether(833));
+        expect(alerts("Extreme Price Move")).to.have.length(0);
+
+        sync(ether(20), ether(500));
+
+        expect(alerts("Extreme Price Move")[0].data.changePct).to.equal(300);
+    });
+
+    it("Should alert when locked LP moves or LP supply shrinks before unlock", async function () {
+        chain.totalSupply = ether(80);
+        chain.locked = ether(60);
+        await watcher.checkLocks(watcher.pairs.get(TOKEN));
+
+        expect(alerts("Locked LP Moved")).to.have.length(1);
+        expect(alerts("LP Supply Changed")[0].data.changePct).to.equal(-20);
+    });
+
+    it("Should ignore LP changes after the unlock time", async function () {
+        watcher.pairs.get(TOKEN).unlockTime = Math.floor(Date.now() / 1000) - 1;
+        chain.locked = 0n;
+
+        await watcher.checkLocks(watcher.pairs.get(TOKEN));
+
+        expect(alerts("Locked LP Moved")).to.have.length(0);
+    });
+
+    it("Should pick up missed changes when polling", async function () {
+        chain.reserves = [ether(2), ether(5000)];
+
+        await watcher.pollAll();
+
+        expect(alerts("Pair Liquidity Drained")).to.have.length(1);
+    });
+
+    it("Should measure price moves from the migration reserves after a restart", async function () {
+        watcher.stop();
+        chain.reserves = [ether(30), ether(400)];
+
+        watcher = new PairWatcher({ monitor, pairContract: () => stubPair() });
+        await watcher.start();
+
+        const [state] = watcher.getPairs();
+        expect(state.price).to.equal(ether("0.075"));
+        expect(state.priceChangePct).to.equal(650);
+        expect(alerts("Extreme Price Move")).to.have.length(1);
+    });
+
+    it("Should keep polling the other pairs when one fails", async function () {
+        const OTHER = ethers.getAddress("0x00000000000000000000000000000000000000bb");
+        const getPairReserves = monitor.contract.getPairReserves;
+        await watcher.watch(OTHER, PAIR);
+        monitor.contract.getPairReserves = async (token, overrides) => {
+            if (token === TOKEN) {
+                throw new Error("RPC unavailable");
+            }
+            return getPairReserves(token, overrides);
+        };
+        chain.reserves = [ether(2), ether(5000)];
+
+        await watcher.pollAll();
+
+        expect(alerts("Pair Liquidity Drained").map(a => a.data.token)).to.deep.equal([OTHER]);
+    });
+
+    it("Should retry pairs whose watch failed on the next poll", async function () {
+        watcher.unwatch(TOKEN);
+        chain.failing = true;
+        monitor.processLog(makeLog("LiquidityMigrated", [TOKEN, PAIR, ether(100)], 2, 1));
+        await new Promise(resolve => setImmediate(resolve));
+
+        expect(watcher.getPairs()).to.have.length(0);
+        expect(watcher.failed.has(TOKEN)).to.equal(true);
+
+        chain.failing = false;
+        await watcher.pollAll();
+
+        expect(watcher.getPairs()).to.have.length(1);
+        expect(watcher.failed.size).to.equal(0);
+    });
+
+    it("Should resubscribe and catch up after the monitor reconnects", async function () {
+        const replacement = stubPair();
+        watcher.pairContract = () => replacement;
+        chain.reserves = [ether(2), ether(5000)];
+
+        await watcher.resubscribe();
+
+        expect(pair.listeners).to.deep.equal({});
+        expect(replacement.listeners).to.have.keys(["Sync", "Swap", "Burn"]);
+        expect(alerts("Pair Liquidity Drained")).to.have.length(1);
+    });
+
+    it("Should stop watching a pair whose graduation was reorged out", async function () {
+        monitor.rollbackLog(makeLog("LiquidityMigrated", [TOKEN, PAIR, ether(100)], 2));
+
+        expect(watcher.getPairs()).to.have.length(0);
+        expect(pair.listeners).to.deep.equal({});
+    });
+});
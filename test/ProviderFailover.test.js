@@ -0,0 +1,221 @@
+const { expect } = require("chai");
+const http = require("http");
+const { WebSocketServer } = require("ws");
+const { ethers } = require("ethers");
+const { network } = require("hardhat");
+const { JsonRpcHandler } = require("hardhat/internal/hardhat-network/jsonrpc/handler");
+const { createProvider, parseUrls, FailoverProvider } = require("../scripts/monitoring/providers");
+const { EVENT_REGISTRY, GraduationMonitor } = require("../scripts/monitoring");
+const { silenceConsole } = require("./helpers");
+
+describe("Provider failover", function () {
+    const TOKEN = ethers.getAddress("0x00000000000000000000000000000000000000aa");
+    const EMITTER = "0x00000000000000000000000000000000000000e1";
+    const CHAIN_ID = 31337;
+
+    const iface = new ethers.Interface([
+        "event TokenRegistered(address indexed token, uint256 initialReserve)"
+    ]);
+
+    /**
+     * JSON-RPC endpoint (HTTP and WebSocket) in front of the in-process Hardhat
+     * network that can be killed and restarted on the same port
+     */
+    class LocalNode {
+        async start(port = 0) {
+            const handler = new JsonRpcHandler(network.provider);
+            this.server = http.createServer(handler.handleHttp);
+            this.wss = new WebSocketServer({ server: this.server });
+            this.wss.on("connection", handler.handleWs);
+            await new Promise(resolve => this.server.listen(port, "127.0.0.1", resolve));
+            this.port = this.server.address().port;
+            return this;
+        }
+
+        async kill() {
+            for (const client of this.wss.clients) {
+                client.terminate();
+            }
+            this.wss.close();
+            this.server.closeAllConnections();
+            await new Promise(resolve => this.server.close(resolve));
+        }
+
+        async restart() {
+            return this.start(this.port);
+        }
+
+        url(scheme = "http") {
+            return `${scheme}://127.0.0.1:${this.port}`;
+        }
+    }
+
+    let nodes;
+    let monitor;
+
+    silenceConsole("log", "error");
+
+    before(async function () {
+        // Emits TokenRegistered(calldata[0:32], calldata[32:64]) on every call
+        const topic = iface.getEvent("TokenRegistered").topicHash;
+        await network.provider.request({
+            method: "hardhat_setCode",
+            params: [EMITTER, `0x602060206000376000357f${topic.slice(2)}60206000a200`]
+        });
+    });
+
+    beforeEach(async function () {
+        // New filters include the latest block, which must not hold events of a previous test
+        await network.provider.request({ method: "evm_mine" });
+        nodes = [await new LocalNode().start(), await new LocalNode().start()];
+        monitor = null;
+    });
+
+    afterEach(async function () {
+        if (monitor) {
+            monitor.stopMonitoring();
+            monitor.provider.destroy();
+        }
+        for (const node of nodes) {
+            if (node.server.listening) {
+                await node.kill();
+            }
+        }
+    });
+
+    /**
+     * Emit a TokenRegistered event straight on the chain (no endpoint needed)
+     */
+    async function register(reserve) {
+        const [from] = await network.provider.request({ method: "eth_accounts" });
+        await network.provider.request({
+            method: "eth_sendTransaction",
+            params: [{ from, to: EMITTER, data: ethers.AbiCoder.defaultAbiCoder().encode(["address", "uint256"], [TOKEN, reserve]) }]
+        });
+    }
+
+    async function until(condition, timeoutMs = 5000) {
+        const deadline = Date.now() + timeoutMs;
+        while (!condition()) {
+            if (Date.now() > deadline) {
+                throw new Error("Timed out waiting for condition");
+            }
+            await new Promise(resolve => setTimeout(resolve, 25));
+        }
+    }
+
+    function newMonitor(urls) {
+        monitor = new GraduationMonitor(EMITTER, urls, iface.fragments, {
+            // The emitter only has TokenRegistered
+            eventRegistry: { manager: { TokenRegistered: EVENT_REGISTRY.manager.TokenRegistered } },
+            rpc: { chainId: CHAIN_ID, pollingIntervalMs: 50, stallTimeoutMs: 200 },
+            watchdog: { stallTimeoutMs: 1000, checkIntervalMs: 60000, requestTimeoutMs: 1000 }
+        });
+        return monitor;
+    }
+
+    const reserves = () => monitor.getEventHistory().map(e => BigInt(e.initialReserve));
+
+    describe("createProvider", function () {
+        it("Should build a failover provider from a list of endpoints", async function () {
+            const provider = createProvider(`${nodes[0].url()}, ${nodes[1].url("ws")}`, { chainId: CHAIN_ID });
+
+            expect(provider).to.be.instanceOf(FailoverProvider);
+            expect(provider.backends[0].provider).to.be.instanceOf(ethers.JsonRpcProvider);
+            expect(provider.backends[1].provider).to.be.instanceOf(ethers.WebSocketProvider);
+            expect(await provider.getBlockNumber()).to.be.a("number");
+            provider.destroy();
+        });
+
+        it("Should require a majority for quorum by default", async function () {
+            const urls = [nodes[0].url(), nodes[1].url(), nodes[0].url()];
+            const provider = createProvider(urls, { strategy: "quorum", chainId: CHAIN_ID });
+
+            expect(provider).to.be.instanceOf(ethers.FallbackProvider);
+            expect(provider.quorum).to.equal(2);
+            expect(await provider.getBlockNumber()).to.be.a("number");
+            provider.destroy();
+
+            expect(() => createProvider(urls, { strategy: "random" })).to.throw("Unknown provider strategy: random");
+            expect(() => createProvider(" , ")).to.throw("No RPC URL configured");
+            expect(parseUrls(["a ", "", " b"])).to.deep.equal(["a", "b"]);
+        });
+
+        it("Should keep serving requests when an endpoint is killed", async function () {
+            const provider = createProvider([nodes[0].url(), nodes[1].url()], { chainId: CHAIN_ID });
+            const [from] = await network.provider.request({ method: "eth_accounts" });
+            const nonce = await provider.getTransactionCount(from);
+
+            await nodes[0].kill();
+            await register(1n);
+
+            expect(await provider.getTransactionCount(from, "pending")).to.equal(nonce + 1);
+            expect(provider.backends[0].lastError).to.contain("ECONNREFUSED");
+            provider.destroy();
+        });
+    });
+
+    describe("Reconnection", function () {
+        it("Should resubscribe and backfill events missed while the endpoint was down", async function () {
+            const node = nodes[0];
+            newMonitor(node.url());
+            const failures = [];
+            monitor.on("failure", error => failures.push(error));
+            await monitor.startMonitoring();
+
+            await register(1n);
+            await until(() => reserves().length === 1);
+
+            await node.kill();
+            await register(2n);
+            await register(3n);
+
+            // Still down: the reconnect fails and is retried on the next check
+            await monitor.watchdog.check(Date.now() + 2000);
+            expect(monitor.watchdog.getStatus()).to.include({ stalled: true, reconnects: 0 });
+            expect(failures).to.have.length(1);
+
+            await node.restart();
+            await monitor.watchdog.check();
+
+            expect(reserves()).to.deep.equal([1n, 2n, 3n]);
+            expect(monitor.watchdog.getStatus()).to.include({ stalled: false, reconnects: 1 });
+            expect(monitor.getAlerts().map(a => a.title)).to.include.members(["RPC Provider Stalled", "RPC Provider Reconnected"]);
+
+            await register(4n);
+            await until(() => reserves().length === 4);
+            expect(reserves()).to.deep.equal([1n, 2n, 3n, 4n]);
+        });
+
+        it("Should reconnect a WebSocket provider", async function () {
+            const node = nodes[0];
+            newMonitor(node.url("ws"));
+            await monitor.startMonitoring();
+
+            await register(1n);
+            await until(() => reserves().length === 1);
+
+            await node.kill();
+            await register(2n);
+            await node.restart();
+            await monitor.watchdog.check(Date.now() + 2000);
+
+            expect(reserves()).to.deep.equal([1n, 2n]);
+
+            await register(3n);
+            await until(() => reserves().length === 3);
+        });
+
+        it("Should fail over to the next endpoint without losing events", async function () {
+            newMonitor([nodes[0].url(), nodes[1].url()]);
+            await monitor.startMonitoring();
+
+            await nodes[0].kill();
+            await register(1n);
+            await register(2n);
+
+            await until(() => reserves().length === 2);
+            expect(reserves()).to.deep.equal([1n, 2n]);
+        });
+    });
+});
@@ -0,0 +1,191 @@
+const { expect } = require("chai");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { ethers } = require("ethers");
+const { buildReport, renderMarkdown, renderHTML, renderCSV, writeReport, parseTime } = require("../scripts/monitoring/reports");
+const { GraduationMonitor } = require("../scripts/monitoring");
+
+describe("Reports", function () {
+    const TOKEN_A = ethers.getAddress("0x00000000000000000000000000000000000000aa");
+    const TOKEN_B = ethers.getAddress("0x00000000000000000000000000000000000000bb");
+    const PAIR_A = ethers.getAddress("0x00000000000000000000000000000000000000ca");
+    const PAIR_B = ethers.getAddress("0x00000000000000000000000000000000000000cb");
+    const DAY = 24 * 60 * 60 * 1000;
+    // Monday 2024-01-01
+    const START = Date.UTC(2024, 0, 1);
+    const ether = (n) => ethers.parseEther(String(n)).toString();
+
+    let source;
+
+    beforeEach(function () {
+        let block = 0;
+        const event = (day, type, fields) => ({
+            type,
+            ...fields,
+            blockNumber: ++block,
+            transactionHash: ethers.id(`${type}-${block}`),
+            logIndex: 0,
+            timestamp: START + day * DAY
+        });
+        const alert = (day, level, title, token) => ({ level, title, message: title, data: { token }, timestamp: START + day * DAY });
+
+        source = {
+            events: [
+                event(0, "TokenRegistered", { token: TOKEN_A, initialReserve: "1" }),
+                event(1, "LiquidityMigrated", { token: TOKEN_A, pair: PAIR_A, liquidity: ether(5) }),
+                event(1, "LPTokensLocked", { token: TOKEN_A, amount: ether(5), unlockTime: String((START + 20 * DAY) / 1000) }),
+                event(3, "CircuitBreakerTripped", { reason: "volume, spike", resetAfter: "3600" }),
+                event(4, "CircuitBreakerReset", { resetter: TOKEN_B }),
+                event(8, "LiquidityMigrated", { token: TOKEN_B, pair: PAIR_B, liquidity: ether(9) }),
+                event(8, "LPTokensLocked", { token: TOKEN_B, amount: ether(9), unlockTime: String((START + 9 * DAY) / 1000) })
+            ],
+            alerts: [
+                alert(1, "info", "Token Graduated", TOKEN_A),
+                alert(3, "critical", "Circuit Breaker Tripped"),
+                alert(8, "info", "Token Graduated", TOKEN_B),
+                alert(8, "warning", "Lifecycle Anomaly", TOKEN_B)
+            ]
+        };
+    });
+
+    describe("buildReport", function () {
+        it("Should aggregate graduations, locks, alerts and breaker history over the window", function () {
+            const report = buildReport(source, { from: START, to: START + 10 * DAY - 1 });
+
+            expect(report.summary).to.include({ graduations: 2, liquidityAdded: ether(14), lpLocked: ether(14), alerts: 4, circuitBreakerTrips: 1 });
+            expect(report.graduations.daily).to.have.length(10);
+            expect(report.graduations.daily[1]).to.deep.equal({ period: "2024-01-02", count: 1, liquidity: ether(5) });
+            expect(report.graduations.weekly).to.deep.equal([
+                { period: "2024-01-01", count: 1, liquidity: ether(5) },
+                { period: "2024-01-08", count: 1, liquidity: ether(9) }
+            ]);
+            expect(report.topTokens.map(t => t.token)).to.deep.equal([TOKEN_B, TOKEN_A]);
+            expect(report.locks.map(l => [l.token, l.pair, l.status])).to.deep.equal([
+                [TOKEN_B, PAIR_B, "unlockable"],
+                [TOKEN_A, PAIR_A, "locked"]
+            ]);
+            expect(report.alerts.byLevel).to.deep.equal({ emergency: 0, critical: 1, warning: 1, info: 2 });
+            expect(report.alerts.byTitle[0]).to.deep.equal({ title: "Token Graduated", level: "info", count: 2 });
+            expect(report.circuitBreaker.map(c => c.event)).to.deep.equal(["circuit breaker tripped", "circuit breaker reset"]);
+        });
+
+        it("Should limit the report to a window and a token", function () {
+            const report = buildReport(source, { from: START + 2 * DAY, to: START + 9 * DAY, token: TOKEN_B.toLowerCase() });
+
+            expect(report.summary).to.include({ graduations: 1, liquidityAdded: ether(9), alerts: 2 });
+            expect(report.topTokens.map(t => t.token)).to.deep.equal([TOKEN_B]);
+            expect(report.locks.map(l => l.token)).to.deep.equal([TOKEN_B]);
+            // Contract-wide breaker history is kept for token reports
+            expect(report.circuitBreaker).to.have.length(2);
+            expect(buildReport(source, { to: START + 2 * DAY }).graduations.daily.map(b => b.period))
+                .to.deep.equal(["2024-01-02", "2024-01-03"]);
+        });
+
+        it("Should report on a monitor's stored events", function () {
+            const consoleLog = console.log;
+            console.log = () => {};
+            const iface = new ethers.Interface([
+                "event LiquidityMigrated(address indexed token, address indexed pair, uint256 liquidity)"
+            ]);
+            const monitor = new GraduationMonitor(TOKEN_A, "http://127.0.0.1:1", [], {});
+            monitor.processLog({
+                eventName: "LiquidityMigrated",
+                fragment: iface.getEvent("LiquidityMigrated"),
+                args: [TOKEN_A, PAIR_A, ethers.parseEther("3")],
+                blockNumber: 1,
+                index: 0,
+                transactionHash: ethers.id("graduated")
+            });
+            console.log = consoleLog;
+
+            const report = monitor.buildReport({ from: Date.now() - DAY });
+
+            expect(report.summary).to.include({ graduations: 1, liquidityAdded: ether(3) });
+            expect(report.alerts.byTitle.map(a => a.title)).to.include("Token Graduated");
+            expect(report.graduations.daily).to.have.length(2);
+        });
+
+        it("Should measure curve progress against the manager's thresholds without a ConfigUpdated event", function () {
+            const consoleLog = console.log;
+            console.log = () => {};
+            const iface = new ethers.Interface([
+                "event BondingCurveUpdated(address indexed token, uint256 ethReserve, uint256 tokenReserve, uint256 marketCap)"
+            ]);
+            const monitor = new GraduationMonitor(TOKEN_A, "http://127.0.0.1:1", [], {});
+            monitor.thresholds = { marketCapThreshold: ether(100), liquidityThreshold: ether(10) };
+            monitor.processLog({
+                eventName: "BondingCurveUpdated",
+                fragment: iface.getEvent("BondingCurveUpdated"),
+                args: [TOKEN_A, ethers.parseEther("4"), 1n, ethers.parseEther("50")],
+                blockNumber: 1,
+                index: 0,
+                transactionHash: ethers.id("curve")
+            });
+            console.log = consoleLog;
+
+            const { curveProgress } = monitor.buildReport().analytics;
+
+            expect(curveProgress.thresholds).to.deep.equal({ marketCapThreshold: ether(100), liquidityThreshold: ether(10) });
+            expect(curveProgress.tokens.map(t => [t.token, t.progressPct])).to.deep.equal([[TOKEN_A, 40]]);
+            expect(buildReport(source, { defaultThresholds: monitor.thresholds }).analytics.curveProgress.thresholds)
+                .to.deep.equal(curveProgress.thresholds);
+        });
+    });
+
+    describe("Renderers", function () {
+        let report;
+
+        beforeEach(function () {
+            report = buildReport(source, { from: START, to: START + 10 * DAY - 1 });
+        });
+
+        it("Should render Markdown tables", function () {
+            const md = renderMarkdown(report);
+
+            expect(md).to.contain("# Graduation Manager Report");
+            expect(md).to.contain("Period: 2024-01-01T00:00:00.000Z to 2024-01-10T23:59:59.999Z");
+            expect(md).to.contain("| Graduations | 2 |");
+            expect(md).to.contain(`| ${TOKEN_B} | ${PAIR_B} | 9.0 |`);
+            expect(md).to.contain("| 2024-01-04T00:00:00.000Z | circuit breaker tripped | volume, spike |");
+        });
+
+        it("Should render self-contained HTML with inline charts", function () {
+            source.alerts[1].title = "<script>alert(1)</script>";
+            const html = renderHTML(buildReport(source, { from: START, to: START + 10 * DAY - 1 }));
+
+            expect(html).to.match(/^<!DOCTYPE html>/);
+            expect(html).to.contain("<svg class=\"chart\"");
+            expect(html).to.contain("<title>2024-01-02: 1</title>");
+            expect(html).to.contain("&lt;script&gt;alert(1)&lt;/script&gt;");
+            expect(html).to.not.match(/<script|<link|src=/);
+        });
+
+        it("Should render one CSV document per table and write report files", function () {
+            const csv = renderCSV(report);
+
+            expect(csv).to.have.keys([
+                "summary", "graduations-hourly", "graduations-daily", "graduations-weekly", "time-to-graduation",
+                "conversion", "curve-progress", "top-tokens", "lp-locks", "alerts", "circuit-breaker"
+            ]);
+            expect(csv["graduations-weekly"]).to.equal("Week of,Graduations,LP Liquidity\r\n2024-01-01,1,5.0\r\n2024-01-08,1,9.0\r\n");
+            expect(csv["circuit-breaker"].split("\r\n")[1]).to.contain(",circuit breaker tripped,\"volume, spike\",4,");
+
+            const dir = fs.mkdtempSync(path.join(os.tmpdir(), "graduation-reports-"));
+            try {
+                const written = [
+                    ...writeReport(report, "md", path.join(dir, "report")),
+                    ...writeReport(report, "csv", path.join(dir, "report"))
+                ];
+                expect(written).to.have.length(12);
+                expect(fs.readFileSync(path.join(dir, "report.md"), "utf8")).to.equal(renderMarkdown(report));
+                expect(fs.readFileSync(path.join(dir, "report", "lp-locks.csv"), "utf8")).to.equal(csv["lp-locks"]);
+                expect(() => writeReport(report, "pdf", path.join(dir, "report"))).to.throw("Unknown report format: pdf");
+            } finally {
+                fs.rmSync(dir, { recursive: true, force: true });
+            }
+            expect(parseTime("7d", START + 7 * DAY)).to.equal(START);
+            expect(parseTime("2024-01-01", 0)).to.equal(START);
+        });
+    });
+});
@@ -0,0 +1,141 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { time, loadFixture } = require("@nomicfoundation/hardhat-network-helpers");
+const { SandboxSeeder, renderSandboxSummary } = require("../scripts/seed-sandbox");
+
+describe("Sandbox", function () {
+    const LOCK_DURATION = 7 * 24 * 60 * 60;
+    const SUPPLY = ethers.parseEther("1000000000");
+    const LIQUIDITY_TOKENS = SUPPLY / 5n;
+
+    async function sandboxFixture() {
+        const [, , , , , , , , , , owner, recipient, trader1, trader2] = await ethers.getSigners();
+        const deploy = async (name, ...args) => (await ethers.getContractFactory(name, owner)).deploy(...args);
+
+        const weth = await deploy("WETH9");
+        const factory = await deploy("MockUniswapV2Factory");
+        const router = await deploy("MockUniswapV2Router", factory.target, weth.target);
+        const manager = await deploy(
+            "UniswapGraduationManager",
+            router.target,
+            ethers.parseEther("100"),
+            ethers.parseEther("50"),
+            LOCK_DURATION,
+            recipient.address
+        );
+
+        const seeder = (options = {}) => new SandboxSeeder({
+            ethers,
+            manager,
+            traders: [trader1, trader2],
+            swaps: false,
+            log: () => {},
+            ...options
+        });
+        return { weth, factory, router, manager, owner, recipient, trader1, seeder };
+    }
+
+    it("Should push seeded tokens through the bonding curve into a Uniswap V2 pair", async function () {
+        const { weth, factory, manager, recipient, seeder } = await loadFixture(sandboxFixture);
+
+        const [graduated, pending] = await seeder({ tokens: 2, graduate: 1 }).run();
+
+        expect(graduated.graduated).to.equal(true);
+        expect(graduated.pair).to.equal(await factory.getPair(graduated.token, weth.target));
+        expect(graduated.liquidity).to.be.gte(ethers.parseEther("50"));
+        expect(graduated.marketCap).to.be.gte(ethers.parseEther("100"));
+
+        // The curve's reserved tokens and raised ETH make up the pair, minus MINIMUM_LIQUIDITY
+        const pair = await ethers.getContractAt("MockUniswapV2Pair", graduated.pair);
+        const [reserve0, reserve1] = await pair.getReserves();
+        const [tokenReserve, ethReserve] = (await pair.token0()) === graduated.token ? [reserve0, reserve1] : [reserve1, reserve0];
+        expect(tokenReserve).to.equal(LIQUIDITY_TOKENS);
+        expect(ethReserve).to.equal(graduated.liquidity);
+        expect(await weth.balanceOf(pair.target)).to.equal(ethReserve);
+        expect(graduated.lpTokensLocked).to.equal(sqrt(tokenReserve * ethReserve) - 1000n);
+        expect(await pair.balanceOf(manager.target)).to.equal(graduated.lpTokensLocked);
+
+        expect(pending.graduated).to.equal(false);
+        expect(pending.liquidity).to.be.gt(0n);
+        expect(pending.liquidity).to.be.lte(ethers.parseEther("25"));
+        expect(await (await ethers.getContractAt("MockBondingCurve", pending.curve)).migrated()).to.equal(false);
+
+        await time.increase(LOCK_DURATION);
+        await manager.unlockLPTokens(graduated.token);
+        expect(await pair.balanceOf(recipient.address)).to.equal(graduated.lpTokensLocked);
+
+        const summary = renderSandboxSummary([graduated, pending]);
+        expect(summary).to.contain(`SBX1   ${graduated.token}  graduated, pair ${graduated.pair}`);
+        expect(summary).to.contain("on the curve");
+    });
+
+    it("Should swap on the graduated pair with constant-product math and the 0.3% fee", async function () {
+        const { weth, router, trader1, seeder } = await loadFixture(sandboxFixture);
+        const [result] = await seeder({ tokens: 1, graduate: 1 }).run();
+        const token = await ethers.getContractAt("MockERC20", result.token);
+        const pair = await ethers.getContractAt("MockUniswapV2Pair", result.pair);
+
+        const [ethReserve, tokenReserve] = await router.getReserves(weth.target, token.target);
+        const amountIn = ethers.parseEther("1");
+        const expected = (amountIn * 997n * tokenReserve) / (ethReserve * 1000n + amountIn * 997n);
+        expect(await router.getAmountOut(amountIn, ethReserve, tokenReserve)).to.equal(expected);
+
+        const before = await token.balanceOf(trader1.address);
+        await router.connect(trader1).swapExactETHForTokens(expected, [weth.target, token.target], trader1.address, (await time.latest()) + 60, {
+            value: amountIn
+        });
+        expect((await token.balanceOf(trader1.address)) - before).to.equal(expected);
+
+        const [reserve0, reserve1] = await pair.getReserves();
+        expect(reserve0 * reserve1).to.be.gt(ethReserve * tokenReserve);
+        await expect(
+            router.connect(trader1).swapExactETHForTokens(expected, [weth.target, token.target], trader1.address, (await time.latest()) + 60, {
+                value: amountIn
+            })
+        ).to.be.revertedWith("UniswapV2Router: INSUFFICIENT_OUTPUT_AMOUNT");
+    });
+
+    it("Should graduate with graduateToken when auto-graduation is off", async function () {
+        const { manager, seeder } = await loadFixture(sandboxFixture);
+        const config = await manager.config();
+        await manager.updateConfig(config.marketCapThreshold, config.liquidityThreshold, config.minLockDuration, config.slippageTolerance, false);
+
+        const [result] = await seeder({ tokens: 1, graduate: 1, swaps: true }).run();
+
+        expect(result.graduated).to.equal(true);
+        expect(await manager.getLockedLPBalance(result.token)).to.equal(result.lpTokensLocked);
+    });
+
+    it("Should deploy a SecurityEnhancements and list it in the summary", async function () {
+        const { owner, seeder } = await loadFixture(sandboxFixture);
+
+        const securityAddress = await seeder().deploySecurity();
+        const security = await ethers.getContractAt("MockSecurityEnhancements", securityAddress);
+
+        expect(await security.hasRole(await security.DEFAULT_ADMIN_ROLE(), owner.address)).to.equal(true);
+        expect(renderSandboxSummary([], securityAddress)).to.contain(`SecurityEnhancements: ${securityAddress}`);
+        expect(renderSandboxSummary([])).to.not.contain("SecurityEnhancements");
+    });
+
+    it("Should refuse to seed without the manager owner", async function () {
+        const { manager, trader1, seeder } = await loadFixture(sandboxFixture);
+
+        let error;
+        try {
+            await seeder({ manager: manager.connect(trader1) }).run();
+        } catch (e) {
+            error = e;
+        }
+        expect(error.message).to.contain("needs the manager owner");
+    });
+});
+
+function sqrt(value) {
+    let x = value;
+    let y = (x + 1n) / 2n;
+    while (y < x) {
+        x = y;
+        y = (x + value / x) / 2n;
+    }
+    return x;
+}
@@ -0,0 +1,170 @@
+const { expect } = require("chai");
+const { ethers } = require("ethers");
+const hre = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const { GraduationMonitor, TokenLifecycleTracker } = require("../scripts/monitoring");
+const { logFactory, silenceConsole } = require("./helpers");
+
+describe("TokenLifecycleTracker", function () {
+    const TOKEN = ethers.getAddress("0x00000000000000000000000000000000000000aa");
+    const PAIR = ethers.getAddress("0x00000000000000000000000000000000000000cc");
+    const HOUR = 60 * 60 * 1000;
+    const UNLOCK_TIME = 1700000000;
+
+    let block = 0;
+
+    function event(type, fields, timestamp) {
+        block++;
+        return {
+            type,
+            token: TOKEN,
+            ...fields,
+            blockNumber: block,
+            transactionHash: ethers.id(`${type}-${block}`),
+            logIndex: 0,
+            timestamp
+        };
+    }
+
+    function graduate(tracker, start) {
+        tracker.apply(event("TokenRegistered", { initialReserve: "1" }, start));
+        tracker.apply(event("BondingCurveUpdated", { ethReserve: "5" }, start + HOUR));
+        tracker.apply(event("BondingCurveUpdated", { ethReserve: "8" }, start + 2 * HOUR));
+        tracker.apply(event("GraduationTriggered", { marketCap: "100", liquidity: "10" }, start + 3 * HOUR));
+        tracker.apply(event("LiquidityMigrated", { pair: PAIR, liquidity: "7" }, start + 3 * HOUR));
+        tracker.apply(event("LPTokensLocked", { amount: "7", unlockTime: String(UNLOCK_TIME) }, start + 3 * HOUR));
+    }
+
+    describe("State machine", function () {
+        it("Should walk a token through its lifecycle with timestamps", async function () {
+            const tracker = new TokenLifecycleTracker();
+            graduate(tracker, 0);
+
+            const token = tracker.getToken(TOKEN, UNLOCK_TIME * 1000 - HOUR);
+
+            expect(token.transitions.map(t => t.state))
+                .to.deep.equal(["registered", "progressing", "eligible", "graduated", "locked"]);
+            expect(token).to.include({
+                state: "locked",
+                pair: PAIR,
+                lpLocked: "7",
+                timeToGraduationMs: 3 * HOUR,
+                unlockInMs: HOUR
+            });
+            expect(token.anomalies).to.deep.equal([]);
+        });
+
+        it("Should compute time-to-unlock", async function () {
+            const tracker = new TokenLifecycleTracker();
+            graduate(tracker, 0);
+
+            tracker.apply(event("LPTokensUnlocked", { amount: "7" }, UNLOCK_TIME * 1000));
+
+            expect(tracker.getToken(TOKEN)).to.include({
+                state: "unlocked",
+                timeToUnlockMs: UNLOCK_TIME * 1000 - 3 * HOUR,
+                unlockInMs: null
+            });
+            expect(tracker.summary()).to.include({ unlocked: 1, locked: 0 });
+        });
+
+        it("Should flag a graduation with no registration", async function () {
+            const tracker = new TokenLifecycleTracker();
+
+            tracker.apply(event("GraduationTriggered", {}, 0));
+            const anomalies = tracker.apply(event("LiquidityMigrated", { pair: PAIR, liquidity: "7" }, 0));
+
+            expect(anomalies).to.deep.equal([]);
+            expect(tracker.getToken(TOKEN).anomalies.map(a => a.type)).to.deep.equal(["graduation-without-registration"]);
+            expect(tracker.getToken(TOKEN).timeToGraduationMs).to.equal(null);
+        });
+
+        it("Should flag an unlock before unlockTime", async function () {
+            const tracker = new TokenLifecycleTracker();
+            graduate(tracker, 0);
+
+            const [anomaly] = tracker.apply(event("LPTokensUnlocked", { amount: "7" }, UNLOCK_TIME * 1000 - 1));
+
+            expect(anomaly.type).to.equal("early-unlock");
+        });
+
+        it("Should filter tokens by state", async function () {
+            const tracker = new TokenLifecycleTracker();
+            graduate(tracker, 0);
+
+            expect(tracker.getTokens({ state: "locked" })).to.have.length(1);
+            expect(tracker.getTokens({ state: "registered" })).to.have.length(0);
+        });
+    });
+
+    describe("Monitor integration", function () {
+        const iface = new ethers.Interface([
+            "event TokenRegistered(address indexed token, uint256 initialReserve)",
+            "event LiquidityMigrated(address indexed token, address indexed pair, uint256 liquidity)"
+        ]);
+
+        silenceConsole();
+
+        const makeLog = logFactory(iface);
+
+        it("Should raise an alert for lifecycle anomalies", async function () {
+            const monitor = new GraduationMonitor(TOKEN, "http://127.0.0.1:1", [], {});
+
+            monitor.processLog(makeLog("LiquidityMigrated", [TOKEN, PAIR, 7n], 1));
+
+            const [alert] = monitor.getAlerts("warning");
+            expect(alert.title).to.equal("Lifecycle Anomaly");
+            expect(alert.data.type).to.equal("graduation-without-registration");
+        });
+
+        it("Should rebuild a token after a reorg", async function () {
+            const monitor = new GraduationMonitor(TOKEN, "http://127.0.0.1:1", [], {});
+            monitor.processLog(makeLog("TokenRegistered", [TOKEN, 1n], 1));
+            monitor.processLog(makeLog("LiquidityMigrated", [TOKEN, PAIR, 7n], 2));
+            expect(monitor.lifecycle.getToken(TOKEN).state).to.equal("graduated");
+
+            monitor.rollbackLog(makeLog("LiquidityMigrated", [TOKEN, PAIR, 7n], 2));
+
+            expect(monitor.lifecycle.getToken(TOKEN).state).to.equal("registered");
+        });
+
+        it("Should follow a token through the manager contract's events", async function () {
+            const LOCK_DURATION = 24 * 60 * 60;
+            const [owner, bondingCurve, recipient] = await hre.ethers.getSigners();
+            const deploy = async (name, ...args) => (await hre.ethers.getContractFactory(name, owner)).deploy(...args);
+
+            const weth = await deploy("WETH9");
+            const factory = await deploy("MockUniswapV2Factory");
+            const router = await deploy("MockUniswapV2Router", factory.target, weth.target);
+            const manager = await deploy("UniswapGraduationManager", router.target, ethers.parseEther("100"),
+                ethers.parseEther("50"), LOCK_DURATION, recipient.address);
+            const token = await deploy("MockERC20", "Lifecycle Token", "LIFE", ethers.parseEther("1000000"));
+            const startBlock = await hre.ethers.provider.getBlockNumber();
+
+            await manager.registerToken(token.target, ethers.parseEther("500000"), 0);
+            await manager.connect(bondingCurve).updateBondingCurve(token.target, ethers.parseEther("500000"),
+                ethers.parseEther("20"), ethers.parseEther("40"));
+            await token.transfer(manager.target, ethers.parseEther("500000"));
+            await owner.sendTransaction({ to: manager.target, value: ethers.parseEther("60") });
+            await manager.connect(bondingCurve).updateBondingCurve(token.target, ethers.parseEther("500000"),
+                ethers.parseEther("60"), ethers.parseEther("120"));
+            const { lpTokensLocked } = await manager.graduations(token.target);
+            await time.increase(LOCK_DURATION);
+            await expect(manager.unlockLPTokens(token.target))
+                .to.emit(manager, "LPTokensUnlocked")
+                .withArgs(token.target, recipient.address, lpTokensLocked);
+
+            const monitor = new GraduationMonitor(manager.target, "http://127.0.0.1:1", [], {});
+            monitor.provider = hre.ethers.provider;
+            monitor.contract = manager;
+            await monitor.backfill({ fromBlock: startBlock + 1 });
+
+            const lifecycle = monitor.lifecycle.getToken(token.target);
+            expect(lifecycle.transitions.map(t => t.state))
+                .to.deep.equal(["registered", "progressing", "eligible", "graduated", "locked", "unlocked"]);
+            expect(lifecycle.state).to.equal("unlocked");
+            expect(lifecycle.anomalies).to.deep.equal([]);
+            expect(monitor.getEventHistory({ type: "LPTokensUnlocked" })[0].amount).to.equal(lpTokensLocked.toString());
+        });
+    });
+});
@@ -0,0 +1,168 @@
+const { expect } = require("chai");
+const { ethers, network } = require("hardhat");
+const { TransactionSender, GasPriceTooHighError } = require("../scripts/lib/transactions");
+
+describe("TransactionSender", function () {
+    const REVERTER = "0x00000000000000000000000000000000000000fd";
+
+    let signer;
+    let recipient;
+    let attempts;
+
+    function makeSender(options = {}) {
+        return new TransactionSender({
+            signer,
+            pollIntervalMs: 10,
+            onAttempt: attempt => attempts.push(attempt),
+            ...options
+        });
+    }
+
+    before(async function () {
+        [, , , signer, recipient] = await ethers.getSigners();
+        // PUSH1 0 PUSH1 0 REVERT
+        await network.provider.request({ method: "hardhat_setCode", params: [REVERTER, "0x60006000fd"] });
+    });
+
+    beforeEach(function () {
+        attempts = [];
+    });
+
+    it("Should send a transaction and report it through confirmation", async function () {
+        const sender = makeSender();
+        const result = await sender.send({ to: recipient.address, value: 1n }, { action: "transfer" });
+
+        expect(result.receipt.status).to.equal(1);
+        expect(result.replacements).to.equal(0);
+        expect(attempts.map(a => a.stage)).to.deep.equal(["submitted", "confirmed"]);
+        expect(attempts[0]).to.include({ action: "transfer", hash: result.hash });
+    });
+
+    it("Should assign nonces locally to back-to-back transactions", async function () {
+        const sender = makeSender();
+        const start = await signer.getNonce("pending");
+
+        const results = await Promise.all([1n, 2n, 3n].map(value => sender.send({ to: recipient.address, value })));
+
+        const nonces = await Promise.all(results.map(async r => (await ethers.provider.getTransaction(r.hash)).nonce));
+        expect(nonces).to.deep.equal([start, start + 1, start + 2]);
+    });
+
+    it("Should not leave a nonce gap when a broadcast fails", async function () {
+        const flaky = Object.create(signer);
+        flaky.sendTransaction = async (tx) => {
+            if (tx.value === 2n) {
+                throw new Error("broadcast rejected");
+            }
+            return signer.sendTransaction(tx);
+        };
+        const sender = makeSender({ signer: flaky });
+        const start = await signer.getNonce("pending");
+
+        const results = await Promise.allSettled([1n, 2n, 3n].map(value => sender.send({ to: recipient.address, value })));
+
+        expect(results.map(r => r.status)).to.deep.equal(["fulfilled", "rejected", "fulfilled"]);
+        expect(results[1].reason.message).to.equal("broadcast rejected");
+        expect(results[2].value.receipt.status).to.equal(1);
+        expect(attempts.filter(a => a.stage === "submitted").map(a => a.nonce)).to.deep.equal([start, start + 1]);
+        expect(await signer.getNonce("pending")).to.equal(start + 2);
+    });
+
+    it("Should refuse to send above the gas price cap", async function () {
+        const sender = makeSender({ maxFeePerGas: 1n });
+        const start = await signer.getNonce("pending");
+
+        let error;
+        try {
+            await sender.send({ to: recipient.address, value: 1n });
+        } catch (e) {
+            error = e;
+        }
+
+        expect(error).to.be.instanceOf(GasPriceTooHighError);
+        expect(error.code).to.equal("GAS_PRICE_TOO_HIGH");
+        expect(await signer.getNonce("pending")).to.equal(start);
+        expect(attempts).to.deep.equal([]);
+    });
+
+    it("Should replace a transaction that is not mined in time", async function () {
+        let mined;
+        const sender = makeSender({
+            replaceAfterMs: 50,
+            onAttempt: (attempt) => {
+                attempts.push(attempt);
+                if (attempt.stage === "replaced") {
+                    mined = network.provider.send("evm_mine", []);
+                }
+            }
+        });
+
+        await network.provider.send("evm_setAutomine", [false]);
+        try {
+            const result = await sender.send({ to: recipient.address, value: 1n });
+            await mined;
+
+            expect(attempts.map(a => a.stage)).to.deep.equal(["submitted", "replaced", "confirmed"]);
+            expect(result.replacements).to.equal(1);
+            expect(result.hash).to.equal(attempts[1].hash);
+            expect(attempts[1].maxFeePerGas).to.equal((attempts[0].maxFeePerGas * 115n + 99n) / 100n);
+            expect(attempts[1].nonce).to.equal(attempts[0].nonce);
+        } finally {
+            await network.provider.send("evm_setAutomine", [true]);
+        }
+    });
+
+    it("Should give up on a transaction after the last replacement", async function () {
+        const sender = makeSender({ replaceAfterMs: 20, maxReplacements: 1 });
+
+        await network.provider.send("evm_setAutomine", [false]);
+        try {
+            let error;
+            try {
+                await sender.send({ to: recipient.address, value: 1n });
+            } catch (e) {
+                error = e;
+            }
+
+            expect(error.message).to.contain("not mined after 1 replacement(s)");
+            expect(attempts.map(a => a.stage)).to.deep.equal(["submitted", "replaced", "stuck"]);
+            expect(attempts[2].hashes).to.have.length(2);
+        } finally {
+            await network.provider.send("evm_mine", []);
+            await network.provider.send("evm_setAutomine", [true]);
+        }
+    });
+
+    it("Should only simulate in dry-run mode and reject reverting transactions", async function () {
+        const sender = makeSender({ dryRun: true });
+        const start = await signer.getNonce("pending");
+
+        const tx = { to: recipient.address, value: 1n };
+        const result = await sender.send(tx, { action: "transfer" });
+        expect(result.dryRun).to.equal(true);
+        expect(result.gasLimit).to.equal(((await signer.estimateGas(tx)) * 120n) / 100n);
+        expect(attempts).to.have.length(1);
+        expect(attempts[0]).to.include({ stage: "dry-run", action: "transfer" });
+
+        let error;
+        try {
+            await sender.send({ to: REVERTER, data: "0x" });
+        } catch (e) {
+            error = e;
+        }
+        expect(error).to.exist;
+        expect(attempts).to.have.length(1);
+        expect(await signer.getNonce("pending")).to.equal(start);
+    });
+
+    it("Should not bump fees past the cap", function () {
+        const sender = makeSender({ maxFeePerGas: 110n });
+
+        expect(sender.bumpFees({ maxFeePerGas: 100n, maxPriorityFeePerGas: 10n })).to.deep.equal({
+            maxFeePerGas: 110n,
+            maxPriorityFeePerGas: 12n
+        });
+        expect(sender.bumpFees({ maxFeePerGas: 105n, maxPriorityFeePerGas: 10n })).to.equal(null);
+        expect(sender.bumpFees({ gasPrice: 50n })).to.deep.equal({ gasPrice: 58n });
+    });
+});
@@ -11,6 +11,11 @@ describe("UniswapGraduationManager", function () {
     const LOCK_DURATION = 7 * 24 * 60 * 60; // 7 days
     const SLIPPAGE_TOLERANCE = 100; // 1%
 
+    // Curve state at graduation: 120 ETH market cap, 60 ETH raised
+    const GRADUATION_TOKEN_RESERVE = ethers.parseEther("500000");
+    const GRADUATION_ETH_RESERVE = ethers.parseEther("60");
+    const GRADUATION_MARKET_CAP = ethers.parseEther("120");
+
     async function deployFixture() {
         const [owner, bondingCurve, lpRecipient, user1, user2] = await ethers.getSigners();
 
@@ -18,13 +23,14 @@ describe("UniswapGraduationManager", function () {
         const MockERC20 = await ethers.getContractFactory("MockERC20");
         const token = await MockERC20.deploy("Test Token", "TEST", ethers.parseEther("10000000"));
 
-        // Deploy mock Uniswap V2 Factory
+        // Deploy WETH and mock Uniswap V2 Factory
+        const weth = await (await ethers.getContractFactory("WETH9")).deploy();
         const MockUniswapV2Factory = await ethers.getContractFactory("MockUniswapV2Factory");
         const factory = await MockUniswapV2Factory.deploy();
 
         // Deploy mock Uniswap V2 Router
         const MockUniswapV2Router = await ethers.getContractFactory("MockUniswapV2Router");
-        const router = await MockUniswapV2Router.deploy(factory.target);
+        const router = await MockUniswapV2Router.deploy(factory.target, weth.target);
 
         // Deploy UniswapGraduationManager
         const UniswapGraduationManager = await ethers.getContractFactory("UniswapGraduationManager");
@@ -32,13 +38,46 @@ describe("UniswapGraduationManager", function () {
             router.target,
             MARKET_CAP_THRESHOLD,
             LIQUIDITY_THRESHOLD,
-            LOCK_DURATION
+            LOCK_DURATION,
+            lpRecipient.address
         );
 
         // Transfer tokens to bonding curve for testing
         await token.transfer(bondingCurve.address, ethers.parseEther("2000000"));
 
-        return { manager, token, router, factory, owner, bondingCurve, lpRecipient, user1, user2 };
+        return { manager, token, weth, router, factory, owner, bondingCurve, lpRecipient, user1, user2 };
+    }
+
+    /**
+     * Register the token and hand the manager the curve's liquidity
+     */
+    async function registerAndFund({ manager, token, owner, bondingCurve }) {
+        await manager.connect(owner).registerToken(token.target, INITIAL_TOKEN_RESERVE, INITIAL_ETH_RESERVE);
+        await token.connect(bondingCurve).transfer(manager.target, GRADUATION_TOKEN_RESERVE);
+        await bondingCurve.sendTransaction({ to: manager.target, value: GRADUATION_ETH_RESERVE });
+    }
+
+    /**
+     * Report a curve state past both thresholds, which auto-graduates the token
+     */
+    function reportGraduation({ manager, token, bondingCurve }) {
+        return manager.connect(bondingCurve).updateBondingCurve(
+            token.target,
+            GRADUATION_TOKEN_RESERVE,
+            GRADUATION_ETH_RESERVE,
+            GRADUATION_MARKET_CAP
+        );
+    }
+
+    async function graduatedFixture() {
+        const fixture = await deployFixture();
+        await registerAndFund(fixture);
+        await reportGraduation(fixture);
+        return fixture;
+    }
+
+    async function disableAutoGraduation(manager) {
+        await manager.updateConfig(MARKET_CAP_THRESHOLD, LIQUIDITY_THRESHOLD, LOCK_DURATION, SLIPPAGE_TOLERANCE, false);
     }
 
     describe("Deployment", function () {
@@ -48,74 +87,99 @@ describe("UniswapGraduationManager", function () {
         });
 
         it("Should initialize with correct parameters", async function () {
-            const { manager } = await loadFixture(deployFixture);
-            expect(await manager.marketCapThreshold()).to.equal(MARKET_CAP_THRESHOLD);
-            expect(await manager.liquidityThreshold()).to.equal(LIQUIDITY_THRESHOLD);
-            expect(await manager.lockDuration()).to.equal(LOCK_DURATION);
-            expect(await manager.autoGraduationEnabled()).to.equal(true);
+            const { manager, factory, weth, lpRecipient } = await loadFixture(deployFixture);
+            const config = await manager.config();
+            expect(config.marketCapThreshold).to.equal(MARKET_CAP_THRESHOLD);
+            expect(config.liquidityThreshold).to.equal(LIQUIDITY_THRESHOLD);
+            expect(config.minLockDuration).to.equal(LOCK_DURATION);
+            expect(config.slippageTolerance).to.equal(SLIPPAGE_TOLERANCE);
+            expect(config.autoGraduateEnabled).to.equal(true);
+            expect(await manager.uniswapFactory()).to.equal(factory.target);
+            expect(await manager.WETH()).to.equal(weth.target);
+            expect(await manager.lpLockRecipient()).to.equal(lpRecipient.address);
         });
 
         it("Should revert if router address is zero", async function () {
+            const { lpRecipient } = await loadFixture(deployFixture);
             const UniswapGraduationManager = await ethers.getContractFactory("UniswapGraduationManager");
             await expect(
                 UniswapGraduationManager.deploy(
                     ethers.ZeroAddress,
                     MARKET_CAP_THRESHOLD,
                     LIQUIDITY_THRESHOLD,
-                    LOCK_DURATION
+                    LOCK_DURATION,
+                    lpRecipient.address
+                )
+            ).to.be.revertedWith("Invalid router");
+        });
+
+        it("Should revert if the LP lock recipient is zero", async function () {
+            const { router } = await loadFixture(deployFixture);
+            const UniswapGraduationManager = await ethers.getContractFactory("UniswapGraduationManager");
+            await expect(
+                UniswapGraduationManager.deploy(
+                    router.target,
+                    MARKET_CAP_THRESHOLD,
+                    LIQUIDITY_THRESHOLD,
+                    LOCK_DURATION,
+                    ethers.ZeroAddress
                 )
-            ).to.be.revertedWith("Invalid router address");
+            ).to.be.revertedWith("Invalid lock recipient");
         });
     });
 
     describe("Token Registration", function () {
         it("Should register a token successfully", async function () {
-            const { manager, token, bondingCurve } = await loadFixture(deployFixture);
+            const { manager, token } = await loadFixture(deployFixture);
 
             await expect(
-                manager.connect(bondingCurve).registerToken(
+                manager.registerToken(
                     token.target,
                     INITIAL_TOKEN_RESERVE,
                     INITIAL_ETH_RESERVE
                 )
             )
                 .to.emit(manager, "TokenRegistered")
-                .withArgs(token.target, INITIAL_TOKEN_RESERVE, INITIAL_ETH_RESERVE);
+                .withArgs(token.target, INITIAL_TOKEN_RESERVE);
 
+            expect(await manager.eligibleTokens(token.target)).to.be.true;
             const bondingState = await manager.bondingCurves(token.target);
-            expect(bondingState.isRegistered).to.be.true;
             expect(bondingState.tokenReserve).to.equal(INITIAL_TOKEN_RESERVE);
             expect(bondingState.ethReserve).to.equal(INITIAL_ETH_RESERVE);
         });
 
         it("Should revert if token already registered", async function () {
-            const { manager, token, bondingCurve } = await loadFixture(deployFixture);
+            const { manager, token } = await loadFixture(deployFixture);
 
-            await manager.connect(bondingCurve).registerToken(
+            await manager.registerToken(
                 token.target,
                 INITIAL_TOKEN_RESERVE,
                 INITIAL_ETH_RESERVE
             );
 
             await expect(
-                manager.connect(bondingCurve).registerToken(
+                manager.registerToken(
                     token.target,
                     INITIAL_TOKEN_RESERVE,
                     INITIAL_ETH_RESERVE
                 )
-            ).to.be.revertedWith("Token already registered");
+            ).to.be.revertedWith("Already registered");
         });
 
-        it("Should revert if reserves are zero", async function () {
-            const { manager, token, bondingCurve } = await loadFixture(deployFixture);
+        it("Should revert if token address is zero", async function () {
+            const { manager } = await loadFixture(deployFixture);
 
             await expect(
-                manager.connect(bondingCurve).registerToken(token.target, 0, INITIAL_ETH_RESERVE)
-            ).to.be.revertedWith("Invalid reserves");
+                manager.registerToken(ethers.ZeroAddress, INITIAL_TOKEN_RESERVE, INITIAL_ETH_RESERVE)
+            ).to.be.revertedWith("Invalid token");
+        });
+
+        it("Should revert if not called by the owner", async function () {
+            const { manager, token, user1 } = await loadFixture(deployFixture);
 
             await expect(
-                manager.connect(bondingCurve).registerToken(token.target, INITIAL_TOKEN_RESERVE, 0)
-            ).to.be.revertedWith("Invalid reserves");
+                manager.connect(user1).registerToken(token.target, INITIAL_TOKEN_RESERVE, INITIAL_ETH_RESERVE)
+            ).to.be.revertedWithCustomError(manager, "OwnableUnauthorizedAccount");
         });
     });
 
@@ -123,7 +187,7 @@ describe("UniswapGraduationManager", function () {
         it("Should update bonding curve state", async function () {
             const { manager, token, bondingCurve } = await loadFixture(deployFixture);
 
-            await manager.connect(bondingCurve).registerToken(
+            await manager.registerToken(
                 token.target,
                 INITIAL_TOKEN_RESERVE,
                 INITIAL_ETH_RESERVE
@@ -131,38 +195,35 @@ describe("UniswapGraduationManager", function () {
 
             const newTokenReserve = ethers.parseEther("900000");
             const newEthReserve = ethers.parseEther("15");
+            const newMarketCap = ethers.parseEther("20");
 
             await expect(
                 manager.connect(bondingCurve).updateBondingCurve(
                     token.target,
                     newTokenReserve,
-                    newEthReserve
+                    newEthReserve,
+                    newMarketCap
                 )
             )
                 .to.emit(manager, "BondingCurveUpdated")
-                .withArgs(token.target, newTokenReserve, newEthReserve);
+                .withArgs(token.target, newTokenReserve, newEthReserve, newMarketCap);
 
             const bondingState = await manager.bondingCurves(token.target);
             expect(bondingState.tokenReserve).to.equal(newTokenReserve);
             expect(bondingState.ethReserve).to.equal(newEthReserve);
+            expect(bondingState.currentMarketCap).to.equal(newMarketCap);
         });
 
-        it("Should revert if not called by bonding curve", async function () {
-            const { manager, token, bondingCurve, user1 } = await loadFixture(deployFixture);
+        it("Should auto-graduate when an update meets both thresholds", async function () {
+            const fixture = await loadFixture(deployFixture);
+            const { manager, token } = fixture;
+            await registerAndFund(fixture);
 
-            await manager.connect(bondingCurve).registerToken(
-                token.target,
-                INITIAL_TOKEN_RESERVE,
-                INITIAL_ETH_RESERVE
-            );
+            await expect(reportGraduation(fixture))
+                .to.emit(manager, "GraduationTriggered")
+                .withArgs(token.target, GRADUATION_MARKET_CAP, GRADUATION_ETH_RESERVE);
 
-            await expect(
-                manager.connect(user1).updateBondingCurve(
-                    token.target,
-                    ethers.parseEther("900000"),
-                    ethers.parseEther("15")
-                )
-            ).to.be.revertedWith("Not bonding curve");
+            expect((await manager.graduations(token.target)).graduated).to.be.true;
         });
 
         it("Should revert if token not registered", async function () {
@@ -172,7 +233,8 @@ describe("UniswapGraduationManager", function () {
                 manager.connect(bondingCurve).updateBondingCurve(
                     token.target,
                     ethers.parseEther("900000"),
-                    ethers.parseEther("15")
+                    ethers.parseEther("15"),
+                    ethers.parseEther("20")
                 )
             ).to.be.revertedWith("Token not registered");
         });
@@ -181,8 +243,9 @@ describe("UniswapGraduationManager", function () {
     describe("Graduation Eligibility", function () {
         it("Should check eligibility based on market cap", async function () {
             const { manager, token, bondingCurve } = await loadFixture(deployFixture);
+            await disableAutoGraduation(manager);
 
-            await manager.connect(bondingCurve).registerToken(
+            await manager.registerToken(
                 token.target,
                 INITIAL_TOKEN_RESERVE,
                 INITIAL_ETH_RESERVE
@@ -191,299 +254,245 @@ describe("UniswapGraduationManager", function () {
             // Initial state - not eligible
             expect(await manager.checkGraduationEligibility(token.target)).to.be.false;
 
-            // Update to meet market cap threshold
-            const newTokenReserve = ethers.parseEther("500000");
-            const newEthReserve = ethers.parseEther("120"); // Market cap = 120 ETH > 100 ETH threshold
-
+            // Liquidity met, market cap short of 100 ETH
             await manager.connect(bondingCurve).updateBondingCurve(
                 token.target,
-                newTokenReserve,
-                newEthReserve
+                GRADUATION_TOKEN_RESERVE,
+                GRADUATION_ETH_RESERVE,
+                ethers.parseEther("90")
             );
+            expect(await manager.checkGraduationEligibility(token.target)).to.be.false;
 
+            await manager.connect(bondingCurve).updateBondingCurve(
+                token.target,
+                GRADUATION_TOKEN_RESERVE,
+                GRADUATION_ETH_RESERVE,
+                GRADUATION_MARKET_CAP
+            );
             expect(await manager.checkGraduationEligibility(token.target)).to.be.true;
         });
 
         it("Should check eligibility based on liquidity", async function () {
             const { manager, token, bondingCurve } = await loadFixture(deployFixture);
+            await disableAutoGraduation(manager);
 
-            await manager.connect(bondingCurve).registerToken(
+            await manager.registerToken(
                 token.target,
                 INITIAL_TOKEN_RESERVE,
                 INITIAL_ETH_RESERVE
             );
 
-            // Update to meet liquidity threshold
-            const newTokenReserve = ethers.parseEther("900000");
-            const newEthReserve = ethers.parseEther("60"); // Liquidity = 60 ETH > 50 ETH threshold
-
+            // Market cap met, liquidity short of 50 ETH
             await manager.connect(bondingCurve).updateBondingCurve(
                 token.target,
-                newTokenReserve,
-                newEthReserve
+                GRADUATION_TOKEN_RESERVE,
+                ethers.parseEther("40"),
+                GRADUATION_MARKET_CAP
             );
+            expect(await manager.checkGraduationEligibility(token.target)).to.be.false;
 
+            await manager.connect(bondingCurve).updateBondingCurve(
+                token.target,
+                GRADUATION_TOKEN_RESERVE,
+                GRADUATION_ETH_RESERVE,
+                GRADUATION_MARKET_CAP
+            );
             expect(await manager.checkGraduationEligibility(token.target)).to.be.true;
         });
     });
 
     describe("Manual Graduation", function () {
-        it("Should graduate token manually when eligible", async function () {
-            const { manager, token, bondingCurve, lpRecipient } = await loadFixture(deployFixture);
+        async function eligibleFixture() {
+            const fixture = await deployFixture();
+            await disableAutoGraduation(fixture.manager);
+            await registerAndFund(fixture);
+            await reportGraduation(fixture);
+            return fixture;
+        }
 
-            // Register and make eligible
-            await manager.connect(bondingCurve).registerToken(
-                token.target,
-                INITIAL_TOKEN_RESERVE,
-                INITIAL_ETH_RESERVE
-            );
-
-            await manager.connect(bondingCurve).updateBondingCurve(
-                token.target,
-                ethers.parseEther("500000"),
-                ethers.parseEther("120")
-            );
+        it("Should graduate token manually when eligible", async function () {
+            const { manager, token, factory, weth } = await loadFixture(eligibleFixture);
 
-            // Approve tokens and send ETH
-            await token.connect(bondingCurve).approve(manager.target, ethers.parseEther("500000"));
-            
-            await expect(
-                manager.connect(bondingCurve).graduateToken(token.target, lpRecipient.address, {
-                    value: ethers.parseEther("120")
-                })
-            ).to.emit(manager, "TokenGraduated");
+            await expect(manager.graduateToken(token.target))
+                .to.emit(manager, "LiquidityMigrated")
+                .and.to.emit(manager, "LPTokensLocked");
 
-            const bondingState = await manager.bondingCurves(token.target);
-            expect(bondingState.hasGraduated).to.be.true;
+            const graduation = await manager.graduations(token.target);
+            expect(graduation.graduated).to.be.true;
+            expect(graduation.pair).to.equal(await factory.getPair(token.target, weth.target));
+            expect(graduation.initialLiquidity).to.equal(GRADUATION_ETH_RESERVE);
         });
 
         it("Should revert if not eligible", async function () {
-            const { manager, token, bondingCurve, lpRecipient } = await loadFixture(deployFixture);
+            const { manager, token } = await loadFixture(deployFixture);
+            await disableAutoGraduation(manager);
 
-            await manager.connect(bondingCurve).registerToken(
+            await manager.registerToken(
                 token.target,
                 INITIAL_TOKEN_RESERVE,
                 INITIAL_ETH_RESERVE
             );
 
-            await expect(
-                manager.connect(bondingCurve).graduateToken(token.target, lpRecipient.address, {
-                    value: INITIAL_ETH_RESERVE
-                })
-            ).to.be.revertedWith("Not eligible for graduation");
+            await expect(manager.graduateToken(token.target))
+                .to.be.revertedWithCustomError(manager, "ThresholdNotMet");
         });
 
         it("Should revert if already graduated", async function () {
-            const { manager, token, bondingCurve, lpRecipient } = await loadFixture(deployFixture);
+            const { manager, token } = await loadFixture(eligibleFixture);
 
-            await manager.connect(bondingCurve).registerToken(
-                token.target,
-                INITIAL_TOKEN_RESERVE,
-                INITIAL_ETH_RESERVE
-            );
+            await manager.graduateToken(token.target);
 
-            await manager.connect(bondingCurve).updateBondingCurve(
-                token.target,
-                ethers.parseEther("500000"),
-                ethers.parseEther("120")
-            );
+            await expect(manager.graduateToken(token.target))
+                .to.be.revertedWithCustomError(manager, "AlreadyGraduated");
+        });
 
-            await token.connect(bondingCurve).approve(manager.target, ethers.parseEther("500000"));
-            await manager.connect(bondingCurve).graduateToken(token.target, lpRecipient.address, {
-                value: ethers.parseEther("120")
-            });
+        it("Should revert if not called by the owner", async function () {
+            const { manager, token, user1 } = await loadFixture(eligibleFixture);
 
-            await expect(
-                manager.connect(bondingCurve).graduateToken(token.target, lpRecipient.address, {
-                    value: ethers.parseEther("120")
-                })
-            ).to.be.revertedWith("Already graduated");
+            await expect(manager.connect(user1).graduateToken(token.target))
+                .to.be.revertedWithCustomError(manager, "OwnableUnauthorizedAccount");
         });
     });
 
     describe("LP Token Locking", function () {
         it("Should lock LP tokens after graduation", async function () {
-            const { manager, token, bondingCurve, lpRecipient } = await loadFixture(deployFixture);
+            const { manager, token } = await loadFixture(graduatedFixture);
 
-            await manager.connect(bondingCurve).registerToken(
-                token.target,
-                INITIAL_TOKEN_RESERVE,
-                INITIAL_ETH_RESERVE
-            );
-
-            await manager.connect(bondingCurve).updateBondingCurve(
-                token.target,
-                ethers.parseEther("500000"),
-                ethers.parseEther("120")
-            );
-
-            await token.connect(bondingCurve).approve(manager.target, ethers.parseEther("500000"));
-            await manager.connect(bondingCurve).graduateToken(token.target, lpRecipient.address, {
-                value: ethers.parseEther("120")
-            });
-
-            const lockInfo = await manager.lpLocks(token.target);
-            expect(lockInfo.amount).to.be.gt(0);
-            expect(lockInfo.unlockTime).to.be.gt(await time.latest());
+            const graduation = await manager.graduations(token.target);
+            const pair = await ethers.getContractAt("MockUniswapV2Pair", graduation.pair);
+            expect(graduation.lpTokensLocked).to.be.gt(0);
+            expect(graduation.unlockTime).to.be.gt(await time.latest());
+            expect(await manager.getLockedLPBalance(token.target)).to.equal(graduation.lpTokensLocked);
+            expect(await pair.balanceOf(manager.target)).to.equal(graduation.lpTokensLocked);
         });
 
         it("Should not allow unlock before lock duration", async function () {
-            const { manager, token, bondingCurve, lpRecipient } = await loadFixture(deployFixture);
-
-            await manager.connect(bondingCurve).registerToken(
-                token.target,
-                INITIAL_TOKEN_RESERVE,
-                INITIAL_ETH_RESERVE
-            );
+            const { manager, token } = await loadFixture(graduatedFixture);
 
-            await manager.connect(bondingCurve).updateBondingCurve(
-                token.target,
-                ethers.parseEther("500000"),
-                ethers.parseEther("120")
-            );
-
-            await token.connect(bondingCurve).approve(manager.target, ethers.parseEther("500000"));
-            await manager.connect(bondingCurve).graduateToken(token.target, lpRecipient.address, {
-                value: ethers.parseEther("120")
-            });
-
-            await expect(
-                manager.unlockLP(token.target)
-            ).to.be.revertedWith("LP tokens still locked");
+            await expect(manager.unlockLPTokens(token.target))
+                .to.be.revertedWithCustomError(manager, "LockPeriodActive");
         });
 
         it("Should allow unlock after lock duration", async function () {
-            const { manager, token, bondingCurve, lpRecipient } = await loadFixture(deployFixture);
-
-            await manager.connect(bondingCurve).registerToken(
-                token.target,
-                INITIAL_TOKEN_RESERVE,
-                INITIAL_ETH_RESERVE
-            );
-
-            await manager.connect(bondingCurve).updateBondingCurve(
-                token.target,
-                ethers.parseEther("500000"),
-                ethers.parseEther("120")
-            );
-
-            await token.connect(bondingCurve).approve(manager.target, ethers.parseEther("500000"));
-            await manager.connect(bondingCurve).graduateToken(token.target, lpRecipient.address, {
-                value: ethers.parseEther("120")
-            });
+            const { manager, token, lpRecipient } = await loadFixture(graduatedFixture);
+            const { pair, lpTokensLocked } = await manager.graduations(token.target);
 
             // Fast forward time
             await time.increase(LOCK_DURATION + 1);
 
-            await expect(manager.unlockLP(token.target))
-                .to.emit(manager, "LPUnlocked");
+            await expect(manager.unlockLPTokens(token.target))
+                .to.emit(manager, "LPTokensUnlocked")
+                .withArgs(token.target, lpRecipient.address, lpTokensLocked);
 
-            const lockInfo = await manager.lpLocks(token.target);
-            expect(lockInfo.amount).to.equal(0);
+            expect(await manager.getLockedLPBalance(token.target)).to.equal(0);
+            const lp = await ethers.getContractAt("MockUniswapV2Pair", pair);
+            expect(await lp.balanceOf(lpRecipient.address)).to.equal(lpTokensLocked);
         });
-    });
 
-    describe("Configuration Management", function () {
-        it("Should allow owner to update market cap threshold", async function () {
-            const { manager, owner } = await loadFixture(deployFixture);
+        it("Should not unlock the same LP tokens twice", async function () {
+            const { manager, token } = await loadFixture(graduatedFixture);
 
-            const newThreshold = ethers.parseEther("200");
-            await expect(manager.connect(owner).setMarketCapThreshold(newThreshold))
-                .to.emit(manager, "MarketCapThresholdUpdated")
-                .withArgs(newThreshold);
+            await time.increase(LOCK_DURATION + 1);
+            await manager.unlockLPTokens(token.target);
 
-            expect(await manager.marketCapThreshold()).to.equal(newThreshold);
+            await expect(manager.unlockLPTokens(token.target)).to.be.revertedWith("No LP tokens to unlock");
         });
+    });
 
-        it("Should allow owner to update liquidity threshold", async function () {
+    describe("Configuration Management", function () {
+        it("Should allow owner to update thresholds", async function () {
             const { manager, owner } = await loadFixture(deployFixture);
 
-            const newThreshold = ethers.parseEther("75");
-            await expect(manager.connect(owner).setLiquidityThreshold(newThreshold))
-                .to.emit(manager, "LiquidityThresholdUpdated")
-                .withArgs(newThreshold);
+            const newMarketCap = ethers.parseEther("200");
+            const newLiquidity = ethers.parseEther("75");
+            await expect(manager.connect(owner).updateConfig(newMarketCap, newLiquidity, LOCK_DURATION, SLIPPAGE_TOLERANCE, true))
+                .to.emit(manager, "ConfigUpdated")
+                .withArgs(newMarketCap, newLiquidity);
 
-            expect(await manager.liquidityThreshold()).to.equal(newThreshold);
+            const config = await manager.config();
+            expect(config.marketCapThreshold).to.equal(newMarketCap);
+            expect(config.liquidityThreshold).to.equal(newLiquidity);
         });
 
         it("Should allow owner to toggle auto-graduation", async function () {
-            const { manager, owner } = await loadFixture(deployFixture);
+            const { manager } = await loadFixture(deployFixture);
 
-            await expect(manager.connect(owner).setAutoGraduation(false))
-                .to.emit(manager, "AutoGraduationToggled")
-                .withArgs(false);
+            await disableAutoGraduation(manager);
 
-            expect(await manager.autoGraduationEnabled()).to.be.false;
+            expect((await manager.config()).autoGraduateEnabled).to.be.false;
         });
 
         it("Should allow owner to update slippage tolerance", async function () {
             const { manager, owner } = await loadFixture(deployFixture);
 
             const newSlippage = 200; // 2%
-            await expect(manager.connect(owner).setSlippageTolerance(newSlippage))
-                .to.emit(manager, "SlippageToleranceUpdated")
-                .withArgs(newSlippage);
+            await manager.connect(owner).updateConfig(MARKET_CAP_THRESHOLD, LIQUIDITY_THRESHOLD, LOCK_DURATION, newSlippage, true);
 
-            expect(await manager.slippageTolerance()).to.equal(newSlippage);
+            expect((await manager.config()).slippageTolerance).to.equal(newSlippage);
         });
 
         it("Should revert if non-owner tries to update config", async function () {
             const { manager, user1 } = await loadFixture(deployFixture);
 
             await expect(
-                manager.connect(user1).setMarketCapThreshold(ethers.parseEther("200"))
-            ).to.be.revertedWith("Ownable: caller is not the owner");
+                manager.connect(user1).updateConfig(ethers.parseEther("200"), LIQUIDITY_THRESHOLD, LOCK_DURATION, SLIPPAGE_TOLERANCE, true)
+            ).to.be.revertedWithCustomError(manager, "OwnableUnauthorizedAccount");
         });
 
         it("Should revert if slippage tolerance exceeds maximum", async function () {
             const { manager, owner } = await loadFixture(deployFixture);
 
             await expect(
-                manager.connect(owner).setSlippageTolerance(1001) // > 10%
-            ).to.be.revertedWith("Slippage too high");
+                manager.connect(owner).updateConfig(MARKET_CAP_THRESHOLD, LIQUIDITY_THRESHOLD, LOCK_DURATION, 1001, true) // > 10%
+            ).to.be.revertedWithCustomError(manager, "InvalidConfiguration");
+        });
+
+        it("Should allow owner to update the LP lock recipient", async function () {
+            const { manager, user1 } = await loadFixture(deployFixture);
+
+            await manager.updateLPLockRecipient(user1.address);
+
+            expect(await manager.lpLockRecipient()).to.equal(user1.address);
+            await expect(manager.updateLPLockRecipient(ethers.ZeroAddress)).to.be.revertedWith("Invalid recipient");
         });
     });
 
     describe("View Functions", function () {
         it("Should return correct graduation status", async function () {
-            const { manager, token, bondingCurve } = await loadFixture(deployFixture);
+            const { manager, token } = await loadFixture(deployFixture);
 
-            await manager.connect(bondingCurve).registerToken(
+            await manager.registerToken(
                 token.target,
                 INITIAL_TOKEN_RESERVE,
                 INITIAL_ETH_RESERVE
             );
 
             const status = await manager.getGraduationStatus(token.target);
-            expect(status.isRegistered).to.be.true;
+            expect(status.isEligible).to.be.true;
             expect(status.hasGraduated).to.be.false;
-            expect(status.tokenReserve).to.equal(INITIAL_TOKEN_RESERVE);
-            expect(status.ethReserve).to.equal(INITIAL_ETH_RESERVE);
+            expect(status.currentMarketCap).to.equal(0);
+            expect(status.currentLiquidity).to.equal(INITIAL_ETH_RESERVE);
+            expect(status.liquidityProgress).to.equal(2000); // 10 of 50 ETH, in basis points
         });
 
         it("Should calculate time until unlock correctly", async function () {
-            const { manager, token, bondingCurve, lpRecipient } = await loadFixture(deployFixture);
-
-            await manager.connect(bondingCurve).registerToken(
-                token.target,
-                INITIAL_TOKEN_RESERVE,
-                INITIAL_ETH_RESERVE
-            );
-
-            await manager.connect(bondingCurve).updateBondingCurve(
-                token.target,
-                ethers.parseEther("500000"),
-                ethers.parseEther("120")
-            );
-
-            await token.connect(bondingCurve).approve(manager.target, ethers.parseEther("500000"));
-            await manager.connect(bondingCurve).graduateToken(token.target, lpRecipient.address, {
-                value: ethers.parseEther("120")
-            });
+            const { manager, token } = await loadFixture(graduatedFixture);
 
             const timeUntilUnlock = await manager.getTimeUntilUnlock(token.target);
             expect(timeUntilUnlock).to.be.closeTo(BigInt(LOCK_DURATION), BigInt(5));
         });
+
+        it("Should return the pair reserves of a graduated token", async function () {
+            const { manager, token, weth } = await loadFixture(graduatedFixture);
+
+            const reserves = await manager.getPairReserves(token.target);
+            const [tokenReserve, ethReserve] = reserves.token0 === token.target
+                ? [reserves.reserve0, reserves.reserve1]
+                : [reserves.reserve1, reserves.reserve0];
+            expect([reserves.token0, reserves.token1]).to.have.members([token.target, weth.target]);
+            expect(tokenReserve).to.equal(GRADUATION_TOKEN_RESERVE);
+            expect(ethReserve).to.equal(GRADUATION_ETH_RESERVE);
+        });
     });
 
     describe("Emergency Functions", function () {
@@ -496,8 +505,10 @@ describe("UniswapGraduationManager", function () {
             const initialBalance = await token.balanceOf(owner.address);
 
             await expect(
-                manager.connect(owner).emergencyWithdrawToken(token.target, ethers.parseEther("1000"))
-            ).to.emit(manager, "EmergencyWithdraw");
+                manager.connect(owner).emergencyWithdraw(token.target, ethers.parseEther("1000"))
+            )
+                .to.emit(manager, "EmergencyWithdraw")
+                .withArgs(token.target, ethers.parseEther("1000"));
 
             const finalBalance = await token.balanceOf(owner.address);
             expect(finalBalance - initialBalance).to.equal(ethers.parseEther("1000"));
@@ -514,7 +525,7 @@ describe("UniswapGraduationManager", function () {
 
             const initialBalance = await ethers.provider.getBalance(owner.address);
 
-            const tx = await manager.connect(owner).emergencyWithdrawETH(ethers.parseEther("5"));
+            const tx = await manager.connect(owner).emergencyWithdrawETH();
             const receipt = await tx.wait();
             const gasUsed = receipt.gasUsed * receipt.gasPrice;
 
@@ -526,16 +537,16 @@ describe("UniswapGraduationManager", function () {
             const { manager, token, user1 } = await loadFixture(deployFixture);
 
             await expect(
-                manager.connect(user1).emergencyWithdrawToken(token.target, ethers.parseEther("1000"))
-            ).to.be.revertedWith("Ownable: caller is not the owner");
+                manager.connect(user1).emergencyWithdraw(token.target, ethers.parseEther("1000"))
+            ).to.be.revertedWithCustomError(manager, "OwnableUnauthorizedAccount");
         });
     });
 
     describe("Gas Optimization", function () {
         it("Should use reasonable gas for registration", async function () {
-            const { manager, token, bondingCurve } = await loadFixture(deployFixture);
+            const { manager, token } = await loadFixture(deployFixture);
 
-            const tx = await manager.connect(bondingCurve).registerToken(
+            const tx = await manager.registerToken(
                 token.target,
                 INITIAL_TOKEN_RESERVE,
                 INITIAL_ETH_RESERVE
@@ -548,7 +559,7 @@ describe("UniswapGraduationManager", function () {
         it("Should use reasonable gas for bonding curve updates", async function () {
             const { manager, token, bondingCurve } = await loadFixture(deployFixture);
 
-            await manager.connect(bondingCurve).registerToken(
+            await manager.registerToken(
                 token.target,
                 INITIAL_TOKEN_RESERVE,
                 INITIAL_ETH_RESERVE
@@ -557,7 +568,8 @@ describe("UniswapGraduationManager", function () {
             const tx = await manager.connect(bondingCurve).updateBondingCurve(
                 token.target,
                 ethers.parseEther("900000"),
-                ethers.parseEther("15")
+                ethers.parseEther("15"),
+                ethers.parseEther("20")
             );
             const receipt = await tx.wait();
 
@@ -567,27 +579,23 @@ describe("UniswapGraduationManager", function () {
 
     describe("Edge Cases", function () {
         it("Should handle zero liquidity gracefully", async function () {
-            const { manager, token, bondingCurve } = await loadFixture(deployFixture);
-
-            await manager.connect(bondingCurve).registerToken(
-                token.target,
-                INITIAL_TOKEN_RESERVE,
-                INITIAL_ETH_RESERVE
-            );
+            const { manager, token } = await loadFixture(deployFixture);
 
             const status = await manager.getGraduationStatus(token.target);
-            expect(status.currentMarketCap).to.be.gte(0);
-            expect(status.currentLiquidity).to.be.gte(0);
+            expect(status.isEligible).to.be.false;
+            expect(status.currentMarketCap).to.equal(0);
+            expect(status.currentLiquidity).to.equal(0);
+            expect(await manager.getTimeUntilUnlock(token.target)).to.equal(0);
         });
 
         it("Should handle very large reserve values", async function () {
-            const { manager, token, bondingCurve } = await loadFixture(deployFixture);
+            const { manager, token } = await loadFixture(deployFixture);
 
             const largeTokenReserve = ethers.parseEther("1000000000"); // 1 billion
             const largeEthReserve = ethers.parseEther("10000"); // 10k ETH
 
             await expect(
-                manager.connect(bondingCurve).registerToken(
+                manager.registerToken(
                     token.target,
                     largeTokenReserve,
                     largeEthReserve
@@ -596,29 +604,16 @@ describe("UniswapGraduationManager", function () {
         });
 
         it("Should handle recipient address change scenarios", async function () {
-            const { manager, token, bondingCurve, lpRecipient, user1 } = await loadFixture(deployFixture);
-
-            await manager.connect(bondingCurve).registerToken(
-                token.target,
-                INITIAL_TOKEN_RESERVE,
-                INITIAL_ETH_RESERVE
-            );
+            const { manager, token, user1 } = await loadFixture(graduatedFixture);
+            const { pair, lpTokensLocked } = await manager.graduations(token.target);
 
-            await manager.connect(bondingCurve).updateBondingCurve(
-                token.target,
-                ethers.parseEther("500000"),
-                ethers.parseEther("120")
-            );
-
-            await token.connect(bondingCurve).approve(manager.target, ethers.parseEther("500000"));
-
-            // Graduate with first recipient
-            await manager.connect(bondingCurve).graduateToken(token.target, lpRecipient.address, {
-                value: ethers.parseEther("120")
-            });
+            // Unlocked LP goes to whoever is the recipient at unlock time
+            await manager.updateLPLockRecipient(user1.address);
+            await time.increase(LOCK_DURATION + 1);
+            await manager.unlockLPTokens(token.target);
 
-            const lockInfo = await manager.lpLocks(token.target);
-            expect(lockInfo.recipient).to.equal(lpRecipient.address);
+            const lp = await ethers.getContractAt("MockUniswapV2Pair", pair);
+            expect(await lp.balanceOf(user1.address)).to.equal(lpTokensLocked);
         });
     });
 });
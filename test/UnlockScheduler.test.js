@@ -0,0 +1,179 @@
+const { expect } = require("chai");
+const { ethers } = require("ethers");
+const { UnlockScheduler } = require("../scripts/monitoring/unlocks");
+const { parseDuration } = require("../scripts/lib/durations");
+const { ApiServer } = require("../scripts/monitoring/api");
+const { GraduationMonitor } = require("../scripts/monitoring");
+const { logFactory, silenceConsole } = require("./helpers");
+
+describe("UnlockScheduler", function () {
+    const TOKEN_A = ethers.getAddress("0x00000000000000000000000000000000000000aa");
+    const TOKEN_B = ethers.getAddress("0x00000000000000000000000000000000000000bb");
+    const HOUR = 60 * 60 * 1000;
+    const DAY = 24 * HOUR;
+    const NOW = 1700000000000;
+
+    const iface = new ethers.Interface([
+        "event TokenRegistered(address indexed token, uint256 initialReserve)",
+        "event LPTokensLocked(address indexed token, uint256 amount, uint256 unlockTime)"
+    ]);
+
+    let monitor;
+    let chain;
+
+    silenceConsole();
+
+    const makeLog = logFactory(iface);
+
+    /**
+     * Lock `amount` LP of `token` until `unlockAt` (ms)
+     */
+    function lock(token, unlockAt, blockNumber) {
+        monitor.processLog(makeLog("TokenRegistered", [token, 1n], blockNumber));
+        monitor.processLog(makeLog("LPTokensLocked", [token, ethers.parseEther("5"), BigInt(Math.floor(unlockAt / 1000))], blockNumber + 1));
+        chain.unlockTimes.set(token, unlockAt);
+        chain.balances.set(token, ethers.parseEther("5"));
+    }
+
+    beforeEach(function () {
+        monitor = new GraduationMonitor(TOKEN_A, "http://127.0.0.1:1", [], {});
+        chain = { now: NOW, unlockTimes: new Map(), balances: new Map() };
+        monitor.contract = {
+            getTimeUntilUnlock: async (token) =>
+                BigInt(Math.max(Math.floor((chain.unlockTimes.get(token) - chain.now) / 1000), 0)),
+            getLockedLPBalance: async (token) => chain.balances.get(token) || 0n
+        };
+    });
+
+    describe("Calendar", function () {
+        it("Should list next unlocks in order", async function () {
+            lock(TOKEN_B, NOW + 3 * DAY, 1);
+            lock(TOKEN_A, NOW + DAY, 3);
+            const scheduler = new UnlockScheduler({ monitor });
+
+            const next = scheduler.nextUnlocks({ now: NOW });
+
+            expect(next.map(e => e.token)).to.deep.equal([TOKEN_A, TOKEN_B]);
+            expect(next[0]).to.include({ amount: ethers.parseEther("5").toString(), unlockInMs: DAY, overdue: false });
+            expect(scheduler.nextUnlocks({ now: NOW, withinMs: 2 * DAY })).to.have.length(1);
+        });
+
+        it("Should export an iCalendar document", async function () {
+            lock(TOKEN_A, Date.UTC(2024, 0, 2, 12), 1);
+            const scheduler = new UnlockScheduler({ monitor, leadTimesMs: [DAY, HOUR] });
+
+            const ics = scheduler.toICS(Date.UTC(2024, 0, 1));
+
+            expect(ics).to.match(/^BEGIN:VCALENDAR\r\n/);
+            expect(ics).to.contain("DTSTART:20240102T120000Z\r\n");
+            expect(ics).to.contain("TRIGGER:-PT1440M\r\n");
+            expect(ics).to.contain("TRIGGER:-PT60M\r\n");
+            expect(ics.split("\r\n").every(line => line.length <= 75)).to.equal(true);
+            expect(ics).to.match(/END:VEVENT\r\nEND:VCALENDAR\r\n$/);
+        });
+
+        it("Should parse lead time durations", async function () {
+            expect(["7d", "24h", "30m"].map(parseDuration)).to.deep.equal([7 * DAY, DAY, 30 * 60 * 1000]);
+            expect(() => parseDuration("soon")).to.throw("Invalid duration: soon");
+        });
+    });
+
+    describe("Alerts", function () {
+        it("Should warn once at each lead time", async function () {
+            lock(TOKEN_A, NOW + 10 * DAY, 1);
+            const scheduler = new UnlockScheduler({ monitor });
+            const at = async (ms) => {
+                chain.now = ms;
+                await scheduler.check(ms);
+            };
+
+            await at(NOW);
+            await at(NOW + 3 * DAY + HOUR);
+            await at(NOW + 4 * DAY);
+            await at(NOW + 9 * DAY + HOUR);
+            await at(NOW + 10 * DAY - 30 * 60 * 1000);
+
+            const warnings = monitor.getAlerts("warning").filter(a => a.title === "Upcoming LP Unlock");
+            expect(warnings.map(a => a.data.leadTimeMs)).to.deep.equal([7 * DAY, DAY, HOUR]);
+            expect(warnings[0].message).to.contain("unlocks in 7d");
+        });
+
+        it("Should only announce the closest lead time already reached", async function () {
+            lock(TOKEN_A, NOW + 2 * HOUR, 1);
+            const scheduler = new UnlockScheduler({ monitor });
+
+            await scheduler.check(NOW);
+
+            const warnings = monitor.getAlerts("warning");
+            expect(warnings).to.have.length(1);
+            expect(warnings[0].data.leadTimeMs).to.equal(DAY);
+        });
+
+        it("Should retry a warning whose on-chain read failed", async function () {
+            lock(TOKEN_A, NOW + 2 * HOUR, 1);
+            const scheduler = new UnlockScheduler({ monitor });
+            const getTimeUntilUnlock = monitor.contract.getTimeUntilUnlock;
+            monitor.contract.getTimeUntilUnlock = async () => {
+                throw new Error("rpc unavailable");
+            };
+
+            let error;
+            try {
+                await scheduler.check(NOW);
+            } catch (e) {
+                error = e;
+            }
+            expect(error.message).to.equal("rpc unavailable");
+            expect(monitor.getAlerts("warning")).to.have.length(0);
+
+            monitor.contract.getTimeUntilUnlock = getTimeUntilUnlock;
+            await scheduler.check(NOW);
+            await scheduler.check(NOW);
+
+            expect(monitor.getAlerts("warning")).to.have.length(1);
+        });
+
+        it("Should not warn twice from overlapping checks", async function () {
+            lock(TOKEN_A, NOW + 2 * HOUR, 1);
+            const scheduler = new UnlockScheduler({ monitor });
+
+            await Promise.all([scheduler.check(NOW), scheduler.check(NOW)]);
+
+            expect(monitor.getAlerts("warning")).to.have.length(1);
+        });
+
+        it("Should report positions that passed their unlock time but stay locked", async function () {
+            lock(TOKEN_A, NOW - HOUR, 1);
+            lock(TOKEN_B, NOW - HOUR, 3);
+            chain.balances.set(TOKEN_B, 0n);
+            const scheduler = new UnlockScheduler({ monitor });
+
+            await scheduler.check(NOW);
+            await scheduler.check(NOW + HOUR);
+
+            const overdue = monitor.getAlerts("warning").filter(a => a.title === "LP Unlock Overdue");
+            expect(overdue).to.have.length(1);
+            expect(overdue[0].data.token).to.equal(TOKEN_A);
+            expect(scheduler.overdue(NOW).map(e => e.token)).to.deep.equal([TOKEN_A]);
+        });
+    });
+
+    describe("API", function () {
+        it("Should serve next unlocks and the calendar", async function () {
+            lock(TOKEN_A, Date.now() + DAY, 1);
+            const server = new ApiServer({ monitor, unlocks: new UnlockScheduler({ monitor }), port: 0, host: "127.0.0.1" });
+            const baseUrl = `http://127.0.0.1:${await server.start()}`;
+
+            const next = await (await fetch(`${baseUrl}/unlocks?within=2d`)).json();
+            const calendar = await fetch(`${baseUrl}/unlocks.ics`);
+            const invalid = await fetch(`${baseUrl}/unlocks?within=soon`);
+            await server.stop();
+
+            expect(next.next[0].token).to.equal(TOKEN_A);
+            expect(next.overdue).to.deep.equal([]);
+            expect(calendar.headers.get("content-type")).to.contain("text/calendar");
+            expect(await calendar.text()).to.contain("SUMMARY:LP unlock: ");
+            expect(invalid.status).to.equal(400);
+        });
+    });
+});
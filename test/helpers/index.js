@@ -0,0 +1,52 @@
+const { ethers } = require("ethers");
+
+/**
+ * Shared fixtures for the monitor tests
+ */
+
+/**
+ * Replace console methods (`log` by default) with no-ops for the enclosing
+ * describe block
+ */
+function silenceConsole(...methods) {
+    const originals = {};
+
+    before(function () {
+        for (const method of methods.length > 0 ? methods : ["log"]) {
+            originals[method] = console[method];
+            console[method] = () => {};
+        }
+    });
+
+    after(function () {
+        Object.assign(console, originals);
+    });
+}
+
+function blockHash(blockNumber, fork = "") {
+    return ethers.id(`block-${blockNumber}${fork}`);
+}
+
+/**
+ * Build decoded logs of the events in `iface`, shaped like the ones ethers
+ * hands to the monitor
+ */
+function logFactory(iface) {
+    return function makeLog(eventName, args, blockNumber, index = 0) {
+        return {
+            eventName,
+            fragment: iface.getEvent(eventName),
+            args,
+            blockNumber,
+            blockHash: blockHash(blockNumber),
+            index,
+            transactionHash: ethers.id(`${eventName}-${blockNumber}-${index}`)
+        };
+    };
+}
+
+module.exports = {
+    blockHash,
+    logFactory,
+    silenceConsole
+};